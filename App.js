@@ -1,7 +1,7 @@
 import React, { useState } from 'react';
 import { StatusBar } from 'expo-status-bar';
 import { GestureHandlerRootView } from 'react-native-gesture-handler';
-import { TestNavigationScreen, SplitScreen, ChooseYoursScreen, HomeScreen, BillDetailsScreen } from './src/screens';
+import { TestNavigationScreen, SplitScreen, ChooseYoursScreen, HomeScreen, BillDetailsScreen, JoinBillScreen, NotificationsScreen, TrashScreen } from './src/screens';
 
 export default function App() {
   const [currentScreen, setCurrentScreen] = useState('HomeScreen');
@@ -24,11 +24,17 @@ export default function App() {
       case 'HomeScreen':
         return <HomeScreen navigation={navigation} />;
       case 'SplitScreen':
-        return <SplitScreen navigation={navigation} />;
+        return <SplitScreen navigation={navigation} billId={currentParams?.billId} groupId={currentParams?.groupId} />;
       case 'ChooseYoursScreen':
-        return <ChooseYoursScreen navigation={navigation} />;
+        return <ChooseYoursScreen navigation={navigation} billId={currentParams?.billId} />;
       case 'BillDetailsScreen':
         return <BillDetailsScreen navigation={navigation} bill={currentParams?.bill} />;
+      case 'JoinBillScreen':
+        return <JoinBillScreen navigation={navigation} code={currentParams?.code} />;
+      case 'NotificationsScreen':
+        return <NotificationsScreen navigation={navigation} />;
+      case 'TrashScreen':
+        return <TrashScreen navigation={navigation} />;
       default:
         return <TestNavigationScreen navigation={navigation} />;
     }
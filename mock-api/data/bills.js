@@ -5,13 +5,14 @@ const bills = [
     title: "Steak House",
     restaurantId: 1,
     createdBy: 2, // Tom
+    groupId: "group-1",
     createdAt: "2024-03-28T18:30:00Z",
     updatedAt: "2024-03-28T19:45:00Z",
     status: "active", // active, settled, cancelled
-    totalAmount: 50.50,
-    tax: 4.04,
-    tip: 8.08,
-    finalAmount: 62.62,
+    totalAmount: 70.50,
+    tax: 5.64,
+    tip: 11.28,
+    finalAmount: 87.42,
     currency: "USD",
     participants: [
       {
@@ -32,7 +33,7 @@ const bills = [
             menuItemId: 2,
             name: "Orange Juice", 
             price: 8.00, 
-            quantity: 2,
+            quantity: 1,
             image: "https://images.unsplash.com/photo-1613478223719-2ab802602423?w=100&h=100&fit=crop&crop=center"
           },
           { 
@@ -56,7 +57,8 @@ const bills = [
         taxShare: 2.88,
         tipShare: 5.76,
         totalOwed: 44.64,
-        netBalance: -20.50, // owes 20.50 to Tom
+        netBalance: -44.64, // owes 44.64 to Tom
+        paidAmount: 0,
         paymentStatus: "pending" // pending, paid, partial
       },
       {
@@ -85,9 +87,9 @@ const bills = [
         taxShare: 2.76,
         tipShare: 5.52,
         totalOwed: 42.78,
-        netBalance: 20.50, // to receive 20.50
+        netBalance: 44.64, // to receive 44.64
         paymentStatus: "paid", // Tom paid the full bill
-        paidAmount: 62.62,
+        paidAmount: 87.42,
         paidAt: "2024-03-28T19:00:00Z"
       }
     ],
@@ -96,7 +98,7 @@ const bills = [
         id: "pay-1",
         fromUserId: 2,
         toUserId: null, // restaurant payment
-        amount: 62.62,
+        amount: 87.42,
         status: "completed",
         method: "credit_card",
         transactionId: "txn_abc123",
@@ -118,10 +120,10 @@ const bills = [
     createdAt: "2024-03-19T19:15:00Z",
     updatedAt: "2024-03-19T20:30:00Z",
     status: "active",
-    totalAmount: 45.00,
-    tax: 3.60,
-    tip: 9.00,
-    finalAmount: 57.60,
+    totalAmount: 33.50,
+    tax: 2.68,
+    tip: 5.36,
+    finalAmount: 41.54,
     currency: "USD",
     participants: [
       {
@@ -142,9 +144,9 @@ const bills = [
         taxShare: 1.32,
         tipShare: 2.64,
         totalOwed: 20.46,
-        netBalance: 28.50, // to receive 28.50
+        netBalance: 21.08, // to receive 21.08
         paymentStatus: "paid",
-        paidAmount: 57.60,
+        paidAmount: 41.54,
         paidAt: "2024-03-19T19:30:00Z"
       },
       {
@@ -165,7 +167,8 @@ const bills = [
         taxShare: 0.64,
         tipShare: 1.28,
         totalOwed: 9.92,
-        netBalance: -10.00,
+        netBalance: -9.92,
+        paidAmount: 0,
         paymentStatus: "pending"
       },
       {
@@ -186,7 +189,8 @@ const bills = [
         taxShare: 0.72,
         tipShare: 1.44,
         totalOwed: 11.16,
-        netBalance: -9.50,
+        netBalance: -11.16,
+        paidAmount: 0,
         paymentStatus: "pending"
       }
     ],
@@ -195,7 +199,7 @@ const bills = [
         id: "pay-2",
         fromUserId: 1,
         toUserId: null,
-        amount: 57.60,
+        amount: 41.54,
         status: "completed",
         method: "debit_card",
         transactionId: "txn_def456",
@@ -217,10 +221,10 @@ const bills = [
     createdAt: "2024-03-12T20:00:00Z",
     updatedAt: "2024-03-12T21:15:00Z",
     status: "settled",
-    totalAmount: 85.00,
-    tax: 6.80,
-    tip: 17.00,
-    finalAmount: 108.80,
+    totalAmount: 50.00,
+    tax: 4.00,
+    tip: 8.00,
+    finalAmount: 62.00,
     currency: "USD",
     participants: [
       {
@@ -241,8 +245,10 @@ const bills = [
         taxShare: 1.44,
         tipShare: 2.88,
         totalOwed: 22.32,
-        netBalance: -5.00,
-        paymentStatus: "paid"
+        netBalance: 0,
+        paymentStatus: "paid",
+        paidAmount: 22.32,
+        paidAt: "2024-03-12T21:15:00Z"
       },
       {
         id: 102,
@@ -262,9 +268,9 @@ const bills = [
         taxShare: 2.56,
         tipShare: 5.12,
         totalOwed: 39.68,
-        netBalance: 5.00,
+        netBalance: 0,
         paymentStatus: "paid",
-        paidAmount: 108.80,
+        paidAmount: 62.00,
         paidAt: "2024-03-12T20:30:00Z"
       }
     ],
@@ -273,7 +279,7 @@ const bills = [
         id: "pay-3",
         fromUserId: 102,
         toUserId: null,
-        amount: 108.80,
+        amount: 62.00,
         status: "completed",
         method: "cash",
         createdAt: "2024-03-12T20:30:00Z"
@@ -282,7 +288,7 @@ const bills = [
         id: "pay-4",
         fromUserId: 1,
         toUserId: 102,
-        amount: 5.00,
+        amount: 22.32,
         status: "completed",
         method: "venmo",
         transactionId: "venmo_xyz789",
@@ -295,49 +301,124 @@ const bills = [
       longitude: -73.9712
     },
     receiptImage: "https://example.com/receipts/bill-3.jpg"
-  }
-];
-
-// Additional bills for timeline history
-const historicalBills = [
+  },
   {
     id: "bill-4",
     title: "Cafe Aroma",
-    createdBy: 4,
+    restaurantId: null,
+    createdBy: 4, // Alex
     createdAt: "2024-03-10T16:20:00Z",
+    updatedAt: "2024-03-10T18:05:00Z",
     status: "settled",
     totalAmount: 24.00,
-    finalAmount: 29.76,
+    tax: 1.92,
+    tip: 3.84,
+    currency: "USD",
     participants: [
-      { id: 1, name: "You", netBalance: 12.00, paymentStatus: "paid" },
-      { id: 4, name: "Alex", netBalance: -12.00, paymentStatus: "paid" }
-    ]
+      { id: 1, name: "You" },
+      { id: 4, name: "Alex" }
+    ],
+    items: [],
+    payments: [
+      {
+        id: "pay-5",
+        fromUserId: 4,
+        toUserId: null,
+        amount: 29.76,
+        status: "completed",
+        method: "credit_card",
+        transactionId: "txn_ghi789",
+        createdAt: "2024-03-10T16:25:00Z"
+      },
+      {
+        id: "pay-6",
+        fromUserId: 1,
+        toUserId: 4,
+        amount: 14.88,
+        status: "completed",
+        method: "venmo",
+        transactionId: "venmo_abc321",
+        createdAt: "2024-03-10T18:05:00Z"
+      }
+    ],
+    splitMethod: "equal",
+    location: null,
+    receiptImage: null
   },
   {
     id: "bill-5",
     title: "Burger Joint",
-    createdBy: 1,
+    restaurantId: null,
+    createdBy: 1, // You
     createdAt: "2024-03-08T13:45:00Z",
+    updatedAt: "2024-03-08T13:50:00Z",
     status: "active",
     totalAmount: 35.00,
-    finalAmount: 43.40,
+    tax: 2.80,
+    tip: 5.60,
+    currency: "USD",
     participants: [
-      { id: 1, name: "You", netBalance: 8.75, paymentStatus: "paid" },
-      { id: 5, name: "Mike", netBalance: -8.75, paymentStatus: "pending" }
-    ]
+      { id: 1, name: "You" },
+      { id: 5, name: "Mike" }
+    ],
+    items: [],
+    payments: [
+      {
+        id: "pay-7",
+        fromUserId: 1,
+        toUserId: null,
+        amount: 43.40,
+        status: "completed",
+        method: "debit_card",
+        transactionId: "txn_jkl012",
+        createdAt: "2024-03-08T13:50:00Z"
+      }
+    ],
+    splitMethod: "equal",
+    location: null,
+    receiptImage: null
   },
   {
     id: "bill-6",
     title: "Vegan Garden",
-    createdBy: 6,
+    restaurantId: null,
+    createdBy: 6, // Mia
     createdAt: "2024-03-06T12:30:00Z",
+    updatedAt: "2024-03-06T14:10:00Z",
     status: "settled",
     totalAmount: 18.40,
-    finalAmount: 22.81,
+    tax: 1.47,
+    tip: 2.94,
+    currency: "USD",
     participants: [
-      { id: 1, name: "You", netBalance: -9.20, paymentStatus: "paid" },
-      { id: 6, name: "Mia", netBalance: 9.20, paymentStatus: "paid" }
-    ]
+      { id: 1, name: "You" },
+      { id: 6, name: "Mia" }
+    ],
+    items: [],
+    payments: [
+      {
+        id: "pay-8",
+        fromUserId: 6,
+        toUserId: null,
+        amount: 22.81,
+        status: "completed",
+        method: "cash",
+        createdAt: "2024-03-06T12:35:00Z"
+      },
+      {
+        id: "pay-9",
+        fromUserId: 1,
+        toUserId: 6,
+        amount: 11.41,
+        status: "completed",
+        method: "venmo",
+        transactionId: "venmo_mno345",
+        createdAt: "2024-03-06T14:10:00Z"
+      }
+    ],
+    splitMethod: "equal",
+    location: null,
+    receiptImage: null
   }
 ];
 
@@ -374,9 +455,9 @@ const billActivities = [
     userId: 2,
     type: "payment_made",
     description: "Tom paid the restaurant bill",
-    metadata: { amount: 62.62, method: "credit_card" },
+    metadata: { amount: 87.42, method: "credit_card" },
     timestamp: "2024-03-28T19:00:00Z"
   }
 ];
 
-module.exports = { bills, historicalBills, billActivities };
+module.exports = { bills, billActivities };
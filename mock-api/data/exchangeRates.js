@@ -0,0 +1,16 @@
+// Mock exchange rates - units of each currency per 1 USD, by rate date
+const exchangeRates = [
+  { currency: "EUR", rate: 0.9245, date: "2024-03-01" },
+  { currency: "GBP", rate: 0.7912, date: "2024-03-01" },
+  { currency: "EUR", rate: 0.9268, date: "2024-03-28" },
+  { currency: "GBP", rate: 0.7925, date: "2024-03-28" },
+  { currency: "JPY", rate: 151.35, date: "2024-03-28" },
+  { currency: "CAD", rate: 1.3574, date: "2024-03-28" },
+  { currency: "AUD", rate: 1.5337, date: "2024-03-28" },
+  { currency: "CHF", rate: 0.9025, date: "2024-03-28" },
+  { currency: "MXN", rate: 16.5621, date: "2024-03-28" },
+  { currency: "INR", rate: 83.3725, date: "2024-03-28" },
+  { currency: "RON", rate: 4.6112, date: "2024-03-28" }
+];
+
+module.exports = { exchangeRates };
@@ -12,7 +12,8 @@ const users = [
       notifications: {
         billReminders: true,
         paymentReceived: true,
-        friendRequests: true
+        friendRequests: true,
+        newBills: true
       },
       privacy: {
         shareLocation: true,
@@ -34,7 +35,8 @@ const users = [
       notifications: {
         billReminders: true,
         paymentReceived: true,
-        friendRequests: true
+        friendRequests: true,
+        newBills: true
       },
       privacy: {
         shareLocation: true,
@@ -56,7 +58,8 @@ const users = [
       notifications: {
         billReminders: true,
         paymentReceived: false,
-        friendRequests: true
+        friendRequests: true,
+        newBills: true
       },
       privacy: {
         shareLocation: false,
@@ -78,7 +81,8 @@ const users = [
       notifications: {
         billReminders: true,
         paymentReceived: true,
-        friendRequests: true
+        friendRequests: true,
+        newBills: true
       },
       privacy: {
         shareLocation: true,
@@ -100,7 +104,8 @@ const users = [
       notifications: {
         billReminders: false,
         paymentReceived: true,
-        friendRequests: true
+        friendRequests: true,
+        newBills: true
       },
       privacy: {
         shareLocation: true,
@@ -120,4 +125,25 @@ const friendships = [
   { userId: 2, friendId: 3, status: "accepted", createdAt: "2024-01-30T14:00:00Z" }
 ];
 
-module.exports = { users, friendships };
+// Groups of people who split together regularly
+const groups = [
+  {
+    id: "group-1",
+    name: "Friday Dinner Crew",
+    description: "Dinner after work every Friday",
+    createdBy: 1,
+    createdAt: "2024-02-01T19:00:00Z",
+    updatedAt: "2024-02-01T19:00:00Z",
+    members: [
+      { userId: 1, role: "admin", joinedAt: "2024-02-01T19:00:00Z" },
+      { userId: 2, role: "member", joinedAt: "2024-02-01T19:00:00Z" },
+      { userId: 3, role: "member", joinedAt: "2024-02-01T19:00:00Z" }
+    ],
+    defaultSplit: {
+      splitMethod: "itemized",
+      percentages: null
+    }
+  }
+];
+
+module.exports = { users, friendships, groups };
@@ -1,7 +1,12 @@
 const jwt = require('jsonwebtoken');
+const { v4: uuidv4 } = require('uuid');
+const { ACCESS_TOKEN_TTL, isAccessTokenRevoked } = require('../services/sessions');
 
 const JWT_SECRET = 'your-super-secret-jwt-key-change-in-production';
 
+// Download tokens open one download link, briefly - see authenticateDownload
+const DOWNLOAD_TOKEN_TTL = process.env.DOWNLOAD_TOKEN_TTL || '60s';
+
 const authenticateToken = (req, res, next) => {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
@@ -14,26 +19,60 @@ const authenticateToken = (req, res, next) => {
   }
 
   jwt.verify(token, JWT_SECRET, (err, user) => {
-    if (err) {
+    // Expired tokens get a 401 so clients know to refresh rather than give up
+    if (err?.name === 'TokenExpiredError') {
+      return res.status(401).json({
+        error: 'Access token expired',
+        code: 'TOKEN_EXPIRED'
+      });
+    }
+    // Download tokens only open the link they were issued for
+    if (err || user.purpose) {
       return res.status(403).json({ 
         error: 'Invalid or expired token',
         code: 'FORBIDDEN'
       });
     }
+    if (isAccessTokenRevoked(user)) {
+      return res.status(401).json({
+        error: 'Access token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
     req.user = user;
     next();
   });
 };
 
-const generateToken = (user) => {
+// Short-lived access token for a session - `sid` ties it to the session and
+// `jti` lets it be put on the revocation list
+const generateToken = (user, session) => {
   return jwt.sign(
     { 
       id: user.id, 
       email: user.email, 
-      username: user.username 
+      username: user.username,
+      sid: session.id
+    },
+    JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+  );
+};
+
+// A token for one download link, tied to the session like an access token.
+// `path` is relative to /api, e.g. /bills/export.
+const generateDownloadToken = (user, path) => {
+  return jwt.sign(
+    {
+      id: user.id,
+      email: user.email,
+      username: user.username,
+      sid: user.sid,
+      purpose: 'download',
+      path
     },
     JWT_SECRET,
-    { expiresIn: '24h' }
+    { expiresIn: DOWNLOAD_TOKEN_TTL, jwtid: uuidv4() }
   );
 };
 
@@ -43,7 +82,7 @@ const optionalAuth = (req, res, next) => {
 
   if (token) {
     jwt.verify(token, JWT_SECRET, (err, user) => {
-      if (!err) {
+      if (!err && !isAccessTokenRevoked(user)) {
         req.user = user;
       }
     });
@@ -51,9 +90,49 @@ const optionalAuth = (req, res, next) => {
   next();
 };
 
+// EventSource can't set headers, so the token may also come as ?token= on
+// the endpoint it uses
+const tokenFromQuery = (req, res, next) => {
+  if (!req.headers['authorization'] && req.query.token) {
+    req.headers['authorization'] = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+// Links opened in a browser can't send the Authorization header either, but
+// an access token in a URL ends up in history and logs. They carry a download
+// token from POST /auth/download-token as ?token= instead, which only opens
+// the path it was issued for and expires within a minute.
+const authenticateDownload = (req, res, next) => {
+  if (req.headers['authorization'] || !req.query.token) {
+    return authenticateToken(req, res, next);
+  }
+
+  const path = `${req.baseUrl}${req.path}`.replace(/^\/api/, '');
+  jwt.verify(req.query.token, JWT_SECRET, (err, user) => {
+    if (err || user.purpose !== 'download' || user.path !== path) {
+      return res.status(403).json({
+        error: 'Invalid or expired download link',
+        code: 'FORBIDDEN'
+      });
+    }
+    if (isAccessTokenRevoked(user)) {
+      return res.status(401).json({
+        error: 'Access token has been revoked',
+        code: 'TOKEN_REVOKED'
+      });
+    }
+    req.user = user;
+    next();
+  });
+};
+
 module.exports = {
   authenticateToken,
+  authenticateDownload,
+  tokenFromQuery,
   generateToken,
+  generateDownloadToken,
   optionalAuth,
   JWT_SECRET
 };
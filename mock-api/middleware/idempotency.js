@@ -0,0 +1,78 @@
+// Idempotency keys. A client that sends `Idempotency-Key` with a request may
+// retry it with the same key: within IDEMPOTENCY_KEY_TTL_HOURS the first
+// response is sent again (with `Idempotent-Replayed: true`) instead of the
+// request running twice. Keys belong to the user who sent them.
+const crypto = require('crypto');
+const db = require('../storage');
+
+const IDEMPOTENCY_HEADER = 'Idempotency-Key';
+const KEY_TTL_MS = (parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24) * 60 * 60 * 1000;
+
+// Response headers that are part of the response being replayed
+const REPLAYED_HEADERS = ['ETag'];
+
+// What the key was first used for - the same key on another request is a client bug
+const fingerprint = (req) => crypto.createHash('sha256')
+  .update(JSON.stringify([req.method, req.originalUrl, req.body ?? null]))
+  .digest('hex');
+
+const pruneExpired = (now = new Date()) => {
+  db.idempotencyKeys.removeWhere(entry => new Date(entry.expiresAt) <= now);
+};
+
+/**
+ * Middleware replaying the stored response for a repeated `Idempotency-Key`.
+ * Goes after authentication and validation; requests without the header run
+ * as usual. Server errors aren't stored, so those can be retried with the key.
+ */
+const idempotent = (req, res, next) => {
+  const key = req.get(IDEMPOTENCY_HEADER);
+  if (!key) {
+    return next();
+  }
+
+  const now = new Date();
+  pruneExpired(now);
+
+  const id = `${req.user.id}:${key}`;
+  const requestHash = fingerprint(req);
+  const stored = db.idempotencyKeys.findById(id);
+
+  if (stored) {
+    if (stored.requestHash !== requestHash) {
+      return res.status(422).json({
+        error: `${IDEMPOTENCY_HEADER} was already used for a different request`,
+        code: 'IDEMPOTENCY_KEY_REUSED'
+      });
+    }
+
+    res.set({ ...stored.headers, 'Idempotent-Replayed': 'true' });
+    return res.status(stored.status).json(stored.body);
+  }
+
+  const sendJson = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode < 500) {
+      const headers = Object.fromEntries(REPLAYED_HEADERS
+        .filter(name => res.get(name) !== undefined)
+        .map(name => [name, res.get(name)]));
+
+      db.idempotencyKeys.insert({
+        id,
+        userId: req.user.id,
+        key,
+        requestHash,
+        status: res.statusCode,
+        headers,
+        body,
+        createdAt: now.toISOString(),
+        expiresAt: new Date(now.getTime() + KEY_TTL_MS).toISOString()
+      });
+    }
+    return sendJson(body);
+  };
+
+  next();
+};
+
+module.exports = { idempotent };
@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const multer = require('multer');
+const { v4: uuidv4 } = require('uuid');
+
+const UPLOADS_DIR = process.env.UPLOADS_DIR || path.join(__dirname, '..', '.data', 'uploads');
+const RECEIPTS_DIR = path.join(UPLOADS_DIR, 'receipts');
+
+const MAX_RECEIPT_SIZE = 5 * 1024 * 1024; // 5MB
+const RECEIPT_MIME_TYPES = {
+  'image/jpeg': '.jpg',
+  'image/png': '.png',
+  'image/webp': '.webp',
+  'image/heic': '.heic',
+  'application/pdf': '.pdf'
+};
+
+const receiptStorage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdirSync(RECEIPTS_DIR, { recursive: true });
+    cb(null, RECEIPTS_DIR);
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${req.params.billId}-${uuidv4()}${RECEIPT_MIME_TYPES[file.mimetype]}`);
+  }
+});
+
+const receiptUpload = multer({
+  storage: receiptStorage,
+  limits: {
+    fileSize: MAX_RECEIPT_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (!RECEIPT_MIME_TYPES[file.mimetype]) {
+      const error = new Error(`Receipt must be one of: ${Object.keys(RECEIPT_MIME_TYPES).join(', ')}`);
+      error.code = 'INVALID_FILE_TYPE';
+      return cb(error);
+    }
+    cb(null, true);
+  }
+}).single('receipt');
+
+// Translate multer errors into the API's error format
+const uploadErrorResponse = (error) => {
+  if (error.code === 'LIMIT_FILE_SIZE') {
+    return {
+      status: 413,
+      body: {
+        error: `Receipt must be smaller than ${MAX_RECEIPT_SIZE / (1024 * 1024)}MB`,
+        code: 'FILE_TOO_LARGE'
+      }
+    };
+  }
+
+  if (error.code === 'INVALID_FILE_TYPE') {
+    return {
+      status: 400,
+      body: {
+        error: error.message,
+        code: 'INVALID_FILE_TYPE'
+      }
+    };
+  }
+
+  return {
+    status: 400,
+    body: {
+      error: error.message || 'Invalid upload',
+      code: 'INVALID_UPLOAD'
+    }
+  };
+};
+
+const receiptPath = (fileName) => path.join(RECEIPTS_DIR, fileName);
+
+module.exports = {
+  receiptUpload,
+  uploadErrorResponse,
+  receiptPath,
+  MAX_RECEIPT_SIZE,
+  RECEIPT_MIME_TYPES
+};
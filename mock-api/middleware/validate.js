@@ -0,0 +1,251 @@
+// Declarative request validation. Each endpoint has a schema (see schemas/)
+// describing its route params, query string, headers and JSON body; `validate(schema)`
+// rejects a request that doesn't match with one 400 listing every field error,
+// and /api/docs and /api/openapi.json are generated from the same schemas.
+//
+// A field spec is a plain object:
+//   type        'string' | 'integer' | 'number' | 'money' | 'boolean' | 'date'
+//               | 'array' | 'object', or an array of these ('file' for
+//               multipart uploads, which multer checks instead)
+//   required    the field must be present
+//   nullable    null is accepted
+//   enum        allowed values
+//   min, max    number range (money is never negative)
+//   positive    number must be above zero
+//   minLength, maxLength, pattern   string checks
+//   items       spec for array elements; minItems, maxItems
+//   properties  specs for object fields; unknown fields are rejected unless
+//               additionalProperties is true (or a spec, for maps)
+//   description shown in /api/docs
+//
+// Schemas may also describe the success `response` and list the `errors` the
+// endpoint can return (see schemas/errors.js); these are only documented.
+// Response fields can use `format` (e.g. 'date-time') and `ref` to point at a
+// model in schemas/models.js.
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const NUMERIC_PATTERN = /^-?\d+(\.\d+)?$/;
+
+const isDate = (value) => typeof value === 'string' && DATE_PATTERN.test(value) &&
+  !Number.isNaN(Date.parse(`${value}T00:00:00Z`)) &&
+  new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+
+// Amounts are stored in cents, so money can't have more than two decimals
+const hasCentPrecision = (value) => Math.abs(value * 100 - Math.round(value * 100)) < 1e-6;
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  integer: (value) => Number.isInteger(value),
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  money: (value) => typeof value === 'number' && Number.isFinite(value),
+  boolean: (value) => typeof value === 'boolean',
+  date: isDate,
+  array: (value) => Array.isArray(value),
+  object: (value) => typeof value === 'object' && value !== null && !Array.isArray(value)
+};
+
+const TYPE_NAMES = {
+  integer: 'an integer',
+  array: 'an array',
+  object: 'an object',
+  date: 'a date (YYYY-MM-DD)',
+  money: 'an amount'
+};
+
+const typeName = (type) => TYPE_NAMES[type] || `a ${type}`;
+
+// Route params and query values arrive as text - read them as the declared type
+const fromText = (value, types) => {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (types.some(type => ['integer', 'number', 'money'].includes(type)) && NUMERIC_PATTERN.test(value)) {
+    return Number(value);
+  }
+  if (types.includes('boolean') && (value === 'true' || value === 'false')) {
+    return value === 'true';
+  }
+  return value;
+};
+
+const checkValue = (spec, value, field, location, errors) => {
+  const fail = (message) => errors.push({ field, in: location, message });
+
+  if (value === null) {
+    if (!spec.nullable) fail('must not be null');
+    return;
+  }
+
+  const types = [].concat(spec.type || []);
+  const type = types.find(t => TYPE_CHECKS[t](value));
+  if (types.length > 0 && !type) {
+    fail(`must be ${types.map(typeName).join(' or ')}`);
+    return;
+  }
+
+  if (spec.enum && !spec.enum.includes(value)) {
+    fail(`must be one of: ${spec.enum.join(', ')}`);
+    return;
+  }
+
+  if (type === 'string') {
+    if (spec.minLength !== undefined && value.trim().length < spec.minLength) {
+      fail(spec.minLength === 1 ? 'must not be empty' : `must be at least ${spec.minLength} characters`);
+    } else if (spec.maxLength !== undefined && value.length > spec.maxLength) {
+      fail(`must be at most ${spec.maxLength} characters`);
+    } else if (spec.pattern && !spec.pattern.test(value)) {
+      fail(spec.patternMessage || 'is not in the expected format');
+    }
+  }
+
+  if (['integer', 'number', 'money'].includes(type)) {
+    const min = spec.min ?? (type === 'money' ? 0 : undefined);
+    if (spec.positive && value <= 0) {
+      fail('must be greater than 0');
+    } else if (min !== undefined && value < min) {
+      fail(`must be at least ${min}`);
+    } else if (spec.max !== undefined && value > spec.max) {
+      fail(`must be at most ${spec.max}`);
+    } else if (type === 'money' && !hasCentPrecision(value)) {
+      fail('must have at most 2 decimal places');
+    }
+  }
+
+  if (type === 'array') {
+    if (spec.minItems !== undefined && value.length < spec.minItems) {
+      fail(`must have at least ${spec.minItems} item${spec.minItems === 1 ? '' : 's'}`);
+    } else if (spec.maxItems !== undefined && value.length > spec.maxItems) {
+      fail(`must have at most ${spec.maxItems} items`);
+    }
+    if (spec.items) {
+      value.forEach((item, index) => checkValue(spec.items, item, `${field}[${index}]`, location, errors));
+    }
+  }
+
+  if (type === 'object' && spec.properties) {
+    checkFields(spec.properties, value, location, errors, {
+      prefix: `${field}.`,
+      allowUnknown: spec.additionalProperties
+    });
+  }
+};
+
+function checkFields(properties, values, location, errors, { prefix = '', allowUnknown = false, fromTextValues = false } = {}) {
+  Object.entries(properties).forEach(([name, spec]) => {
+    let value = values[name];
+    if (value === undefined || (fromTextValues && value === '')) {
+      if (spec.required) {
+        errors.push({ field: `${prefix}${name}`, in: location, message: 'is required' });
+      }
+      return;
+    }
+    if (fromTextValues) {
+      value = fromText(value, [].concat(spec.type || []));
+    }
+    checkValue(spec, value, `${prefix}${name}`, location, errors);
+  });
+
+  if (!allowUnknown) {
+    Object.keys(values)
+      .filter(name => !(name in properties))
+      .forEach(name => errors.push({ field: `${prefix}${name}`, in: location, message: 'is not a recognised field' }));
+  }
+}
+
+/**
+ * Middleware checking `req.params`, `req.query`, the request headers and
+ * `req.body` against an endpoint schema. Unknown query parameters and headers
+ * are ignored; unknown body fields are rejected. Responds 400 VALIDATION_ERROR with `fields: [{ field, in, message }]`.
+ */
+const validate = (schema) => {
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    if (schema.params) {
+      checkFields(schema.params, req.params, 'params', errors, { allowUnknown: true, fromTextValues: true });
+    }
+    if (schema.query) {
+      checkFields(schema.query, req.query, 'query', errors, { allowUnknown: true, fromTextValues: true });
+    }
+    if (schema.headers) {
+      const headers = Object.fromEntries(Object.keys(schema.headers).map(name => [name, req.get(name)]));
+      checkFields(schema.headers, headers, 'headers', errors, { allowUnknown: true });
+    }
+    if (schema.body) {
+      if (TYPE_CHECKS.object(req.body)) {
+        checkFields(schema.body, req.body, 'body', errors);
+      } else {
+        errors.push({ field: 'body', in: 'body', message: 'must be a JSON object' });
+      }
+    }
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        error: 'Request validation failed',
+        code: 'VALIDATION_ERROR',
+        fields: errors
+      });
+    }
+    next();
+  };
+
+  // The docs find each route's schema through its middleware
+  middleware.schema = schema;
+  return middleware;
+};
+
+// One-line summary of a field spec for the docs, e.g. "money, required"
+const summarizeField = (spec) => {
+  const types = [].concat(spec.type || ['any']);
+  const parts = [types.join(' | ')];
+
+  if (spec.enum) parts.push(`one of: ${spec.enum.join(', ')}`);
+  if (spec.positive) parts.push('> 0');
+  if (spec.min !== undefined) parts.push(`min ${spec.min}`);
+  if (spec.max !== undefined) parts.push(`max ${spec.max}`);
+  if (spec.minLength > 1) parts.push(`min ${spec.minLength} chars`);
+  if (spec.maxLength !== undefined) parts.push(`max ${spec.maxLength} chars`);
+  if (spec.pattern) parts.push(`pattern ${spec.pattern.source}`);
+  if (spec.minItems !== undefined) parts.push(`min ${spec.minItems} items`);
+  if (spec.maxItems !== undefined) parts.push(`max ${spec.maxItems} items`);
+  if (spec.nullable) parts.push('nullable');
+  if (spec.required) parts.push('required');
+
+  const summary = parts.join(', ');
+  return spec.description ? `${summary} - ${spec.description}` : summary;
+};
+
+// Docs for a field: a summary string, or an object for nested fields
+const describeField = (spec) => {
+  const nested = spec.properties || spec.items?.properties;
+  if (!nested) {
+    return spec.items ? `${summarizeField(spec)} (items: ${summarizeField(spec.items)})` : summarizeField(spec);
+  }
+  return {
+    type: summarizeField(spec),
+    [spec.properties ? 'fields' : 'itemFields']: describeFields(nested)
+  };
+};
+
+const describeFields = (properties) => Object.fromEntries(
+  Object.entries(properties).map(([name, spec]) => [name, describeField(spec)])
+);
+
+const AUTH_LABELS = {
+  required: 'Bearer token required',
+  optional: 'Bearer token optional',
+  none: 'none'
+};
+
+// The /api/docs entry for an endpoint (see routes/index.js)
+const describeEndpoint = ({ auth, schema }) => ({
+  description: schema?.description || null,
+  auth: AUTH_LABELS[auth],
+  ...(schema?.params && { params: describeFields(schema.params) }),
+  ...(schema?.query && { query: describeFields(schema.query) }),
+  ...(schema?.headers && { headers: describeFields(schema.headers) }),
+  ...(schema?.body && { body: describeFields(schema.body) }),
+  ...(schema?.multipart && { multipart: describeFields(schema.multipart) })
+});
+
+module.exports = { validate, describeEndpoint };
@@ -0,0 +1,193 @@
+const express = require('express');
+const db = require('../storage');
+const { runDueRecurringBills } = require('../services/recurring');
+const { runDueReminders } = require('../services/reminders');
+const { BASE_CURRENCY } = require('../services/currency');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/admin');
+const router = express.Router();
+
+// Storage info
+router.get('/storage', validate(schemas.storage), (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      storage: db.storageInfo
+    }
+  });
+});
+
+// Reset all data back to the seed data (disabled in production)
+router.post('/reset', validate(schemas.reset), (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        error: 'Reset is disabled in production',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    db.resetToSeed();
+
+    res.json({
+      success: true,
+      message: 'Data reset to seed successfully'
+    });
+
+  } catch (error) {
+    console.error('Reset data error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create any recurring bills that are due now instead of waiting for the scheduler
+router.post('/recurring/run', validate(schemas.runRecurring), (req, res) => {
+  try {
+    const created = runDueRecurringBills();
+
+    res.json({
+      success: true,
+      data: {
+        createdBillIds: created.map(bill => bill.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Run recurring bills error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Send any payment reminders that are due now instead of waiting for the scheduler
+router.post('/reminders/run', validate(schemas.runReminders), (req, res) => {
+  try {
+    const sent = runDueReminders();
+
+    res.json({
+      success: true,
+      data: {
+        reminders: sent
+      }
+    });
+
+  } catch (error) {
+    console.error('Run payment reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Emails the API has "sent", newest first - ?to= and ?template= filter them
+// (disabled in production, as they contain reset and verification links)
+router.get('/outbox', validate(schemas.getOutbox), (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        error: 'The outbox is disabled in production',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const { to, template, limit = 20 } = req.query;
+    const messages = db.outbox.filter(message =>
+      (!to || message.to.toLowerCase() === to.toLowerCase()) &&
+      (!template || message.template === template)
+    );
+
+    res.json({
+      success: true,
+      data: {
+        messages: messages.slice(0, parseInt(limit)),
+        total: messages.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Get outbox error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Empty the outbox
+router.delete('/outbox', validate(schemas.clearOutbox), (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        error: 'The outbox is disabled in production',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const removed = db.outbox.removeWhere(() => true);
+
+    res.json({
+      success: true,
+      data: {
+        deletedCount: removed.length
+      }
+    });
+
+  } catch (error) {
+    console.error('Clear outbox error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Add or replace the rate for a currency on a given date (defaults to today).
+// Rates feed every conversion, so they can't be changed in production.
+router.put('/rates/:currency', validate(schemas.setRate), (req, res) => {
+  try {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(403).json({
+        error: 'Setting exchange rates is disabled in production',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    const currency = req.params.currency.toUpperCase();
+    const { rate, date = new Date().toISOString().slice(0, 10) } = req.body;
+
+    if (currency === BASE_CURRENCY) {
+      return res.status(400).json({
+        error: `Rates are kept against ${BASE_CURRENCY}, so it can't have a rate of its own`,
+        code: 'UNSUPPORTED_CURRENCY'
+      });
+    }
+
+    const key = db.exchangeRateKey({ currency, date });
+    const existing = db.exchangeRates.findById(key);
+    const record = existing ?
+      db.exchangeRates.update(key, { rate }) :
+      db.exchangeRates.insert({ currency, rate, date });
+
+    res.status(existing ? 200 : 201).json({
+      success: true,
+      data: {
+        rate: record
+      }
+    });
+
+  } catch (error) {
+    console.error('Set exchange rate error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,47 +1,66 @@
 const express = require('express');
-const bcrypt = require('bcryptjs');
-const { generateToken, authenticateToken } = require('../middleware/auth');
-const { users } = require('../data/users');
+const jwt = require('jsonwebtoken');
+const { generateToken, generateDownloadToken, authenticateToken } = require('../middleware/auth');
+const { isSupportedCurrency } = require('../services/currency');
+const {
+  ACCESS_TOKEN_TTL,
+  SessionError,
+  revokeAccessToken,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  getActiveSessions,
+  toSessionResponse
+} = require('../services/sessions');
+const {
+  getPasswordProblem,
+  hashPassword,
+  verifyPassword,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+} = require('../services/accounts');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/auth');
+const db = require('../storage');
 const router = express.Router();
 
-// Mock password for demo users (in real app, these would be hashed)
-const DEMO_PASSWORD = 'password123';
-const DEMO_PASSWORD_HASH = bcrypt.hashSync(DEMO_PASSWORD, 10);
+const findUserByEmail = (email) =>
+  db.users.find(u => u.email.toLowerCase() === String(email).toLowerCase());
+
+const weakPassword = (res, problem) => res.status(400).json({
+  error: problem,
+  code: 'WEAK_PASSWORD'
+});
+
+// The token fields returned whenever a session starts or is refreshed
+const sessionTokens = (user, session, refreshToken) => ({
+  token: generateToken(user, session),
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshToken,
+  refreshTokenExpiresAt: session.expiresAt,
+  sessionId: session.id
+});
 
 // Login endpoint
-router.post('/login', async (req, res) => {
+router.post('/login', validate(schemas.login), async (req, res) => {
   try {
     const { email, password } = req.body;
 
-    if (!email || !password) {
-      return res.status(400).json({
-        error: 'Email and password are required',
-        code: 'MISSING_CREDENTIALS'
-      });
-    }
-
     // Find user by email
-    const user = users.find(u => u.email.toLowerCase() === email.toLowerCase());
-    
-    if (!user) {
-      return res.status(401).json({
-        error: 'Invalid email or password',
-        code: 'INVALID_CREDENTIALS'
-      });
-    }
-
-    // For demo purposes, accept the demo password for all users
-    const passwordValid = password === DEMO_PASSWORD || await bcrypt.compare(password, DEMO_PASSWORD_HASH);
+    const user = findUserByEmail(email);
     
-    if (!passwordValid) {
+    if (!user || !await verifyPassword(user, password)) {
       return res.status(401).json({
         error: 'Invalid email or password',
         code: 'INVALID_CREDENTIALS'
       });
     }
 
-    // Generate JWT token
-    const token = generateToken(user);
+    // Start a session with an access and a refresh token
+    const { session, refreshToken } = createSession(user, req);
 
     // Return user data without sensitive info
     const { password: _, ...userWithoutPassword } = user;
@@ -50,8 +69,7 @@ router.post('/login', async (req, res) => {
       success: true,
       data: {
         user: userWithoutPassword,
-        token,
-        expiresIn: '24h'
+        ...sessionTokens(user, session, refreshToken)
       }
     });
 
@@ -65,20 +83,17 @@ router.post('/login', async (req, res) => {
 });
 
 // Register endpoint
-router.post('/register', async (req, res) => {
+router.post('/register', validate(schemas.register), async (req, res) => {
   try {
     const { email, password, name, username, phone } = req.body;
 
-    // Validation
-    if (!email || !password || !name || !username) {
-      return res.status(400).json({
-        error: 'Email, password, name, and username are required',
-        code: 'MISSING_FIELDS'
-      });
+    const passwordProblem = getPasswordProblem(password);
+    if (passwordProblem) {
+      return weakPassword(res, passwordProblem);
     }
 
     // Check if user already exists
-    const existingUser = users.find(u => 
+    const existingUser = db.users.find(u => 
       u.email.toLowerCase() === email.toLowerCase() || 
       u.username.toLowerCase() === username.toLowerCase()
     );
@@ -91,9 +106,9 @@ router.post('/register', async (req, res) => {
     }
 
     // Create new user
-    const hashedPassword = await bcrypt.hash(password, 10);
+    const hashedPassword = await hashPassword(password);
     const newUser = {
-      id: Math.max(...users.map(u => u.id)) + 1,
+      id: Math.max(...db.users.all().map(u => u.id)) + 1,
       email: email.toLowerCase(),
       username: username.toLowerCase(),
       name,
@@ -104,22 +119,26 @@ router.post('/register', async (req, res) => {
         notifications: {
           billReminders: true,
           paymentReceived: true,
-          friendRequests: true
+          friendRequests: true,
+          newBills: true
         },
         privacy: {
           shareLocation: true,
           showInNearby: true
         }
       },
+      password: hashedPassword,
+      emailVerified: false,
       createdAt: new Date().toISOString(),
       lastActive: new Date().toISOString()
     };
 
-    // Add to users array (in real app, save to database)
-    users.push(newUser);
+    // Save to the store
+    db.users.insert(newUser);
+    sendVerificationEmail(newUser);
 
-    // Generate JWT token
-    const token = generateToken(newUser);
+    // Start a session with an access and a refresh token
+    const { session, refreshToken } = createSession(newUser, req);
 
     // Return user data
     const { password: _, ...userWithoutPassword } = newUser;
@@ -128,8 +147,7 @@ router.post('/register', async (req, res) => {
       success: true,
       data: {
         user: userWithoutPassword,
-        token,
-        expiresIn: '24h'
+        ...sessionTokens(newUser, session, refreshToken)
       }
     });
 
@@ -143,9 +161,9 @@ router.post('/register', async (req, res) => {
 });
 
 // Get current user profile
-router.get('/me', authenticateToken, (req, res) => {
+router.get('/me', authenticateToken, validate(schemas.getProfile), (req, res) => {
   try {
-    const user = users.find(u => u.id === req.user.id);
+    const user = db.users.findById(req.user.id);
     
     if (!user) {
       return res.status(404).json({
@@ -173,30 +191,188 @@ router.get('/me', authenticateToken, (req, res) => {
 });
 
 // Update user profile
-router.put('/me', authenticateToken, (req, res) => {
+router.put('/me', authenticateToken, validate(schemas.updateProfile), (req, res) => {
   try {
-    const userIndex = users.findIndex(u => u.id === req.user.id);
-    
-    if (userIndex === -1) {
+    const { name, phone, preferences } = req.body;
+
+    if (preferences?.currency !== undefined && !isSupportedCurrency(preferences.currency)) {
+      return res.status(400).json({
+        error: `Unsupported currency "${preferences.currency}"`,
+        code: 'UNSUPPORTED_CURRENCY'
+      });
+    }
+
+    // Update allowed fields
+    const user = db.users.update(req.user.id, (u) => {
+      if (name) u.name = name;
+      if (phone !== undefined) u.phone = phone;
+      if (preferences) {
+        u.preferences = {
+          ...u.preferences,
+          ...preferences
+        };
+      }
+    });
+
+    if (!user) {
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
       });
     }
 
-    const { name, phone, preferences } = req.body;
-    
-    // Update allowed fields
-    if (name) users[userIndex].name = name;
-    if (phone !== undefined) users[userIndex].phone = phone;
-    if (preferences) {
-      users[userIndex].preferences = {
-        ...users[userIndex].preferences,
-        ...preferences
-      };
+    const { password: _, ...userWithoutPassword } = user;
+
+    res.json({
+      success: true,
+      data: {
+        user: userWithoutPassword
+      }
+    });
+
+  } catch (error) {
+    console.error('Update profile error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Change password - needs the current one; signs out every other session
+router.put('/password', authenticateToken, validate(schemas.changePassword), async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    const user = db.users.findById(req.user.id);
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (!await verifyPassword(user, currentPassword)) {
+      return res.status(401).json({
+        error: 'Current password is incorrect',
+        code: 'INVALID_CREDENTIALS'
+      });
+    }
+
+    const passwordProblem = getPasswordProblem(newPassword);
+    if (passwordProblem) {
+      return weakPassword(res, passwordProblem);
+    }
+
+    const hashedPassword = await hashPassword(newPassword);
+    db.users.update(user.id, { password: hashedPassword });
+    revokeUserSessions(user.id, 'password_changed', req.user.sid);
+    sendPasswordChangedEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('Change password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Forgot password - emails a reset link. The response is the same whether or
+// not the email belongs to an account, so it can't be used to look up users.
+router.post('/forgot-password', validate(schemas.forgotPassword), (req, res) => {
+  try {
+    const { email } = req.body;
+
+    const user = findUserByEmail(email);
+    if (user) {
+      sendPasswordResetEmail(user);
+    }
+
+    res.json({
+      success: true,
+      message: 'If an account exists for that email, a reset link has been sent'
+    });
+
+  } catch (error) {
+    console.error('Forgot password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Reset password with the token from the reset email; signs out every session
+router.post('/reset-password', validate(schemas.resetPassword), async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    // Check the password first so a weak one doesn't use up the token
+    const passwordProblem = getPasswordProblem(newPassword);
+    if (passwordProblem) {
+      return weakPassword(res, passwordProblem);
+    }
+
+    const userId = consumeAccountToken(token, 'password_reset');
+    const user = userId !== null && db.users.findById(userId);
+    if (!user) {
+      return res.status(400).json({
+        error: 'Reset link is invalid or has expired',
+        code: 'INVALID_TOKEN'
+      });
+    }
+
+    // Getting the email proves the address is theirs
+    const hashedPassword = await hashPassword(newPassword);
+    db.users.update(user.id, (u) => {
+      u.password = hashedPassword;
+      if (!u.emailVerified) {
+        u.emailVerified = true;
+        u.emailVerifiedAt = new Date().toISOString();
+      }
+    });
+    revokeUserSessions(user.id, 'password_reset');
+    sendPasswordChangedEmail(user);
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully - please log in with your new password'
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Verify an email address with the token from the verification email
+router.post('/verify-email', validate(schemas.verifyEmail), (req, res) => {
+  try {
+    const { token } = req.body;
+
+    const userId = consumeAccountToken(token, 'email_verification');
+    const user = userId !== null && db.users.update(userId, (u) => {
+      u.emailVerified = true;
+      u.emailVerifiedAt = new Date().toISOString();
+    });
+
+    if (!user) {
+      return res.status(400).json({
+        error: 'Verification link is invalid or has expired',
+        code: 'INVALID_TOKEN'
+      });
     }
 
-    const { password: _, ...userWithoutPassword } = users[userIndex];
+    const { password: _, ...userWithoutPassword } = user;
 
     res.json({
       success: true,
@@ -206,7 +382,42 @@ router.put('/me', authenticateToken, (req, res) => {
     });
 
   } catch (error) {
-    console.error('Update profile error:', error);
+    console.error('Verify email error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Send a new verification email to the current user
+router.post('/resend-verification', authenticateToken, validate(schemas.resendVerification), (req, res) => {
+  try {
+    const user = db.users.findById(req.user.id);
+
+    if (!user) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (user.emailVerified) {
+      return res.status(409).json({
+        error: 'Email address is already verified',
+        code: 'ALREADY_VERIFIED'
+      });
+    }
+
+    sendVerificationEmail(user);
+
+    res.json({
+      success: true,
+      message: `Verification email sent to ${user.email}`
+    });
+
+  } catch (error) {
+    console.error('Resend verification error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -214,30 +425,110 @@ router.put('/me', authenticateToken, (req, res) => {
   }
 });
 
-// Refresh token
-router.post('/refresh', authenticateToken, (req, res) => {
+// Swap a refresh token for a new access token and refresh token. The access
+// token may already have expired, so this takes the refresh token instead.
+router.post('/refresh', validate(schemas.refresh), (req, res) => {
   try {
-    const user = users.find(u => u.id === req.user.id);
+    const { refreshToken } = req.body;
+
+    const rotated = rotateRefreshToken(refreshToken);
+    const user = db.users.findById(rotated.session.userId);
     
     if (!user) {
+      revokeSession(rotated.session.id, 'user_deleted');
       return res.status(404).json({
         error: 'User not found',
         code: 'USER_NOT_FOUND'
       });
     }
 
-    const newToken = generateToken(user);
+    res.json({
+      success: true,
+      data: sessionTokens(user, rotated.session, rotated.refreshToken)
+    });
+
+  } catch (error) {
+    if (error instanceof SessionError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code
+      });
+    }
+    console.error('Refresh token error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Logout - ends the current session and revokes the access token used
+router.post('/logout', authenticateToken, validate(schemas.logout), (req, res) => {
+  try {
+    revokeAccessToken(req.user);
+    revokeSession(req.user.sid, 'logout');
+
+    res.json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authenticateToken, validate(schemas.listSessions), (req, res) => {
+  try {
+    const sessions = getActiveSessions(req.user.id)
+      .map(session => toSessionResponse(session, req.user.sid));
 
     res.json({
       success: true,
       data: {
-        token: newToken,
-        expiresIn: '24h'
+        sessions
       }
     });
 
   } catch (error) {
-    console.error('Refresh token error:', error);
+    console.error('Get sessions error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Revoke one of the current user's sessions, signing that device out
+router.delete('/sessions/:sessionId', authenticateToken, validate(schemas.revokeSession), (req, res) => {
+  try {
+    const { sessionId } = req.params;
+    const session = getActiveSessions(req.user.id).find(s => s.id === sessionId);
+
+    if (!session) {
+      return res.status(404).json({
+        error: 'Session not found',
+        code: 'SESSION_NOT_FOUND'
+      });
+    }
+
+    revokeSession(sessionId, 'revoked');
+    if (sessionId === req.user.sid) {
+      revokeAccessToken(req.user);
+    }
+
+    res.json({
+      success: true,
+      message: 'Session revoked successfully'
+    });
+
+  } catch (error) {
+    console.error('Revoke session error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -245,12 +536,29 @@ router.post('/refresh', authenticateToken, (req, res) => {
   }
 });
 
-// Logout (in a real app, you might want to blacklist the token)
-router.post('/logout', authenticateToken, (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logged out successfully'
-  });
+// Token for one download link (CSV export or statement), to put in the URL
+// instead of the access token
+router.post('/download-token', authenticateToken, validate(schemas.createDownloadToken), (req, res) => {
+  try {
+    const { path } = req.body;
+    const token = generateDownloadToken(req.user, path);
+
+    res.json({
+      success: true,
+      data: {
+        token,
+        path,
+        expiresAt: new Date(jwt.decode(token).exp * 1000).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Create download token error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
 });
 
 module.exports = router;
@@ -0,0 +1,255 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  settleBill,
+  paymentCents,
+  getPaymentCreditedId,
+  toCents,
+  fromCents,
+  SettlementError
+} = require('../services/settlement');
+const { getBillDebts, getCounterpartBalances, getNetPositions, simplifyDebts } = require('../services/debts');
+const { BASE_CURRENCY, convert } = require('../services/currency');
+const { recordActivity } = require('../services/activity');
+const { publishBillEvent } = require('../services/events');
+const { notifyPaymentReceived } = require('../services/notifications');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/balances');
+const db = require('../storage');
+const router = express.Router();
+
+// Active bills the user takes part in
+const getActiveBillsFor = (userId) => db.bills.filter(bill =>
+  bill.status === 'active' && bill.participants?.some(p => p.id === userId)
+);
+
+// What is still waiting for its receiver to confirm it, so settling up twice
+// doesn't pay the same debt twice
+const getUnconfirmedCents = (bill, fromUserId, toUserId) => (bill.payments || [])
+  .filter(payment => payment.status === 'pending' && payment.fromUserId === fromUserId && getPaymentCreditedId(bill, payment) === toUserId)
+  .reduce((sum, payment) => sum + paymentCents(payment), 0);
+
+// Public profile for a user id, falling back to the bill participant entry
+// for people who only exist on bills
+const describeUser = (userId, bills) => {
+  const user = db.users.findById(userId);
+  if (user) {
+    return { id: user.id, name: user.name, avatar: user.avatar };
+  }
+
+  const participant = bills
+    .flatMap(bill => bill.participants || [])
+    .find(p => p.id === userId);
+  return {
+    id: userId,
+    name: participant?.name || 'Unknown',
+    avatar: participant?.avatar || null
+  };
+};
+
+// Converts bill amounts into the user's preferred currency at the latest rates,
+// remembering which rates were used so the response can show them
+const createConverter = (currency) => {
+  const ratesUsed = new Map();
+
+  const convertCents = (amountCents, bill) => {
+    const billCurrency = bill.currency || BASE_CURRENCY;
+    if (billCurrency === currency) {
+      return amountCents;
+    }
+
+    const converted = convert(fromCents(amountCents), billCurrency, currency);
+    if (!converted) {
+      throw new Error(`No exchange rate from ${billCurrency} to ${currency}`);
+    }
+    ratesUsed.set(billCurrency, {
+      from: billCurrency,
+      to: currency,
+      rate: converted.rate,
+      rateDate: converted.rateDate
+    });
+    return toCents(converted.amount);
+  };
+
+  return { convertCents, ratesUsed: () => [...ratesUsed.values()] };
+};
+
+const buildBalances = (userId) => {
+  const bills = getActiveBillsFor(userId);
+  const currency = db.users.findById(userId)?.preferences?.currency || BASE_CURRENCY;
+  const { convertCents, ratesUsed } = createConverter(currency);
+
+  const entries = getCounterpartBalances(bills, userId, convertCents)
+    .filter(entry => entry.netCents !== 0);
+
+  const owedToYouCents = entries
+    .filter(entry => entry.netCents > 0)
+    .reduce((sum, entry) => sum + entry.netCents, 0);
+  const youOweCents = entries
+    .filter(entry => entry.netCents < 0)
+    .reduce((sum, entry) => sum - entry.netCents, 0);
+
+  const balances = entries
+    .map(entry => ({
+      counterpart: describeUser(entry.counterpartId, bills),
+      netBalance: fromCents(entry.netCents),
+      direction: entry.netCents > 0 ? 'owes_you' : 'you_owe',
+      bills: entry.bills.map(b => ({
+        billId: b.billId,
+        title: b.title,
+        currency: b.currency,
+        amount: fromCents(b.amountCents),
+        convertedAmount: fromCents(b.convertedCents)
+      }))
+    }))
+    .sort((a, b) => Math.abs(b.netBalance) - Math.abs(a.netBalance));
+
+  const transfers = simplifyDebts(getNetPositions(bills, convertCents)).map(transfer => ({
+    from: describeUser(transfer.fromUserId, bills),
+    to: describeUser(transfer.toUserId, bills),
+    amount: fromCents(transfer.amountCents),
+    involvesYou: transfer.fromUserId === userId || transfer.toUserId === userId
+  }));
+
+  return {
+    currency,
+    balances,
+    totals: {
+      owedToYou: fromCents(owedToYouCents),
+      youOwe: fromCents(youOweCents),
+      net: fromCents(owedToYouCents - youOweCents)
+    },
+    simplifiedTransfers: transfers,
+    exchangeRates: ratesUsed(),
+    billCount: bills.length
+  };
+};
+
+// Get net balances per counterpart across all active bills, in the user's preferred currency
+router.get('/', authenticateToken, validate(schemas.getBalances), (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: buildBalances(req.user.id)
+    });
+
+  } catch (error) {
+    console.error('Get balances error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Settle up with a counterpart - records a payment on every active bill
+// where one of you owes the other
+router.post('/settle', authenticateToken, validate(schemas.settleUp), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { counterpartId, method } = req.body;
+
+    if (counterpartId === userId) {
+      return res.status(400).json({
+        error: 'Cannot settle up with yourself',
+        code: 'INVALID_REQUEST'
+      });
+    }
+
+    const now = new Date().toISOString();
+    const settlements = getActiveBillsFor(userId)
+      .map(bill => ({
+        bill,
+        debts: getBillDebts(bill)
+          .filter(debt =>
+            (debt.fromUserId === userId && debt.toUserId === counterpartId) ||
+            (debt.fromUserId === counterpartId && debt.toUserId === userId)
+          )
+          .map(debt => ({ ...debt, amountCents: debt.amountCents - getUnconfirmedCents(bill, debt.fromUserId, debt.toUserId) }))
+          .filter(debt => debt.amountCents > 0)
+      }))
+      .filter(({ debts }) => debts.length > 0);
+
+    if (settlements.length === 0) {
+      return res.status(404).json({
+        error: 'Nothing to settle with this user',
+        code: 'NOTHING_TO_SETTLE'
+      });
+    }
+
+    // Recompute every bill before saving any, so one bad bill doesn't leave a half-settled state
+    const updatedBills = settlements.map(({ bill, debts }) => {
+      const updated = JSON.parse(JSON.stringify(bill));
+      const payments = debts.map(debt => ({
+        id: `pay-${uuidv4()}`,
+        fromUserId: debt.fromUserId,
+        toUserId: debt.toUserId,
+        amount: fromCents(debt.amountCents),
+        currency: bill.currency,
+        // Whoever was paid has to confirm it, unless they are the one settling up
+        status: debt.toUserId === userId ? 'completed' : 'pending',
+        method,
+        recordedBy: userId,
+        settleUp: true,
+        createdAt: now,
+        ...(debt.toUserId === userId && { confirmedAt: now })
+      }));
+
+      updated.payments.push(...payments);
+      settleBill(updated);
+      updated.updatedAt = now;
+      return { updated, payments };
+    });
+
+    const counterpartName = describeUser(counterpartId, settlements.map(({ bill }) => bill)).name;
+    const recordedPayments = [];
+    updatedBills.forEach(({ updated, payments }) => {
+      const bill = db.bills.update(updated.id, (b) => Object.assign(b, updated));
+
+      payments.forEach(payment => {
+        publishBillEvent('payment.created', bill, { payment, bill });
+        recordActivity(bill, userId, 'payment_made',
+          payment.fromUserId === userId ?
+            `${req.user.username} paid ${counterpartName} to settle up` :
+            `${req.user.username} recorded a settle-up payment from ${counterpartName}`,
+          {
+            amount: payment.amount,
+            currency: payment.currency,
+            method,
+            fromUserId: payment.fromUserId,
+            toUserId: payment.toUserId,
+            paymentId: payment.id,
+            status: payment.status,
+            settleUp: true
+          });
+        notifyPaymentReceived(bill, payment, userId);
+        recordedPayments.push({ ...payment, billId: bill.id, billTitle: bill.title });
+      });
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        payments: recordedPayments,
+        ...buildBalances(userId)
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return res.status(error.status).json({
+        error: error.message,
+        code: error.code,
+        ...(error.details && { details: error.details })
+      });
+    }
+    console.error('Settle up error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
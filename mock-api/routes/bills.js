@@ -1,26 +1,203 @@
 const express = require('express');
+const fs = require('fs');
 const { v4: uuidv4 } = require('uuid');
-const { authenticateToken } = require('../middleware/auth');
-const { bills, historicalBills, billActivities } = require('../data/bills');
-const { users } = require('../data/users');
+const { authenticateToken, authenticateDownload } = require('../middleware/auth');
+const { receiptUpload, uploadErrorResponse, receiptPath } = require('../middleware/upload');
+const { idempotent } = require('../middleware/idempotency');
+const {
+  settleBill,
+  stripDerivedFields,
+  getItemCatalogue,
+  getPaymentReceiverId,
+  toCents,
+  fromCents,
+  SettlementError
+} = require('../services/settlement');
+const { BASE_CURRENCY, isSupportedCurrency, convert, formatMoney } = require('../services/currency');
+const { assignItem, reassignItem, unassignItem, getAssignmentState } = require('../services/assignments');
+const {
+  diffBill,
+  diffItem,
+  describeChanges,
+  billSnapshot,
+  recordActivity
+} = require('../services/activity');
+const { publishBillEvent } = require('../services/events');
+const { billsToCsv, renderStatementHtml } = require('../services/statements');
+const { generateCode, normalizeCode, getInviteProblem, toInviteResponse } = require('../services/invites');
+const { findMember, getGroupParticipants } = require('../services/groups');
+const {
+  nameOf,
+  notifyBillCreated,
+  notifyPaymentReceived,
+  notifyPaymentUpdated
+} = require('../services/notifications');
+const {
+  REMINDER_DAYS,
+  NUDGE_COOLDOWN_MS,
+  getBillDebtors,
+  getReminders,
+  getNextNudgeAt,
+  sendReminder
+} = require('../services/reminders');
+const {
+  RETENTION_DAYS,
+  isRestorable,
+  hasOutstandingBalance,
+  toTrashEntry,
+  moveToTrash,
+  restoreFromTrash
+} = require('../services/trash');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/bills');
+const db = require('../storage');
 const router = express.Router();
 
+// Respond with the reason a bill was rejected by the settlement engine
+const sendSettlementError = (res, error) => res.status(error.status).json({
+  error: error.message,
+  code: error.code,
+  ...(error.details && { details: error.details })
+});
+
+const unsupportedCurrency = (res, currency) => res.status(400).json({
+  error: `Unsupported currency "${currency}"`,
+  code: 'UNSUPPORTED_CURRENCY'
+});
+
+// Look up a group a bill may be filed under - the user has to be a member.
+// Sends the 404 response and returns null otherwise.
+const findBillGroup = (res, groupId, userId) => {
+  const group = db.groups.findById(groupId);
+  if (!group || !findMember(group, userId)) {
+    res.status(404).json({
+      error: 'Group not found',
+      code: 'GROUP_NOT_FOUND'
+    });
+    return null;
+  }
+  return group;
+};
+
+// Look up a bill the current user may change (creator or participant).
+// Sends the 404/403 response and returns null otherwise.
+const findEditableBill = (req, res, action) => {
+  const bill = db.bills.findById(req.params.billId);
+
+  if (!bill) {
+    res.status(404).json({
+      error: 'Bill not found',
+      code: 'BILL_NOT_FOUND'
+    });
+    return null;
+  }
+
+  const userId = req.user.id;
+  const isAuthorized = bill.createdBy === userId ||
+                      bill.participants?.some(p => p.id === userId);
+
+  if (!isAuthorized) {
+    res.status(403).json({
+      error: `You are not authorized to ${action} this bill`,
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return bill;
+};
+
+// Bills are versioned (see storage/repository.js) and the version is their ETag
+const billETag = (bill) => `"${bill.version}"`;
+
+// The versions an If-Match header names - `*` matches any, and weak tags
+// compare by version too
+const parseIfMatch = (header) => header.split(',')
+  .map(tag => tag.trim().replace(/^W\//, ''))
+  .map(tag => (tag === '*' ? '*' : parseInt(tag.replace(/"/g, ''))));
+
+// Reject an update made against an out-of-date copy of the bill with the
+// current bill and the activities logged since the client's version, so it
+// can show what changed and retry. Sends the 412 and returns false then.
+const checkBillVersion = (req, res, bill) => {
+  const header = req.get('If-Match');
+  if (!header) {
+    return true;
+  }
+
+  const versions = parseIfMatch(header);
+  if (versions.includes('*') || versions.includes(bill.version)) {
+    return true;
+  }
+
+  const expectedVersion = Math.max(...versions.filter(Number.isInteger));
+  const changes = Number.isFinite(expectedVersion) ?
+    db.billActivities
+      .filter(a => a.billId === bill.id && a.billVersion > expectedVersion)
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)) :
+    [];
+
+  res.set('ETag', billETag(bill)).status(412).json({
+    error: 'The bill was changed by someone else since you loaded it',
+    code: 'VERSION_CONFLICT',
+    details: {
+      expectedVersion: Number.isFinite(expectedVersion) ? expectedVersion : null,
+      currentVersion: bill.version,
+      bill,
+      changes
+    }
+  });
+  return false;
+};
+
+// Recompute an edited copy of a bill and save it over the stored one
+const saveBill = (updated) => {
+  settleBill(updated);
+  updated.updatedAt = new Date().toISOString();
+  return db.bills.update(updated.id, (b) => Object.assign(b, updated));
+};
+
+// Archived bills stay out of the timeline until they are reopened
+const isArchived = (bill) => Boolean(bill.archivedAt) && bill.status !== 'active';
+
+const itemsTotal = (items) => fromCents(
+  items.reduce((sum, item) => sum + toCents(item.price) * (item.quantity || 1), 0)
+);
+
 // Get all bills for the authenticated user
-router.get('/', authenticateToken, (req, res) => {
+router.get('/', authenticateToken, validate(schemas.listBills), (req, res) => {
   try {
     const userId = req.user.id;
-    const { status, limit = 50, offset = 0 } = req.query;
+    const { status, groupId, archived, from, to, limit = 50, offset = 0 } = req.query;
 
     // Filter bills where user is a participant
-    let userBills = [...bills, ...historicalBills].filter(bill => 
+    let userBills = db.bills.filter(bill => 
       bill.participants && bill.participants.some(p => p.id === userId)
     );
 
+    const preferredCurrency = db.users.findById(userId)?.preferences?.currency || BASE_CURRENCY;
+
     // Filter by status if provided
     if (status) {
       userBills = userBills.filter(bill => bill.status === status);
     }
 
+    if (groupId) {
+      userBills = userBills.filter(bill => bill.groupId === groupId);
+    }
+
+    // Dates are compared by the day the bill was created, both ends included
+    if (from) {
+      userBills = userBills.filter(bill => bill.createdAt.slice(0, 10) >= from);
+    }
+    if (to) {
+      userBills = userBills.filter(bill => bill.createdAt.slice(0, 10) <= to);
+    }
+
+    // Archived bills are listed on their own
+    const showArchived = archived === 'true';
+    userBills = userBills.filter(bill => isArchived(bill) === showArchived);
+
     // Sort by creation date (newest first)
     userBills.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
 
@@ -32,12 +209,14 @@ router.get('/', authenticateToken, (req, res) => {
       const userParticipant = bill.participants?.find(p => p.id === userId);
       const createdDate = new Date(bill.createdAt);
       
+      const currency = bill.currency || BASE_CURRENCY;
+
       let description = 'Bill settled';
       if (userParticipant?.netBalance > 0) {
-        description = `Left to receive $${Math.abs(userParticipant.netBalance).toFixed(2)}`;
+        description = `Left to receive ${formatMoney(Math.abs(userParticipant.netBalance), currency)}`;
       } else if (userParticipant?.netBalance < 0) {
         const owedTo = bill.participants?.find(p => p.netBalance > 0)?.name || 'others';
-        description = `You owe $${Math.abs(userParticipant.netBalance).toFixed(2)} to ${owedTo}`;
+        description = `You owe ${formatMoney(Math.abs(userParticipant.netBalance), currency)} to ${owedTo}`;
       } else if (userParticipant?.netBalance === 0) {
         description = 'Bill settled';
       }
@@ -48,7 +227,13 @@ router.get('/', authenticateToken, (req, res) => {
         title: bill.title,
         description,
         status: bill.status,
+        groupId: bill.groupId || null,
         totalAmount: bill.finalAmount,
+        currency,
+        // Totals in the user's preferred currency, at the latest rates
+        convertedTotal: currency !== preferredCurrency ?
+          convert(bill.finalAmount, currency, preferredCurrency) :
+          null,
         participants: bill.participants?.map(p => ({
           id: p.id,
           name: p.name,
@@ -80,13 +265,66 @@ router.get('/', authenticateToken, (req, res) => {
   }
 });
 
+// Download your bills as CSV for spreadsheets, one row per person per bill,
+// oldest first. Archived bills are included.
+router.get('/export', authenticateDownload, validate(schemas.exportBills), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status, from, to, counterpartId } = req.query;
+
+    const bills = db.bills
+      .filter(bill => bill.participants?.some(p => p.id === userId))
+      .filter(bill => !status || bill.status === status)
+      .filter(bill => !from || bill.createdAt.slice(0, 10) >= from)
+      .filter(bill => !to || bill.createdAt.slice(0, 10) <= to)
+      .filter(bill => !counterpartId || bill.participants.some(p => String(p.id) === counterpartId))
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt));
+
+    res.type('text/csv; charset=utf-8');
+    res.attachment(`bills-${new Date().toISOString().slice(0, 10)}.csv`);
+    res.send(billsToCsv(bills));
+
+  } catch (error) {
+    console.error('Export bills error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Bills you deleted that can still be restored, most recently deleted first
+router.get('/trash', authenticateToken, validate(schemas.listTrash), (req, res) => {
+  try {
+    const bills = db.deletedBills
+      .filter(bill => bill.createdBy === req.user.id && isRestorable(bill))
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt))
+      .map(toTrashEntry);
+
+    res.json({
+      success: true,
+      data: {
+        bills,
+        retentionDays: RETENTION_DAYS
+      }
+    });
+
+  } catch (error) {
+    console.error('Get trash error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
 // Get a specific bill by ID
-router.get('/:billId', authenticateToken, (req, res) => {
+router.get('/:billId', authenticateToken, validate(schemas.getBill), (req, res) => {
   try {
     const { billId } = req.params;
     const userId = req.user.id;
 
-    const bill = [...bills, ...historicalBills].find(b => b.id === billId);
+    const bill = db.bills.findById(billId);
 
     if (!bill) {
       return res.status(404).json({
@@ -104,6 +342,7 @@ router.get('/:billId', authenticateToken, (req, res) => {
       });
     }
 
+    res.set('ETag', billETag(bill));
     res.json({
       success: true,
       data: {
@@ -121,7 +360,7 @@ router.get('/:billId', authenticateToken, (req, res) => {
 });
 
 // Create a new bill
-router.post('/', authenticateToken, (req, res) => {
+router.post('/', authenticateToken, validate(schemas.createBill), idempotent, (req, res) => {
   try {
     const userId = req.user.id;
     const {
@@ -132,19 +371,30 @@ router.post('/', authenticateToken, (req, res) => {
       tip,
       participants = [],
       items = [],
-      splitMethod = 'itemized',
-      location
+      location,
+      groupId
     } = req.body;
+    let { splitMethod = 'itemized' } = req.body;
 
-    // Validation
-    if (!title || !totalAmount) {
-      return res.status(400).json({
-        error: 'Title and total amount are required',
-        code: 'MISSING_FIELDS'
-      });
+    // Bills default to the creator's preferred currency
+    const currency = (req.body.currency ||
+      db.users.findById(userId)?.preferences?.currency ||
+      BASE_CURRENCY).toUpperCase();
+    if (!isSupportedCurrency(currency)) {
+      return unsupportedCurrency(res, currency);
     }
 
-    const finalAmount = totalAmount + (tax || 0) + (tip || 0);
+    // A group bill without participants starts with the whole group on the group's default split
+    let billParticipants = participants;
+    if (groupId) {
+      const group = findBillGroup(res, groupId, userId);
+      if (!group) return;
+
+      if (participants.length === 0) {
+        splitMethod = req.body.splitMethod || group.defaultSplit.splitMethod;
+        billParticipants = getGroupParticipants(group, splitMethod);
+      }
+    }
 
     const newBill = {
       id: `bill-${uuidv4()}`,
@@ -157,33 +407,27 @@ router.post('/', authenticateToken, (req, res) => {
       totalAmount,
       tax: tax || 0,
       tip: tip || 0,
-      finalAmount,
-      currency: 'USD',
-      participants: participants.map(p => ({
-        ...p,
-        paymentStatus: p.paymentStatus || 'pending',
-        netBalance: p.netBalance || 0
-      })),
+      currency,
+      participants: billParticipants.map(stripDerivedFields),
+      items,
       payments: [],
       splitMethod,
+      groupId: groupId || null,
       location: location || null,
       receiptImage: null
     };
 
-    // Add to bills array (in real app, save to database)
-    bills.unshift(newBill);
-
-    // Create activity log
-    const activity = {
-      id: `activity-${uuidv4()}`,
-      billId: newBill.id,
-      userId,
-      type: 'bill_created',
-      description: `${req.user.username} created the bill`,
-      timestamp: new Date().toISOString()
-    };
-    billActivities.push(activity);
+    // Derive every participant's share, rejecting inconsistent input
+    settleBill(newBill);
 
+    // Save to the store, newest first
+    db.bills.insert(newBill, { prepend: true });
+    publishBillEvent('bill.created', newBill, { bill: newBill });
+
+    recordActivity(newBill, userId, 'bill_created', `${req.user.username} created the bill`);
+    notifyBillCreated(newBill);
+
+    res.set('ETag', billETag(newBill));
     res.status(201).json({
       success: true,
       data: {
@@ -192,6 +436,9 @@ router.post('/', authenticateToken, (req, res) => {
     });
 
   } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
     console.error('Create bill error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -201,22 +448,20 @@ router.post('/', authenticateToken, (req, res) => {
 });
 
 // Update a bill
-router.put('/:billId', authenticateToken, (req, res) => {
+router.put('/:billId', authenticateToken, validate(schemas.updateBill), (req, res) => {
   try {
     const { billId } = req.params;
     const userId = req.user.id;
 
-    const billIndex = bills.findIndex(b => b.id === billId);
+    const bill = db.bills.findById(billId);
 
-    if (billIndex === -1) {
+    if (!bill) {
       return res.status(404).json({
         error: 'Bill not found',
         code: 'BILL_NOT_FOUND'
       });
     }
 
-    const bill = bills[billIndex];
-
     // Check if user is authorized to update (creator or participant)
     const isAuthorized = bill.createdBy === userId || 
                         bill.participants?.some(p => p.id === userId);
@@ -228,42 +473,89 @@ router.put('/:billId', authenticateToken, (req, res) => {
       });
     }
 
+    // Two people editing at once - the second save must not silently undo the first
+    if (!checkBillVersion(req, res, bill)) {
+      return;
+    }
+
     const {
       title,
       totalAmount,
       tax,
       tip,
       participants,
-      status
+      items,
+      splitMethod,
+      status,
+      currency,
+      groupId
     } = req.body;
 
-    // Update allowed fields
-    if (title) bill.title = title;
-    if (totalAmount !== undefined) {
-      bill.totalAmount = totalAmount;
-      bill.finalAmount = totalAmount + (bill.tax || 0) + (bill.tip || 0);
+    // groupId: null takes the bill out of its group
+    if (groupId && !findBillGroup(res, groupId, userId)) {
+      return;
     }
-    if (tax !== undefined) {
-      bill.tax = tax;
-      bill.finalAmount = bill.totalAmount + tax + (bill.tip || 0);
+
+    if (currency) {
+      if (!isSupportedCurrency(currency.toUpperCase())) {
+        return unsupportedCurrency(res, currency);
+      }
+      // Recorded payments were converted at the old currency's rates
+      if (currency.toUpperCase() !== bill.currency && bill.payments?.length > 0) {
+        return res.status(400).json({
+          error: 'The currency of a bill cannot change once payments have been recorded',
+          code: 'CURRENCY_LOCKED'
+        });
+      }
     }
-    if (tip !== undefined) {
-      bill.tip = tip;
-      bill.finalAmount = bill.totalAmount + (bill.tax || 0) + tip;
+
+    // Apply the changes to a copy first so a rejected update leaves the bill untouched
+    const updated = JSON.parse(JSON.stringify(bill));
+    if (title) updated.title = title;
+    if (totalAmount !== undefined) updated.totalAmount = totalAmount;
+    if (tax !== undefined) updated.tax = tax;
+    if (tip !== undefined) updated.tip = tip;
+    if (participants) updated.participants = participants.map(stripDerivedFields);
+    if (items) updated.items = items;
+    if (splitMethod) updated.splitMethod = splitMethod;
+    if (status) updated.status = status;
+    if (currency) updated.currency = currency.toUpperCase();
+    if (groupId !== undefined) updated.groupId = groupId || null;
+
+    settleBill(updated);
+
+    if (status === 'settled' && updated.status !== 'settled') {
+      return res.status(400).json({
+        error: 'Bill cannot be marked settled while balances are outstanding',
+        code: 'BILL_NOT_SETTLED',
+        details: { pendingAmount: updated.pendingAmount }
+      });
     }
-    if (participants) bill.participants = participants;
-    if (status) bill.status = status;
 
-    bill.updatedAt = new Date().toISOString();
+    const changes = diffBill(bill, updated);
 
+    updated.updatedAt = new Date().toISOString();
+    const updatedBill = db.bills.update(billId, (b) => Object.assign(b, updated));
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+    if (changes.length > 0) {
+      recordActivity(updatedBill, userId, 'bill_updated',
+        `${req.user.username} changed ${describeChanges(changes)}`,
+        { changes });
+    }
+
+    res.set('ETag', billETag(updatedBill));
     res.json({
       success: true,
       data: {
-        bill
+        bill: updatedBill
       }
     });
 
   } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
     console.error('Update bill error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -272,63 +564,87 @@ router.put('/:billId', authenticateToken, (req, res) => {
   }
 });
 
-// Add payment to a bill
-router.post('/:billId/payments', authenticateToken, (req, res) => {
+// Add payment to a bill - it counts once the receiver confirms it, straight
+// away when they record it themselves
+router.post('/:billId/payments', authenticateToken, validate(schemas.addPayment), idempotent, (req, res) => {
   try {
     const { billId } = req.params;
     const userId = req.user.id;
-    const { amount, method, toUserId } = req.body;
-
-    const billIndex = bills.findIndex(b => b.id === billId);
+    const { amount, method, toUserId, currency, transactionId } = req.body;
 
-    if (billIndex === -1) {
-      return res.status(404).json({
-        error: 'Bill not found',
-        code: 'BILL_NOT_FOUND'
+    if (toUserId !== undefined && toUserId !== null && String(toUserId) === String(userId)) {
+      return res.status(400).json({
+        error: 'Request validation failed',
+        code: 'VALIDATION_ERROR',
+        fields: [{ field: 'toUserId', in: 'body', message: "can't be yourself" }]
       });
     }
 
-    if (!amount || !method) {
-      return res.status(400).json({
-        error: 'Amount and payment method are required',
-        code: 'MISSING_FIELDS'
-      });
+    const bill = findEditableBill(req, res, 'pay on');
+    if (!bill) return;
+
+    const billCurrency = bill.currency || BASE_CURRENCY;
+    const paymentCurrency = (currency || billCurrency).toUpperCase();
+    if (!isSupportedCurrency(paymentCurrency)) {
+      return unsupportedCurrency(res, paymentCurrency);
     }
 
+    const now = new Date().toISOString();
     const payment = {
       id: `pay-${uuidv4()}`,
       fromUserId: userId,
       toUserId: toUserId || null,
       amount: parseFloat(amount),
-      status: 'completed',
+      currency: paymentCurrency,
+      status: 'pending',
       method,
-      transactionId: `txn_${uuidv4()}`,
-      createdAt: new Date().toISOString()
+      ...(transactionId && { transactionId }),
+      createdAt: now
     };
+    if (getPaymentReceiverId(bill, payment) === userId) {
+      payment.status = 'completed';
+      payment.confirmedAt = now;
+    }
 
-    bills[billIndex].payments.push(payment);
-    bills[billIndex].updatedAt = new Date().toISOString();
-
-    // Create activity log
-    const activity = {
-      id: `activity-${uuidv4()}`,
-      billId,
-      userId,
-      type: 'payment_made',
-      description: `${req.user.username} made a payment`,
-      metadata: { amount, method },
-      timestamp: new Date().toISOString()
-    };
-    billActivities.push(activity);
+    // Payments in another currency count towards the bill at the rate of the payment date
+    if (paymentCurrency !== billCurrency) {
+      const converted = convert(payment.amount, paymentCurrency, billCurrency, now.slice(0, 10));
+      payment.billAmount = converted.amount;
+      payment.exchangeRate = converted.rate;
+      payment.rateDate = converted.rateDate;
+    }
+
+    // Recompute balances with the new payment before saving it
+    const updated = JSON.parse(JSON.stringify(bill));
+    updated.payments.push(payment);
+    settleBill(updated);
+    updated.updatedAt = new Date().toISOString();
+
+    const updatedBill = db.bills.update(billId, (b) => Object.assign(b, updated));
+    publishBillEvent('payment.created', updatedBill, { payment, bill: updatedBill });
+
+    recordActivity(updatedBill, userId, 'payment_made', `${req.user.username} made a payment`, {
+      paymentId: payment.id,
+      amount: payment.amount,
+      currency: paymentCurrency,
+      ...(payment.billAmount !== undefined && { billAmount: payment.billAmount }),
+      method,
+      status: payment.status
+    });
+    notifyPaymentReceived(updatedBill, payment, userId);
 
     res.status(201).json({
       success: true,
       data: {
-        payment
+        payment,
+        bill: updatedBill
       }
     });
 
   } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
     console.error('Add payment error:', error);
     res.status(500).json({
       error: 'Internal server error',
@@ -337,34 +653,123 @@ router.post('/:billId/payments', authenticateToken, (req, res) => {
   }
 });
 
-// Get bill activities/history
-router.get('/:billId/activities', authenticateToken, (req, res) => {
+// What the receiver of a payment can do with it, and the status each needs
+const PAYMENT_ACTIONS = {
+  confirm: { from: 'pending', to: 'completed', at: 'confirmedAt', activity: 'payment_confirmed', verb: 'confirmed' },
+  reject: { from: 'pending', to: 'rejected', at: 'rejectedAt', activity: 'payment_rejected', verb: 'rejected' },
+  refund: { from: 'completed', to: 'refunded', at: 'refundedAt', activity: 'payment_refunded', verb: 'refunded' }
+};
+
+const updatePayment = (action) => (req, res) => {
+  const { from, to, at, activity, verb } = PAYMENT_ACTIONS[action];
   try {
-    const { billId } = req.params;
+    const { billId, paymentId } = req.params;
     const userId = req.user.id;
+    const { reason } = req.body || {};
 
-    // Check if user has access to this bill
-    const bill = [...bills, ...historicalBills].find(b => b.id === billId);
-    if (!bill || !bill.participants?.some(p => p.id === userId)) {
+    const bill = db.bills.findById(billId);
+    if (!bill || !(bill.createdBy === userId || bill.participants?.some(p => p.id === userId))) {
       return res.status(404).json({
-        error: 'Bill not found or access denied',
+        error: 'Bill not found',
         code: 'BILL_NOT_FOUND'
       });
     }
 
-    const activities = billActivities
-      .filter(a => a.billId === billId)
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    const payment = (bill.payments || []).find(p => p.id === paymentId);
+    if (!payment) {
+      return res.status(404).json({
+        error: 'Payment not found',
+        code: 'PAYMENT_NOT_FOUND'
+      });
+    }
+
+    if (getPaymentReceiverId(bill, payment) !== userId) {
+      return res.status(403).json({
+        error: `Only the receiver can ${action} a payment`,
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (payment.status !== from) {
+      return res.status(409).json({
+        error: `Only ${from} payments can be ${verb} - this one is ${payment.status}`,
+        code: 'INVALID_PAYMENT_STATUS',
+        details: { status: payment.status }
+      });
+    }
+
+    // Recompute balances with the payment counted, or no longer counted
+    const now = new Date().toISOString();
+    const updated = JSON.parse(JSON.stringify(bill));
+    const updatedPayment = updated.payments.find(p => p.id === paymentId);
+    Object.assign(updatedPayment, {
+      status: to,
+      [at]: now,
+      ...(reason && { reason })
+    });
+    settleBill(updated);
+    updated.updatedAt = now;
+
+    const updatedBill = db.bills.update(billId, (b) => Object.assign(b, updated));
+    publishBillEvent('payment.updated', updatedBill, { payment: updatedPayment, bill: updatedBill });
+
+    recordActivity(updatedBill, userId, activity,
+      `${req.user.username} ${verb} a payment from ${nameOf(payment.fromUserId, bill)}`, {
+        paymentId,
+        amount: payment.amount,
+        currency: payment.currency,
+        fromUserId: payment.fromUserId,
+        ...(reason && { reason }),
+        changes: [{ field: 'status', before: from, after: to }]
+      });
+    notifyPaymentUpdated(updatedBill, updatedPayment, userId);
 
     res.json({
       success: true,
       data: {
-        activities
+        payment: updatedPayment,
+        bill: updatedBill
       }
     });
 
   } catch (error) {
-    console.error('Get activities error:', error);
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error(`Payment ${action} error:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+router.post('/:billId/payments/:paymentId/confirm', authenticateToken, validate(schemas.confirmPayment), updatePayment('confirm'));
+router.post('/:billId/payments/:paymentId/reject', authenticateToken, validate(schemas.rejectPayment), updatePayment('reject'));
+router.post('/:billId/payments/:paymentId/refund', authenticateToken, validate(schemas.refundPayment), updatePayment('refund'));
+
+// Printable statement of one bill
+router.get('/:billId/statement', authenticateDownload, validate(schemas.getStatement), (req, res) => {
+  try {
+    const { billId } = req.params;
+    const userId = req.user.id;
+
+    const bill = db.bills.findById(billId);
+    if (!bill || !(bill.createdBy === userId || bill.participants?.some(p => p.id === userId))) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    res.type('html');
+    if (req.query.download === 'true') {
+      res.attachment(`${bill.id}-statement.html`);
+    }
+    res.send(renderStatementHtml(bill));
+
+  } catch (error) {
+    console.error('Get statement error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -372,41 +777,204 @@ router.get('/:billId/activities', authenticateToken, (req, res) => {
   }
 });
 
-// Delete a bill (only creator can delete)
-router.delete('/:billId', authenticateToken, (req, res) => {
+// Upload a receipt image for a bill
+router.post('/:billId/receipt', authenticateToken, validate(schemas.uploadReceipt), (req, res) => {
   try {
     const { billId } = req.params;
     const userId = req.user.id;
 
-    const billIndex = bills.findIndex(b => b.id === billId);
+    const bill = db.bills.findById(billId);
 
-    if (billIndex === -1) {
+    if (!bill) {
       return res.status(404).json({
         error: 'Bill not found',
         code: 'BILL_NOT_FOUND'
       });
     }
 
-    const bill = bills[billIndex];
+    // Check if user is authorized to upload (creator or participant)
+    const isAuthorized = bill.createdBy === userId || 
+                        bill.participants?.some(p => p.id === userId);
 
-    // Only creator can delete
-    if (bill.createdBy !== userId) {
+    if (!isAuthorized) {
       return res.status(403).json({
-        error: 'Only the bill creator can delete this bill',
+        error: 'You are not authorized to upload a receipt for this bill',
         code: 'FORBIDDEN'
       });
     }
 
-    // Remove bill
-    bills.splice(billIndex, 1);
+    receiptUpload(req, res, (uploadError) => {
+      try {
+        if (uploadError) {
+          const { status, body } = uploadErrorResponse(uploadError);
+          return res.status(status).json(body);
+        }
 
-    res.json({
+        if (!req.file) {
+          return res.status(400).json({
+            error: 'Receipt file is required (multipart field "receipt")',
+            code: 'MISSING_FILE'
+          });
+        }
+
+        const previousFile = bill.receipt?.fileName;
+        const receipt = {
+          fileName: req.file.filename,
+          originalName: req.file.originalname,
+          mimeType: req.file.mimetype,
+          size: req.file.size,
+          uploadedBy: userId,
+          uploadedAt: new Date().toISOString()
+        };
+
+        const updatedBill = db.bills.update(billId, (b) => {
+          b.receipt = receipt;
+          b.receiptImage = `/api/bills/${billId}/receipt`;
+          b.updatedAt = receipt.uploadedAt;
+        });
+
+        // Replace the previous upload rather than keeping orphaned files around
+        if (previousFile) {
+          fs.rm(receiptPath(previousFile), { force: true }, () => {});
+        }
+
+        publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+        recordActivity(updatedBill, userId, 'receipt_uploaded', `${req.user.username} uploaded a receipt`, {
+          fileName: receipt.originalName,
+          size: receipt.size,
+          mimeType: receipt.mimeType
+        });
+
+        res.status(201).json({
+          success: true,
+          data: {
+            receiptImage: updatedBill.receiptImage,
+            receipt
+          }
+        });
+
+      } catch (error) {
+        console.error('Upload receipt error:', error);
+        res.status(500).json({
+          error: 'Internal server error',
+          code: 'INTERNAL_ERROR'
+        });
+      }
+    });
+
+  } catch (error) {
+    console.error('Upload receipt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Download/serve a bill's uploaded receipt
+router.get('/:billId/receipt', authenticateToken, validate(schemas.getReceipt), (req, res) => {
+  try {
+    const { billId } = req.params;
+    const userId = req.user.id;
+
+    const bill = db.bills.findById(billId);
+    if (!bill || !bill.participants?.some(p => p.id === userId)) {
+      return res.status(404).json({
+        error: 'Bill not found or access denied',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    if (!bill.receipt) {
+      return res.status(404).json({
+        error: 'No receipt has been uploaded for this bill',
+        code: 'RECEIPT_NOT_FOUND'
+      });
+    }
+
+    const filePath = receiptPath(bill.receipt.fileName);
+    if (!fs.existsSync(filePath)) {
+      return res.status(404).json({
+        error: 'Receipt file is missing',
+        code: 'RECEIPT_NOT_FOUND'
+      });
+    }
+
+    res.type(bill.receipt.mimeType);
+    if (req.query.download === 'true') {
+      res.attachment(bill.receipt.originalName);
+    }
+    res.sendFile(filePath);
+
+  } catch (error) {
+    console.error('Get receipt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Add a line item to a bill
+router.post('/:billId/items', authenticateToken, validate(schemas.addItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'add items to');
+    if (!bill) return;
+
+    const { name, price, quantity = 1, menuItemId, image } = req.body;
+
+    const menuItem = menuItemId !== undefined && menuItemId !== null ?
+      db.menuItems.findById(parseInt(menuItemId)) :
+      null;
+    if (menuItemId !== undefined && menuItemId !== null && !menuItem) {
+      return res.status(404).json({
+        error: 'Menu item not found',
+        code: 'MENU_ITEM_NOT_FOUND'
+      });
+    }
+
+    // Menu items fill in whatever the client leaves out
+    const item = {
+      id: `item-${uuidv4()}`,
+      menuItemId: menuItem ? menuItem.id : null,
+      name: name || menuItem?.name,
+      price: price !== undefined ? price : menuItem?.price,
+      quantity,
+      image: image || menuItem?.image || null
+    };
+
+    if (!item.name || item.price === undefined) {
+      return res.status(400).json({
+        error: 'Item name and price are required unless a menuItemId is given',
+        code: 'MISSING_FIELDS'
+      });
+    }
+
+    const updated = JSON.parse(JSON.stringify(bill));
+    updated.items = [...getItemCatalogue(updated), item];
+    updated.totalAmount = itemsTotal(updated.items);
+
+    const updatedBill = saveBill(updated);
+    publishBillEvent('item.added', updatedBill, { item, bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_added',
+      `${req.user.username} added ${item.name}`,
+      { itemId: item.id, itemName: item.name, price: item.price, quantity: item.quantity });
+
+    res.status(201).json({
       success: true,
-      message: 'Bill deleted successfully'
+      data: {
+        item,
+        bill: updatedBill
+      }
     });
 
   } catch (error) {
-    console.error('Delete bill error:', error);
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Add item error:', error);
     res.status(500).json({
       error: 'Internal server error',
       code: 'INTERNAL_ERROR'
@@ -414,4 +982,796 @@ router.delete('/:billId', authenticateToken, (req, res) => {
   }
 });
 
+// Edit a line item - assignments keep pointing at it and pick up the new details
+router.put('/:billId/items/:itemId', authenticateToken, validate(schemas.updateItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'edit items on');
+    if (!bill) return;
+
+    const { itemId } = req.params;
+    const updated = JSON.parse(JSON.stringify(bill));
+    updated.items = getItemCatalogue(updated);
+
+    const item = updated.items.find(i => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: 'Item not found',
+        code: 'ITEM_NOT_FOUND'
+      });
+    }
+
+    const { name, price, quantity, menuItemId, image } = req.body;
+    const before = { ...item };
+
+    if (menuItemId !== undefined) {
+      const menuItem = menuItemId === null ? null : db.menuItems.findById(parseInt(menuItemId));
+      if (menuItemId !== null && !menuItem) {
+        return res.status(404).json({
+          error: 'Menu item not found',
+          code: 'MENU_ITEM_NOT_FOUND'
+        });
+      }
+      item.menuItemId = menuItem ? menuItem.id : null;
+    }
+    if (name) item.name = name;
+    if (price !== undefined) item.price = price;
+    if (quantity !== undefined) item.quantity = quantity;
+    if (image !== undefined) item.image = image;
+
+    // Participants hold copies of the item with their own assigned quantity
+    updated.participants.forEach(participant => {
+      (participant.items || [])
+        .filter(assigned => assigned.id === itemId)
+        .forEach(assigned => {
+          assigned.name = item.name;
+          assigned.price = item.price;
+          assigned.menuItemId = item.menuItemId;
+          assigned.image = item.image;
+        });
+    });
+
+    updated.totalAmount = itemsTotal(updated.items);
+    const updatedBill = saveBill(updated);
+    publishBillEvent('item.updated', updatedBill, { item, bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_edited',
+      `${req.user.username} edited ${item.name}`,
+      { itemId, itemName: item.name, changes: diffItem(before, item) });
+
+    res.json({
+      success: true,
+      data: {
+        item,
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Edit item error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Remove a line item and every assignment of it
+router.delete('/:billId/items/:itemId', authenticateToken, validate(schemas.removeItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'remove items from');
+    if (!bill) return;
+
+    const { itemId } = req.params;
+    const updated = JSON.parse(JSON.stringify(bill));
+    const catalogue = getItemCatalogue(updated);
+
+    const item = catalogue.find(i => i.id === itemId);
+    if (!item) {
+      return res.status(404).json({
+        error: 'Item not found',
+        code: 'ITEM_NOT_FOUND'
+      });
+    }
+
+    updated.items = catalogue.filter(i => i.id !== itemId);
+    updated.participants.forEach(participant => {
+      participant.items = (participant.items || []).filter(assigned => assigned.id !== itemId);
+    });
+    updated.totalAmount = itemsTotal(updated.items);
+
+    const updatedBill = saveBill(updated);
+    publishBillEvent('item.removed', updatedBill, { item, bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_removed',
+      `${req.user.username} removed ${item.name}`,
+      { itemId, itemName: item.name, price: item.price, quantity: item.quantity || 1 });
+
+    res.json({
+      success: true,
+      data: {
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Remove item error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get item assignments in the shape SplitScreen uses
+router.get('/:billId/assignments', authenticateToken, validate(schemas.getAssignments), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'view assignments on');
+    if (!bill) return;
+
+    res.json({
+      success: true,
+      data: getAssignmentState(bill)
+    });
+
+  } catch (error) {
+    console.error('Get assignments error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Assign an item, or some units of it, to a participant
+router.post('/:billId/items/:itemId/assignments', authenticateToken, validate(schemas.assignItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'assign items on');
+    if (!bill) return;
+
+    const { itemId } = req.params;
+    const { participantId, quantity } = req.body;
+
+    const updated = JSON.parse(JSON.stringify(bill));
+    const assignment = assignItem(updated, itemId, participantId, quantity);
+    const participant = updated.participants.find(p => String(p.id) === String(participantId));
+
+    const updatedBill = saveBill(updated);
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_assigned',
+      `${req.user.username} assigned ${assignment.name} to ${participant.name}`,
+      { itemId, itemName: assignment.name, participantId: participant.id, quantity: assignment.quantity });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        assignment,
+        ...getAssignmentState(updatedBill),
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Assign item error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Move an item, or some of its units, from one participant to another
+router.put('/:billId/items/:itemId/assignments/:participantId', authenticateToken, validate(schemas.reassignItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'assign items on');
+    if (!bill) return;
+
+    const { itemId, participantId } = req.params;
+    const { toParticipantId, quantity } = req.body;
+
+    const updated = JSON.parse(JSON.stringify(bill));
+    const assignment = reassignItem(updated, itemId, participantId, toParticipantId, quantity);
+    const source = updated.participants.find(p => String(p.id) === String(participantId));
+    const target = updated.participants.find(p => String(p.id) === String(toParticipantId));
+
+    const updatedBill = saveBill(updated);
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_reassigned',
+      `${req.user.username} moved ${assignment.name} from ${source.name} to ${target.name}`,
+      {
+        itemId,
+        itemName: assignment.name,
+        fromParticipantId: source.id,
+        toParticipantId: target.id,
+        quantity: assignment.quantity
+      });
+
+    res.json({
+      success: true,
+      data: {
+        assignment,
+        ...getAssignmentState(updatedBill),
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Reassign item error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Unassign an item from a participant, or just ?quantity= of its units
+router.delete('/:billId/items/:itemId/assignments/:participantId', authenticateToken, validate(schemas.unassignItem), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'assign items on');
+    if (!bill) return;
+
+    const { itemId, participantId } = req.params;
+    const { quantity } = req.query;
+
+    const updated = JSON.parse(JSON.stringify(bill));
+    unassignItem(updated, itemId, participantId, quantity);
+    const participant = updated.participants.find(p => String(p.id) === String(participantId));
+    const item = updated.items.find(i => i.id === itemId);
+
+    const updatedBill = saveBill(updated);
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+    recordActivity(bill, req.user.id, 'item_unassigned',
+      `${req.user.username} unassigned ${item.name} from ${participant.name}`,
+      { itemId, itemName: item.name, participantId: participant.id, ...(quantity && { quantity: Number(quantity) }) });
+
+    res.json({
+      success: true,
+      data: {
+        ...getAssignmentState(updatedBill),
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Unassign item error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create an invite code for a bill
+router.post('/:billId/invites', authenticateToken, validate(schemas.createInvite), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'invite people to');
+    if (!bill) return;
+
+    const { expiresInHours, maxUses } = req.body;
+
+    const hours = expiresInHours ?? null;
+    const uses = maxUses ?? null;
+
+    const now = new Date();
+    const invite = db.billInvites.insert({
+      code: generateCode(),
+      billId: bill.id,
+      createdBy: req.user.id,
+      createdAt: now.toISOString(),
+      expiresAt: hours !== null ? new Date(now.getTime() + hours * 60 * 60 * 1000).toISOString() : null,
+      maxUses: uses,
+      uses: 0,
+      joinedUserIds: [],
+      revokedAt: null
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        invite: toInviteResponse(invite)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// List a bill's invite codes
+router.get('/:billId/invites', authenticateToken, validate(schemas.listInvites), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'view invites for');
+    if (!bill) return;
+
+    const invites = db.billInvites
+      .filter(invite => invite.billId === bill.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(toInviteResponse);
+
+    res.json({
+      success: true,
+      data: {
+        invites
+      }
+    });
+
+  } catch (error) {
+    console.error('Get invites error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Revoke an invite code
+router.delete('/:billId/invites/:code', authenticateToken, validate(schemas.revokeInvite), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'revoke invites for');
+    if (!bill) return;
+
+    const code = normalizeCode(req.params.code);
+    const invite = db.billInvites.findById(code);
+    if (!invite || invite.billId !== bill.id) {
+      return res.status(404).json({
+        error: 'Invite not found',
+        code: 'INVITE_NOT_FOUND'
+      });
+    }
+
+    const revoked = db.billInvites.update(code, { revokedAt: new Date().toISOString() });
+
+    res.json({
+      success: true,
+      data: {
+        invite: toInviteResponse(revoked)
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke invite error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Join a bill as a participant using an invite code
+router.post('/join/:code', authenticateToken, validate(schemas.joinBill), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const code = normalizeCode(req.params.code);
+    const invite = db.billInvites.findById(code);
+    const bill = invite && db.bills.findById(invite.billId);
+
+    if (!invite || !bill) {
+      return res.status(404).json({
+        error: 'Invite not found',
+        code: 'INVITE_NOT_FOUND'
+      });
+    }
+
+    // Joining twice is harmless and doesn't use up the invite
+    if (bill.participants.some(p => p.id === userId)) {
+      return res.json({
+        success: true,
+        data: {
+          bill,
+          alreadyParticipant: true
+        }
+      });
+    }
+
+    const problem = getInviteProblem(invite);
+    if (problem) {
+      return res.status(problem.status).json({
+        error: problem.error,
+        code: problem.code
+      });
+    }
+
+    if (bill.status !== 'active') {
+      return res.status(400).json({
+        error: `This bill is ${bill.status} and can no longer be joined`,
+        code: 'BILL_CLOSED'
+      });
+    }
+
+    const user = db.users.findById(userId);
+    const participant = {
+      id: userId,
+      name: user?.name || req.user.username,
+      avatar: user?.avatar || null,
+      items: [],
+      // Keep percentage and custom splits adding up until someone edits them
+      ...(bill.splitMethod === 'percentage' && { percentage: 0 }),
+      ...(bill.splitMethod === 'custom' && { customAmount: 0 })
+    };
+
+    const updated = JSON.parse(JSON.stringify(bill));
+    updated.participants.push(participant);
+    const updatedBill = saveBill(updated);
+
+    db.billInvites.update(code, (i) => {
+      i.uses += 1;
+      i.joinedUserIds.push(userId);
+    });
+
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+    recordActivity(updatedBill, userId, 'participant_joined',
+      `${req.user.username} joined the bill with an invite code`,
+      { code, invitedBy: invite.createdBy });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        bill: updatedBill,
+        alreadyParticipant: false
+      }
+    });
+
+  } catch (error) {
+    if (error instanceof SettlementError) {
+      return sendSettlementError(res, error);
+    }
+    console.error('Join bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get the reminders sent on a bill and who still owes money
+router.get('/:billId/reminders', authenticateToken, validate(schemas.getReminders), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'view reminders on');
+    if (!bill) return;
+
+    const userId = req.user.id;
+    const reminders = getReminders(bill.id)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const debtors = getBillDebtors(bill).map(debtor => {
+      const owesYou = debtor.creditors.some(c => c.userId === userId);
+      const nextNudgeAt = owesYou ? getNextNudgeAt(bill.id, debtor.userId, userId) : null;
+      return {
+        ...debtor,
+        name: nameOf(debtor.userId, bill),
+        lastRemindedAt: reminders.find(r => r.userId === debtor.userId)?.createdAt || null,
+        canNudge: owesYou && !nextNudgeAt,
+        nextNudgeAt: nextNudgeAt?.toISOString() || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        reminders,
+        debtors,
+        schedule: {
+          reminderDays: REMINDER_DAYS,
+          nudgeCooldownHours: NUDGE_COOLDOWN_MS / (60 * 60 * 1000)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get reminders error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Nudge someone who owes you money on a bill (rate limited per debtor)
+router.post('/:billId/reminders', authenticateToken, validate(schemas.sendReminder), (req, res) => {
+  try {
+    const bill = findEditableBill(req, res, 'send reminders on');
+    if (!bill) return;
+
+    const userId = req.user.id;
+    const { participantId, message } = req.body;
+
+    if (bill.status !== 'active') {
+      return res.status(400).json({
+        error: `This bill is ${bill.status} and no longer needs reminders`,
+        code: 'BILL_CLOSED'
+      });
+    }
+
+    if (!bill.participants.some(p => String(p.id) === String(participantId))) {
+      return res.status(404).json({
+        error: 'Participant not found on this bill',
+        code: 'PARTICIPANT_NOT_FOUND'
+      });
+    }
+
+    const debtor = getBillDebtors(bill).find(d => String(d.userId) === String(participantId));
+    if (!debtor || !debtor.creditors.some(c => c.userId === userId)) {
+      return res.status(409).json({
+        error: 'This participant does not owe you anything on this bill',
+        code: 'NOTHING_OWED'
+      });
+    }
+
+    const nextNudgeAt = getNextNudgeAt(bill.id, debtor.userId, userId);
+    if (nextNudgeAt) {
+      res.set('Retry-After', String(Math.ceil((nextNudgeAt - Date.now()) / 1000)));
+      return res.status(429).json({
+        error: 'You already sent this participant a reminder recently',
+        code: 'REMINDER_RATE_LIMITED',
+        retryAt: nextNudgeAt.toISOString()
+      });
+    }
+
+    const reminder = sendReminder(bill, debtor, {
+      type: 'nudge',
+      sentBy: userId,
+      message: message?.trim() || undefined
+    });
+    if (!reminder) {
+      return res.status(409).json({
+        error: 'This participant has turned off bill reminders',
+        code: 'REMINDERS_DISABLED'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      data: {
+        reminder,
+        nextNudgeAt: new Date(new Date(reminder.createdAt).getTime() + NUDGE_COOLDOWN_MS).toISOString()
+      }
+    });
+
+  } catch (error) {
+    console.error('Send reminder error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get bill activities/history
+router.get('/:billId/activities', authenticateToken, validate(schemas.getActivities), (req, res) => {
+  try {
+    const { billId } = req.params;
+    const userId = req.user.id;
+
+    // Check if user has access to this bill
+    const bill = db.bills.findById(billId);
+    if (!bill || !bill.participants?.some(p => p.id === userId)) {
+      return res.status(404).json({
+        error: 'Bill not found or access denied',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    const { type, userId: actorId, limit = 50, offset = 0 } = req.query;
+    const types = type ? type.split(',') : null;
+
+    const activities = db.billActivities
+      .filter(a => a.billId === billId &&
+        (!types || types.includes(a.type)) &&
+        (!actorId || a.userId === parseInt(actorId)))
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+
+    const start = parseInt(offset);
+    const end = start + parseInt(limit);
+
+    res.json({
+      success: true,
+      data: {
+        activities: activities.slice(start, end),
+        pagination: {
+          total: activities.length,
+          limit: parseInt(limit),
+          offset: start,
+          hasMore: end < activities.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get activities error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Move a bill to the trash (only the creator can delete). A bill people still
+// owe money on is only deleted with ?confirm=true.
+router.delete('/:billId', authenticateToken, validate(schemas.deleteBill), (req, res) => {
+  try {
+    const { billId } = req.params;
+    const userId = req.user.id;
+
+    const bill = db.bills.findById(billId);
+
+    if (!bill) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    // Only creator can delete
+    if (bill.createdBy !== userId) {
+      return res.status(403).json({
+        error: 'Only the bill creator can delete this bill',
+        code: 'FORBIDDEN'
+      });
+    }
+
+    if (hasOutstandingBalance(bill) && req.query.confirm !== 'true') {
+      return res.status(409).json({
+        error: `${formatMoney(bill.pendingAmount, bill.currency || BASE_CURRENCY)} is still owed on this bill - send confirm=true to delete it anyway`,
+        code: 'OUTSTANDING_BALANCE',
+        details: {
+          pendingAmount: bill.pendingAmount,
+          currency: bill.currency || BASE_CURRENCY,
+          debtors: getBillDebtors(bill)
+        }
+      });
+    }
+
+    // The bill's activity log is kept, ending with the deletion
+    const deletedBill = moveToTrash(bill, userId);
+    publishBillEvent('bill.deleted', deletedBill);
+
+    recordActivity(deletedBill, userId, 'bill_deleted', `${req.user.username} deleted the bill`, {
+      changes: [{ field: 'bill', before: billSnapshot(bill), after: null }]
+    });
+
+    res.json({
+      success: true,
+      message: `Bill moved to trash - it can be restored for ${RETENTION_DAYS} days`,
+      data: {
+        bill: toTrashEntry(deletedBill)
+      }
+    });
+
+  } catch (error) {
+    console.error('Delete bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Bring a deleted bill back from the trash (creator only)
+router.post('/:billId/restore', authenticateToken, validate(schemas.restoreBill), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const bill = db.deletedBills.findById(req.params.billId);
+
+    if (!bill || bill.createdBy !== userId) {
+      return res.status(404).json({
+        error: 'Deleted bill not found',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    if (!isRestorable(bill)) {
+      return res.status(410).json({
+        error: `Deleted bills can only be restored for ${RETENTION_DAYS} days`,
+        code: 'RESTORE_EXPIRED'
+      });
+    }
+
+    const restoredBill = restoreFromTrash(bill);
+    publishBillEvent('bill.restored', restoredBill, { bill: restoredBill });
+
+    recordActivity(restoredBill, userId, 'bill_restored', `${req.user.username} restored the bill`, {
+      changes: [{ field: 'bill', before: null, after: billSnapshot(restoredBill) }]
+    });
+
+    res.json({
+      success: true,
+      data: {
+        bill: restoredBill
+      }
+    });
+
+  } catch (error) {
+    console.error('Restore bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Archive or unarchive a settled or cancelled bill - archived bills keep their
+// history but are left out of the timeline
+const setArchived = (archive) => (req, res) => {
+  try {
+    const { billId } = req.params;
+    const userId = req.user.id;
+
+    const bill = db.bills.findById(billId);
+    if (!bill || !(bill.createdBy === userId || bill.participants?.some(p => p.id === userId))) {
+      return res.status(404).json({
+        error: 'Bill not found',
+        code: 'BILL_NOT_FOUND'
+      });
+    }
+
+    if (archive && bill.status === 'active') {
+      return res.status(400).json({
+        error: 'Only settled or cancelled bills can be archived',
+        code: 'BILL_NOT_SETTLED',
+        details: { pendingAmount: bill.pendingAmount }
+      });
+    }
+
+    // Archiving twice changes nothing
+    if (Boolean(bill.archivedAt) === archive) {
+      return res.json({
+        success: true,
+        data: {
+          bill
+        }
+      });
+    }
+
+    const previousArchivedAt = bill.archivedAt || null;
+    const updatedBill = db.bills.update(billId, (b) => {
+      b.archivedAt = archive ? new Date().toISOString() : null;
+      b.archivedBy = archive ? userId : null;
+    });
+    publishBillEvent('bill.updated', updatedBill, { bill: updatedBill });
+
+    recordActivity(updatedBill, userId, archive ? 'bill_archived' : 'bill_unarchived',
+      `${req.user.username} ${archive ? 'archived' : 'unarchived'} the bill`, {
+        changes: [{ field: 'archivedAt', before: previousArchivedAt, after: updatedBill.archivedAt }]
+      });
+
+    res.json({
+      success: true,
+      data: {
+        bill: updatedBill
+      }
+    });
+
+  } catch (error) {
+    console.error(`${archive ? 'Archive' : 'Unarchive'} bill error:`, error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+};
+
+router.post('/:billId/archive', authenticateToken, validate(schemas.archiveBill), setArchived(true));
+router.post('/:billId/unarchive', authenticateToken, validate(schemas.unarchiveBill), setArchived(false));
+
 module.exports = router;
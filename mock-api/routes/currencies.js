@@ -0,0 +1,103 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BASE_CURRENCY,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  getExchangeRate,
+  convert
+} = require('../services/currency');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/currencies');
+const db = require('../storage');
+const router = express.Router();
+
+// Get supported currencies with their latest rate against USD
+router.get('/', authenticateToken, validate(schemas.listCurrencies), (req, res) => {
+  try {
+    const currencies = getSupportedCurrencies().map(currency => {
+      const exchange = getExchangeRate(BASE_CURRENCY, currency.code);
+      return {
+        ...currency,
+        usdRate: exchange.rate,
+        rateDate: exchange.rateDate
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        currencies
+      }
+    });
+
+  } catch (error) {
+    console.error('Get currencies error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get the exchange-rate table, optionally for one currency
+router.get('/rates', authenticateToken, validate(schemas.listRates), (req, res) => {
+  try {
+    const { currency } = req.query;
+
+    const rates = db.exchangeRates
+      .filter(rate => !currency || rate.currency === currency.toUpperCase())
+      .sort((a, b) => a.currency.localeCompare(b.currency) || b.date.localeCompare(a.date));
+
+    res.json({
+      success: true,
+      data: {
+        baseCurrency: BASE_CURRENCY,
+        rates
+      }
+    });
+
+  } catch (error) {
+    console.error('Get exchange rates error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Convert an amount between two currencies, optionally as of a date
+router.get('/convert', authenticateToken, validate(schemas.convert), (req, res) => {
+  try {
+    const { from, to, date } = req.query;
+    const amount = parseFloat(req.query.amount);
+
+    const fromCurrency = from.toUpperCase();
+    const toCurrency = to.toUpperCase();
+    const unsupported = [fromCurrency, toCurrency].find(code => !isSupportedCurrency(code));
+    if (unsupported) {
+      return res.status(400).json({
+        error: `Unsupported currency "${unsupported}"`,
+        code: 'UNSUPPORTED_CURRENCY'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        original: { amount, currency: fromCurrency },
+        converted: convert(amount, fromCurrency, toCurrency, date || null)
+      }
+    });
+
+  } catch (error) {
+    console.error('Convert currency error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,405 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  DEFAULT_SPLIT,
+  findMember,
+  isAdmin,
+  adminCount,
+  getDefaultSplitProblem,
+  resetPercentages,
+  toGroupResponse
+} = require('../services/groups');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/groups');
+const db = require('../storage');
+const router = express.Router();
+
+// Look up a group the current user belongs to, optionally requiring admin.
+// Sends the 404/403 response and returns null otherwise.
+const findGroupFor = (req, res, { adminOnly = false, action } = {}) => {
+  const group = db.groups.findById(req.params.groupId);
+  const userId = req.user.id;
+
+  // Outsiders can't tell a private group from a missing one
+  if (!group || !findMember(group, userId)) {
+    res.status(404).json({
+      error: 'Group not found',
+      code: 'GROUP_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (adminOnly && !isAdmin(group, userId)) {
+    res.status(403).json({
+      error: `Only group admins can ${action}`,
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return group;
+};
+
+const invalidGroup = (res, error) => res.status(400).json({
+  error,
+  code: 'INVALID_GROUP'
+});
+
+const lastAdmin = (res) => res.status(400).json({
+  error: 'A group needs at least one admin - promote someone else first',
+  code: 'LAST_ADMIN'
+});
+
+// Drop the group from its bills when it goes away, including deleted bills
+// that may be restored; the bills themselves stay
+const detachBills = (groupId) => {
+  [db.bills, db.deletedBills].forEach(repository => repository
+    .filter(bill => bill.groupId === groupId)
+    .forEach(bill => repository.update(bill.id, { groupId: null })));
+};
+
+// Get the groups the user belongs to
+router.get('/', authenticateToken, validate(schemas.listGroups), (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    const groups = db.groups
+      .filter(group => findMember(group, userId))
+      .sort((a, b) => a.name.localeCompare(b.name))
+      .map(group => toGroupResponse(group, userId));
+
+    res.json({
+      success: true,
+      data: {
+        groups
+      }
+    });
+
+  } catch (error) {
+    console.error('Get groups error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create a group - the creator becomes its admin
+router.post('/', authenticateToken, validate(schemas.createGroup), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { name, description, memberIds = [], defaultSplit = DEFAULT_SPLIT } = req.body;
+
+    const otherIds = [...new Set(memberIds.map(Number))].filter(id => id !== userId);
+    const missing = otherIds.filter(id => !db.users.findById(id));
+    if (missing.length > 0) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND',
+        details: { userIds: missing }
+      });
+    }
+
+    const splitProblem = getDefaultSplitProblem(defaultSplit, [userId, ...otherIds]);
+    if (splitProblem) {
+      return invalidGroup(res, splitProblem);
+    }
+
+    const now = new Date().toISOString();
+    const group = db.groups.insert({
+      id: `group-${uuidv4()}`,
+      name: String(name).trim(),
+      description: description || null,
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      members: [
+        { userId, role: 'admin', joinedAt: now },
+        ...otherIds.map(id => ({ userId: id, role: 'member', joinedAt: now }))
+      ],
+      defaultSplit: {
+        splitMethod: defaultSplit.splitMethod,
+        percentages: defaultSplit.percentages || null
+      }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        group: toGroupResponse(group, userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Create group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a group with its members
+router.get('/:groupId', authenticateToken, validate(schemas.getGroup), (req, res) => {
+  try {
+    const group = findGroupFor(req, res);
+    if (!group) return;
+
+    res.json({
+      success: true,
+      data: {
+        group: toGroupResponse(group, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a group's name, description or default split
+router.put('/:groupId', authenticateToken, validate(schemas.updateGroup), (req, res) => {
+  try {
+    const group = findGroupFor(req, res, { adminOnly: true, action: 'edit the group' });
+    if (!group) return;
+
+    const { name, description, defaultSplit } = req.body;
+
+    if (defaultSplit !== undefined) {
+      const splitProblem = getDefaultSplitProblem(defaultSplit, group.members.map(m => m.userId));
+      if (splitProblem) {
+        return invalidGroup(res, splitProblem);
+      }
+    }
+
+    const updatedGroup = db.groups.update(group.id, (g) => {
+      if (name !== undefined) g.name = String(name).trim();
+      if (description !== undefined) g.description = description || null;
+      if (defaultSplit !== undefined) {
+        g.defaultSplit = {
+          splitMethod: defaultSplit.splitMethod,
+          percentages: defaultSplit.percentages || null
+        };
+      }
+      g.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        group: toGroupResponse(updatedGroup, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Delete a group - its bills are kept but no longer belong to it
+router.delete('/:groupId', authenticateToken, validate(schemas.deleteGroup), (req, res) => {
+  try {
+    const group = findGroupFor(req, res, { adminOnly: true, action: 'delete the group' });
+    if (!group) return;
+
+    db.groups.remove(group.id);
+    detachBills(group.id);
+
+    res.json({
+      success: true,
+      message: 'Group deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Add a member to a group
+router.post('/:groupId/members', authenticateToken, validate(schemas.addMember), (req, res) => {
+  try {
+    const group = findGroupFor(req, res, { adminOnly: true, action: 'add members' });
+    if (!group) return;
+
+    const { userId: memberId, role = 'member' } = req.body;
+
+    if (!db.users.findById(memberId)) {
+      return res.status(404).json({
+        error: 'User not found',
+        code: 'USER_NOT_FOUND'
+      });
+    }
+
+    if (findMember(group, memberId)) {
+      return res.status(409).json({
+        error: 'User is already a member of this group',
+        code: 'MEMBER_EXISTS'
+      });
+    }
+
+    const updatedGroup = db.groups.update(group.id, (g) => {
+      g.members.push({ userId: memberId, role, joinedAt: new Date().toISOString() });
+      resetPercentages(g);
+      g.updatedAt = new Date().toISOString();
+    });
+
+    res.status(201).json({
+      success: true,
+      data: {
+        group: toGroupResponse(updatedGroup, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Add group member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Change a member's role
+router.put('/:groupId/members/:userId', authenticateToken, validate(schemas.updateMemberRole), (req, res) => {
+  try {
+    const group = findGroupFor(req, res, { adminOnly: true, action: 'change member roles' });
+    if (!group) return;
+
+    const memberId = parseInt(req.params.userId);
+    const { role } = req.body;
+
+    const member = findMember(group, memberId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    if (member.role === 'admin' && role !== 'admin' && adminCount(group) === 1) {
+      return lastAdmin(res);
+    }
+
+    const updatedGroup = db.groups.update(group.id, (g) => {
+      findMember(g, memberId).role = role;
+      g.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        group: toGroupResponse(updatedGroup, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update group member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Remove a member from a group
+router.delete('/:groupId/members/:userId', authenticateToken, validate(schemas.removeMember), (req, res) => {
+  try {
+    const group = findGroupFor(req, res, { adminOnly: true, action: 'remove members' });
+    if (!group) return;
+
+    const memberId = parseInt(req.params.userId);
+    const member = findMember(group, memberId);
+    if (!member) {
+      return res.status(404).json({
+        error: 'Member not found',
+        code: 'MEMBER_NOT_FOUND'
+      });
+    }
+
+    if (member.role === 'admin' && adminCount(group) === 1) {
+      return lastAdmin(res);
+    }
+
+    const updatedGroup = db.groups.update(group.id, (g) => {
+      g.members = g.members.filter(m => m.userId !== memberId);
+      resetPercentages(g);
+      g.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        group: toGroupResponse(updatedGroup, req.user.id)
+      }
+    });
+
+  } catch (error) {
+    console.error('Remove group member error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Leave a group. The last admin to leave hands the role to the longest-standing
+// member, and the last member to leave deletes the group.
+router.post('/:groupId/leave', authenticateToken, validate(schemas.leaveGroup), (req, res) => {
+  try {
+    const group = findGroupFor(req, res);
+    if (!group) return;
+
+    const userId = req.user.id;
+
+    if (group.members.length === 1) {
+      db.groups.remove(group.id);
+      detachBills(group.id);
+      return res.json({
+        success: true,
+        data: {
+          groupDeleted: true
+        }
+      });
+    }
+
+    db.groups.update(group.id, (g) => {
+      const leaving = findMember(g, userId);
+      g.members = g.members.filter(m => m.userId !== userId);
+      if (leaving.role === 'admin' && adminCount(g) === 0) {
+        const successor = [...g.members].sort((a, b) => new Date(a.joinedAt) - new Date(b.joinedAt))[0];
+        successor.role = 'admin';
+      }
+      resetPercentages(g);
+      g.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        groupDeleted: false
+      }
+    });
+
+  } catch (error) {
+    console.error('Leave group error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
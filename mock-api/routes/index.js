@@ -0,0 +1,124 @@
+// Every API router, where it is mounted under /api and the request schemas
+// its routes validate against. /api/docs and /api/openapi.json are built by
+// walking these routers, so they always match what is actually served.
+const { authenticateToken, authenticateDownload, optionalAuth } = require('../middleware/auth');
+
+const API_ROUTES = [
+  {
+    name: 'auth',
+    path: '/auth',
+    description: 'Login, registration, sessions, passwords and email verification',
+    router: require('./auth'),
+    schemas: require('../schemas/auth')
+  },
+  {
+    name: 'bills',
+    path: '/bills',
+    description: 'Bills with their items, assignments, payments, receipts, invites and reminders',
+    router: require('./bills'),
+    schemas: require('../schemas/bills')
+  },
+  {
+    name: 'restaurants',
+    path: '/restaurants',
+    description: 'Restaurants and their menus',
+    router: require('./restaurants'),
+    schemas: require('../schemas/restaurants')
+  },
+  {
+    name: 'users',
+    path: '/users',
+    description: 'User search, profiles and friends',
+    router: require('./users'),
+    schemas: require('../schemas/users')
+  },
+  {
+    name: 'groups',
+    path: '/groups',
+    description: 'Groups of people who split bills together',
+    router: require('./groups'),
+    schemas: require('../schemas/groups')
+  },
+  {
+    name: 'recurringBills',
+    path: '/recurring-bills',
+    description: 'Bills created on a schedule',
+    router: require('./recurringBills'),
+    schemas: require('../schemas/recurringBills')
+  },
+  {
+    name: 'notifications',
+    path: '/notifications',
+    description: 'In-app notifications',
+    router: require('./notifications'),
+    schemas: require('../schemas/notifications')
+  },
+  {
+    name: 'balances',
+    path: '/balances',
+    description: 'Balances across bills and settling up',
+    router: require('./balances'),
+    schemas: require('../schemas/balances')
+  },
+  {
+    name: 'receipts',
+    path: '/receipts',
+    description: 'Receipt text parsing',
+    router: require('./receipts'),
+    schemas: require('../schemas/receipts')
+  },
+  {
+    name: 'currencies',
+    path: '/currencies',
+    description: 'Currencies, exchange rates and conversion',
+    router: require('./currencies'),
+    schemas: require('../schemas/currencies')
+  },
+  {
+    name: 'stream',
+    path: '/stream',
+    description: 'Server-Sent Events for live updates',
+    router: require('./stream'),
+    schemas: require('../schemas/stream')
+  },
+  {
+    name: 'admin',
+    path: '/admin',
+    description: 'Development helpers - no auth',
+    router: require('./admin'),
+    schemas: require('../schemas/admin')
+  }
+];
+
+const authLevel = (handlers) => {
+  if (handlers.includes(authenticateToken) || handlers.includes(authenticateDownload)) return 'required';
+  if (handlers.includes(optionalAuth)) return 'optional';
+  return 'none';
+};
+
+/**
+ * List every endpoint the API routers serve, in mount order:
+ * `{ area, operationId, method, path, auth, schema }`. `path` is relative to
+ * /api, `auth` comes from the middleware on the route and `schema` from its
+ * validate() middleware (null for a route that has none).
+ */
+const listEndpoints = () => API_ROUTES.flatMap(({ name, path, router, schemas }) =>
+  router.stack
+    .filter(layer => layer.route)
+    .flatMap(({ route }) => {
+      const handlers = route.stack.map(layer => layer.handle);
+      const schema = handlers.find(handler => handler.schema)?.schema || null;
+      const operationId = Object.keys(schemas).find(key => schemas[key] === schema) || null;
+
+      return Object.keys(route.methods).map(method => ({
+        area: name,
+        operationId,
+        method: method.toUpperCase(),
+        path: route.path === '/' ? path : `${path}${route.path}`,
+        auth: authLevel(handlers),
+        schema
+      }));
+    })
+);
+
+module.exports = { API_ROUTES, listEndpoints };
@@ -0,0 +1,145 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { NOTIFICATION_TYPES, getUnreadCount } = require('../services/notifications');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/notifications');
+const db = require('../storage');
+const router = express.Router();
+
+const unreadByType = (userId) => {
+  const counts = Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, 0]));
+  db.notifications
+    .filter(n => n.userId === userId && !n.readAt)
+    .forEach(n => { counts[n.type] = (counts[n.type] || 0) + 1; });
+  return counts;
+};
+
+const toNotificationResponse = (notification) => ({
+  ...notification,
+  read: notification.readAt !== null
+});
+
+// Get the user's notifications, newest first, with unread counts
+router.get('/', authenticateToken, validate(schemas.listNotifications), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { unreadOnly, type, limit = 20, offset = 0 } = req.query;
+
+    let notifications = db.notifications.filter(n => n.userId === userId);
+    if (unreadOnly === 'true') {
+      notifications = notifications.filter(n => !n.readAt);
+    }
+    if (type) {
+      notifications = notifications.filter(n => n.type === type);
+    }
+
+    notifications.sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+
+    const paginated = notifications.slice(parseInt(offset), parseInt(offset) + parseInt(limit));
+
+    res.json({
+      success: true,
+      data: {
+        notifications: paginated.map(toNotificationResponse),
+        unreadCount: getUnreadCount(userId),
+        pagination: {
+          total: notifications.length,
+          limit: parseInt(limit),
+          offset: parseInt(offset),
+          hasMore: parseInt(offset) + parseInt(limit) < notifications.length
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Unread counts for the notifications badge
+router.get('/unread-count', authenticateToken, validate(schemas.unreadCount), (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    res.json({
+      success: true,
+      data: {
+        unreadCount: getUnreadCount(userId),
+        byType: unreadByType(userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Mark every notification as read
+router.put('/read-all', authenticateToken, validate(schemas.markAllRead), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const now = new Date().toISOString();
+
+    const unread = db.notifications.filter(n => n.userId === userId && !n.readAt);
+    unread.forEach(n => db.notifications.update(n.id, { readAt: now }));
+
+    res.json({
+      success: true,
+      data: {
+        markedCount: unread.length,
+        unreadCount: 0
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Mark one notification as read
+router.put('/:notificationId/read', authenticateToken, validate(schemas.markRead), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const notification = db.notifications.findById(req.params.notificationId);
+
+    if (!notification || notification.userId !== userId) {
+      return res.status(404).json({
+        error: 'Notification not found',
+        code: 'NOTIFICATION_NOT_FOUND'
+      });
+    }
+
+    const updated = notification.readAt ?
+      notification :
+      db.notifications.update(notification.id, { readAt: new Date().toISOString() });
+
+    res.json({
+      success: true,
+      data: {
+        notification: toNotificationResponse(updated),
+        unreadCount: getUnreadCount(userId)
+      }
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
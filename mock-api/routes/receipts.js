@@ -0,0 +1,56 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { parseReceiptText } = require('../services/receiptParser');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/receipts');
+const db = require('../storage');
+const router = express.Router();
+
+// Parse raw receipt text into bill items and totals
+router.post('/parse', authenticateToken, validate(schemas.parseReceipt), (req, res) => {
+  try {
+    const { text, restaurantId } = req.body;
+
+    let restaurant = null;
+    if (restaurantId !== undefined && restaurantId !== null) {
+      restaurant = db.restaurants.findById(parseInt(restaurantId));
+
+      if (!restaurant) {
+        return res.status(404).json({
+          error: 'Restaurant not found',
+          code: 'RESTAURANT_NOT_FOUND'
+        });
+      }
+    }
+
+    // Only match against the menu when we know where the receipt is from
+    const menuItems = restaurant ?
+      db.menuItems.filter(item => item.restaurantId === restaurant.id) :
+      [];
+
+    const receipt = parseReceiptText(text, {
+      menuItems,
+      restaurantId: restaurant ? restaurant.id : null
+    });
+
+    res.json({
+      success: true,
+      data: {
+        restaurant: restaurant ? {
+          id: restaurant.id,
+          name: restaurant.name
+        } : null,
+        receipt
+      }
+    });
+
+  } catch (error) {
+    console.error('Parse receipt error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,570 @@
+const express = require('express');
+const { v4: uuidv4 } = require('uuid');
+const { authenticateToken } = require('../middleware/auth');
+const { SettlementError } = require('../services/settlement');
+const { BASE_CURRENCY, isSupportedCurrency } = require('../services/currency');
+const { findMember, getGroupParticipants } = require('../services/groups');
+const {
+  AMOUNT_TYPES,
+  RECURRING_SPLIT_METHODS,
+  today,
+  addDays,
+  isDateString,
+  getDueDateOnOrAfter,
+  getUpcomingDates,
+  getScheduleProblem,
+  normalizeSchedule,
+  buildOccurrenceBill,
+  runDueRecurringBills
+} = require('../services/recurring');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/recurringBills');
+const db = require('../storage');
+const router = express.Router();
+
+const invalidSeries = (res, error) => res.status(400).json({
+  error,
+  code: 'INVALID_RECURRING_BILL'
+});
+
+const toSeriesResponse = (series) => ({
+  ...series,
+  upcomingDates: series.status === 'ended' ? [] : getUpcomingDates(series)
+});
+
+const canView = (series, userId) =>
+  series.createdBy === userId || series.participants.some(p => p.id === userId);
+
+// Look up a series the current user can see; only its creator may change it.
+// Sends the 404/403 response and returns null otherwise.
+const findSeries = (req, res, { action } = {}) => {
+  const series = db.recurringBills.findById(req.params.recurringBillId);
+  const userId = req.user.id;
+
+  if (!series || !canView(series, userId)) {
+    res.status(404).json({
+      error: 'Recurring bill not found',
+      code: 'RECURRING_BILL_NOT_FOUND'
+    });
+    return null;
+  }
+
+  if (action && series.createdBy !== userId) {
+    res.status(403).json({
+      error: `Only the creator can ${action} this recurring bill`,
+      code: 'FORBIDDEN'
+    });
+    return null;
+  }
+
+  return series;
+};
+
+const seriesEnded = (res) => res.status(400).json({
+  error: 'This recurring bill has ended',
+  code: 'RECURRING_BILL_ENDED'
+});
+
+// Participants may be given as just { id }; fill in names and avatars from users
+const toParticipants = (participants) => participants.map(p => {
+  const user = db.users.findById(p.id);
+  return {
+    ...p,
+    name: p.name || user?.name || 'Unknown',
+    avatar: p.avatar || user?.avatar || null
+  };
+});
+
+// Don't repeat a date that already has its bill, or one in the past
+const nextDueFrom = (series, schedule) => {
+  const lastDate = series.occurrences[series.occurrences.length - 1]?.date;
+  const from = lastDate && lastDate >= today() ? addDays(lastDate, 1) : today();
+  return getDueDateOnOrAfter(schedule, from);
+};
+
+/**
+ * Check a new or edited series by building the bill its next occurrence would
+ * create. Sends the 400 response and returns false when it can't be used.
+ */
+const checkSeries = (res, series) => {
+  if (!series.title || !String(series.title).trim()) {
+    invalidSeries(res, 'title is required');
+    return false;
+  }
+  if (!AMOUNT_TYPES.includes(series.amountType)) {
+    invalidSeries(res, `amountType must be one of: ${AMOUNT_TYPES.join(', ')}`);
+    return false;
+  }
+  if (!RECURRING_SPLIT_METHODS.includes(series.splitMethod)) {
+    invalidSeries(res, `splitMethod must be one of: ${RECURRING_SPLIT_METHODS.join(', ')}`);
+    return false;
+  }
+  // Custom amounts have to add up to a total that changes every time
+  if (series.amountType === 'variable' && series.splitMethod === 'custom') {
+    invalidSeries(res, 'Variable amounts can\'t use the custom split');
+    return false;
+  }
+  if (!isSupportedCurrency(series.currency)) {
+    res.status(400).json({
+      error: `Unsupported currency "${series.currency}"`,
+      code: 'UNSUPPORTED_CURRENCY'
+    });
+    return false;
+  }
+  if (!Array.isArray(series.participants) || series.participants.length === 0) {
+    invalidSeries(res, 'participants are required');
+    return false;
+  }
+
+  const scheduleProblem = getScheduleProblem(series.schedule);
+  if (scheduleProblem) {
+    invalidSeries(res, scheduleProblem);
+    return false;
+  }
+
+  try {
+    buildOccurrenceBill(series, series.schedule.startDate);
+  } catch (error) {
+    if (!(error instanceof SettlementError)) {
+      throw error;
+    }
+    res.status(error.status).json({
+      error: error.message,
+      code: error.code,
+      ...(error.details && { details: error.details })
+    });
+    return false;
+  }
+
+  return true;
+};
+
+// Get the recurring bills you created or take part in
+router.get('/', authenticateToken, validate(schemas.listRecurringBills), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const { status } = req.query;
+
+    let series = db.recurringBills.filter(s => canView(s, userId));
+    if (status) {
+      series = series.filter(s => s.status === status);
+    }
+
+    res.json({
+      success: true,
+      data: {
+        recurringBills: series
+          .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+          .map(toSeriesResponse)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring bills error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Create a recurring bill
+router.post('/', authenticateToken, validate(schemas.createRecurringBill), (req, res) => {
+  try {
+    const userId = req.user.id;
+    const {
+      title,
+      amount,
+      amountType = 'fixed',
+      schedule,
+      participants = [],
+      groupId
+    } = req.body;
+    let { splitMethod = 'equal' } = req.body;
+
+    const currency = (req.body.currency ||
+      db.users.findById(userId)?.preferences?.currency ||
+      BASE_CURRENCY).toUpperCase();
+
+    // A group series without participants splits between every member
+    let seriesParticipants = participants;
+    if (groupId) {
+      const group = db.groups.findById(groupId);
+      if (!group || !findMember(group, userId)) {
+        return res.status(404).json({
+          error: 'Group not found',
+          code: 'GROUP_NOT_FOUND'
+        });
+      }
+      if (participants.length === 0) {
+        if (!req.body.splitMethod && RECURRING_SPLIT_METHODS.includes(group.defaultSplit.splitMethod)) {
+          splitMethod = group.defaultSplit.splitMethod;
+        }
+        seriesParticipants = getGroupParticipants(group, splitMethod);
+      }
+    }
+
+    const now = new Date().toISOString();
+    const series = {
+      id: `recurring-${uuidv4()}`,
+      title: String(title || '').trim(),
+      createdBy: userId,
+      createdAt: now,
+      updatedAt: now,
+      status: 'active',
+      amount,
+      amountType,
+      currency,
+      splitMethod,
+      participants: Array.isArray(seriesParticipants) ? toParticipants(seriesParticipants) : seriesParticipants,
+      groupId: groupId || null,
+      schedule: schedule && normalizeSchedule(schedule),
+      nextDueDate: null,
+      skippedDates: [],
+      occurrenceAmounts: {},
+      occurrences: [],
+      lastError: null,
+      endedAt: null
+    };
+
+    if (!checkSeries(res, series)) return;
+
+    series.nextDueDate = nextDueFrom(series, series.schedule);
+    if (!series.nextDueDate) {
+      return invalidSeries(res, 'The schedule has no due dates left');
+    }
+
+    db.recurringBills.insert(series);
+
+    // A series starting today gets its first bill straight away
+    runDueRecurringBills();
+
+    res.status(201).json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(db.recurringBills.findById(series.id))
+      }
+    });
+
+  } catch (error) {
+    console.error('Create recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Get a recurring bill with its upcoming dates and the bills created so far
+router.get('/:recurringBillId', authenticateToken, validate(schemas.getRecurringBill), (req, res) => {
+  try {
+    const series = findSeries(req, res);
+    if (!series) return;
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(series)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Update a recurring bill - applies to bills created from now on
+router.put('/:recurringBillId', authenticateToken, validate(schemas.updateRecurringBill), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'update' });
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return seriesEnded(res);
+    }
+
+    const { title, amount, amountType, currency, splitMethod, participants, schedule } = req.body;
+
+    const updated = JSON.parse(JSON.stringify(series));
+    if (title !== undefined) updated.title = String(title).trim();
+    if (amount !== undefined) updated.amount = amount;
+    if (amountType !== undefined) updated.amountType = amountType;
+    if (currency) updated.currency = currency.toUpperCase();
+    if (splitMethod !== undefined) updated.splitMethod = splitMethod;
+    if (participants !== undefined) {
+      updated.participants = Array.isArray(participants) ? toParticipants(participants) : participants;
+    }
+    if (schedule !== undefined) {
+      updated.schedule = schedule && normalizeSchedule(schedule);
+    }
+
+    if (!checkSeries(res, updated)) return;
+
+    if (schedule !== undefined) {
+      updated.nextDueDate = nextDueFrom(updated, updated.schedule);
+      updated.skippedDates = [];
+      if (!updated.nextDueDate) {
+        return invalidSeries(res, 'The schedule has no due dates left');
+      }
+    }
+
+    updated.lastError = null;
+    updated.updatedAt = new Date().toISOString();
+    const updatedSeries = db.recurringBills.update(series.id, (s) => Object.assign(s, updated));
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Update recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Set the amount of one occurrence of a variable recurring bill
+router.put('/:recurringBillId/occurrences/:date', authenticateToken, validate(schemas.setOccurrenceAmount), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'update' });
+    if (!series) return;
+
+    const { date } = req.params;
+    const { amount } = req.body;
+
+    if (series.amountType !== 'variable') {
+      return invalidSeries(res, 'Only variable recurring bills have per-occurrence amounts');
+    }
+    if (!isDateString(date) || getDueDateOnOrAfter(series.schedule, date) !== date) {
+      return invalidSeries(res, `${date} is not a due date of this recurring bill`);
+    }
+    if (series.occurrences.some(o => o.date === date)) {
+      return res.status(409).json({
+        error: 'The bill for this date has already been created - edit the bill instead',
+        code: 'OCCURRENCE_CREATED'
+      });
+    }
+
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.occurrenceAmounts = { ...s.occurrenceAmounts, [date]: amount };
+      s.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Set occurrence amount error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Pause a recurring bill - no bills are created until it is resumed
+router.post('/:recurringBillId/pause', authenticateToken, validate(schemas.pauseRecurringBill), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'pause' });
+    if (!series) return;
+
+    if (series.status !== 'active') {
+      return res.status(400).json({
+        error: `This recurring bill is ${series.status}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.status = 'paused';
+      s.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Pause recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Resume a paused recurring bill. Dates that passed while it was paused are not created.
+router.post('/:recurringBillId/resume', authenticateToken, validate(schemas.resumeRecurringBill), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'resume' });
+    if (!series) return;
+
+    if (series.status !== 'paused') {
+      return res.status(400).json({
+        error: `This recurring bill is ${series.status}`,
+        code: 'INVALID_STATUS'
+      });
+    }
+
+    // A series paused by the scheduler has to be fixed before it can run again
+    if (series.lastError && !checkSeries(res, series)) return;
+
+    const nextDueDate = nextDueFrom(series, series.schedule);
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.nextDueDate = nextDueDate;
+      s.skippedDates = s.skippedDates.filter(date => nextDueDate && date >= nextDueDate);
+      s.lastError = null;
+      s.updatedAt = new Date().toISOString();
+      if (nextDueDate) {
+        s.status = 'active';
+      } else {
+        s.status = 'ended';
+        s.endedAt = s.updatedAt;
+      }
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Resume recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Skip one upcoming date, the next due date by default
+router.post('/:recurringBillId/skip', authenticateToken, validate(schemas.skipOccurrence), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'skip' });
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return seriesEnded(res);
+    }
+
+    const date = req.body.date || getUpcomingDates(series, 1)[0];
+    if (!date || !isDateString(date) || date < series.nextDueDate ||
+        getDueDateOnOrAfter(series.schedule, date) !== date) {
+      return invalidSeries(res, `${date} is not an upcoming due date of this recurring bill`);
+    }
+
+    if (series.skippedDates.includes(date)) {
+      return res.status(409).json({
+        error: `${date} is already skipped`,
+        code: 'ALREADY_SKIPPED'
+      });
+    }
+
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.skippedDates = [...s.skippedDates, date].sort();
+      s.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Skip recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// Undo a skip
+router.delete('/:recurringBillId/skip/:date', authenticateToken, validate(schemas.unskipOccurrence), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'skip' });
+    if (!series) return;
+
+    const { date } = req.params;
+    if (!series.skippedDates.includes(date)) {
+      return res.status(404).json({
+        error: `${date} is not skipped`,
+        code: 'SKIP_NOT_FOUND'
+      });
+    }
+
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.skippedDates = s.skippedDates.filter(d => d !== date);
+      s.updatedAt = new Date().toISOString();
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('Unskip recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+// End a recurring bill - bills already created are kept
+router.post('/:recurringBillId/end', authenticateToken, validate(schemas.endRecurringBill), (req, res) => {
+  try {
+    const series = findSeries(req, res, { action: 'end' });
+    if (!series) return;
+
+    if (series.status === 'ended') {
+      return seriesEnded(res);
+    }
+
+    const updatedSeries = db.recurringBills.update(series.id, (s) => {
+      s.status = 'ended';
+      s.nextDueDate = null;
+      s.endedAt = new Date().toISOString();
+      s.updatedAt = s.endedAt;
+    });
+
+    res.json({
+      success: true,
+      data: {
+        recurringBill: toSeriesResponse(updatedSeries)
+      }
+    });
+
+  } catch (error) {
+    console.error('End recurring bill error:', error);
+    res.status(500).json({
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,12 @@
 const express = require('express');
 const { optionalAuth } = require('../middleware/auth');
-const { restaurants, menuItems } = require('../data/restaurants');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/restaurants');
+const db = require('../storage');
 const router = express.Router();
 
 // Get all restaurants
-router.get('/', optionalAuth, (req, res) => {
+router.get('/', optionalAuth, validate(schemas.searchRestaurants), (req, res) => {
   try {
     const { 
       search, 
@@ -17,7 +19,7 @@ router.get('/', optionalAuth, (req, res) => {
       offset = 0 
     } = req.query;
 
-    let filteredRestaurants = [...restaurants];
+    let filteredRestaurants = db.restaurants.all();
 
     // Search by name
     if (search) {
@@ -97,11 +99,11 @@ router.get('/', optionalAuth, (req, res) => {
 });
 
 // Get a specific restaurant by ID
-router.get('/:restaurantId', optionalAuth, (req, res) => {
+router.get('/:restaurantId', optionalAuth, validate(schemas.getRestaurant), (req, res) => {
   try {
     const { restaurantId } = req.params;
 
-    const restaurant = restaurants.find(r => r.id === parseInt(restaurantId));
+    const restaurant = db.restaurants.findById(parseInt(restaurantId));
 
     if (!restaurant) {
       return res.status(404).json({
@@ -127,13 +129,13 @@ router.get('/:restaurantId', optionalAuth, (req, res) => {
 });
 
 // Get menu items for a restaurant
-router.get('/:restaurantId/menu', optionalAuth, (req, res) => {
+router.get('/:restaurantId/menu', optionalAuth, validate(schemas.getMenu), (req, res) => {
   try {
     const { restaurantId } = req.params;
     const { category, available, search, limit = 50, offset = 0 } = req.query;
 
     // Check if restaurant exists
-    const restaurant = restaurants.find(r => r.id === parseInt(restaurantId));
+    const restaurant = db.restaurants.findById(parseInt(restaurantId));
     if (!restaurant) {
       return res.status(404).json({
         error: 'Restaurant not found',
@@ -141,7 +143,7 @@ router.get('/:restaurantId/menu', optionalAuth, (req, res) => {
       });
     }
 
-    let restaurantMenuItems = menuItems.filter(item => 
+    let restaurantMenuItems = db.menuItems.filter(item => 
       item.restaurantId === parseInt(restaurantId)
     );
 
@@ -211,7 +213,7 @@ router.get('/:restaurantId/menu', optionalAuth, (req, res) => {
 });
 
 // Get all menu items (for general food item search)
-router.get('/menu/items', optionalAuth, (req, res) => {
+router.get('/menu/items', optionalAuth, validate(schemas.searchMenuItems), (req, res) => {
   try {
     const { 
       search, 
@@ -223,7 +225,7 @@ router.get('/menu/items', optionalAuth, (req, res) => {
       offset = 0 
     } = req.query;
 
-    let filteredItems = [...menuItems];
+    let filteredItems = db.menuItems.all();
 
     // Search by name or description
     if (search) {
@@ -271,7 +273,7 @@ router.get('/menu/items', optionalAuth, (req, res) => {
     // Add restaurant info to each item
     const itemsWithRestaurant = paginatedItems.map(item => ({
       ...item,
-      restaurant: restaurants.find(r => r.id === item.restaurantId)
+      restaurant: db.restaurants.findById(item.restaurantId)
     }));
 
     res.json({
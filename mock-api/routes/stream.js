@@ -0,0 +1,61 @@
+const express = require('express');
+const { authenticateToken, tokenFromQuery } = require('../middleware/auth');
+const { subscribe } = require('../services/events');
+const { isAccessTokenRevoked } = require('../services/sessions');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/stream');
+const router = express.Router();
+
+// Comment lines keep proxies and mobile networks from closing an idle stream
+const HEARTBEAT_INTERVAL = 25000;
+// Longest delay setTimeout accepts; tokens living longer are caught by the heartbeat
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+const writeEvent = (res, event) => {
+  res.write(`id: ${event.id}\n`);
+  res.write(`event: ${event.type}\n`);
+  res.write(`data: ${JSON.stringify({ ...event.data, timestamp: event.timestamp })}\n\n`);
+};
+
+// Server-Sent Events stream of bill, item, payment and activity events
+// for every bill the user takes part in
+router.get('/', tokenFromQuery, authenticateToken, validate(schemas.stream), (req, res) => {
+  const lastEventId = parseInt(req.headers['last-event-id'] || req.query.lastEventId);
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.write('retry: 3000\n\n');
+  res.write(`event: ready\ndata: ${JSON.stringify({ userId: req.user.id })}\n\n`);
+
+  // The token is only checked when the stream opens, so the stream ends once
+  // it expires or its session is revoked. Clients reconnect with a fresh one.
+  const endIfUnauthorized = () => {
+    if (res.writableEnded) {
+      return true;
+    }
+    if (Date.now() < req.user.exp * 1000 && !isAccessTokenRevoked(req.user)) {
+      return false;
+    }
+    res.end();
+    return true;
+  };
+
+  const unsubscribe = subscribe(req.user.id, (event) => endIfUnauthorized() || writeEvent(res, event), {
+    sinceEventId: Number.isNaN(lastEventId) ? null : lastEventId
+  });
+  const heartbeat = setInterval(() => endIfUnauthorized() || res.write(': heartbeat\n\n'), HEARTBEAT_INTERVAL);
+  const expiry = setTimeout(endIfUnauthorized, Math.min(req.user.exp * 1000 - Date.now(), MAX_TIMER_DELAY));
+
+  // Fires when the client goes away as well as when the stream is ended here
+  res.on('close', () => {
+    clearInterval(heartbeat);
+    clearTimeout(expiry);
+    unsubscribe();
+  });
+});
+
+module.exports = router;
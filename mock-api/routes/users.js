@@ -1,23 +1,19 @@
 const express = require('express');
 const { authenticateToken, optionalAuth } = require('../middleware/auth');
-const { users, friendships } = require('../data/users');
+const { notify, nameOf } = require('../services/notifications');
+const { validate } = require('../middleware/validate');
+const schemas = require('../schemas/users');
+const db = require('../storage');
 const router = express.Router();
 
 // Search users (for adding friends)
-router.get('/search', authenticateToken, (req, res) => {
+router.get('/search', authenticateToken, validate(schemas.searchUsers), (req, res) => {
   try {
     const { q, limit = 10, offset = 0 } = req.query;
     const currentUserId = req.user.id;
 
-    if (!q || q.length < 2) {
-      return res.status(400).json({
-        error: 'Search query must be at least 2 characters',
-        code: 'INVALID_QUERY'
-      });
-    }
-
     // Search users by name, username, or email
-    let searchResults = users.filter(user => {
+    let searchResults = db.users.filter(user => {
       if (user.id === currentUserId) return false; // Exclude current user
       
       return (
@@ -29,7 +25,7 @@ router.get('/search', authenticateToken, (req, res) => {
 
     // Add friendship status to each user
     searchResults = searchResults.map(user => {
-      const friendship = friendships.find(f => 
+      const friendship = db.friendships.find(f => 
         (f.userId === currentUserId && f.friendId === user.id) ||
         (f.friendId === currentUserId && f.userId === user.id)
       );
@@ -73,13 +69,13 @@ router.get('/search', authenticateToken, (req, res) => {
 });
 
 // Get nearby friends (based on location and privacy settings)
-router.get('/nearby', authenticateToken, (req, res) => {
+router.get('/nearby', authenticateToken, validate(schemas.nearbyFriends), (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { latitude, longitude, radius = 5 } = req.query;
 
     // Get current user's friends
-    const userFriendships = friendships.filter(f => 
+    const userFriendships = db.friendships.filter(f => 
       (f.userId === currentUserId || f.friendId === currentUserId) && 
       f.status === 'accepted'
     );
@@ -89,7 +85,7 @@ router.get('/nearby', authenticateToken, (req, res) => {
     );
 
     // Get friends who allow location sharing
-    let nearbyFriends = users.filter(user => 
+    let nearbyFriends = db.users.filter(user => 
       friendIds.includes(user.id) && 
       user.preferences?.privacy?.showInNearby === true
     );
@@ -131,13 +127,13 @@ router.get('/nearby', authenticateToken, (req, res) => {
 });
 
 // Get user's friends list
-router.get('/friends', authenticateToken, (req, res) => {
+router.get('/friends', authenticateToken, validate(schemas.listFriends), (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { status = 'accepted' } = req.query;
 
     // Get friendships for current user
-    let userFriendships = friendships.filter(f => 
+    let userFriendships = db.friendships.filter(f => 
       (f.userId === currentUserId || f.friendId === currentUserId)
     );
 
@@ -151,7 +147,7 @@ router.get('/friends', authenticateToken, (req, res) => {
       const friendId = friendship.userId === currentUserId ? 
         friendship.friendId : friendship.userId;
       
-      const friend = users.find(u => u.id === friendId);
+      const friend = db.users.findById(friendId);
       
       return {
         friendshipId: `${friendship.userId}-${friendship.friendId}`,
@@ -189,18 +185,11 @@ router.get('/friends', authenticateToken, (req, res) => {
 });
 
 // Send friend request
-router.post('/friends/request', authenticateToken, (req, res) => {
+router.post('/friends/request', authenticateToken, validate(schemas.sendFriendRequest), (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { userId } = req.body;
 
-    if (!userId) {
-      return res.status(400).json({
-        error: 'User ID is required',
-        code: 'MISSING_USER_ID'
-      });
-    }
-
     if (userId === currentUserId) {
       return res.status(400).json({
         error: 'Cannot send friend request to yourself',
@@ -209,7 +198,7 @@ router.post('/friends/request', authenticateToken, (req, res) => {
     }
 
     // Check if target user exists
-    const targetUser = users.find(u => u.id === userId);
+    const targetUser = db.users.findById(userId);
     if (!targetUser) {
       return res.status(404).json({
         error: 'User not found',
@@ -218,7 +207,7 @@ router.post('/friends/request', authenticateToken, (req, res) => {
     }
 
     // Check if friendship already exists
-    const existingFriendship = friendships.find(f => 
+    const existingFriendship = db.friendships.find(f => 
       (f.userId === currentUserId && f.friendId === userId) ||
       (f.friendId === currentUserId && f.userId === userId)
     );
@@ -238,7 +227,13 @@ router.post('/friends/request', authenticateToken, (req, res) => {
       createdAt: new Date().toISOString()
     };
 
-    friendships.push(newFriendship);
+    db.friendships.insert(newFriendship);
+
+    notify(userId, 'friend_request', {
+      title: 'Friend request',
+      message: `${nameOf(currentUserId)} wants to be your friend`,
+      data: { friendshipId: `${currentUserId}-${userId}`, fromUserId: currentUserId }
+    });
 
     res.status(201).json({
       success: true,
@@ -268,36 +263,25 @@ router.post('/friends/request', authenticateToken, (req, res) => {
 });
 
 // Respond to friend request (accept/decline)
-router.put('/friends/request/:friendshipId', authenticateToken, (req, res) => {
+router.put('/friends/request/:friendshipId', authenticateToken, validate(schemas.respondToFriendRequest), (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { friendshipId } = req.params;
     const { action } = req.body; // 'accept' or 'decline'
 
-    if (!['accept', 'decline'].includes(action)) {
-      return res.status(400).json({
-        error: 'Action must be either "accept" or "decline"',
-        code: 'INVALID_ACTION'
-      });
-    }
-
     // Parse friendship ID (format: "userId-friendId")
     const [userId, friendId] = friendshipId.split('-').map(id => parseInt(id));
 
     // Find the friendship request
-    const friendshipIndex = friendships.findIndex(f => 
-      f.userId === userId && f.friendId === friendId
-    );
+    const friendship = db.friendships.findById(`${userId}-${friendId}`);
 
-    if (friendshipIndex === -1) {
+    if (!friendship) {
       return res.status(404).json({
         error: 'Friend request not found',
         code: 'REQUEST_NOT_FOUND'
       });
     }
 
-    const friendship = friendships[friendshipIndex];
-
     // Check if current user is the recipient of the request
     if (friendship.friendId !== currentUserId) {
       return res.status(403).json({
@@ -315,13 +299,18 @@ router.put('/friends/request/:friendshipId', authenticateToken, (req, res) => {
 
     // Update friendship status
     if (action === 'accept') {
-      friendships[friendshipIndex].status = 'accepted';
+      db.friendships.update(db.friendshipKey(friendship), { status: 'accepted' });
+      notify(friendship.userId, 'friend_request_accepted', {
+        title: 'Friend request accepted',
+        message: `${nameOf(currentUserId)} accepted your friend request`,
+        data: { friendshipId, fromUserId: currentUserId }
+      });
     } else {
       // Remove the friendship request if declined
-      friendships.splice(friendshipIndex, 1);
+      db.friendships.remove(db.friendshipKey(friendship));
     }
 
-    const responseUser = users.find(u => u.id === userId);
+    const responseUser = db.users.findById(userId);
 
     res.json({
       success: true,
@@ -351,7 +340,7 @@ router.put('/friends/request/:friendshipId', authenticateToken, (req, res) => {
 });
 
 // Remove friend
-router.delete('/friends/:friendshipId', authenticateToken, (req, res) => {
+router.delete('/friends/:friendshipId', authenticateToken, validate(schemas.removeFriend), (req, res) => {
   try {
     const currentUserId = req.user.id;
     const { friendshipId } = req.params;
@@ -360,20 +349,18 @@ router.delete('/friends/:friendshipId', authenticateToken, (req, res) => {
     const [userId, friendId] = friendshipId.split('-').map(id => parseInt(id));
 
     // Find the friendship
-    const friendshipIndex = friendships.findIndex(f => 
+    const friendship = db.friendships.find(f => 
       (f.userId === userId && f.friendId === friendId) ||
       (f.userId === friendId && f.friendId === userId)
     );
 
-    if (friendshipIndex === -1) {
+    if (!friendship) {
       return res.status(404).json({
         error: 'Friendship not found',
         code: 'FRIENDSHIP_NOT_FOUND'
       });
     }
 
-    const friendship = friendships[friendshipIndex];
-
     // Check if current user is part of this friendship
     if (friendship.userId !== currentUserId && friendship.friendId !== currentUserId) {
       return res.status(403).json({
@@ -383,7 +370,7 @@ router.delete('/friends/:friendshipId', authenticateToken, (req, res) => {
     }
 
     // Remove friendship
-    friendships.splice(friendshipIndex, 1);
+    db.friendships.remove(db.friendshipKey(friendship));
 
     res.json({
       success: true,
@@ -400,12 +387,12 @@ router.delete('/friends/:friendshipId', authenticateToken, (req, res) => {
 });
 
 // Get user profile by ID
-router.get('/:userId', optionalAuth, (req, res) => {
+router.get('/:userId', optionalAuth, validate(schemas.getUser), (req, res) => {
   try {
     const { userId } = req.params;
     const currentUserId = req.user?.id;
 
-    const user = users.find(u => u.id === parseInt(userId));
+    const user = db.users.findById(parseInt(userId));
 
     if (!user) {
       return res.status(404).json({
@@ -417,7 +404,7 @@ router.get('/:userId', optionalAuth, (req, res) => {
     // Check friendship status if authenticated
     let friendshipStatus = 'none';
     if (currentUserId && currentUserId !== user.id) {
-      const friendship = friendships.find(f => 
+      const friendship = db.friendships.find(f => 
         (f.userId === currentUserId && f.friendId === user.id) ||
         (f.friendId === currentUserId && f.userId === user.id)
       );
@@ -0,0 +1,67 @@
+// Endpoint schemas for /api/admin - development helpers, no auth
+const { pagination, currency, date } = require('./common');
+const { object, list, ref } = require('./models');
+
+module.exports = {
+  storage: {
+    description: 'Get storage driver info',
+    response: {
+      data: object({
+        storage: object({
+          driver: { type: 'string', enum: ['json', 'memory'] },
+          location: { type: 'string', nullable: true, description: 'the data file, for the json driver' }
+        })
+      })
+    }
+  },
+
+  reset: {
+    description: 'Reset all data to the seed data (disabled in production)',
+    response: { message: 'Data reset to seed successfully' },
+    errors: ['FORBIDDEN']
+  },
+
+  runRecurring: {
+    description: 'Create any recurring bills that are due now',
+    response: { data: object({ createdBillIds: list({ type: 'string' }) }) }
+  },
+
+  runReminders: {
+    description: 'Send any payment reminders that are due now',
+    response: { data: object({ reminders: list(ref('Reminder')) }) }
+  },
+
+  getOutbox: {
+    description: 'Read the emails the API has sent, newest first (disabled in production)',
+    query: {
+      to: { type: 'string', description: 'recipient email' },
+      template: { type: 'string', enum: ['email_verification', 'password_reset', 'password_changed'] },
+      limit: pagination(20).limit
+    },
+    response: { data: object({ messages: list(ref('Mail')), total: { type: 'integer' } }) },
+    errors: ['FORBIDDEN']
+  },
+
+  clearOutbox: {
+    description: 'Empty the email outbox (disabled in production)',
+    response: { data: object({ deletedCount: { type: 'integer' } }) },
+    errors: ['FORBIDDEN']
+  },
+
+  setRate: {
+    description: 'Add or replace a rate against USD for a date (disabled in production)',
+    params: {
+      currency: { ...currency, required: true }
+    },
+    body: {
+      rate: { type: 'number', positive: true, required: true, description: 'units of the currency per USD' },
+      date: { ...date, description: 'default today' }
+    },
+    response: {
+      status: [200, 201],
+      description: '201 when the date had no rate yet, 200 when it was replaced',
+      data: object({ rate: ref('ExchangeRate') })
+    },
+    errors: ['FORBIDDEN', 'UNSUPPORTED_CURRENCY']
+  }
+};
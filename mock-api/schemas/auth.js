@@ -0,0 +1,175 @@
+// Endpoint schemas for /api/auth
+const { EMAIL_PATTERN } = require('../services/accounts');
+const { currency, text } = require('./common');
+const { object, list, ref, timestamp } = require('./models');
+
+const email = {
+  type: 'string',
+  maxLength: 254,
+  pattern: EMAIL_PATTERN,
+  patternMessage: 'must be a valid email address'
+};
+
+const password = { type: 'string', minLength: 1, maxLength: 128 };
+const newPassword = { ...password, description: 'at least 8 characters with letters and numbers' };
+
+// A new session: the user plus their tokens
+const sessionStart = { ...ref('SessionTokens'), properties: { user: ref('User') } };
+const userData = object({ user: ref('User') });
+const SESSION_ERRORS = ['INVALID_REFRESH_TOKEN', 'REFRESH_TOKEN_REUSED', 'SESSION_EXPIRED'];
+
+const notificationSwitch = { type: 'boolean' };
+const privacySwitch = { type: 'boolean' };
+
+module.exports = {
+  login: {
+    description: 'Login with email and password - starts a session',
+    body: {
+      email: { ...email, required: true },
+      password: { ...password, required: true }
+    },
+    response: { data: sessionStart },
+    errors: ['INVALID_CREDENTIALS']
+  },
+
+  register: {
+    description: 'Register a new user account and send a verification email',
+    body: {
+      email: { ...email, required: true },
+      password: { ...newPassword, required: true },
+      name: text(100, { required: true }),
+      username: text(30, {
+        required: true,
+        pattern: /^[A-Za-z0-9_.-]+$/,
+        patternMessage: 'may only contain letters, numbers, dots, dashes and underscores'
+      }),
+      phone: { type: 'string', nullable: true, maxLength: 30 }
+    },
+    response: { status: 201, data: sessionStart },
+    errors: ['WEAK_PASSWORD', 'USER_EXISTS']
+  },
+
+  getProfile: {
+    description: 'Get current user profile',
+    response: { data: userData },
+    errors: ['USER_NOT_FOUND']
+  },
+
+  updateProfile: {
+    description: 'Update name, phone or preferences - preferences are merged into the saved ones',
+    body: {
+      name: text(100),
+      phone: { type: 'string', nullable: true, maxLength: 30 },
+      preferences: {
+        type: 'object',
+        properties: {
+          currency,
+          notifications: {
+            type: 'object',
+            properties: {
+              billReminders: notificationSwitch,
+              paymentReceived: notificationSwitch,
+              friendRequests: notificationSwitch,
+              newBills: notificationSwitch
+            }
+          },
+          privacy: {
+            type: 'object',
+            properties: {
+              shareLocation: privacySwitch,
+              showInNearby: privacySwitch
+            }
+          }
+        }
+      }
+    },
+    response: { data: userData },
+    errors: ['UNSUPPORTED_CURRENCY', 'USER_NOT_FOUND']
+  },
+
+  changePassword: {
+    description: 'Change password with the current one, signing out other sessions',
+    body: {
+      currentPassword: { ...password, required: true },
+      newPassword: { ...newPassword, required: true }
+    },
+    response: { message: 'Password changed successfully' },
+    errors: ['USER_NOT_FOUND', 'INVALID_CREDENTIALS', 'WEAK_PASSWORD']
+  },
+
+  forgotPassword: {
+    description: 'Email a password reset link',
+    body: {
+      email: { ...email, required: true }
+    },
+    response: { message: 'If an account exists for that email, a reset link has been sent' }
+  },
+
+  resetPassword: {
+    description: 'Set a new password with the token from the reset email',
+    body: {
+      token: text(200, { required: true }),
+      newPassword: { ...newPassword, required: true }
+    },
+    response: { message: 'Password reset successfully - please log in with your new password' },
+    errors: ['INVALID_TOKEN', 'WEAK_PASSWORD']
+  },
+
+  verifyEmail: {
+    description: 'Verify your email address with the token from the verification email',
+    body: {
+      token: text(200, { required: true })
+    },
+    response: { data: userData },
+    errors: ['INVALID_TOKEN']
+  },
+
+  resendVerification: {
+    description: 'Send a new verification email',
+    response: { message: 'Verification email sent to you@example.com' },
+    errors: ['USER_NOT_FOUND', 'ALREADY_VERIFIED']
+  },
+
+  refresh: {
+    description: 'Swap a refresh token for a new access token and refresh token - each refresh token works once',
+    body: {
+      refreshToken: text(200, { required: true })
+    },
+    response: { data: ref('SessionTokens') },
+    errors: ['USER_NOT_FOUND', ...SESSION_ERRORS]
+  },
+
+  logout: {
+    description: 'Logout, revoking the current session and access token',
+    response: { message: 'Logged out successfully' }
+  },
+
+  listSessions: {
+    description: 'List your active sessions',
+    response: { data: object({ sessions: list(ref('Session')) }) }
+  },
+
+  revokeSession: {
+    description: 'Revoke one of your sessions',
+    params: {
+      sessionId: { type: 'string', required: true }
+    },
+    response: { message: 'Session revoked successfully' },
+    errors: ['SESSION_NOT_FOUND']
+  },
+
+  createDownloadToken: {
+    description: 'Get a token for one download link, valid for a minute - pass it as ?token= instead of your access token',
+    body: {
+      path: {
+        type: 'string',
+        required: true,
+        maxLength: 200,
+        pattern: /^\/bills\/(export|[^/]+\/statement)$/,
+        patternMessage: 'must be /bills/export or /bills/:billId/statement',
+        description: 'the link to open, relative to /api'
+      }
+    },
+    response: { data: object({ token: { type: 'string' }, path: { type: 'string' }, expiresAt: timestamp }) }
+  }
+};
@@ -0,0 +1,33 @@
+// Endpoint schemas for /api/balances
+const { userId, text } = require('./common');
+const { list, ref } = require('./models');
+const { SETTLEMENT_ERRORS } = require('./errors');
+
+module.exports = {
+  getBalances: {
+    description: 'Who owes you and whom you owe across active bills, with simplified payments',
+    response: { data: ref('Balances') }
+  },
+
+  settleUp: {
+    description: 'Settle everything with one person, recording a payment on each bill between you - what you pay them stays pending until they confirm it',
+    body: {
+      counterpartId: { ...userId, required: true },
+      method: text(50, { required: true, description: 'e.g. cash, venmo' })
+    },
+    response: {
+      status: 201,
+      data: {
+        ...ref('Balances'),
+        description: 'your balances after settling up',
+        properties: {
+          payments: list({
+            ...ref('Payment'),
+            properties: { billId: { type: 'string' }, billTitle: { type: 'string' } }
+          })
+        }
+      }
+    },
+    errors: ['INVALID_REQUEST', 'NOTHING_TO_SETTLE', ...SETTLEMENT_ERRORS]
+  }
+};
@@ -0,0 +1,426 @@
+// Endpoint schemas for /api/bills
+const {
+  userId,
+  participantId,
+  date,
+  idempotencyKey,
+  money,
+  positiveMoney,
+  currency,
+  text,
+  pagination,
+  queryBoolean,
+  item,
+  participant,
+  splitMethod,
+  billStatus,
+  location
+} = require('./common');
+const { ACTIVITY_TYPES } = require('../services/activity');
+const { object, list, ref, timestamp } = require('./models');
+const {
+  SETTLEMENT_ERRORS,
+  ASSIGNMENT_ERRORS,
+  INVITE_ERRORS,
+  UPLOAD_ERRORS,
+  EDITABLE_BILL_ERRORS,
+  PAYMENT_ERRORS
+} = require('./errors');
+
+const billId = { type: 'string', required: true };
+const itemId = { type: 'string', required: true };
+const groupId = { type: 'string', description: 'file the bill under one of your groups' };
+const menuItemId = { type: ['integer', 'string'], nullable: true, description: 'fills in name, price and image' };
+const units = { type: 'integer', min: 1 };
+
+const billParams = { billId };
+const paymentParams = { billId, paymentId: { type: 'string', required: true } };
+const itemParams = { billId, itemId };
+const assignmentParams = { billId, itemId, participantId: { ...participantId, required: true } };
+
+const billData = object({ bill: ref('Bill') });
+const itemData = object({ item: ref('Item'), bill: ref('Bill') });
+const paymentData = object({ payment: ref('Payment'), bill: ref('Bill') });
+const assignmentData = (extra) => ({ ...ref('AssignmentState'), properties: { ...extra, bill: ref('Bill') } });
+const inviteData = object({ invite: ref('Invite') });
+const assignedItem = ref('Item', { description: "the participant's entry for the item after the change" });
+
+// One activity type, or several separated by commas
+const activityType = `(${ACTIVITY_TYPES.join('|')})`;
+const activityTypes = {
+  type: 'string',
+  pattern: new RegExp(`^${activityType}(,${activityType})*$`),
+  patternMessage: `must be one or more of ${ACTIVITY_TYPES.join(', ')}, separated by commas`,
+  description: 'e.g. bill_updated,item_edited'
+};
+
+module.exports = {
+  listBills: {
+    description: 'Get your bills, newest first, in timeline format',
+    query: {
+      status: billStatus,
+      groupId: { type: 'string' },
+      archived: { ...queryBoolean, description: 'true lists only archived bills, which are left out otherwise' },
+      from: { ...date, description: 'created on or after' },
+      to: { ...date, description: 'created on or before' },
+      ...pagination(50)
+    },
+    response: {
+      data: object({ bills: list(ref('TimelineBill')), pagination: ref('Pagination') })
+    }
+  },
+
+  getBill: {
+    description: 'Get a specific bill',
+    params: billParams,
+    response: { data: billData },
+    errors: ['BILL_NOT_FOUND', 'FORBIDDEN']
+  },
+
+  createBill: {
+    description: 'Create a new bill - a group bill without participants starts with the whole group',
+    headers: idempotencyKey,
+    body: {
+      title: text(200, { required: true }),
+      totalAmount: { ...positiveMoney, required: true },
+      tax: money,
+      tip: money,
+      currency: { ...currency, description: "defaults to your preferred currency" },
+      splitMethod: { ...splitMethod, description: "defaults to itemized, or the group's default split" },
+      participants: { type: 'array', items: participant },
+      items: { type: 'array', items: item },
+      restaurantId: { type: ['integer', 'string'], nullable: true },
+      location,
+      groupId: { ...groupId, nullable: true }
+    },
+    response: { status: 201, data: billData },
+    errors: ['UNSUPPORTED_CURRENCY', 'GROUP_NOT_FOUND', 'IDEMPOTENCY_KEY_REUSED', ...SETTLEMENT_ERRORS]
+  },
+
+  updateBill: {
+    description: 'Update a bill - balances are recomputed and inconsistent changes rejected',
+    params: billParams,
+    headers: {
+      'If-Match': {
+        type: 'string',
+        minLength: 1,
+        description: 'the ETag of the version you edited, e.g. "3" - the update is refused if the bill changed since'
+      }
+    },
+    body: {
+      title: text(200),
+      totalAmount: money,
+      tax: money,
+      tip: money,
+      currency: { ...currency, description: "can't change once payments are recorded" },
+      splitMethod,
+      status: billStatus,
+      participants: { type: 'array', items: participant },
+      items: { type: 'array', items: item },
+      groupId: { ...groupId, nullable: true, description: 'null takes the bill out of its group' }
+    },
+    response: { data: billData },
+    errors: [
+      ...EDITABLE_BILL_ERRORS,
+      'VERSION_CONFLICT',
+      'GROUP_NOT_FOUND',
+      'UNSUPPORTED_CURRENCY',
+      'CURRENCY_LOCKED',
+      'BILL_NOT_SETTLED',
+      ...SETTLEMENT_ERRORS
+    ]
+  },
+
+  deleteBill: {
+    description: 'Move a bill to the trash (creator only) - it can be restored until `purgeAt`',
+    params: billParams,
+    query: {
+      confirm: { ...queryBoolean, description: 'required to delete a bill people still owe money on' }
+    },
+    response: {
+      message: 'Bill moved to trash - it can be restored for 30 days',
+      data: object({ bill: ref('DeletedBill') })
+    },
+    errors: ['BILL_NOT_FOUND', 'FORBIDDEN', 'OUTSTANDING_BALANCE']
+  },
+
+  exportBills: {
+    description: 'Download your bills as CSV, one row per person per bill with their share, tax, tip and payments, oldest first',
+    query: {
+      format: { type: 'string', enum: ['csv'], description: 'csv, the default' },
+      status: billStatus,
+      from: { ...date, description: 'created on or after' },
+      to: { ...date, description: 'created on or before' },
+      counterpartId: { ...participantId, description: 'only bills shared with this person' },
+      token: { type: 'string', description: 'download token from POST /auth/download-token, for links opened in a browser' }
+    },
+    response: {
+      contentType: 'text/csv',
+      description: 'A CSV attachment with a header row - see the README for the columns'
+    }
+  },
+
+  listTrash: {
+    description: 'Bills you deleted that can still be restored, most recently deleted first',
+    response: {
+      data: object({
+        bills: list(ref('DeletedBill')),
+        retentionDays: { type: 'integer', description: 'how long deleted bills are kept' }
+      })
+    }
+  },
+
+  restoreBill: {
+    description: 'Restore a bill from the trash (creator only)',
+    params: billParams,
+    response: { data: billData },
+    errors: ['BILL_NOT_FOUND', 'RESTORE_EXPIRED']
+  },
+
+  archiveBill: {
+    description: 'Archive a settled or cancelled bill - it is left out of the timeline but keeps its history',
+    params: billParams,
+    response: { data: billData },
+    errors: ['BILL_NOT_FOUND', 'BILL_NOT_SETTLED']
+  },
+
+  unarchiveBill: {
+    description: 'Put an archived bill back in the timeline',
+    params: billParams,
+    response: { data: billData },
+    errors: ['BILL_NOT_FOUND']
+  },
+
+  addPayment: {
+    description: 'Record a payment - it stays pending until the receiver confirms it. Other currencies are converted at the rate of the payment date',
+    params: billParams,
+    headers: idempotencyKey,
+    body: {
+      amount: { ...positiveMoney, required: true },
+      method: text(50, { required: true, description: 'e.g. cash, credit_card, venmo' }),
+      toUserId: { type: ['integer', 'string'], nullable: true, description: 'who was paid, not yourself - leave out when paying the venue' },
+      currency: { ...currency, description: "defaults to the bill's currency" },
+      transactionId: text(100, { description: 'reference from your bank or payment app, to help the receiver find it' })
+    },
+    response: { status: 201, data: paymentData },
+    errors: ['BILL_NOT_FOUND', 'FORBIDDEN', 'UNSUPPORTED_CURRENCY', 'IDEMPOTENCY_KEY_REUSED', ...SETTLEMENT_ERRORS]
+  },
+
+  confirmPayment: {
+    description: 'Confirm a pending payment you received - it then counts towards the bill',
+    params: paymentParams,
+    response: { data: paymentData },
+    errors: PAYMENT_ERRORS
+  },
+
+  rejectPayment: {
+    description: "Reject a pending payment you didn't receive",
+    params: paymentParams,
+    body: {
+      reason: text(200)
+    },
+    response: { data: paymentData },
+    errors: PAYMENT_ERRORS
+  },
+
+  refundPayment: {
+    description: 'Refund a confirmed payment you received - it stops counting and the payer owes it again',
+    params: paymentParams,
+    body: {
+      reason: text(200)
+    },
+    response: { data: paymentData },
+    errors: PAYMENT_ERRORS
+  },
+
+  getStatement: {
+    description: "A printable statement of the bill: items, each person's share with tax and tip, and payments",
+    params: billParams,
+    query: {
+      download: { ...queryBoolean, description: 'true sends it as an attachment' },
+      token: { type: 'string', description: 'download token from POST /auth/download-token, for links opened in a browser' }
+    },
+    response: {
+      contentType: 'text/html',
+      description: 'A standalone HTML page, laid out for printing or saving as PDF'
+    },
+    errors: ['BILL_NOT_FOUND']
+  },
+
+  uploadReceipt: {
+    description: 'Upload a receipt image (multipart field "receipt", JPEG/PNG/WebP/HEIC, max 5MB)',
+    params: billParams,
+    multipart: {
+      receipt: { type: 'file', required: true, description: 'JPEG, PNG, WebP or HEIC, max 5MB' }
+    },
+    response: {
+      status: 201,
+      data: object({ receiptImage: { type: 'string', description: 'where to download it' }, receipt: ref('Receipt') })
+    },
+    errors: [...EDITABLE_BILL_ERRORS, ...UPLOAD_ERRORS]
+  },
+
+  getReceipt: {
+    description: 'Download the uploaded receipt image',
+    params: billParams,
+    query: {
+      download: { ...queryBoolean, description: 'true sends it as an attachment' }
+    },
+    response: { contentType: 'image/*', description: 'The receipt image as uploaded' },
+    errors: ['BILL_NOT_FOUND', 'FORBIDDEN', 'RECEIPT_NOT_FOUND']
+  },
+
+  addItem: {
+    description: 'Add a line item - name and price are required unless menuItemId is given',
+    params: billParams,
+    body: {
+      name: text(200),
+      price: { ...money, description: 'unit price' },
+      quantity: { ...units, description: 'default 1' },
+      menuItemId,
+      image: { type: 'string', nullable: true }
+    },
+    response: { status: 201, data: itemData },
+    errors: [...EDITABLE_BILL_ERRORS, 'MENU_ITEM_NOT_FOUND', 'MISSING_FIELDS', ...SETTLEMENT_ERRORS]
+  },
+
+  updateItem: {
+    description: 'Edit a line item - assignments pick up the new details',
+    params: itemParams,
+    body: {
+      name: text(200),
+      price: { ...money, description: 'unit price' },
+      quantity: units,
+      menuItemId,
+      image: { type: 'string', nullable: true }
+    },
+    response: { data: itemData },
+    errors: [...EDITABLE_BILL_ERRORS, 'ITEM_NOT_FOUND', 'MENU_ITEM_NOT_FOUND', ...SETTLEMENT_ERRORS]
+  },
+
+  removeItem: {
+    description: 'Remove a line item and its assignments',
+    params: itemParams,
+    response: { data: billData },
+    errors: [...EDITABLE_BILL_ERRORS, 'ITEM_NOT_FOUND', ...SETTLEMENT_ERRORS]
+  },
+
+  getAssignments: {
+    description: 'Get item assignments and how many units of each item are still unassigned',
+    params: billParams,
+    response: { data: ref('AssignmentState') },
+    errors: EDITABLE_BILL_ERRORS
+  },
+
+  assignItem: {
+    description: 'Assign an item, or some of its units, to a participant',
+    params: itemParams,
+    body: {
+      participantId: { ...participantId, required: true },
+      quantity: { ...units, description: 'units to assign, default 1' }
+    },
+    response: { status: 201, data: assignmentData({ assignment: assignedItem }) },
+    errors: [...EDITABLE_BILL_ERRORS, ...ASSIGNMENT_ERRORS]
+  },
+
+  reassignItem: {
+    description: 'Move an item, or some of its units, to another participant',
+    params: assignmentParams,
+    body: {
+      toParticipantId: { ...participantId, required: true },
+      quantity: { ...units, description: 'units to move, default all held' }
+    },
+    response: { data: assignmentData({ assignment: assignedItem }) },
+    errors: [...EDITABLE_BILL_ERRORS, ...ASSIGNMENT_ERRORS]
+  },
+
+  unassignItem: {
+    description: 'Unassign an item from a participant',
+    params: assignmentParams,
+    query: {
+      quantity: { ...units, description: 'units to unassign, default all held' }
+    },
+    response: { data: assignmentData({}) },
+    errors: [...EDITABLE_BILL_ERRORS, ...ASSIGNMENT_ERRORS]
+  },
+
+  createInvite: {
+    description: 'Create an invite code for a bill',
+    params: billParams,
+    body: {
+      expiresInHours: { type: 'number', positive: true, nullable: true, description: 'default never' },
+      maxUses: { type: 'integer', min: 1, nullable: true, description: 'default unlimited' }
+    },
+    response: { status: 201, data: inviteData },
+    errors: EDITABLE_BILL_ERRORS
+  },
+
+  listInvites: {
+    description: "List a bill's invite codes",
+    params: billParams,
+    response: { data: object({ invites: list(ref('Invite')) }) },
+    errors: EDITABLE_BILL_ERRORS
+  },
+
+  revokeInvite: {
+    description: 'Revoke an invite code',
+    params: { billId, code: { type: 'string', required: true } },
+    response: { data: inviteData },
+    errors: [...EDITABLE_BILL_ERRORS, 'INVITE_NOT_FOUND']
+  },
+
+  joinBill: {
+    description: 'Join a bill as a participant using an invite code',
+    params: { code: { type: 'string', required: true } },
+    response: {
+      status: [200, 201],
+      description: '201 when you joined, 200 when you were already on the bill',
+      data: object({ bill: ref('Bill'), alreadyParticipant: { type: 'boolean' } })
+    },
+    errors: [...INVITE_ERRORS, 'BILL_NOT_FOUND', 'BILL_CLOSED', ...SETTLEMENT_ERRORS]
+  },
+
+  getReminders: {
+    description: 'Reminders sent on a bill and who still owes money',
+    params: billParams,
+    response: {
+      data: object({
+        reminders: list(ref('Reminder')),
+        debtors: list(ref('Debtor')),
+        schedule: object({
+          reminderDays: { type: 'array', items: { type: 'integer' }, description: 'days after the bill that automatic reminders go out' },
+          nudgeCooldownHours: { type: 'number' }
+        })
+      })
+    },
+    errors: EDITABLE_BILL_ERRORS
+  },
+
+  sendReminder: {
+    description: 'Nudge someone who owes you money (once per cooldown per person)',
+    params: billParams,
+    body: {
+      participantId: { ...participantId, required: true },
+      message: { type: 'string', maxLength: 500 }
+    },
+    response: {
+      status: 201,
+      data: object({ reminder: ref('Reminder'), nextNudgeAt: timestamp })
+    },
+    errors: [...EDITABLE_BILL_ERRORS, 'BILL_CLOSED', 'PARTICIPANT_NOT_FOUND', 'NOTHING_OWED', 'REMINDERS_DISABLED', 'REMINDER_RATE_LIMITED']
+  },
+
+  getActivities: {
+    description: 'Get the audit trail of a bill, newest first',
+    params: billParams,
+    query: {
+      type: activityTypes,
+      userId: { ...userId, description: 'only what this user did' },
+      ...pagination(50)
+    },
+    response: {
+      data: object({ activities: list(ref('Activity')), pagination: ref('Pagination') })
+    },
+    errors: ['BILL_NOT_FOUND']
+  }
+};
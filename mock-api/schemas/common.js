@@ -0,0 +1,100 @@
+// Field specs shared by several endpoint schemas (see middleware/validate.js)
+const { SPLIT_METHODS, BILL_STATUSES } = require('../services/settlement');
+
+const userId = { type: 'integer', min: 1 };
+
+// Bill participants are usually users, but people added by name only have string ids
+const participantId = { type: ['integer', 'string'] };
+
+const money = { type: 'money' };
+const positiveMoney = { type: 'money', positive: true };
+
+const currency = {
+  type: 'string',
+  pattern: /^[A-Za-z]{3}$/,
+  patternMessage: 'must be a 3-letter ISO 4217 code',
+  description: 'e.g. USD, EUR'
+};
+
+const date = { type: 'date' };
+
+// Header for endpoints behind the `idempotent` middleware
+const idempotencyKey = {
+  'Idempotency-Key': {
+    type: 'string',
+    minLength: 1,
+    maxLength: 255,
+    description: 'any unique value, e.g. a UUID - a retry with the same key gets the first response instead of repeating the request'
+  }
+};
+
+const text = (maxLength, extra = {}) => ({ type: 'string', minLength: 1, maxLength, ...extra });
+
+const pagination = (defaultLimit, maxLimit = 100) => ({
+  limit: { type: 'integer', min: 1, max: maxLimit, description: `default ${defaultLimit}` },
+  offset: { type: 'integer', min: 0, description: 'default 0' }
+});
+
+const queryBoolean = { type: 'boolean', description: 'true or false' };
+
+// Line items - anything beyond these fields is kept as sent
+const item = {
+  type: 'object',
+  additionalProperties: true,
+  properties: {
+    id: { type: 'string', required: true, minLength: 1 },
+    name: text(200),
+    price: { type: 'money', required: true, description: 'unit price' },
+    quantity: { type: 'integer', min: 1 },
+    menuItemId: { type: ['integer', 'string'], nullable: true },
+    image: { type: 'string', nullable: true }
+  }
+};
+
+// Bill participants - figures the settlement engine derives (netBalance,
+// totalOwed...) may be sent back and are ignored
+const participant = {
+  type: 'object',
+  additionalProperties: true,
+  properties: {
+    id: { ...participantId, required: true },
+    name: text(100),
+    avatar: { type: 'string', nullable: true },
+    items: { type: 'array', items: item },
+    percentage: { type: 'number', min: 0, max: 100, description: 'for percentage splits' },
+    customAmount: { type: 'money', description: 'for custom splits' }
+  }
+};
+
+const splitMethod = { type: 'string', enum: SPLIT_METHODS };
+const billStatus = { type: 'string', enum: BILL_STATUSES };
+
+const location = {
+  type: 'object',
+  nullable: true,
+  additionalProperties: true,
+  properties: {
+    name: { type: 'string' },
+    address: { type: 'string' },
+    latitude: { type: 'number', min: -90, max: 90 },
+    longitude: { type: 'number', min: -180, max: 180 }
+  }
+};
+
+module.exports = {
+  userId,
+  participantId,
+  money,
+  positiveMoney,
+  currency,
+  date,
+  idempotencyKey,
+  text,
+  pagination,
+  queryBoolean,
+  item,
+  participant,
+  splitMethod,
+  billStatus,
+  location
+};
@@ -0,0 +1,35 @@
+// Endpoint schemas for /api/currencies
+const { currency, date } = require('./common');
+const { object, list, ref } = require('./models');
+
+const baseCurrency = { type: 'string', description: 'every rate is against it' };
+
+module.exports = {
+  listCurrencies: {
+    description: 'Supported currencies with their latest rate against USD',
+    response: { data: object({ baseCurrency, currencies: list(ref('Currency')) }) }
+  },
+
+  listRates: {
+    description: 'Exchange-rate table with rate dates',
+    query: { currency },
+    response: { data: object({ baseCurrency, rates: list(ref('ExchangeRate')) }) }
+  },
+
+  convert: {
+    description: 'Convert an amount between currencies, optionally at the rates of a date',
+    query: {
+      amount: { type: 'number', required: true },
+      from: { ...currency, required: true },
+      to: { ...currency, required: true },
+      date: { ...date, description: 'default latest rates' }
+    },
+    response: {
+      data: object({
+        original: object({ amount: { type: 'number' }, currency: { type: 'string' } }),
+        converted: ref('Conversion')
+      })
+    },
+    errors: ['UNSUPPORTED_CURRENCY']
+  }
+};
@@ -0,0 +1,155 @@
+// Every error code the API responds with, and its HTTP status. Endpoint schemas
+// list the codes they can return in `errors`; /api/openapi.json documents them
+// per endpoint and lists this whole catalogue under `x-error-codes`.
+const ERROR_CODES = {
+  // 400
+  VALIDATION_ERROR: { status: 400, description: 'The request does not match the endpoint schema - see `fields`' },
+  INVALID_REQUEST: { status: 400, description: 'The request makes no sense, e.g. befriending or settling up with yourself' },
+  MISSING_FIELDS: { status: 400, description: 'A field that is only optional in some cases is missing' },
+  UNSUPPORTED_CURRENCY: { status: 400, description: 'The currency has no exchange rate' },
+  CURRENCY_LOCKED: { status: 400, description: "A bill's currency can't change once payments are recorded" },
+  BILL_NOT_SETTLED: { status: 400, description: 'Only a bill with nothing left to pay can be marked settled or archived' },
+  BILL_CLOSED: { status: 400, description: 'The bill is settled or cancelled' },
+  INVALID_SPLIT_METHOD: { status: 400, description: 'Unknown split method' },
+  INVALID_STATUS: { status: 400, description: 'The status does not allow this, or is unknown' },
+  INVALID_AMOUNT: { status: 400, description: 'An amount is negative or not a number' },
+  INVALID_PARTICIPANTS: { status: 400, description: 'A bill needs participants, each with an id' },
+  DUPLICATE_PARTICIPANT: { status: 400, description: 'A participant appears twice' },
+  INVALID_ITEM: { status: 400, description: 'An item has no id, a negative price or a bad quantity' },
+  UNKNOWN_ITEM: { status: 400, description: 'A participant holds an item that is not on the bill' },
+  QUANTITY_EXCEEDED: { status: 400, description: 'More units are assigned than the bill has' },
+  INVALID_QUANTITY: { status: 400, description: 'Quantity must be a positive integer' },
+  TOTAL_MISMATCH: { status: 400, description: "Items or custom amounts don't add up to the bill total" },
+  PERCENTAGE_MISMATCH: { status: 400, description: "Participant percentages don't add up to 100" },
+  INVALID_PAYMENT: { status: 400, description: 'The payment is not between participants of the bill' },
+  MISSING_FILE: { status: 400, description: 'No file was uploaded' },
+  INVALID_FILE_TYPE: { status: 400, description: 'The file is not a JPEG, PNG, WebP or HEIC image' },
+  INVALID_UPLOAD: { status: 400, description: 'The upload could not be read' },
+  INVALID_GROUP: { status: 400, description: "The group's default split doesn't fit its members" },
+  LAST_ADMIN: { status: 400, description: 'A group needs at least one admin' },
+  INVALID_RECURRING_BILL: { status: 400, description: "The recurring bill, its schedule or the occurrence date doesn't work" },
+  RECURRING_BILL_ENDED: { status: 400, description: 'The recurring bill has ended' },
+  ALREADY_RESPONDED: { status: 400, description: 'The friend request was already answered' },
+  WEAK_PASSWORD: { status: 400, description: 'Passwords need at least 8 characters with letters and numbers' },
+  INVALID_TOKEN: { status: 400, description: 'The reset or verification token is invalid, used or expired' },
+
+  // 401
+  UNAUTHORIZED: { status: 401, description: 'No access token was sent' },
+  TOKEN_EXPIRED: { status: 401, description: 'The access token expired - refresh it' },
+  TOKEN_REVOKED: { status: 401, description: 'The access token was revoked by logging out' },
+  INVALID_CREDENTIALS: { status: 401, description: 'Wrong email or password' },
+  INVALID_REFRESH_TOKEN: { status: 401, description: 'The refresh token is unknown' },
+  REFRESH_TOKEN_REUSED: { status: 401, description: 'The refresh token was already used - its session is revoked' },
+  SESSION_EXPIRED: { status: 401, description: 'The session expired or was revoked' },
+
+  // 403
+  FORBIDDEN: { status: 403, description: "The access token is invalid, or you can't do this to the resource" },
+
+  // 404
+  NOT_FOUND: { status: 404, description: 'No such endpoint' },
+  USER_NOT_FOUND: { status: 404, description: 'User not found' },
+  SESSION_NOT_FOUND: { status: 404, description: 'Session not found' },
+  BILL_NOT_FOUND: { status: 404, description: "Bill not found, or you can't see it" },
+  ITEM_NOT_FOUND: { status: 404, description: 'Item not found on the bill' },
+  MENU_ITEM_NOT_FOUND: { status: 404, description: 'Menu item not found' },
+  PARTICIPANT_NOT_FOUND: { status: 404, description: 'Participant not found on the bill' },
+  PAYMENT_NOT_FOUND: { status: 404, description: 'Payment not found on the bill' },
+  ASSIGNMENT_NOT_FOUND: { status: 404, description: "The item isn't assigned to that participant" },
+  RECEIPT_NOT_FOUND: { status: 404, description: 'The bill has no uploaded receipt' },
+  INVITE_NOT_FOUND: { status: 404, description: 'Invite code not found' },
+  RESTAURANT_NOT_FOUND: { status: 404, description: 'Restaurant not found' },
+  GROUP_NOT_FOUND: { status: 404, description: "Group not found, or you aren't a member" },
+  MEMBER_NOT_FOUND: { status: 404, description: 'Not a member of the group' },
+  RECURRING_BILL_NOT_FOUND: { status: 404, description: "Recurring bill not found, or you can't see it" },
+  SKIP_NOT_FOUND: { status: 404, description: "The date isn't skipped" },
+  NOTIFICATION_NOT_FOUND: { status: 404, description: 'Notification not found' },
+  FRIENDSHIP_NOT_FOUND: { status: 404, description: 'Friendship not found' },
+  REQUEST_NOT_FOUND: { status: 404, description: 'Friend request not found' },
+  NOTHING_TO_SETTLE: { status: 404, description: 'No active bills with money owed between you' },
+
+  // 409
+  USER_EXISTS: { status: 409, description: 'The email or username is taken' },
+  ALREADY_VERIFIED: { status: 409, description: 'The email address is already verified' },
+  FRIENDSHIP_EXISTS: { status: 409, description: 'You are already friends, or a request is pending' },
+  MEMBER_EXISTS: { status: 409, description: 'Already a member of the group' },
+  ALREADY_ASSIGNED: { status: 409, description: 'The item is already assigned to that participant' },
+  NOTHING_OWED: { status: 409, description: "The participant doesn't owe you anything" },
+  REMINDERS_DISABLED: { status: 409, description: 'The participant turned bill reminders off' },
+  ALREADY_SKIPPED: { status: 409, description: 'The date is already skipped' },
+  OCCURRENCE_CREATED: { status: 409, description: 'The bill for that date was already created' },
+  OUTSTANDING_BALANCE: { status: 409, description: 'Money is still owed on the bill - confirm to delete it anyway. `details` has who owes what' },
+  INVALID_PAYMENT_STATUS: { status: 409, description: 'Only pending payments can be confirmed or rejected, and only confirmed ones refunded' },
+
+  // 410
+  INVITE_REVOKED: { status: 410, description: 'The invite was revoked' },
+  INVITE_EXPIRED: { status: 410, description: 'The invite has expired' },
+  INVITE_EXHAUSTED: { status: 410, description: 'The invite reached its use limit' },
+  RESTORE_EXPIRED: { status: 410, description: 'The bill was deleted too long ago to restore' },
+
+  // 412
+  VERSION_CONFLICT: { status: 412, description: 'The bill changed since the version in `If-Match` - `details` has the current bill and what changed' },
+
+  // 413
+  FILE_TOO_LARGE: { status: 413, description: 'The file is over 5MB' },
+
+  // 422
+  IDEMPOTENCY_KEY_REUSED: { status: 422, description: 'The Idempotency-Key was already used for a different request' },
+
+  // 429
+  REMINDER_RATE_LIMITED: { status: 429, description: 'You nudged them recently - see nextNudgeAt' },
+
+  // 500
+  INTERNAL_ERROR: { status: 500, description: 'Something went wrong on the server' }
+};
+
+// Codes the settlement engine rejects a bill with (see services/settlement.js)
+const SETTLEMENT_ERRORS = [
+  'INVALID_SPLIT_METHOD',
+  'INVALID_STATUS',
+  'INVALID_AMOUNT',
+  'INVALID_PARTICIPANTS',
+  'DUPLICATE_PARTICIPANT',
+  'INVALID_ITEM',
+  'UNKNOWN_ITEM',
+  'QUANTITY_EXCEEDED',
+  'TOTAL_MISMATCH',
+  'PERCENTAGE_MISMATCH',
+  'INVALID_PAYMENT'
+];
+
+// ...and the ones for item assignments on top (see services/assignments.js)
+const ASSIGNMENT_ERRORS = [
+  ...SETTLEMENT_ERRORS,
+  'ITEM_NOT_FOUND',
+  'PARTICIPANT_NOT_FOUND',
+  'INVALID_QUANTITY',
+  'ALREADY_ASSIGNED',
+  'ASSIGNMENT_NOT_FOUND'
+];
+
+const INVITE_ERRORS = ['INVITE_NOT_FOUND', 'INVITE_REVOKED', 'INVITE_EXPIRED', 'INVITE_EXHAUSTED'];
+const UPLOAD_ERRORS = ['MISSING_FILE', 'INVALID_FILE_TYPE', 'INVALID_UPLOAD', 'FILE_TOO_LARGE'];
+
+// A bill the current user can change: findEditableBill in routes/bills.js
+const EDITABLE_BILL_ERRORS = ['BILL_NOT_FOUND', 'FORBIDDEN'];
+
+// A payment the current user received: updatePayment in routes/bills.js
+const PAYMENT_ERRORS = ['BILL_NOT_FOUND', 'PAYMENT_NOT_FOUND', 'FORBIDDEN', 'INVALID_PAYMENT_STATUS', ...SETTLEMENT_ERRORS];
+
+// Added to endpoints automatically, depending on what they accept
+const VALIDATION_ERRORS = ['VALIDATION_ERROR'];
+const AUTH_ERRORS = ['UNAUTHORIZED', 'TOKEN_EXPIRED', 'TOKEN_REVOKED', 'FORBIDDEN'];
+const SERVER_ERRORS = ['INTERNAL_ERROR'];
+
+module.exports = {
+  ERROR_CODES,
+  SETTLEMENT_ERRORS,
+  ASSIGNMENT_ERRORS,
+  INVITE_ERRORS,
+  UPLOAD_ERRORS,
+  EDITABLE_BILL_ERRORS,
+  PAYMENT_ERRORS,
+  VALIDATION_ERRORS,
+  AUTH_ERRORS,
+  SERVER_ERRORS
+};
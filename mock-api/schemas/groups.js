@@ -0,0 +1,106 @@
+// Endpoint schemas for /api/groups
+const { GROUP_ROLES, GROUP_SPLIT_METHODS } = require('../services/groups');
+const { userId, text } = require('./common');
+const { object, ref } = require('./models');
+
+const groupParams = { groupId: { type: 'string', required: true } };
+const memberParams = { ...groupParams, userId: { ...userId, required: true } };
+const role = { type: 'string', enum: GROUP_ROLES };
+
+// Percentages are keyed by member user id and have to cover every member
+const defaultSplit = {
+  type: 'object',
+  properties: {
+    splitMethod: { type: 'string', enum: GROUP_SPLIT_METHODS, required: true },
+    percentages: {
+      type: 'object',
+      nullable: true,
+      additionalProperties: true,
+      description: 'percentage split only - { [userId]: percentage } adding up to 100'
+    }
+  }
+};
+
+const groupData = object({ group: ref('Group') });
+
+module.exports = {
+  listGroups: {
+    description: 'Get the groups you belong to',
+    response: { data: object({ groups: { type: 'array', items: ref('Group') } }) }
+  },
+
+  createGroup: {
+    description: 'Create a group - you become its admin',
+    body: {
+      name: text(100, { required: true }),
+      description: { type: 'string', nullable: true, maxLength: 500 },
+      memberIds: { type: 'array', items: userId, description: 'other members, default none' },
+      defaultSplit: { ...defaultSplit, description: 'default itemized' }
+    },
+    response: { status: 201, data: groupData },
+    errors: ['USER_NOT_FOUND', 'INVALID_GROUP']
+  },
+
+  getGroup: {
+    description: 'Get a group with its members',
+    params: groupParams,
+    response: { data: groupData },
+    errors: ['GROUP_NOT_FOUND']
+  },
+
+  updateGroup: {
+    description: 'Update name, description or defaultSplit - admins only',
+    params: groupParams,
+    body: {
+      name: text(100),
+      description: { type: 'string', nullable: true, maxLength: 500 },
+      defaultSplit
+    },
+    response: { data: groupData },
+    errors: ['GROUP_NOT_FOUND', 'FORBIDDEN', 'INVALID_GROUP']
+  },
+
+  deleteGroup: {
+    description: 'Delete a group, keeping its bills - admins only',
+    params: groupParams,
+    response: { message: 'Group deleted successfully' },
+    errors: ['GROUP_NOT_FOUND', 'FORBIDDEN']
+  },
+
+  addMember: {
+    description: 'Add a member - admins only',
+    params: groupParams,
+    body: {
+      userId: { ...userId, required: true },
+      role: { ...role, description: 'default member' }
+    },
+    response: { status: 201, data: groupData },
+    errors: ['GROUP_NOT_FOUND', 'FORBIDDEN', 'USER_NOT_FOUND', 'MEMBER_EXISTS']
+  },
+
+  updateMemberRole: {
+    description: "Change a member's role - admins only",
+    params: memberParams,
+    body: {
+      role: { ...role, required: true }
+    },
+    response: { data: groupData },
+    errors: ['GROUP_NOT_FOUND', 'FORBIDDEN', 'MEMBER_NOT_FOUND', 'LAST_ADMIN']
+  },
+
+  removeMember: {
+    description: 'Remove a member - admins only',
+    params: memberParams,
+    response: { data: groupData },
+    errors: ['GROUP_NOT_FOUND', 'FORBIDDEN', 'MEMBER_NOT_FOUND', 'LAST_ADMIN']
+  },
+
+  leaveGroup: {
+    description: 'Leave a group - the last admin hands over the role, the last member deletes it',
+    params: groupParams,
+    response: {
+      data: object({ groupDeleted: { type: 'boolean', description: 'true when you were the last member' } })
+    },
+    errors: ['GROUP_NOT_FOUND']
+  }
+};
@@ -0,0 +1,460 @@
+// Response models, in the same field-spec language as the request schemas.
+// Endpoint schemas point at them with `ref(name)`; /api/openapi.json lists
+// them under components.schemas. A ref with `properties` of its own is the
+// model plus those fields.
+const { SPLIT_METHODS, BILL_STATUSES, PAYMENT_STATUSES } = require('../services/settlement');
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+const { GROUP_ROLES, GROUP_SPLIT_METHODS } = require('../services/groups');
+const { ACTIVITY_TYPES } = require('../services/activity');
+const { FREQUENCIES, AMOUNT_TYPES, RECURRING_SPLIT_METHODS } = require('../services/recurring');
+
+const object = (properties) => ({ type: 'object', properties });
+const list = (items) => ({ type: 'array', items });
+const ref = (name, extra = {}) => ({ ref: name, ...extra });
+const map = (values, description) => ({ type: 'object', additionalProperties: values, description });
+
+const timestamp = { type: 'string', format: 'date-time' };
+const nullableTimestamp = { ...timestamp, nullable: true };
+const date = { type: 'date' };
+const url = { type: 'string', nullable: true };
+const anyId = { type: ['integer', 'string'] };
+const freeform = { type: 'object', additionalProperties: true };
+
+// Amounts that can't go below zero, and balances that can
+const amount = { type: 'money' };
+const balance = { type: 'number', description: 'positive when owed money, negative when owing' };
+
+const PublicUser = object({
+  id: { type: 'integer' },
+  name: { type: 'string' },
+  username: { type: 'string' },
+  avatar: url,
+  lastActive: timestamp
+});
+
+const models = {
+  User: object({
+    id: { type: 'integer' },
+    email: { type: 'string' },
+    username: { type: 'string' },
+    name: { type: 'string' },
+    avatar: url,
+    phone: { type: 'string', nullable: true },
+    preferences: object({
+      currency: { type: 'string' },
+      notifications: map({ type: 'boolean' }, 'notification switches, e.g. billReminders'),
+      privacy: object({
+        shareLocation: { type: 'boolean' },
+        showInNearby: { type: 'boolean' }
+      })
+    }),
+    emailVerified: { type: 'boolean' },
+    emailVerifiedAt: nullableTimestamp,
+    createdAt: timestamp,
+    lastActive: timestamp
+  }),
+
+  PublicUser,
+
+  // GET /users/:userId - phone and lastActive only for friends and yourself
+  UserProfile: object({
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    username: { type: 'string' },
+    avatar: url,
+    createdAt: timestamp,
+    friendshipStatus: { type: 'string', description: 'none, pending or accepted - only when signed in' },
+    phone: { type: 'string', nullable: true },
+    lastActive: timestamp
+  }),
+
+  SessionTokens: object({
+    token: { type: 'string', description: 'access token for the Authorization header' },
+    expiresIn: { type: 'string', description: 'access token lifetime, e.g. 15m' },
+    refreshToken: { type: 'string', description: 'single use - POST /auth/refresh returns a new one' },
+    refreshTokenExpiresAt: timestamp,
+    sessionId: { type: 'string' }
+  }),
+
+  Session: object({
+    id: { type: 'string' },
+    userAgent: { type: 'string', nullable: true },
+    ip: { type: 'string', nullable: true },
+    createdAt: timestamp,
+    lastUsedAt: timestamp,
+    expiresAt: timestamp,
+    current: { type: 'boolean', description: 'the session making this request' }
+  }),
+
+  Friendship: object({
+    friendshipId: { type: 'string', description: '"{requesterId}-{recipientId}"' },
+    user: PublicUser,
+    status: { type: 'string', enum: ['pending', 'accepted'] },
+    sentByMe: { type: 'boolean' },
+    createdAt: timestamp
+  }),
+
+  Item: object({
+    id: { type: 'string' },
+    menuItemId: { type: ['integer', 'string'], nullable: true },
+    name: { type: 'string' },
+    price: { ...amount, description: 'unit price' },
+    quantity: { type: 'integer' },
+    image: url
+  }),
+
+  Participant: object({
+    id: anyId,
+    name: { type: 'string' },
+    avatar: url,
+    items: list(ref('Item')),
+    percentage: { type: 'number', description: 'percentage splits only' },
+    customAmount: { ...amount, description: 'custom splits only' },
+    subtotal: amount,
+    taxShare: amount,
+    tipShare: amount,
+    totalOwed: amount,
+    paidAmount: { ...amount, description: 'confirmed payments only' },
+    unconfirmedAmount: { ...amount, description: 'paid but waiting for the receiver to confirm' },
+    netBalance: balance,
+    paymentStatus: { type: 'string', enum: ['pending', 'partial', 'paid'] },
+    paidAt: { ...timestamp, description: 'when the participant finished paying' }
+  }),
+
+  Payment: object({
+    id: { type: 'string' },
+    fromUserId: anyId,
+    toUserId: { ...anyId, nullable: true },
+    amount,
+    currency: { type: 'string' },
+    billAmount: { ...amount, description: 'amount in the bill currency, when paid in another one' },
+    exchangeRate: { type: 'number' },
+    rateDate: { ...date, nullable: true },
+    status: { type: 'string', enum: PAYMENT_STATUSES, description: 'only completed payments count towards the bill' },
+    method: { type: 'string' },
+    transactionId: { type: 'string', description: 'reference from the bank or payment app, when the payer gave one' },
+    reason: { type: 'string', description: 'why it was rejected or refunded' },
+    createdAt: timestamp,
+    confirmedAt: timestamp,
+    rejectedAt: timestamp,
+    refundedAt: timestamp
+  }),
+
+  Receipt: object({
+    fileName: { type: 'string' },
+    originalName: { type: 'string' },
+    mimeType: { type: 'string' },
+    size: { type: 'integer' },
+    uploadedBy: { type: 'integer' },
+    uploadedAt: timestamp
+  }),
+
+  Bill: object({
+    id: { type: 'string' },
+    title: { type: 'string' },
+    restaurantId: { type: ['integer', 'string'], nullable: true },
+    groupId: { type: 'string', nullable: true },
+    createdBy: { type: 'integer' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    version: { type: 'integer', description: 'goes up with every change - send it back as `If-Match` to update' },
+    status: { type: 'string', enum: BILL_STATUSES },
+    splitMethod: { type: 'string', enum: SPLIT_METHODS },
+    currency: { type: 'string' },
+    totalAmount: amount,
+    tax: amount,
+    tip: amount,
+    finalAmount: { ...amount, description: 'total plus tax and tip' },
+    collectedAmount: amount,
+    pendingAmount: amount,
+    unassignedAmount: amount,
+    participants: list(ref('Participant')),
+    items: list(ref('Item')),
+    payments: list(ref('Payment')),
+    location: { ...freeform, nullable: true },
+    receiptImage: url,
+    receipt: ref('Receipt', { nullable: true }),
+    archivedAt: { ...nullableTimestamp, description: 'set while the bill is archived' },
+    archivedBy: { type: 'integer', nullable: true }
+  }),
+
+  DeletedBill: {
+    ...ref('Bill'),
+    properties: {
+      deletedAt: timestamp,
+      deletedBy: { type: 'integer' },
+      purgeAt: { ...timestamp, description: 'when the bill is removed for good' }
+    }
+  },
+
+  TimelineBill: object({
+    id: { type: 'string' },
+    time: { type: 'string', description: 'MM/DD' },
+    title: { type: 'string' },
+    description: { type: 'string', description: 'your balance on the bill, e.g. "You owe $12.00 to Tom"' },
+    status: { type: 'string', enum: BILL_STATUSES },
+    groupId: { type: 'string', nullable: true },
+    totalAmount: amount,
+    currency: { type: 'string' },
+    convertedTotal: ref('Conversion', { nullable: true, description: 'in your preferred currency' }),
+    participants: list(object({ id: anyId, name: { type: 'string' }, avatar: url })),
+    bill: ref('Bill')
+  }),
+
+  Pagination: object({
+    total: { type: 'integer' },
+    limit: { type: 'integer' },
+    offset: { type: 'integer' },
+    hasMore: { type: 'boolean' }
+  }),
+
+  Activity: object({
+    id: { type: 'string' },
+    billId: { type: 'string' },
+    billVersion: { type: 'integer', description: 'the version of the bill after the change' },
+    userId: { type: 'integer', description: 'who did it' },
+    type: { type: 'string', enum: ACTIVITY_TYPES },
+    description: { type: 'string' },
+    metadata: {
+      ...freeform,
+      description: 'details of the activity - edits and deletions list their `changes`',
+      properties: {
+        changes: list(ref('ActivityChange'))
+      }
+    },
+    timestamp
+  }),
+
+  ActivityChange: object({
+    field: { type: 'string', description: 'bill field, `participants`, `items`, or `bill` for a deletion' },
+    id: { ...anyId, description: 'the participant or item, for those' },
+    before: { description: 'null when added' },
+    after: { description: 'null when removed' }
+  }),
+
+  AssignmentState: object({
+    items: list({ ...ref('Item'), description: 'every item with its unassigned units as `remaining`' }),
+    assignments: map(list(ref('Item')), 'items each participant holds, by participant id'),
+    quantityAssignments: map(map({ type: 'integer' }), 'units of multi-unit items, by item id then participant id')
+  }),
+
+  Invite: object({
+    code: { type: 'string' },
+    billId: { type: 'string' },
+    createdBy: { type: 'integer' },
+    createdAt: timestamp,
+    expiresAt: nullableTimestamp,
+    maxUses: { type: 'integer', nullable: true },
+    uses: { type: 'integer' },
+    joinedUserIds: list({ type: 'integer' }),
+    revokedAt: nullableTimestamp,
+    link: { type: 'string' },
+    isActive: { type: 'boolean' }
+  }),
+
+  Reminder: object({
+    id: { type: 'string' },
+    billId: { type: 'string' },
+    userId: anyId,
+    type: { type: 'string', enum: ['automatic', 'nudge'] },
+    sentBy: { type: 'integer', nullable: true },
+    stage: { type: 'integer', nullable: true, description: 'days after the bill for automatic reminders' },
+    amount,
+    currency: { type: 'string' },
+    notificationId: { type: 'string', nullable: true },
+    createdAt: timestamp
+  }),
+
+  Debtor: object({
+    userId: anyId,
+    name: { type: 'string' },
+    amount,
+    creditors: list(object({ userId: anyId, amount })),
+    lastRemindedAt: nullableTimestamp,
+    canNudge: { type: 'boolean' },
+    nextNudgeAt: nullableTimestamp
+  }),
+
+  Group: object({
+    id: { type: 'string' },
+    name: { type: 'string' },
+    description: { type: 'string', nullable: true },
+    createdBy: { type: 'integer' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    defaultSplit: object({
+      splitMethod: { type: 'string', enum: GROUP_SPLIT_METHODS },
+      percentages: { ...map({ type: 'number' }, 'by member id'), nullable: true }
+    }),
+    members: list(object({
+      id: { type: 'integer' },
+      name: { type: 'string' },
+      username: { type: 'string', nullable: true },
+      avatar: url,
+      role: { type: 'string', enum: GROUP_ROLES },
+      joinedAt: timestamp
+    })),
+    yourRole: { type: 'string', enum: GROUP_ROLES, nullable: true },
+    billCount: { type: 'integer' }
+  }),
+
+  RecurringBill: object({
+    id: { type: 'string' },
+    title: { type: 'string' },
+    createdBy: { type: 'integer' },
+    createdAt: timestamp,
+    updatedAt: timestamp,
+    status: { type: 'string', enum: ['active', 'paused', 'ended'] },
+    amount: { ...amount, nullable: true },
+    amountType: { type: 'string', enum: AMOUNT_TYPES },
+    currency: { type: 'string' },
+    splitMethod: { type: 'string', enum: RECURRING_SPLIT_METHODS },
+    participants: list(ref('Participant')),
+    groupId: { type: 'string', nullable: true },
+    schedule: object({
+      frequency: { type: 'string', enum: FREQUENCIES },
+      dayOfWeek: { type: 'integer', description: 'weekly - 0 is Sunday' },
+      dayOfMonth: { type: 'integer', description: 'monthly' },
+      intervalDays: { type: 'integer', description: 'custom' },
+      startDate: date,
+      endDate: { ...date, nullable: true }
+    }),
+    nextDueDate: { ...date, nullable: true },
+    upcomingDates: list(date),
+    skippedDates: list(date),
+    occurrenceAmounts: map(amount, 'amounts set ahead for variable bills, by date'),
+    occurrences: list(object({ date, billId: { type: 'string' }, createdAt: timestamp })),
+    lastError: { type: 'string', nullable: true, description: 'why the last occurrence could not be created' },
+    endedAt: nullableTimestamp
+  }),
+
+  Notification: object({
+    id: { type: 'string' },
+    userId: { type: 'integer' },
+    type: { type: 'string', enum: NOTIFICATION_TYPES },
+    title: { type: 'string' },
+    message: { type: 'string' },
+    data: freeform,
+    readAt: nullableTimestamp,
+    read: { type: 'boolean' },
+    createdAt: timestamp
+  }),
+
+  Restaurant: object({
+    id: { type: 'integer' },
+    name: { type: 'string' },
+    address: { type: 'string' },
+    phone: { type: 'string' },
+    cuisine: { type: 'string' },
+    rating: { type: 'number' },
+    priceRange: { type: 'string' },
+    location: object({ latitude: { type: 'number' }, longitude: { type: 'number' } }),
+    hours: map({ type: 'string' }, 'opening hours by weekday'),
+    image: url,
+    distance: { type: 'number', description: 'km - only when searching by location' }
+  }),
+
+  MenuItem: object({
+    id: { type: 'integer' },
+    restaurantId: { type: 'integer' },
+    name: { type: 'string' },
+    description: { type: 'string' },
+    price: amount,
+    category: { type: 'string' },
+    image: url,
+    allergens: list({ type: 'string' }),
+    dietary: list({ type: 'string' }),
+    available: { type: 'boolean' },
+    preparationTime: { type: 'integer', description: 'minutes' }
+  }),
+
+  ExchangeRate: object({
+    currency: { type: 'string' },
+    rate: { type: 'number', description: 'units of the currency per USD' },
+    date,
+    updatedBy: { type: 'integer' }
+  }),
+
+  Currency: object({
+    code: { type: 'string' },
+    name: { type: 'string' },
+    symbol: { type: 'string' },
+    decimals: { type: 'integer' },
+    usdRate: { type: 'number', nullable: true },
+    rateDate: { ...date, nullable: true }
+  }),
+
+  Conversion: object({
+    amount: { type: 'number' },
+    currency: { type: 'string' },
+    rate: { type: 'number' },
+    rateDate: { ...date, nullable: true }
+  }),
+
+  Balances: object({
+    currency: { type: 'string', description: 'your preferred currency - every amount is in it' },
+    balances: list(object({
+      counterpart: object({ id: anyId, name: { type: 'string' }, avatar: url }),
+      netBalance: balance,
+      direction: { type: 'string', enum: ['owes_you', 'you_owe'] },
+      bills: list(object({
+        billId: { type: 'string' },
+        title: { type: 'string' },
+        currency: { type: 'string' },
+        amount: { type: 'number' },
+        convertedAmount: { type: 'number' }
+      }))
+    })),
+    totals: object({ owedToYou: amount, youOwe: amount, net: balance }),
+    simplifiedTransfers: list(object({
+      from: object({ id: anyId, name: { type: 'string' }, avatar: url }),
+      to: object({ id: anyId, name: { type: 'string' }, avatar: url }),
+      amount,
+      involvesYou: { type: 'boolean' }
+    })),
+    exchangeRates: list(object({
+      from: { type: 'string' },
+      to: { type: 'string' },
+      rate: { type: 'number' },
+      rateDate: { ...date, nullable: true }
+    })),
+    billCount: { type: 'integer' }
+  }),
+
+  ParsedReceipt: object({
+    items: list(object({
+      id: { type: 'string' },
+      menuItemId: { type: 'integer', nullable: true },
+      name: { type: 'string' },
+      price: amount,
+      quantity: { type: 'integer' },
+      image: url,
+      lineTotal: amount,
+      rawText: { type: 'string' }
+    })),
+    itemsTotal: amount,
+    subtotal: amount,
+    tax: amount,
+    tip: amount,
+    serviceCharge: amount,
+    total: amount,
+    currency: { type: 'string', nullable: true, description: 'from the currency symbols on the receipt, when they all agree' },
+    matchedItems: { type: 'integer', description: 'items matched to the restaurant menu' },
+    unparsedLines: list({ type: 'string' }),
+    warnings: list({ type: 'string' }),
+    bill: { ...freeform, description: 'ready to send to POST /bills' }
+  }),
+
+  Mail: object({
+    id: { type: 'string' },
+    from: { type: 'string' },
+    to: { type: 'string' },
+    subject: { type: 'string' },
+    text: { type: 'string' },
+    template: { type: 'string' },
+    data: freeform,
+    sentAt: timestamp
+  })
+};
+
+module.exports = { models, object, list, ref, map, timestamp };
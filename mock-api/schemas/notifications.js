@@ -0,0 +1,45 @@
+// Endpoint schemas for /api/notifications
+const { NOTIFICATION_TYPES } = require('../services/notifications');
+const { pagination, queryBoolean } = require('./common');
+const { object, list, ref, map } = require('./models');
+
+const unreadCount = { type: 'integer', min: 0 };
+
+module.exports = {
+  listNotifications: {
+    description: 'Get your notifications, newest first, with the unread count',
+    query: {
+      unreadOnly: queryBoolean,
+      type: { type: 'string', enum: NOTIFICATION_TYPES },
+      ...pagination(20)
+    },
+    response: {
+      data: object({
+        notifications: list(ref('Notification')),
+        unreadCount,
+        pagination: ref('Pagination')
+      })
+    }
+  },
+
+  unreadCount: {
+    description: 'Unread count, overall and per type',
+    response: {
+      data: object({ unreadCount, byType: map(unreadCount, 'by notification type') })
+    }
+  },
+
+  markAllRead: {
+    description: 'Mark all notifications as read',
+    response: { data: object({ markedCount: { type: 'integer' }, unreadCount }) }
+  },
+
+  markRead: {
+    description: 'Mark a notification as read',
+    params: {
+      notificationId: { type: 'string', required: true }
+    },
+    response: { data: object({ notification: ref('Notification'), unreadCount }) },
+    errors: ['NOTIFICATION_NOT_FOUND']
+  }
+};
@@ -0,0 +1,22 @@
+// Endpoint schemas for /api/receipts
+const { text } = require('./common');
+const { object, ref } = require('./models');
+
+const MAX_RECEIPT_TEXT_LENGTH = 20000;
+
+module.exports = {
+  parseReceipt: {
+    description: 'Parse raw receipt text into bill items and totals',
+    body: {
+      text: text(MAX_RECEIPT_TEXT_LENGTH, { required: true, description: 'one line per item' }),
+      restaurantId: { type: ['integer', 'string'], nullable: true, description: 'match items against its menu' }
+    },
+    response: {
+      data: object({
+        restaurant: { ...object({ id: { type: 'integer' }, name: { type: 'string' } }), nullable: true },
+        receipt: ref('ParsedReceipt')
+      })
+    },
+    errors: ['RESTAURANT_NOT_FOUND']
+  }
+};
@@ -0,0 +1,129 @@
+// Endpoint schemas for /api/recurring-bills
+const { FREQUENCIES, AMOUNT_TYPES, RECURRING_SPLIT_METHODS } = require('../services/recurring');
+const { positiveMoney, currency, date, text, participant } = require('./common');
+const { object, list, ref } = require('./models');
+const { SETTLEMENT_ERRORS } = require('./errors');
+
+const seriesParams = { recurringBillId: { type: 'string', required: true } };
+const occurrenceParams = { ...seriesParams, date: { ...date, required: true } };
+
+// Which of dayOfWeek, dayOfMonth and intervalDays is needed depends on the frequency
+const schedule = {
+  type: 'object',
+  properties: {
+    frequency: { type: 'string', enum: FREQUENCIES, required: true },
+    dayOfWeek: { type: 'integer', min: 0, max: 6, description: 'weekly - 0 is Sunday' },
+    dayOfMonth: { type: 'integer', min: 1, max: 31, description: 'monthly - clamped to short months' },
+    intervalDays: { type: 'integer', min: 1, description: 'custom' },
+    startDate: { ...date, required: true },
+    endDate: { ...date, nullable: true }
+  }
+};
+
+const seriesFields = {
+  title: text(200),
+  amount: { ...positiveMoney, description: 'the estimate for variable amounts' },
+  amountType: { type: 'string', enum: AMOUNT_TYPES },
+  currency,
+  splitMethod: { type: 'string', enum: RECURRING_SPLIT_METHODS },
+  participants: { type: 'array', items: participant, minItems: 1 },
+  schedule
+};
+
+const seriesData = object({ recurringBill: ref('RecurringBill') });
+
+// A series the current user created (findSeries in routes/recurringBills.js)
+const OWN_SERIES_ERRORS = ['RECURRING_BILL_NOT_FOUND', 'FORBIDDEN'];
+
+// Why a series can't create its bills (checkSeries in routes/recurringBills.js)
+const SERIES_ERRORS = ['INVALID_RECURRING_BILL', 'UNSUPPORTED_CURRENCY', ...SETTLEMENT_ERRORS];
+
+module.exports = {
+  listRecurringBills: {
+    description: 'Get recurring bills you created or take part in',
+    query: {
+      status: { type: 'string', enum: ['active', 'paused', 'ended'] }
+    },
+    response: { data: object({ recurringBills: list(ref('RecurringBill')) }) }
+  },
+
+  createRecurringBill: {
+    description: 'Create a recurring bill - a group series without participants splits between every member',
+    body: {
+      ...seriesFields,
+      title: { ...seriesFields.title, required: true },
+      amount: { ...seriesFields.amount, required: true },
+      amountType: { ...seriesFields.amountType, description: 'default fixed' },
+      currency: { ...currency, description: 'defaults to your preferred currency' },
+      splitMethod: { ...seriesFields.splitMethod, description: "default equal, or the group's default split" },
+      participants: { type: 'array', items: participant },
+      schedule: { ...schedule, required: true },
+      groupId: { type: 'string', nullable: true }
+    },
+    response: { status: 201, data: seriesData },
+    errors: ['GROUP_NOT_FOUND', ...SERIES_ERRORS]
+  },
+
+  getRecurringBill: {
+    description: 'Get a recurring bill with its upcoming dates and created bills',
+    params: seriesParams,
+    response: { data: seriesData },
+    errors: ['RECURRING_BILL_NOT_FOUND']
+  },
+
+  updateRecurringBill: {
+    description: 'Update a recurring bill for future occurrences - creator only',
+    params: seriesParams,
+    body: seriesFields,
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'RECURRING_BILL_ENDED', ...SERIES_ERRORS]
+  },
+
+  setOccurrenceAmount: {
+    description: 'Set the amount for one date of a variable recurring bill',
+    params: occurrenceParams,
+    body: {
+      amount: { ...positiveMoney, required: true }
+    },
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'INVALID_RECURRING_BILL', 'OCCURRENCE_CREATED']
+  },
+
+  pauseRecurringBill: {
+    description: 'Pause a recurring bill',
+    params: seriesParams,
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'INVALID_STATUS']
+  },
+
+  resumeRecurringBill: {
+    description: 'Resume a paused recurring bill from the next due date',
+    params: seriesParams,
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'INVALID_STATUS', ...SERIES_ERRORS]
+  },
+
+  skipOccurrence: {
+    description: 'Skip an upcoming due date',
+    params: seriesParams,
+    body: {
+      date: { ...date, description: 'default the next due date' }
+    },
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'RECURRING_BILL_ENDED', 'INVALID_RECURRING_BILL', 'ALREADY_SKIPPED']
+  },
+
+  unskipOccurrence: {
+    description: 'Undo a skip',
+    params: occurrenceParams,
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'SKIP_NOT_FOUND']
+  },
+
+  endRecurringBill: {
+    description: 'End a recurring bill, keeping the bills already created',
+    params: seriesParams,
+    response: { data: seriesData },
+    errors: [...OWN_SERIES_ERRORS, 'RECURRING_BILL_ENDED']
+  }
+};
@@ -0,0 +1,69 @@
+// Endpoint schemas for /api/restaurants
+const { money, text, pagination, queryBoolean } = require('./common');
+const { object, list, ref, map } = require('./models');
+
+const restaurantParams = { restaurantId: { type: 'integer', min: 1, required: true } };
+
+module.exports = {
+  searchRestaurants: {
+    description: 'Search restaurants with filters',
+    query: {
+      search: text(100),
+      cuisine: text(50),
+      priceRange: { type: 'string', enum: ['$', '$$', '$$$', '$$$$'] },
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      radius: { type: 'number', positive: true, description: 'km, default 10' },
+      ...pagination(20)
+    },
+    response: {
+      data: object({ restaurants: list(ref('Restaurant')), pagination: ref('Pagination') })
+    }
+  },
+
+  getRestaurant: {
+    description: 'Get restaurant details',
+    params: restaurantParams,
+    response: { data: object({ restaurant: ref('Restaurant') }) },
+    errors: ['RESTAURANT_NOT_FOUND']
+  },
+
+  getMenu: {
+    description: 'Get restaurant menu, grouped by category',
+    params: restaurantParams,
+    query: {
+      category: text(50),
+      available: queryBoolean,
+      search: text(100),
+      ...pagination(50)
+    },
+    response: {
+      data: object({
+        restaurant: object({ id: { type: 'integer' }, name: { type: 'string' }, cuisine: { type: 'string' } }),
+        menuItems: list(ref('MenuItem')),
+        categories: map(list(ref('MenuItem')), 'every matching item, by category'),
+        availableCategories: list({ type: 'string' }),
+        pagination: ref('Pagination')
+      })
+    },
+    errors: ['RESTAURANT_NOT_FOUND']
+  },
+
+  searchMenuItems: {
+    description: 'Search all menu items',
+    query: {
+      search: text(100),
+      category: text(50),
+      dietary: { type: 'string', description: 'e.g. vegan, gluten-free' },
+      maxPrice: money,
+      available: queryBoolean,
+      ...pagination(50)
+    },
+    response: {
+      data: object({
+        menuItems: list({ ...ref('MenuItem'), properties: { restaurant: ref('Restaurant') } }),
+        pagination: ref('Pagination')
+      })
+    }
+  }
+};
@@ -0,0 +1,14 @@
+// Endpoint schemas for /api/stream
+module.exports = {
+  stream: {
+    description: 'Server-Sent Events for your bills: bill.*, item.*, payment.created, payment.updated, activity.created, plus your notification.created',
+    query: {
+      token: { type: 'string', description: 'access token, for clients that cannot set headers' },
+      lastEventId: { type: 'integer', min: 0, description: 'or the Last-Event-ID header - replays missed events' }
+    },
+    response: {
+      contentType: 'text/event-stream',
+      description: 'An event stream - a `ready` event first, then each event as JSON with its `timestamp`'
+    }
+  }
+};
@@ -0,0 +1,97 @@
+// Endpoint schemas for /api/users
+const { userId, text, pagination } = require('./common');
+const { object, list, ref } = require('./models');
+
+const friendshipId = {
+  type: 'string',
+  required: true,
+  pattern: /^\d+-\d+$/,
+  patternMessage: 'must look like "userId-friendId"'
+};
+
+const friendshipData = object({ friendship: ref('Friendship') });
+
+module.exports = {
+  searchUsers: {
+    description: 'Search users by name, username or email',
+    query: {
+      q: text(100, { required: true, minLength: 2 }),
+      ...pagination(10, 50)
+    },
+    response: {
+      data: object({
+        users: list({
+          ...ref('PublicUser'),
+          properties: {
+            friendshipStatus: { type: 'string', enum: ['none', 'pending', 'accepted'] }
+          }
+        }),
+        pagination: ref('Pagination')
+      })
+    }
+  },
+
+  nearbyFriends: {
+    description: 'Friends nearby who share their location',
+    query: {
+      latitude: { type: 'number', min: -90, max: 90 },
+      longitude: { type: 'number', min: -180, max: 180 },
+      radius: { type: 'number', positive: true, description: 'km, default 5' }
+    },
+    response: {
+      data: object({
+        nearbyFriends: list({
+          ...ref('PublicUser'),
+          properties: {
+            distance: { type: 'number', nullable: true, description: 'km - only when a location is given' }
+          }
+        })
+      })
+    }
+  },
+
+  listFriends: {
+    description: 'Get your friends',
+    query: {
+      status: { type: 'string', enum: ['accepted', 'pending', 'all'], description: 'default accepted' }
+    },
+    response: { data: object({ friends: list(ref('Friendship')) }) }
+  },
+
+  sendFriendRequest: {
+    description: 'Send a friend request',
+    body: {
+      userId: { ...userId, required: true }
+    },
+    response: { status: 201, data: friendshipData },
+    errors: ['INVALID_REQUEST', 'USER_NOT_FOUND', 'FRIENDSHIP_EXISTS']
+  },
+
+  respondToFriendRequest: {
+    description: 'Accept or decline a friend request',
+    params: { friendshipId },
+    body: {
+      action: { type: 'string', enum: ['accept', 'decline'], required: true }
+    },
+    response: {
+      data: object({ friendship: ref('Friendship', { nullable: true, description: 'null when declined' }) })
+    },
+    errors: ['REQUEST_NOT_FOUND', 'FORBIDDEN', 'ALREADY_RESPONDED']
+  },
+
+  removeFriend: {
+    description: 'Remove a friend or cancel a request',
+    params: { friendshipId },
+    response: { message: 'Friendship removed successfully' },
+    errors: ['FRIENDSHIP_NOT_FOUND', 'FORBIDDEN']
+  },
+
+  getUser: {
+    description: 'Get a user profile - friends see more',
+    params: {
+      userId: { ...userId, required: true }
+    },
+    response: { data: object({ user: ref('UserProfile') }) },
+    errors: ['USER_NOT_FOUND']
+  }
+};
@@ -0,0 +1,6 @@
+// Reset the persisted mock data back to the seed data in data/
+const { resetToSeed, storageInfo } = require('../storage');
+
+resetToSeed();
+
+console.log(`✅ Mock data reset to seed (${storageInfo.driver}${storageInfo.location ? `: ${storageInfo.location}` : ''})`);
@@ -3,10 +3,15 @@ const cors = require('cors');
 const path = require('path');
 
 // Import routes
-const authRoutes = require('./routes/auth');
-const billRoutes = require('./routes/bills');
-const restaurantRoutes = require('./routes/restaurants');
-const userRoutes = require('./routes/users');
+const { API_ROUTES, listEndpoints } = require('./routes');
+const { storageInfo } = require('./storage');
+const { describeEndpoint } = require('./middleware/validate');
+const { buildOpenApiDocument } = require('./services/openapi');
+const { renderOpenApiHtml } = require('./services/openapiHtml');
+const { version } = require('./package.json');
+const { startRecurringScheduler } = require('./services/recurring');
+const { startReminderScheduler } = require('./services/reminders');
+const { startTrashScheduler } = require('./services/trash');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -14,7 +19,8 @@ const PORT = process.env.PORT || 3001;
 // Middleware
 app.use(cors({
   origin: ['http://localhost:8082', 'http://localhost:19006', 'http://localhost:3000'],
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['ETag', 'Idempotent-Replayed']
 }));
 
 app.use(express.json({ limit: '10mb' }));
@@ -36,65 +42,67 @@ app.get('/health', (req, res) => {
     success: true,
     message: 'Split Bill Mock API is running',
     timestamp: new Date().toISOString(),
-    version: '1.0.0'
+    version
   });
 });
 
 // API Routes
-app.use('/api/auth', authRoutes);
-app.use('/api/bills', billRoutes);
-app.use('/api/restaurants', restaurantRoutes);
-app.use('/api/users', userRoutes);
+API_ROUTES.forEach(({ path, router }) => app.use(`/api${path}`, router));
+
+// Docs are generated from the mounted routes and the schemas they validate with
+const endpoints = listEndpoints();
+const endpointDocs = {};
+endpoints.forEach(endpoint => {
+  endpointDocs[endpoint.area] = {
+    ...endpointDocs[endpoint.area],
+    [`${endpoint.method} ${endpoint.path}`]: describeEndpoint(endpoint)
+  };
+});
+
+const openApiDocument = buildOpenApiDocument(API_ROUTES, endpoints, {
+  version,
+  serverUrl: `http://localhost:${PORT}/api`
+});
+const openApiHtml = renderOpenApiHtml(openApiDocument, { json: '/api/openapi.json', docs: '/api/docs' });
+
+// OpenAPI 3.1 document, with response shapes and error codes
+app.get('/api/openapi.json', (req, res) => {
+  res.json(openApiDocument);
+});
+
+// The same document as a browsable page
+app.get('/api/openapi.html', (req, res) => {
+  res.type('html').send(openApiHtml);
+});
 
 // API documentation endpoint
 app.get('/api/docs', (req, res) => {
   res.json({
     success: true,
     message: 'Split Bill Mock API Documentation',
-    version: '1.0.0',
+    version,
     baseUrl: `http://localhost:${PORT}/api`,
-    endpoints: {
-      auth: {
-        'POST /auth/login': 'Login with email and password',
-        'POST /auth/register': 'Register new user account',
-        'GET /auth/me': 'Get current user profile (requires auth)',
-        'PUT /auth/me': 'Update user profile (requires auth)',
-        'POST /auth/refresh': 'Refresh JWT token (requires auth)',
-        'POST /auth/logout': 'Logout (requires auth)'
-      },
-      bills: {
-        'GET /bills': 'Get user\'s bills with pagination (requires auth)',
-        'GET /bills/:billId': 'Get specific bill details (requires auth)',
-        'POST /bills': 'Create new bill (requires auth)',
-        'PUT /bills/:billId': 'Update bill (requires auth)',
-        'DELETE /bills/:billId': 'Delete bill - creator only (requires auth)',
-        'POST /bills/:billId/payments': 'Add payment to bill (requires auth)',
-        'GET /bills/:billId/activities': 'Get bill activity history (requires auth)'
-      },
-      restaurants: {
-        'GET /restaurants': 'Search restaurants with filters',
-        'GET /restaurants/:restaurantId': 'Get restaurant details',
-        'GET /restaurants/:restaurantId/menu': 'Get restaurant menu',
-        'GET /restaurants/menu/items': 'Search all menu items'
-      },
-      users: {
-        'GET /users/search': 'Search users (requires auth)',
-        'GET /users/nearby': 'Get nearby friends (requires auth)',
-        'GET /users/friends': 'Get friends list (requires auth)',
-        'POST /users/friends/request': 'Send friend request (requires auth)',
-        'PUT /users/friends/request/:friendshipId': 'Accept/decline friend request (requires auth)',
-        'DELETE /users/friends/:friendshipId': 'Remove friend (requires auth)',
-        'GET /users/:userId': 'Get user profile by ID'
-      }
+    openapi: {
+      json: '/api/openapi.json',
+      html: '/api/openapi.html',
+      note: 'Full reference with response shapes and error codes'
     },
+    endpoints: endpointDocs,
     authentication: {
       type: 'Bearer Token (JWT)',
       header: 'Authorization: Bearer <token>',
+      refresh: 'POST /auth/refresh with the refreshToken from login - each refresh token works once',
       demoCredentials: {
         email: 'you@example.com',
         password: 'password123'
       }
     },
+    validation: {
+      status: 400,
+      code: 'VALIDATION_ERROR',
+      fields: 'one { field, in, message } per problem - in is params, query or body',
+      note: 'Unknown body fields are rejected; unknown query parameters are ignored'
+    },
     sampleData: {
       demoUsers: [
         { id: 1, email: 'you@example.com', name: 'You' },
@@ -115,6 +123,8 @@ app.use('*', (req, res) => {
     availableEndpoints: [
       'GET /health',
       'GET /api/docs',
+      'GET /api/openapi.json',
+      'GET /api/openapi.html',
       'POST /api/auth/login',
       'GET /api/bills',
       'GET /api/restaurants',
@@ -125,6 +135,15 @@ app.use('*', (req, res) => {
 
 // Global error handler
 app.use((error, req, res, next) => {
+  // Bodies that aren't JSON get the same response as any other invalid request
+  if (error.type === 'entity.parse.failed') {
+    return res.status(400).json({
+      error: 'Request validation failed',
+      code: 'VALIDATION_ERROR',
+      fields: [{ field: 'body', in: 'body', message: 'must be valid JSON' }]
+    });
+  }
+
   console.error('Global error handler:', error);
   
   res.status(error.status || 500).json({
@@ -140,7 +159,9 @@ app.listen(PORT, () => {
   console.log('\n🚀 Split Bill Mock API Server Started');
   console.log(`📍 Server running on http://localhost:${PORT}`);
   console.log(`📚 API Documentation: http://localhost:${PORT}/api/docs`);
+  console.log(`📖 API Reference: http://localhost:${PORT}/api/openapi.html`);
   console.log(`💚 Health Check: http://localhost:${PORT}/health`);
+  console.log(`💾 Storage: ${storageInfo.driver}${storageInfo.location ? ` (${storageInfo.location})` : ''}`);
   console.log('\n📋 Demo Login Credentials:');
   console.log('   Email: you@example.com');
   console.log('   Password: password123');
@@ -149,7 +170,19 @@ app.listen(PORT, () => {
   console.log('   • Bills: /api/bills/*');
   console.log('   • Restaurants: /api/restaurants/*');
   console.log('   • Users: /api/users/*');
+  console.log('   • Groups: /api/groups/*');
+  console.log('   • Recurring bills: /api/recurring-bills/*');
+  console.log('   • Notifications: /api/notifications/*');
+  console.log('   • Balances: /api/balances/*');
+  console.log('   • Receipts: /api/receipts/*');
+  console.log('   • Currencies: /api/currencies/*');
+  console.log('   • Stream: /api/stream');
+  console.log('   • Admin: /api/admin/*');
   console.log('\n✨ Ready to serve your split bill app!');
+
+  startRecurringScheduler();
+  startReminderScheduler();
+  startTrashScheduler();
 });
 
 module.exports = app;
@@ -0,0 +1,118 @@
+// Account credentials - password hashing and the single-use tokens behind
+// password reset and email verification. Tokens are emailed in a link and
+// only their hash is stored, like refresh tokens.
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const { v4: uuidv4 } = require('uuid');
+const { appLink, sendMail } = require('./mailer');
+const db = require('../storage');
+
+const MIN_PASSWORD_LENGTH = 8;
+const BCRYPT_ROUNDS = 10;
+
+const TOKEN_PURPOSES = {
+  password_reset: { ttlMs: 60 * 60 * 1000, path: 'reset-password' },
+  email_verification: { ttlMs: 7 * 24 * 60 * 60 * 1000, path: 'verify-email' }
+};
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Why a new password can't be used, or null when it can
+const getPasswordProblem = (password) => {
+  if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+    return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+  }
+  if (!/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+    return 'Password must contain both letters and numbers';
+  }
+  return null;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Users saved before passwords were stored per user have no hash and can't
+// log in until they reset their password
+const verifyPassword = async (user, password) =>
+  !!user.password && typeof password === 'string' && bcrypt.compare(password, user.password);
+
+/**
+ * Issue a token for `purpose`, replacing any unused one the user already has.
+ * Returns the raw token - it is only ever sent in the email - and its expiry.
+ */
+const createAccountToken = (userId, purpose) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const now = new Date();
+
+  db.accountTokens.removeWhere(t =>
+    (t.userId === userId && t.purpose === purpose) || new Date(t.expiresAt) <= now
+  );
+  const record = db.accountTokens.insert({
+    id: `token-${uuidv4()}`,
+    userId,
+    purpose,
+    tokenHash: hashToken(token),
+    createdAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + TOKEN_PURPOSES[purpose].ttlMs).toISOString()
+  });
+
+  return { token, expiresAt: record.expiresAt };
+};
+
+// Use up a token. Returns its user id, or null when the token is unknown,
+// expired or meant for something else.
+const consumeAccountToken = (token, purpose) => {
+  if (typeof token !== 'string' || !token) {
+    return null;
+  }
+
+  const hash = hashToken(token);
+  const record = db.accountTokens.find(t => t.tokenHash === hash && t.purpose === purpose);
+  if (!record) {
+    return null;
+  }
+
+  db.accountTokens.remove(record.id);
+  return new Date(record.expiresAt) > new Date() ? record.userId : null;
+};
+
+const sendTokenEmail = (user, purpose, subject, intro) => {
+  const { token, expiresAt } = createAccountToken(user.id, purpose);
+  const link = appLink(TOKEN_PURPOSES[purpose].path, { token });
+
+  return sendMail({
+    to: user.email,
+    subject,
+    text: `Hi ${user.name},\n\n${intro}\n\n${link}\n\nIf you didn't ask for this, you can ignore this email.`,
+    template: purpose,
+    data: { userId: user.id, link, token, expiresAt }
+  });
+};
+
+const sendVerificationEmail = (user) => sendTokenEmail(user, 'email_verification',
+  'Verify your email address',
+  'Confirm this is your email address by opening the link below. It works for 7 days.');
+
+const sendPasswordResetEmail = (user) => sendTokenEmail(user, 'password_reset',
+  'Reset your password',
+  'Someone asked to reset your Split Bill password. Open the link below within an hour to choose a new one.');
+
+const sendPasswordChangedEmail = (user) => sendMail({
+  to: user.email,
+  subject: 'Your password was changed',
+  text: `Hi ${user.name},\n\nYour Split Bill password was just changed and your other devices were signed out. If this wasn't you, reset your password straight away.`,
+  template: 'password_changed',
+  data: { userId: user.id }
+});
+
+module.exports = {
+  EMAIL_PATTERN,
+  getPasswordProblem,
+  hashPassword,
+  verifyPassword,
+  consumeAccountToken,
+  sendVerificationEmail,
+  sendPasswordResetEmail,
+  sendPasswordChangedEmail
+};
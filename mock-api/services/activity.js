@@ -0,0 +1,136 @@
+// Bill activity log - every entry is stored and pushed to the bill's participants
+const { v4: uuidv4 } = require('uuid');
+const db = require('../storage');
+const { publishBillEvent } = require('./events');
+
+const ACTIVITY_TYPES = [
+  'bill_created',
+  'bill_updated',
+  'bill_deleted',
+  'bill_restored',
+  'bill_archived',
+  'bill_unarchived',
+  'payment_made',
+  'payment_confirmed',
+  'payment_rejected',
+  'payment_refunded',
+  'payment_reminder',
+  'receipt_uploaded',
+  'item_added',
+  'item_edited',
+  'item_removed',
+  'item_assigned',
+  'item_reassigned',
+  'item_unassigned',
+  'participant_joined'
+];
+
+// Bill fields compared one by one, with how they read in a description
+const BILL_FIELDS = {
+  title: 'title',
+  totalAmount: 'amount',
+  tax: 'tax',
+  tip: 'tip',
+  currency: 'currency',
+  splitMethod: 'split method',
+  status: 'status',
+  groupId: 'group'
+};
+
+const ITEM_FIELDS = ['name', 'price', 'quantity'];
+
+const isSame = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// What a participant was given, rather than what the settlement engine derived
+const participantSnapshot = (participant) => ({
+  name: participant.name,
+  ...(participant.percentage !== undefined && { percentage: participant.percentage }),
+  ...(participant.customAmount !== undefined && { customAmount: participant.customAmount }),
+  items: (participant.items || []).map(item => ({ id: item.id, quantity: item.quantity || 1 }))
+});
+
+const itemSnapshot = (item) => ({ name: item.name, price: item.price, quantity: item.quantity || 1 });
+
+// `{ field, id, before, after }` for every entry of a list that was added,
+// removed (after: null) or changed, matched up by id
+const diffList = (field, before = [], after = [], snapshot) => {
+  const beforeById = new Map(before.map(entry => [entry.id, snapshot(entry)]));
+  const afterById = new Map(after.map(entry => [entry.id, snapshot(entry)]));
+  const ids = [...new Set([...beforeById.keys(), ...afterById.keys()])];
+
+  return ids
+    .filter(id => !isSame(beforeById.get(id), afterById.get(id)))
+    .map(id => ({
+      field,
+      id,
+      before: beforeById.get(id) || null,
+      after: afterById.get(id) || null
+    }));
+};
+
+/**
+ * The fields of an item that changed, as `{ field, before, after }`.
+ */
+const diffItem = (before, after) => ITEM_FIELDS
+  .map(field => ({ field, before: itemSnapshot(before)[field], after: itemSnapshot(after)[field] }))
+  .filter(change => !isSame(change.before, change.after));
+
+/**
+ * Everything that differs between two versions of a bill, as a list of
+ * `{ field, before, after }`. Participants and items are compared by id and
+ * carry it as `id`; derived figures (shares, balances) are left out since
+ * they follow from the rest.
+ */
+const diffBill = (before, after) => [
+  ...Object.keys(BILL_FIELDS)
+    .filter(field => !isSame(before[field] ?? null, after[field] ?? null))
+    .map(field => ({ field, before: before[field] ?? null, after: after[field] ?? null })),
+  ...diffList('participants', before.participants, after.participants, participantSnapshot),
+  ...diffList('items', before.items, after.items, itemSnapshot)
+];
+
+// "the title, tax and participants"
+const describeChanges = (changes) => {
+  const labels = [...new Set(changes.map(change => BILL_FIELDS[change.field] || change.field))];
+  const last = labels.pop();
+  return `the ${labels.length > 0 ? `${labels.join(', ')} and ${last}` : last}`;
+};
+
+// What is kept of a deleted bill in its activity log
+const billSnapshot = (bill) => ({
+  title: bill.title,
+  totalAmount: bill.totalAmount,
+  tax: bill.tax,
+  tip: bill.tip,
+  finalAmount: bill.finalAmount,
+  currency: bill.currency,
+  status: bill.status,
+  participants: (bill.participants || []).map(p => ({ id: p.id, name: p.name, netBalance: p.netBalance })),
+  items: (bill.items || []).length,
+  payments: (bill.payments || []).length
+});
+
+const recordActivity = (bill, userId, type, description, metadata) => {
+  const activity = db.billActivities.insert({
+    id: `activity-${uuidv4()}`,
+    billId: bill.id,
+    billVersion: bill.version,
+    userId,
+    type,
+    description,
+    ...(metadata && { metadata }),
+    timestamp: new Date().toISOString()
+  });
+
+  publishBillEvent('activity.created', bill, { activity });
+  return activity;
+};
+
+module.exports = {
+  ACTIVITY_TYPES,
+  diffBill,
+  diffItem,
+  describeChanges,
+  billSnapshot,
+  recordActivity
+};
@@ -0,0 +1,213 @@
+// Item assignments - the server side of SplitScreen's drag and drop. A
+// participant's `items` entries are copies of bill items whose `quantity` is
+// the number of units assigned to them. Same rules as assignmentService: an
+// item is never assigned twice to the same person, single-unit items can be
+// shared, and multi-unit items can't be assigned beyond their remaining units.
+const { getItemCatalogue, SettlementError } = require('./settlement');
+
+class AssignmentError extends SettlementError {
+  constructor(message, code, status = 400, details) {
+    super(message, code, details);
+    this.name = 'AssignmentError';
+    this.status = status;
+  }
+}
+
+// Route params are strings, participant ids are usually numbers
+const sameId = (a, b) => String(a) === String(b);
+
+const findItem = (bill, itemId) => {
+  const item = bill.items.find(i => i.id === itemId);
+  if (!item) {
+    throw new AssignmentError('Item not found', 'ITEM_NOT_FOUND', 404);
+  }
+  return item;
+};
+
+const findParticipant = (bill, participantId) => {
+  const participant = bill.participants.find(p => sameId(p.id, participantId));
+  if (!participant) {
+    throw new AssignmentError('Participant not found on this bill', 'PARTICIPANT_NOT_FOUND', 404, { participantId });
+  }
+  return participant;
+};
+
+const findAssignment = (participant, itemId) =>
+  (participant.items || []).find(assigned => assigned.id === itemId) || null;
+
+const getRemainingUnits = (bill, item) => {
+  const assignedUnits = bill.participants.reduce((sum, participant) => {
+    const assigned = findAssignment(participant, item.id);
+    return sum + (assigned ? assigned.quantity || 1 : 0);
+  }, 0);
+  return (item.quantity || 1) - assignedUnits;
+};
+
+const parseQuantity = (quantity, fallback) => {
+  if (quantity === undefined || quantity === null || quantity === '') {
+    return fallback;
+  }
+  const parsed = Number(quantity);
+  if (!Number.isInteger(parsed) || parsed < 1) {
+    throw new AssignmentError('Quantity must be a positive integer', 'INVALID_QUANTITY');
+  }
+  return parsed;
+};
+
+// Bills created before the item catalogue existed get one before assignments change
+const withCatalogue = (bill) => {
+  bill.items = getItemCatalogue(bill);
+  return bill;
+};
+
+const toAssignment = (item, quantity) => ({ ...item, quantity });
+
+/**
+ * Assign an item, or `quantity` units of a multi-unit item, to a participant.
+ * Mutates `bill` and returns the participant's new assignment.
+ */
+const assignItem = (bill, itemId, participantId, quantity) => {
+  withCatalogue(bill);
+  const item = findItem(bill, itemId);
+  const participant = findParticipant(bill, participantId);
+
+  if (findAssignment(participant, itemId)) {
+    throw new AssignmentError(`${item.name} is already assigned to ${participant.name}`, 'ALREADY_ASSIGNED', 409);
+  }
+
+  const units = parseQuantity(quantity, 1);
+
+  // Single-unit items are shared between everyone who takes them
+  if ((item.quantity || 1) === 1) {
+    if (units !== 1) {
+      throw new AssignmentError(`Only one ${item.name} is on the bill`, 'QUANTITY_EXCEEDED', 400, { remaining: 1 });
+    }
+  } else {
+    const remaining = getRemainingUnits(bill, item);
+    if (units > remaining) {
+      throw new AssignmentError(
+        `Only ${remaining} × ${item.name} left to assign`,
+        'QUANTITY_EXCEEDED',
+        400,
+        { remaining }
+      );
+    }
+  }
+
+  const assignment = toAssignment(item, units);
+  participant.items = [...(participant.items || []), assignment];
+  return assignment;
+};
+
+/**
+ * Move an item (or `quantity` of the units held) from one participant to another.
+ * Mutates `bill` and returns the target's new assignment.
+ */
+const reassignItem = (bill, itemId, fromParticipantId, toParticipantId, quantity) => {
+  withCatalogue(bill);
+  const item = findItem(bill, itemId);
+  const source = findParticipant(bill, fromParticipantId);
+  const target = findParticipant(bill, toParticipantId);
+
+  if (sameId(source.id, target.id)) {
+    throw new AssignmentError('Item is already assigned to this participant', 'ALREADY_ASSIGNED', 409);
+  }
+
+  const held = findAssignment(source, itemId);
+  if (!held) {
+    throw new AssignmentError(`${item.name} is not assigned to ${source.name}`, 'ASSIGNMENT_NOT_FOUND', 404);
+  }
+  if (findAssignment(target, itemId)) {
+    throw new AssignmentError(`${item.name} is already assigned to ${target.name}`, 'ALREADY_ASSIGNED', 409);
+  }
+
+  const heldUnits = held.quantity || 1;
+  const units = parseQuantity(quantity, heldUnits);
+  if (units > heldUnits) {
+    throw new AssignmentError(
+      `Only ${heldUnits} × ${item.name} assigned to ${source.name}`,
+      'QUANTITY_EXCEEDED',
+      400,
+      { held: heldUnits }
+    );
+  }
+
+  if (units === heldUnits) {
+    source.items = source.items.filter(assigned => assigned.id !== itemId);
+  } else {
+    held.quantity = heldUnits - units;
+  }
+
+  const assignment = toAssignment(item, units);
+  target.items = [...(target.items || []), assignment];
+  return assignment;
+};
+
+/**
+ * Take an item (or `quantity` of its units) away from a participant. Mutates `bill`.
+ */
+const unassignItem = (bill, itemId, participantId, quantity) => {
+  withCatalogue(bill);
+  const item = findItem(bill, itemId);
+  const participant = findParticipant(bill, participantId);
+
+  const held = findAssignment(participant, itemId);
+  if (!held) {
+    throw new AssignmentError(`${item.name} is not assigned to ${participant.name}`, 'ASSIGNMENT_NOT_FOUND', 404);
+  }
+
+  const heldUnits = held.quantity || 1;
+  const units = parseQuantity(quantity, heldUnits);
+  if (units > heldUnits) {
+    throw new AssignmentError(
+      `Only ${heldUnits} × ${item.name} assigned to ${participant.name}`,
+      'QUANTITY_EXCEEDED',
+      400,
+      { held: heldUnits }
+    );
+  }
+
+  if (units === heldUnits) {
+    participant.items = participant.items.filter(assigned => assigned.id !== itemId);
+  } else {
+    held.quantity = heldUnits - units;
+  }
+};
+
+/**
+ * Assignment state in the shape SplitScreen keeps in React state:
+ * `assignments` maps participant id -> assigned items, `quantityAssignments`
+ * maps multi-unit item id -> { participant id: units }.
+ */
+const getAssignmentState = (bill) => {
+  const catalogue = getItemCatalogue(bill);
+  const assignments = {};
+  const quantityAssignments = {};
+
+  bill.participants.forEach(participant => {
+    assignments[participant.id] = (participant.items || []).map(assigned => {
+      const item = catalogue.find(i => i.id === assigned.id) || assigned;
+      if ((item.quantity || 1) > 1) {
+        quantityAssignments[item.id] = {
+          ...quantityAssignments[item.id],
+          [participant.id]: assigned.quantity || 1
+        };
+      }
+      return item;
+    });
+  });
+
+  return {
+    items: catalogue.map(item => ({ ...item, remaining: getRemainingUnits(bill, item) })),
+    assignments,
+    quantityAssignments
+  };
+};
+
+module.exports = {
+  assignItem,
+  reassignItem,
+  unassignItem,
+  getAssignmentState,
+  AssignmentError
+};
@@ -0,0 +1,116 @@
+// Currency helpers backed by the locally managed exchange-rate table.
+// Every rate is stored as units of the currency per 1 USD on a given date.
+const db = require('../storage');
+
+const BASE_CURRENCY = 'USD';
+
+const CURRENCY_INFO = {
+  USD: { name: 'US Dollar', symbol: '$', decimals: 2 },
+  EUR: { name: 'Euro', symbol: '€', decimals: 2 },
+  GBP: { name: 'British Pound', symbol: '£', decimals: 2 },
+  JPY: { name: 'Japanese Yen', symbol: '¥', decimals: 0 },
+  CAD: { name: 'Canadian Dollar', symbol: 'CA$', decimals: 2 },
+  AUD: { name: 'Australian Dollar', symbol: 'A$', decimals: 2 },
+  CHF: { name: 'Swiss Franc', symbol: 'CHF ', decimals: 2 },
+  MXN: { name: 'Mexican Peso', symbol: 'MX$', decimals: 2 },
+  INR: { name: 'Indian Rupee', symbol: '₹', decimals: 2 },
+  RON: { name: 'Romanian Leu', symbol: 'lei ', decimals: 2 }
+};
+
+const CURRENCY_CODE_PATTERN = /^[A-Z]{3}$/;
+
+const getCurrencyInfo = (currency) => ({
+  code: currency,
+  ...(CURRENCY_INFO[currency] || { name: currency, symbol: `${currency} `, decimals: 2 })
+});
+
+const getSupportedCurrencies = () => {
+  const codes = new Set([BASE_CURRENCY, ...db.exchangeRates.all().map(r => r.currency)]);
+  return [...codes].sort().map(getCurrencyInfo);
+};
+
+const isSupportedCurrency = (currency) =>
+  currency === BASE_CURRENCY || db.exchangeRates.all().some(r => r.currency === currency);
+
+// Latest rate on or before `date` (YYYY-MM-DD), else the earliest one we have
+const findUsdRate = (currency, date) => {
+  if (currency === BASE_CURRENCY) {
+    return { rate: 1, date: null };
+  }
+
+  const rates = db.exchangeRates
+    .filter(r => r.currency === currency)
+    .sort((a, b) => a.date.localeCompare(b.date));
+
+  if (rates.length === 0) {
+    return null;
+  }
+
+  const onOrBefore = date ? rates.filter(r => r.date <= date) : rates;
+  const chosen = onOrBefore.length > 0 ? onOrBefore[onOrBefore.length - 1] : rates[0];
+  return { rate: chosen.rate, date: chosen.date };
+};
+
+/**
+ * Exchange rate to convert `from` into `to` as of `date` (defaults to the latest rates).
+ * Returns { rate, rateDate } or null when either currency has no rate.
+ */
+const getExchangeRate = (from, to, date = null) => {
+  if (from === to) {
+    return { rate: 1, rateDate: null };
+  }
+
+  const fromRate = findUsdRate(from, date);
+  const toRate = findUsdRate(to, date);
+  if (!fromRate || !toRate) {
+    return null;
+  }
+
+  // The older of the two rates is the one the conversion really depends on
+  const rateDates = [fromRate.date, toRate.date].filter(Boolean).sort();
+  return {
+    rate: toRate.rate / fromRate.rate,
+    rateDate: rateDates[0] || null
+  };
+};
+
+const roundToCurrency = (amount, currency) => {
+  const factor = 10 ** getCurrencyInfo(currency).decimals;
+  return Math.round(amount * factor) / factor;
+};
+
+/**
+ * Convert an amount between currencies. Returns
+ * { amount, currency, rate, rateDate } or null when no rate is available.
+ */
+const convert = (amount, from, to, date = null) => {
+  const exchange = getExchangeRate(from, to, date);
+  if (!exchange) {
+    return null;
+  }
+
+  return {
+    amount: roundToCurrency(amount * exchange.rate, to),
+    currency: to,
+    rate: Math.round(exchange.rate * 1e6) / 1e6,
+    rateDate: exchange.rateDate
+  };
+};
+
+const formatMoney = (amount, currency = BASE_CURRENCY) => {
+  const { symbol, decimals } = getCurrencyInfo(currency);
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}${symbol}${Math.abs(amount).toFixed(decimals)}`;
+};
+
+module.exports = {
+  BASE_CURRENCY,
+  CURRENCY_CODE_PATTERN,
+  getCurrencyInfo,
+  getSupportedCurrencies,
+  isSupportedCurrency,
+  getExchangeRate,
+  convert,
+  roundToCurrency,
+  formatMoney
+};
@@ -0,0 +1,178 @@
+// Debt helpers - who owes whom within a bill, across bills, and the fewest
+// transfers that square everyone up. Amounts are integer cents.
+const { allocateCents, toCents } = require('./settlement');
+
+// Largest group size we solve exactly; bigger groups fall back to greedy matching
+const MAX_EXACT_SIMPLIFY = 15;
+
+/**
+ * Pairwise debts on one bill. Each debtor's shortfall is split across the
+ * creditors in proportion to what they are owed.
+ * Returns [{ fromUserId, toUserId, amountCents }]
+ */
+const getBillDebts = (bill) => {
+  const participants = bill.participants || [];
+  const creditors = participants.filter(p => toCents(p.netBalance) > 0);
+  const debtors = participants.filter(p => toCents(p.netBalance) < 0);
+
+  if (creditors.length === 0) {
+    return [];
+  }
+
+  const debts = [];
+  debtors.forEach(debtor => {
+    const shares = allocateCents(-toCents(debtor.netBalance), creditors.map(c => toCents(c.netBalance)));
+    shares.forEach((amountCents, index) => {
+      if (amountCents > 0) {
+        debts.push({ fromUserId: debtor.id, toUserId: creditors[index].id, amountCents });
+      }
+    });
+  });
+  return debts;
+};
+
+// Bills may be in different currencies; callers pass `convertCents(amountCents, bill)`
+// to bring every debt into one currency before amounts are added up
+const sameCurrency = (amountCents) => amountCents;
+
+/**
+ * Net position of `userId` against each counterpart across `bills`.
+ * Positive `netCents` means the counterpart owes the user.
+ */
+const getCounterpartBalances = (bills, userId, convertCents = sameCurrency) => {
+  const byCounterpart = new Map();
+
+  bills.forEach(bill => {
+    getBillDebts(bill).forEach(debt => {
+      if (debt.fromUserId !== userId && debt.toUserId !== userId) {
+        return;
+      }
+
+      const counterpartId = debt.fromUserId === userId ? debt.toUserId : debt.fromUserId;
+      const signedCents = debt.toUserId === userId ? debt.amountCents : -debt.amountCents;
+      const convertedCents = convertCents(signedCents, bill);
+
+      if (!byCounterpart.has(counterpartId)) {
+        byCounterpart.set(counterpartId, { counterpartId, netCents: 0, bills: [] });
+      }
+      const entry = byCounterpart.get(counterpartId);
+      entry.netCents += convertedCents;
+      entry.bills.push({
+        billId: bill.id,
+        title: bill.title,
+        currency: bill.currency,
+        amountCents: signedCents,
+        convertedCents
+      });
+    });
+  });
+
+  return [...byCounterpart.values()];
+};
+
+// Net position of everyone across the given bills
+const getNetPositions = (bills, convertCents = sameCurrency) => {
+  const positions = new Map();
+  bills.forEach(bill => {
+    getBillDebts(bill).forEach(({ fromUserId, toUserId, amountCents }) => {
+      const cents = convertCents(amountCents, bill);
+      positions.set(fromUserId, (positions.get(fromUserId) || 0) - cents);
+      positions.set(toUserId, (positions.get(toUserId) || 0) + cents);
+    });
+  });
+  return positions;
+};
+
+// Settle one zero-sum group with at most (size - 1) transfers
+const settleGroup = (members) => {
+  const creditors = members.filter(m => m.cents > 0).map(m => ({ ...m }));
+  const debtors = members.filter(m => m.cents < 0).map(m => ({ ...m, cents: -m.cents }));
+  const transfers = [];
+
+  creditors.sort((a, b) => b.cents - a.cents);
+  debtors.sort((a, b) => b.cents - a.cents);
+
+  let c = 0;
+  let d = 0;
+  while (c < creditors.length && d < debtors.length) {
+    const amountCents = Math.min(creditors[c].cents, debtors[d].cents);
+    transfers.push({ fromUserId: debtors[d].userId, toUserId: creditors[c].userId, amountCents });
+    creditors[c].cents -= amountCents;
+    debtors[d].cents -= amountCents;
+    if (creditors[c].cents === 0) c++;
+    if (debtors[d].cents === 0) d++;
+  }
+  return transfers;
+};
+
+// Split balances into as many zero-sum groups as possible - every extra group
+// saves one transfer. Exact subset DP, so only used for small groups.
+const partitionZeroSumGroups = (members) => {
+  const n = members.length;
+  const full = (1 << n) - 1;
+  const sums = new Array(full + 1).fill(0);
+  const groups = new Array(full + 1).fill(0);
+
+  for (let mask = 1; mask <= full; mask++) {
+    const lowest = mask & -mask;
+    const index = 31 - Math.clz32(lowest);
+    sums[mask] = sums[mask ^ lowest] + members[index].cents;
+
+    let best = 0;
+    for (let i = 0; i < n; i++) {
+      if (mask & (1 << i)) {
+        best = Math.max(best, groups[mask ^ (1 << i)]);
+      }
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Walk back down from the full set; a group closes each time the remainder sums to zero
+  const result = [];
+  let current = [];
+  let mask = full;
+  while (mask) {
+    const bonus = sums[mask] === 0 ? 1 : 0;
+    for (let i = 0; i < n; i++) {
+      const bit = 1 << i;
+      if ((mask & bit) && groups[mask ^ bit] + bonus === groups[mask]) {
+        current.push(members[i]);
+        mask ^= bit;
+        break;
+      }
+    }
+    if (sums[mask] === 0) {
+      result.push(current);
+      current = [];
+    }
+  }
+  return result;
+};
+
+/**
+ * Fewest transfers that settle all the given net positions.
+ * `positions` is a Map of userId -> cents (positive = is owed money).
+ * Returns [{ fromUserId, toUserId, amountCents }]
+ */
+const simplifyDebts = (positions) => {
+  const members = [...positions.entries()]
+    .filter(([, cents]) => cents !== 0)
+    .map(([userId, cents]) => ({ userId, cents }));
+
+  if (members.length === 0) {
+    return [];
+  }
+
+  const groups = members.length <= MAX_EXACT_SIMPLIFY ?
+    partitionZeroSumGroups(members) :
+    [members];
+
+  return groups.flatMap(settleGroup);
+};
+
+module.exports = {
+  getBillDebts,
+  getCounterpartBalances,
+  getNetPositions,
+  simplifyDebts
+};
@@ -0,0 +1,75 @@
+// In-process event bus behind the /api/stream push channel. Bill events are
+// delivered to the people on the bill, user events to the users they name.
+const { EventEmitter } = require('events');
+
+// Recent events kept so reconnecting clients can catch up via Last-Event-ID
+const HISTORY_LIMIT = 200;
+
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+const history = [];
+let lastEventId = 0;
+
+// The creator and every participant hear about a bill
+const getAudience = (bill) => [...new Set([
+  bill.createdBy,
+  ...(bill.participants || []).map(p => p.id)
+].filter(id => id !== undefined && id !== null))];
+
+const publish = (type, audience, data) => {
+  const event = {
+    id: ++lastEventId,
+    type,
+    audience,
+    data,
+    timestamp: new Date().toISOString()
+  };
+
+  history.push(event);
+  if (history.length > HISTORY_LIMIT) {
+    history.shift();
+  }
+
+  emitter.emit('event', event);
+  return event;
+};
+
+/**
+ * Publish an event about a bill, e.g. publishBillEvent('payment.created', bill, { payment }).
+ * `data` always carries the billId; most events also include the updated bill.
+ */
+const publishBillEvent = (type, bill, data = {}) =>
+  publish(type, getAudience(bill), { billId: bill.id, ...data });
+
+// Publish an event meant for specific users only, e.g. 'notification.created'
+const publishUserEvent = (type, userIds, data = {}) =>
+  publish(type, [...new Set(userIds)], data);
+
+/**
+ * Listen for events visible to `userId`. Events after `sinceEventId` are
+ * replayed first. Returns an unsubscribe function.
+ */
+const subscribe = (userId, listener, { sinceEventId = null } = {}) => {
+  const isVisible = (event) => event.audience.includes(userId);
+
+  if (sinceEventId !== null) {
+    history
+      .filter(event => event.id > sinceEventId && isVisible(event))
+      .forEach(listener);
+  }
+
+  const onEvent = (event) => {
+    if (isVisible(event)) {
+      listener(event);
+    }
+  };
+  emitter.on('event', onEvent);
+  return () => emitter.off('event', onEvent);
+};
+
+module.exports = {
+  publishBillEvent,
+  publishUserEvent,
+  subscribe
+};
@@ -0,0 +1,119 @@
+// Friend groups - the crews people split with week after week. A group's
+// members are { userId, role, joinedAt } and it always keeps at least one admin.
+// `defaultSplit` is applied to bills created for the group without participants.
+const { allocateCents } = require('./settlement');
+const db = require('../storage');
+
+const GROUP_ROLES = ['admin', 'member'];
+
+// Custom amounts only make sense per bill, so groups can't default to them
+const GROUP_SPLIT_METHODS = ['itemized', 'equal', 'percentage'];
+
+const DEFAULT_SPLIT = { splitMethod: 'itemized', percentages: null };
+
+const findMember = (group, userId) => group.members.find(m => m.userId === userId) || null;
+
+const isAdmin = (group, userId) => findMember(group, userId)?.role === 'admin';
+
+const adminCount = (group) => group.members.filter(m => m.role === 'admin').length;
+
+// Why a default split can't be used for the given members, or null when it can.
+// `percentages` maps member user id -> percentage and must cover every member.
+const getDefaultSplitProblem = (defaultSplit, memberIds) => {
+  if (!defaultSplit || typeof defaultSplit !== 'object') {
+    return 'defaultSplit must be an object';
+  }
+
+  const { splitMethod, percentages } = defaultSplit;
+  if (!GROUP_SPLIT_METHODS.includes(splitMethod)) {
+    return `defaultSplit.splitMethod must be one of: ${GROUP_SPLIT_METHODS.join(', ')}`;
+  }
+
+  if (percentages === undefined || percentages === null) {
+    return null;
+  }
+  if (splitMethod !== 'percentage') {
+    return 'defaultSplit.percentages can only be set for the percentage split';
+  }
+
+  const entries = Object.entries(percentages);
+  const unknown = entries.filter(([userId]) => !memberIds.includes(Number(userId)));
+  if (unknown.length > 0 || entries.length !== memberIds.length) {
+    return 'defaultSplit.percentages must have an entry for every member and nobody else';
+  }
+  const total = entries.reduce((sum, [, pct]) => sum + Number(pct), 0);
+  if (entries.some(([, pct]) => !(Number(pct) >= 0)) || Math.abs(total - 100) > 0.001) {
+    return `defaultSplit.percentages must add up to 100 (got ${total})`;
+  }
+  return null;
+};
+
+// Membership changes invalidate per-member percentages; fall back to an even split
+const resetPercentages = (group) => {
+  if (group.defaultSplit?.percentages) {
+    group.defaultSplit = { ...group.defaultSplit, percentages: null };
+  }
+};
+
+// Even percentages in hundredths, so they always add up to exactly 100
+const evenPercentages = (count) =>
+  allocateCents(10000, new Array(count).fill(1)).map(hundredths => hundredths / 100);
+
+/**
+ * Bill participants for every group member, with the group's default split
+ * filled in when the bill uses it.
+ */
+const getGroupParticipants = (group, splitMethod) => {
+  const even = evenPercentages(group.members.length);
+
+  return group.members.map((member, index) => {
+    const user = db.users.findById(member.userId);
+    return {
+      id: member.userId,
+      name: user?.name || 'Unknown',
+      avatar: user?.avatar || null,
+      items: [],
+      ...(splitMethod === 'percentage' && {
+        percentage: Number(group.defaultSplit?.percentages?.[member.userId] ?? even[index])
+      })
+    };
+  });
+};
+
+const describeMember = (member) => {
+  const user = db.users.findById(member.userId);
+  return {
+    id: member.userId,
+    name: user?.name || 'Unknown',
+    username: user?.username || null,
+    avatar: user?.avatar || null,
+    role: member.role,
+    joinedAt: member.joinedAt
+  };
+};
+
+const toGroupResponse = (group, userId) => ({
+  id: group.id,
+  name: group.name,
+  description: group.description,
+  createdBy: group.createdBy,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+  defaultSplit: group.defaultSplit || DEFAULT_SPLIT,
+  members: group.members.map(describeMember),
+  yourRole: findMember(group, userId)?.role || null,
+  billCount: db.bills.filter(bill => bill.groupId === group.id).length
+});
+
+module.exports = {
+  GROUP_ROLES,
+  GROUP_SPLIT_METHODS,
+  DEFAULT_SPLIT,
+  findMember,
+  isAdmin,
+  adminCount,
+  getDefaultSplitProblem,
+  resetPercentages,
+  getGroupParticipants,
+  toGroupResponse
+};
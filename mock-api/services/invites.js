@@ -0,0 +1,54 @@
+// Bill invite codes - short, unambiguous codes that let anyone with the code
+// join a bill as a participant, optionally limited by expiry and use count.
+const crypto = require('crypto');
+const db = require('../storage');
+
+// No 0/O or 1/I/L so codes survive being read out loud
+const CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+const CODE_LENGTH = 6;
+
+const INVITE_LINK_BASE = process.env.INVITE_LINK_BASE || 'splitbill://join/';
+
+const generateCode = () => {
+  let code;
+  do {
+    code = Array.from(crypto.randomBytes(CODE_LENGTH))
+      .map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length])
+      .join('');
+  } while (db.billInvites.findById(code));
+  return code;
+};
+
+// Accept "abc234", "ABC-234" or a full invite link
+const normalizeCode = (value) => String(value || '')
+  .split('/')
+  .pop()
+  .toUpperCase()
+  .replace(/[^0-9A-Z]/g, '');
+
+// Why an invite can't be used right now, or null when it can
+const getInviteProblem = (invite, now = new Date()) => {
+  if (invite.revokedAt) {
+    return { status: 410, error: 'This invite has been revoked', code: 'INVITE_REVOKED' };
+  }
+  if (invite.expiresAt && new Date(invite.expiresAt) <= now) {
+    return { status: 410, error: 'This invite has expired', code: 'INVITE_EXPIRED' };
+  }
+  if (invite.maxUses !== null && invite.uses >= invite.maxUses) {
+    return { status: 410, error: 'This invite has reached its use limit', code: 'INVITE_EXHAUSTED' };
+  }
+  return null;
+};
+
+const toInviteResponse = (invite) => ({
+  ...invite,
+  link: `${INVITE_LINK_BASE}${invite.code}`,
+  isActive: getInviteProblem(invite) === null
+});
+
+module.exports = {
+  generateCode,
+  normalizeCode,
+  getInviteProblem,
+  toInviteResponse
+};
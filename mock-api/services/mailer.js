@@ -0,0 +1,35 @@
+// Outgoing email. Nothing is sent over SMTP - every message lands in the
+// `outbox` collection (persisted with the rest of the data) where it can be
+// read through /api/admin/outbox, and is logged to the console.
+const { v4: uuidv4 } = require('uuid');
+const db = require('../storage');
+
+const MAIL_FROM = process.env.EMAIL_FROM || 'Split Bill <noreply@splitbill.local>';
+
+// Links in emails open the app, e.g. splitbill://reset-password?token=...
+const EMAIL_LINK_BASE = process.env.EMAIL_LINK_BASE || 'splitbill://';
+
+const appLink = (path, params) => `${EMAIL_LINK_BASE}${path}?${new URLSearchParams(params)}`;
+
+/**
+ * Put an email in the outbox. `template` names the kind of email and `data`
+ * keeps the values used in it (such as a link) so tests can pick them out
+ * without parsing the text.
+ */
+const sendMail = ({ to, subject, text, template, data = {} }) => {
+  const message = db.outbox.insert({
+    id: `mail-${uuidv4()}`,
+    from: MAIL_FROM,
+    to,
+    subject,
+    text,
+    template,
+    data,
+    sentAt: new Date().toISOString()
+  }, { prepend: true });
+
+  console.log(`📧 ${template} email to ${to}: ${subject}`);
+  return message;
+};
+
+module.exports = { appLink, sendMail };
@@ -0,0 +1,117 @@
+// In-app notifications. Each type is governed by one of the recipient's
+// `preferences.notifications` switches; a switch that was never set counts as on.
+const { v4: uuidv4 } = require('uuid');
+const { publishUserEvent } = require('./events');
+const { formatMoney } = require('./currency');
+const { getPaymentReceiverId } = require('./settlement');
+const db = require('../storage');
+
+const NOTIFICATION_PREFERENCES = {
+  friend_request: 'friendRequests',
+  friend_request_accepted: 'friendRequests',
+  payment_received: 'paymentReceived',
+  payment_updated: 'paymentReceived',
+  bill_created: 'newBills',
+  bill_reminder: 'billReminders'
+};
+
+const NOTIFICATION_TYPES = Object.keys(NOTIFICATION_PREFERENCES);
+
+const wantsNotification = (user, type) =>
+  user.preferences?.notifications?.[NOTIFICATION_PREFERENCES[type]] !== false;
+
+const getUnreadCount = (userId) =>
+  db.notifications.filter(n => n.userId === userId && !n.readAt).length;
+
+/**
+ * Store a notification for `userId` and push it to their open streams.
+ * Returns null when the user doesn't exist or has switched this type off.
+ */
+const notify = (userId, type, { title, message, data = {} }) => {
+  const user = db.users.findById(userId);
+  if (!user || !wantsNotification(user, type)) {
+    return null;
+  }
+
+  const notification = db.notifications.insert({
+    id: `notification-${uuidv4()}`,
+    userId,
+    type,
+    title,
+    message,
+    data,
+    readAt: null,
+    createdAt: new Date().toISOString()
+  }, { prepend: true });
+
+  publishUserEvent('notification.created', [userId], {
+    notification,
+    unreadCount: getUnreadCount(userId)
+  });
+  return notification;
+};
+
+// Display name of a user, falling back to their entry on the bill
+const nameOf = (userId, bill) =>
+  db.users.findById(userId)?.name ||
+  bill?.participants?.find(p => p.id === userId)?.name ||
+  'Someone';
+
+// Everyone on a new bill except whoever created it
+const notifyBillCreated = (bill) => {
+  const creatorName = nameOf(bill.createdBy, bill);
+  bill.participants
+    .filter(p => p.id !== bill.createdBy)
+    .forEach(p => notify(p.id, 'bill_created', {
+      title: 'New bill',
+      message: `${creatorName} added you to ${bill.title}`,
+      data: { billId: bill.id, fromUserId: bill.createdBy }
+    }));
+};
+
+// The person a payment was sent to, unless they recorded it themselves.
+// Payments without a recipient go to whoever created the bill.
+const notifyPaymentReceived = (bill, payment, actorId) => {
+  const recipientId = getPaymentReceiverId(bill, payment);
+  if (recipientId === actorId || recipientId === payment.fromUserId) {
+    return;
+  }
+
+  const pending = payment.status === 'pending';
+  notify(recipientId, 'payment_received', {
+    title: pending ? 'Payment to confirm' : 'Payment received',
+    message: `${nameOf(payment.fromUserId, bill)} paid you ${formatMoney(payment.amount, payment.currency)} for ${bill.title}` +
+      (pending ? ' - confirm it once it arrives' : ''),
+    data: { billId: bill.id, paymentId: payment.id, fromUserId: payment.fromUserId }
+  });
+};
+
+const PAYMENT_UPDATES = {
+  completed: 'confirmed',
+  rejected: 'rejected',
+  refunded: 'refunded'
+};
+
+// Whoever made a payment, once its receiver confirms, rejects or refunds it
+const notifyPaymentUpdated = (bill, payment, actorId) => {
+  if (payment.fromUserId === actorId) {
+    return;
+  }
+
+  notify(payment.fromUserId, 'payment_updated', {
+    title: `Payment ${PAYMENT_UPDATES[payment.status]}`,
+    message: `${nameOf(actorId, bill)} ${PAYMENT_UPDATES[payment.status]} your ${formatMoney(payment.amount, payment.currency)} payment for ${bill.title}`,
+    data: { billId: bill.id, paymentId: payment.id, status: payment.status }
+  });
+};
+
+module.exports = {
+  nameOf,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_PREFERENCES,
+  getUnreadCount,
+  notify,
+  notifyBillCreated,
+  notifyPaymentReceived,
+  notifyPaymentUpdated
+};
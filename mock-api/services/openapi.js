@@ -0,0 +1,295 @@
+// The OpenAPI 3.1 document behind /api/openapi.json. It is built from the
+// mounted routers (see routes/index.js) and the endpoint schemas they validate
+// with, so every served route is in it and nothing else is.
+const { models } = require('../schemas/models');
+const {
+  ERROR_CODES,
+  VALIDATION_ERRORS,
+  AUTH_ERRORS,
+  SERVER_ERRORS
+} = require('../schemas/errors');
+
+const SPEC_TYPES = {
+  money: { type: 'number', minimum: 0, multipleOf: 0.01 },
+  date: { type: 'string', format: 'date' },
+  file: { type: 'string', format: 'binary' }
+};
+
+const SECURITY = {
+  required: [{ bearerAuth: [] }],
+  optional: [{}, { bearerAuth: [] }],
+  none: []
+};
+
+const SUCCESS_DESCRIPTIONS = { 200: 'OK', 201: 'Created' };
+
+const componentRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+// Express paths use :param, OpenAPI uses {param}
+const toOpenApiPath = (path) => path.replace(/:(\w+)/g, '{$1}');
+
+/**
+ * Translate a field spec (see middleware/validate.js) into JSON Schema.
+ * `strict` marks objects closed the way validate() treats request bodies.
+ */
+const toJsonSchema = (spec, { strict = false } = {}) => {
+  if (spec.ref) {
+    const reference = spec.properties ?
+      { allOf: [componentRef(spec.ref), objectSchema(spec.properties, {}, { strict })] } :
+      componentRef(spec.ref);
+    return {
+      ...(spec.nullable ? { oneOf: [reference, { type: 'null' }] } : reference),
+      ...(spec.description && { description: spec.description })
+    };
+  }
+
+  const schema = {};
+  const types = [].concat(spec.type || []);
+  const translated = types.map(type => SPEC_TYPES[type] || { type });
+
+  if (translated.length === 1) {
+    Object.assign(schema, translated[0]);
+  } else if (translated.length > 1) {
+    schema.type = [...new Set(translated.map(t => t.type))];
+  }
+  if (spec.nullable && schema.type) {
+    schema.type = [...[].concat(schema.type), 'null'];
+  }
+
+  if (spec.format) schema.format = spec.format;
+  if (spec.enum) schema.enum = spec.nullable ? [...spec.enum, null] : spec.enum;
+  if (spec.min !== undefined) schema.minimum = spec.min;
+  if (spec.max !== undefined) schema.maximum = spec.max;
+  if (spec.positive) schema.exclusiveMinimum = 0;
+  if (spec.minLength !== undefined) schema.minLength = spec.minLength;
+  if (spec.maxLength !== undefined) schema.maxLength = spec.maxLength;
+  if (spec.pattern) schema.pattern = spec.pattern.source;
+  if (spec.items) schema.items = toJsonSchema(spec.items, { strict });
+  if (spec.minItems !== undefined) schema.minItems = spec.minItems;
+  if (spec.maxItems !== undefined) schema.maxItems = spec.maxItems;
+  if (spec.properties || spec.additionalProperties !== undefined) {
+    Object.assign(schema, objectSchema(spec.properties || {}, spec, { strict }));
+  }
+  if (spec.description) schema.description = spec.description;
+
+  return schema;
+};
+
+const objectSchema = (properties, spec = {}, { strict = false } = {}) => {
+  const required = Object.keys(properties).filter(name => properties[name].required);
+  const schema = {
+    type: 'object',
+    properties: Object.fromEntries(
+      Object.entries(properties).map(([name, field]) => [name, toJsonSchema(field, { strict })])
+    ),
+    ...(required.length > 0 && { required })
+  };
+
+  if (typeof spec.additionalProperties === 'object') {
+    schema.additionalProperties = toJsonSchema(spec.additionalProperties, { strict });
+  } else if (spec.additionalProperties) {
+    schema.additionalProperties = true;
+  } else if (strict) {
+    schema.additionalProperties = false;
+  }
+  return schema;
+};
+
+const toParameters = (fields = {}, location) => Object.entries(fields).map(([name, spec]) => {
+  const { description: _description, ...schema } = toJsonSchema(spec);
+  return {
+    name,
+    in: location,
+    required: location === 'path' || Boolean(spec.required),
+    ...(spec.description && { description: spec.description }),
+    schema
+  };
+});
+
+const toRequestBody = ({ body, multipart }) => {
+  const [contentType, fields] = multipart ? ['multipart/form-data', multipart] : ['application/json', body];
+  if (!fields) {
+    return undefined;
+  }
+  return {
+    required: Object.values(fields).some(spec => spec.required),
+    content: {
+      [contentType]: { schema: objectSchema(fields, {}, { strict: true }) }
+    }
+  };
+};
+
+// `{ success: true, data }` or `{ success: true, message }` - see the routes
+const successEnvelope = (response) => {
+  const properties = { success: { const: true } };
+  if (response.data) {
+    properties.data = toJsonSchema(response.data);
+  }
+  if (response.message) {
+    properties.message = { type: 'string', examples: [response.message] };
+  }
+  return { type: 'object', properties, required: Object.keys(properties) };
+};
+
+const toSuccessResponses = (response = {}) => {
+  const content = response.contentType ?
+    { [response.contentType]: { schema: { type: 'string', ...(response.contentType.startsWith('image/') && { format: 'binary' }) } } } :
+    { 'application/json': { schema: successEnvelope(response) } };
+
+  return Object.fromEntries([].concat(response.status || 200).map(status => [
+    String(status),
+    { description: response.description || SUCCESS_DESCRIPTIONS[status], content }
+  ]));
+};
+
+/**
+ * Every error code an endpoint can respond with: those its schema lists, plus
+ * VALIDATION_ERROR when it takes input, the token errors when it needs auth
+ * and INTERNAL_ERROR.
+ */
+const getEndpointErrors = ({ auth, schema }) => {
+  const takesInput = Boolean(schema?.params || schema?.query || schema?.headers || schema?.body);
+  return [...new Set([
+    ...(takesInput ? VALIDATION_ERRORS : []),
+    ...(auth === 'required' ? AUTH_ERRORS : []),
+    ...(schema?.errors || []),
+    ...SERVER_ERRORS
+  ])];
+};
+
+const toErrorResponses = (codes, operation) => {
+  const byStatus = new Map();
+  codes.forEach(code => {
+    const known = ERROR_CODES[code];
+    if (!known) {
+      throw new Error(`${operation} lists unknown error code ${code} - add it to schemas/errors.js`);
+    }
+    byStatus.set(known.status, [...(byStatus.get(known.status) || []), code]);
+  });
+
+  return Object.fromEntries([...byStatus.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([status, statusCodes]) => [String(status), {
+      description: statusCodes.map(code => `\`${code}\` - ${ERROR_CODES[code].description}`).join('\n\n'),
+      content: {
+        'application/json': {
+          schema: {
+            allOf: [
+              componentRef('Error'),
+              { properties: { code: { enum: statusCodes } } }
+            ]
+          }
+        }
+      }
+    }]));
+};
+
+const toOperation = (endpoint, operationId) => {
+  const { area, method, path, auth, schema } = endpoint;
+  const label = `${method} ${path}`;
+  const requestBody = schema && toRequestBody(schema);
+
+  return {
+    tags: [area],
+    operationId,
+    summary: schema?.description || label,
+    security: SECURITY[auth],
+    parameters: [
+      ...toParameters(schema?.params, 'path'),
+      ...toParameters(schema?.query, 'query'),
+      ...toParameters(schema?.headers, 'header')
+    ],
+    ...(requestBody && { requestBody }),
+    responses: {
+      ...toSuccessResponses(schema?.response),
+      ...toErrorResponses(getEndpointErrors(endpoint), label)
+    }
+  };
+};
+
+const ERROR_SCHEMA = {
+  type: 'object',
+  properties: {
+    error: { type: 'string', description: 'human readable' },
+    code: { type: 'string', enum: Object.keys(ERROR_CODES) },
+    details: { type: 'object', additionalProperties: true, description: 'what was wrong, for some codes' },
+    fields: {
+      type: 'array',
+      description: 'VALIDATION_ERROR only - one entry per problem',
+      items: {
+        type: 'object',
+        properties: {
+          field: { type: 'string', examples: ['participants[0].id'] },
+          in: { type: 'string', enum: ['params', 'query', 'headers', 'body'] },
+          message: { type: 'string' }
+        },
+        required: ['field', 'in', 'message']
+      }
+    }
+  },
+  required: ['error', 'code']
+};
+
+/**
+ * Build the OpenAPI document for the mounted API routes.
+ * @param {Array} areas - API_ROUTES from routes/index.js, for the tags
+ * @param {Array} endpoints - listEndpoints() from routes/index.js
+ * @param {Object} options - { version, serverUrl }
+ */
+const buildOpenApiDocument = (areas, endpoints, { version, serverUrl }) => {
+  const paths = {};
+  const operationIds = new Set();
+
+  endpoints.forEach(endpoint => {
+    if (!endpoint.schema) {
+      console.warn(`⚠️  ${endpoint.method} ${endpoint.path} has no endpoint schema - it is only partly documented`);
+    }
+
+    // Names only have to be unique within their schema module
+    let operationId = endpoint.operationId || `${endpoint.method} ${endpoint.path}`;
+    if (operationIds.has(operationId)) {
+      operationId = `${endpoint.area}${operationId[0].toUpperCase()}${operationId.slice(1)}`;
+    }
+    operationIds.add(operationId);
+
+    const path = toOpenApiPath(endpoint.path);
+    paths[path] = {
+      ...paths[path],
+      [endpoint.method.toLowerCase()]: toOperation(endpoint, operationId)
+    };
+  });
+
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'Split Bill Mock API',
+      version,
+      description: 'Mock backend for the Split Bill app. Successful responses are `{ success: true, data }` ' +
+        '(or `message`); errors are `{ error, code }` with a code from `x-error-codes`.'
+    },
+    servers: [{ url: serverUrl }],
+    tags: areas.map(({ name, description }) => ({ name, description })),
+    paths,
+    components: {
+      schemas: {
+        ...Object.fromEntries(Object.entries(models).map(([name, spec]) => [name, toJsonSchema(spec)])),
+        Error: ERROR_SCHEMA
+      },
+      securitySchemes: {
+        bearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          bearerFormat: 'JWT',
+          description: 'Access token from POST /auth/login, /auth/register or /auth/refresh'
+        }
+      }
+    },
+    'x-error-codes': ERROR_CODES
+  };
+};
+
+module.exports = {
+  buildOpenApiDocument,
+  getEndpointErrors,
+  toJsonSchema
+};
@@ -0,0 +1,204 @@
+// Browsable HTML view of the OpenAPI document for /api/openapi.html. Plain
+// server-rendered markup with no scripts or CDN assets, so it works offline.
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value).replace(/[&<>"']/g, c => ENTITIES[c]);
+
+// Escaped text with `backticks` shown as code, as in the descriptions
+const inline = (text = '') => escapeHtml(text).replace(/`([^`]+)`/g, '<code>$1</code>');
+
+const refName = ($ref) => $ref.split('/').pop();
+
+const AUTH_LABELS = {
+  required: 'Bearer token required',
+  optional: 'Bearer token optional',
+  none: 'No auth'
+};
+
+const authOf = (security) => {
+  if (security.length === 0) return 'none';
+  return security.some(requirement => Object.keys(requirement).length === 0) ? 'optional' : 'required';
+};
+
+// Short type for a schema, e.g. "string (date-time)", "Bill[]", "integer | null"
+const typeLabel = (schema = {}) => {
+  if (schema.$ref) {
+    const name = refName(schema.$ref);
+    return `<a href="#model-${name}">${name}</a>`;
+  }
+  if (schema.oneOf) return schema.oneOf.map(typeLabel).join(' | ');
+  if (schema.allOf) return schema.allOf.map(typeLabel).join(' + ');
+  if (schema.const !== undefined) return `<code>${escapeHtml(JSON.stringify(schema.const))}</code>`;
+
+  const types = [].concat(schema.type || 'any');
+  const itemLabel = (items = {}) => (items.allOf || items.oneOf ? `(${typeLabel(items)})` : typeLabel(items));
+  const label = types.map(type => (type === 'array' ? `${itemLabel(schema.items)}[]` : escapeHtml(type))).join(' | ');
+  if (types.includes('object') && schema.additionalProperties && typeof schema.additionalProperties === 'object') {
+    return `map of ${typeLabel(schema.additionalProperties)}`;
+  }
+  return schema.format ? `${label} <small>(${escapeHtml(schema.format)})</small>` : label;
+};
+
+const constraints = (schema = {}) => {
+  const notes = [];
+  if (schema.enum) notes.push(`one of ${schema.enum.map(value => `<code>${escapeHtml(JSON.stringify(value))}</code>`).join(', ')}`);
+  if (schema.exclusiveMinimum !== undefined) notes.push(`&gt; ${schema.exclusiveMinimum}`);
+  if (schema.minimum !== undefined) notes.push(`min ${schema.minimum}`);
+  if (schema.maximum !== undefined) notes.push(`max ${schema.maximum}`);
+  if (schema.multipleOf !== undefined) notes.push(`multiple of ${schema.multipleOf}`);
+  if (schema.minLength !== undefined) notes.push(`${schema.minLength}+ chars`);
+  if (schema.maxLength !== undefined) notes.push(`up to ${schema.maxLength} chars`);
+  if (schema.pattern) notes.push(`matches <code>${escapeHtml(schema.pattern)}</code>`);
+  if (schema.minItems !== undefined) notes.push(`${schema.minItems}+ items`);
+  if (schema.maxItems !== undefined) notes.push(`up to ${schema.maxItems} items`);
+  if (schema.examples) notes.push(`e.g. <code>${escapeHtml(schema.examples[0])}</code>`);
+  return notes.join(', ');
+};
+
+// The inline object whose fields a schema shows, following arrays and unions
+const fieldsOf = (schema = {}) => {
+  if (schema.properties) return schema;
+  if (schema.items) return fieldsOf(schema.items);
+  const members = (schema.allOf || schema.oneOf || []).filter(member => !member.$ref && member.type !== 'null');
+  return members.map(fieldsOf).find(Boolean) || null;
+};
+
+const propertyRows = (schema, depth = 0) => {
+  const object = fieldsOf(schema);
+  if (!object) return '';
+  const required = object.required || [];
+
+  return Object.entries(object.properties).map(([name, property]) => `
+        <tr>
+          <td style="padding-left: ${0.5 + depth * 1.25}rem"><code>${escapeHtml(name)}</code>${required.includes(name) ? ' <span class="req">required</span>' : ''}</td>
+          <td>${typeLabel(property)}</td>
+          <td>${[inline(property.description), constraints(property)].filter(Boolean).join('<br>')}</td>
+        </tr>${propertyRows(property, depth + 1)}`).join('');
+};
+
+const fieldTable = (schema) => {
+  const rows = propertyRows(schema);
+  return rows ? `
+      <table>
+        <tr><th>Field</th><th>Type</th><th>Notes</th></tr>${rows}
+      </table>` : '';
+};
+
+const renderParameters = (parameters) => (parameters.length === 0 ? '' : `
+      <h4>Parameters</h4>
+      <table>
+        <tr><th>Name</th><th>In</th><th>Type</th><th>Notes</th></tr>${parameters.map(parameter => `
+        <tr>
+          <td><code>${escapeHtml(parameter.name)}</code>${parameter.required ? ' <span class="req">required</span>' : ''}</td>
+          <td>${parameter.in}</td>
+          <td>${typeLabel(parameter.schema)}</td>
+          <td>${[inline(parameter.description), constraints(parameter.schema)].filter(Boolean).join('<br>')}</td>
+        </tr>`).join('')}
+      </table>`);
+
+const renderRequestBody = (requestBody) => {
+  if (!requestBody) return '';
+  const [contentType, { schema }] = Object.entries(requestBody.content)[0];
+  return `
+      <h4>Request body <small>${escapeHtml(contentType)}</small></h4>${fieldTable(schema)}`;
+};
+
+const renderResponses = (responses) => Object.entries(responses).map(([status, response]) => {
+  const [contentType, { schema } = {}] = Object.entries(response.content || {})[0] || [];
+
+  // Error responses list their codes; the Error model describes the body
+  const codes = schema?.allOf?.[1]?.properties?.code?.enum;
+  if (codes) {
+    return `
+      <div class="response error"><span class="status">${status}</span> ${codes.map(code => `<a href="#error-${code}"><code>${code}</code></a>`).join(' ')}</div>`;
+  }
+
+  const body = contentType === 'application/json' ? fieldTable(schema) : ` <small>${escapeHtml(contentType)}</small>`;
+  return `
+      <div class="response"><span class="status">${status}</span> ${inline(response.description)}${body}</div>`;
+}).join('');
+
+const renderOperation = (method, path, operation) => `
+    <section class="operation" id="op-${escapeHtml(operation.operationId)}">
+      <h3><span class="method ${method}">${method.toUpperCase()}</span> <code>${escapeHtml(path)}</code></h3>
+      <p>${inline(operation.summary)} <span class="auth">${AUTH_LABELS[authOf(operation.security)]}</span></p>${renderParameters(operation.parameters)}${renderRequestBody(operation.requestBody)}
+      <h4>Responses</h4>${renderResponses(operation.responses)}
+    </section>`;
+
+/**
+ * Render an OpenAPI document built by services/openapi.js as a single HTML page.
+ * @param {Object} document - the OpenAPI document
+ * @param {Object} links - { json, docs } URLs shown in the header
+ */
+const renderOpenApiHtml = (document, links) => {
+  const operations = Object.entries(document.paths).flatMap(([path, methods]) =>
+    Object.entries(methods).map(([method, operation]) => ({ path, method, operation }))
+  );
+  const byTag = document.tags.map(tag => ({
+    ...tag,
+    operations: operations.filter(({ operation }) => operation.tags.includes(tag.name))
+  }));
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(document.info.title)} - API reference</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, sans-serif; margin: 0; color: #1f2933; display: flex; }
+    nav { width: 18rem; flex-shrink: 0; height: 100vh; overflow-y: auto; position: sticky; top: 0; background: #f5f7fa; padding: 1rem; box-sizing: border-box; font-size: 0.85rem; }
+    nav ul { list-style: none; padding-left: 0.5rem; margin: 0.25rem 0 1rem; }
+    nav a { color: #3e4c59; text-decoration: none; }
+    main { flex: 1; padding: 1.5rem 2rem; max-width: 60rem; }
+    h2 { border-bottom: 2px solid #e4e7eb; padding-bottom: 0.25rem; margin-top: 2.5rem; }
+    .operation { border: 1px solid #e4e7eb; border-radius: 6px; padding: 0 1rem 1rem; margin: 1rem 0; }
+    .method { display: inline-block; min-width: 4rem; text-align: center; border-radius: 4px; color: #fff; font-size: 0.8rem; padding: 0.15rem 0.4rem; }
+    .get { background: #2f80ed; } .post { background: #27ae60; } .put { background: #f2994a; } .delete { background: #eb5757; } .patch { background: #9b51e0; }
+    .auth { color: #7b8794; font-size: 0.8rem; margin-left: 0.5rem; }
+    .req { color: #eb5757; font-size: 0.75rem; }
+    .status { font-weight: 600; margin-right: 0.25rem; }
+    .response { margin: 0.5rem 0; }
+    .response.error code { color: #c81e1e; }
+    table { border-collapse: collapse; width: 100%; margin: 0.5rem 0; font-size: 0.85rem; }
+    th, td { border-bottom: 1px solid #e4e7eb; text-align: left; padding: 0.3rem 0.5rem; vertical-align: top; }
+    code { font-family: Menlo, Consolas, monospace; font-size: 0.85em; }
+  </style>
+</head>
+<body>
+  <nav>
+    <strong>${escapeHtml(document.info.title)}</strong> <small>v${escapeHtml(document.info.version)}</small>${byTag.map(tag => `
+    <div><a href="#tag-${tag.name}"><strong>${escapeHtml(tag.name)}</strong></a></div>
+    <ul>${tag.operations.map(({ path, method, operation }) => `
+      <li><a href="#op-${escapeHtml(operation.operationId)}">${method.toUpperCase()} ${escapeHtml(path)}</a></li>`).join('')}
+    </ul>`).join('')}
+    <div><a href="#models"><strong>Models</strong></a></div>
+    <div><a href="#errors"><strong>Error codes</strong></a></div>
+  </nav>
+  <main>
+    <h1>${escapeHtml(document.info.title)}</h1>
+    <p>${inline(document.info.description)}</p>
+    <p>Base URL <code>${escapeHtml(document.servers[0].url)}</code> &middot; <a href="${escapeHtml(links.json)}">OpenAPI JSON</a> &middot; <a href="${escapeHtml(links.docs)}">/api/docs</a></p>
+${byTag.map(tag => `
+    <h2 id="tag-${tag.name}">${escapeHtml(tag.name)}</h2>
+    <p>${inline(tag.description)}</p>${tag.operations.map(({ path, method, operation }) => renderOperation(method, path, operation)).join('')}`).join('')}
+
+    <h2 id="models">Models</h2>${Object.entries(document.components.schemas).map(([name, schema]) => `
+    <section class="operation" id="model-${name}">
+      <h3>${name}</h3>${fieldTable(schema)}
+    </section>`).join('')}
+
+    <h2 id="errors">Error codes</h2>
+    <p>Errors are <code>{ error, code }</code>, with <code>details</code> for some codes and <code>fields</code> for <code>VALIDATION_ERROR</code>.</p>
+    <table>
+      <tr><th>Code</th><th>Status</th><th>Meaning</th></tr>${Object.entries(document['x-error-codes']).map(([code, { status, description }]) => `
+      <tr id="error-${code}"><td><code>${code}</code></td><td>${status}</td><td>${inline(description)}</td></tr>`).join('')}
+    </table>
+  </main>
+</body>
+</html>
+`;
+};
+
+module.exports = { renderOpenApiHtml };
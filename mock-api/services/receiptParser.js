@@ -0,0 +1,262 @@
+const { v4: uuidv4 } = require('uuid');
+
+// Summary lines are matched in this order, so "subtotal" wins over "total"
+const SUMMARY_PATTERNS = [
+  { field: 'subtotal', pattern: /\bsub[\s-]?total\b/i },
+  { field: 'serviceCharge', pattern: /\bservice(\s+charge|\s+fee)?\b/i },
+  { field: 'tip', pattern: /\b(tip|gratuity)\b/i },
+  { field: 'tax', pattern: /\b(tax|vat|gst|hst|pst)\b/i },
+  { field: 'total', pattern: /\b(grand\s+total|total|amount\s+due|balance\s+due)\b/i }
+];
+
+// Lines that carry an amount but are not part of the bill itself
+const IGNORED_LINE_PATTERN = /\b(cash|change|visa|mastercard|amex|card|paid|tender|balance|thank|table|server|guests?|order\s*#|receipt\s*#)\b/i;
+
+const PRICE = '(-?[$€£]?\\s?\\d{1,6}(?:[.,]\\d{2}))';
+const TRAILING_PRICE = new RegExp(`${PRICE}\\s*$`);
+const UNIT_PRICE = new RegExp(`@\\s*${PRICE}`);
+const LEADING_QUANTITY = /^(\d{1,3})\s*(?:[xX×]\s*|\s+)(?=\D)/;
+const TRAILING_QUANTITY = /\s(?:[xX×]\s*(\d{1,3})|(\d{1,3})\s*[xX×])$/;
+// A bare count, as in "Fries 2 @ 3.50", only counts when the unit price bears it out
+const BARE_TRAILING_QUANTITY = /\s(\d{1,3})$/;
+
+// Receipts print a symbol rather than a currency code
+const CURRENCY_SYMBOLS = { '$': 'USD', '€': 'EUR', '£': 'GBP' };
+
+const parseAmount = (value) => {
+  const normalized = value.replace(/[$€£\s]/g, '').replace(',', '.');
+  return Math.round(parseFloat(normalized) * 100) / 100;
+};
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+const normalizeName = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9\s]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const cleanItemName = (name) => name
+  .replace(/[.\s·•_-]{2,}$/, '') // dot leaders before the price
+  .replace(/^[\s*•-]+/, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Unit prices for a line, as `[{ quantity, price }]`. A line total that doesn't
+// divide evenly is split so the units still add up to it: 3 for 10.00 is
+// 2 × 3.33 and 1 × 3.34.
+const priceUnits = (lineTotal, quantity) => {
+  const totalCents = Math.round(lineTotal * 100);
+  const unitCents = Math.floor(totalCents / quantity);
+  const extraCents = totalCents - unitCents * quantity;
+
+  return [
+    { quantity: quantity - extraCents, price: unitCents / 100 },
+    { quantity: extraCents, price: (unitCents + 1) / 100 }
+  ].filter(unit => unit.quantity > 0);
+};
+
+// Parse a single item line such as "2 x Orange Juice @ 8.00 16.00", "Fries 2 @ 3.50 7.00"
+// or "Croissant ..... $7.50".
+// The line total is what was charged, so it wins over a printed unit price.
+const parseItemLine = (line) => {
+  const priceMatch = line.match(TRAILING_PRICE);
+  if (!priceMatch) {
+    return null;
+  }
+
+  const lineTotal = parseAmount(priceMatch[1]);
+  let rest = line.slice(0, priceMatch.index).trim();
+
+  let unitPrice = null;
+  const unitMatch = rest.match(UNIT_PRICE);
+  if (unitMatch) {
+    unitPrice = parseAmount(unitMatch[1]);
+    rest = rest.slice(0, unitMatch.index).trim();
+  }
+
+  let quantity = 1;
+  const leadingQuantity = rest.match(LEADING_QUANTITY);
+  const trailingQuantity = rest.match(TRAILING_QUANTITY);
+  const bareQuantity = unitPrice !== null && rest.match(BARE_TRAILING_QUANTITY);
+  if (leadingQuantity) {
+    quantity = parseInt(leadingQuantity[1], 10);
+    rest = rest.slice(leadingQuantity[0].length);
+  } else if (trailingQuantity) {
+    quantity = parseInt(trailingQuantity[1] || trailingQuantity[2], 10);
+    rest = rest.slice(0, trailingQuantity.index);
+  } else if (bareQuantity && Math.round(unitPrice * 100) * parseInt(bareQuantity[1], 10) === Math.round(lineTotal * 100)) {
+    quantity = parseInt(bareQuantity[1], 10);
+    rest = rest.slice(0, bareQuantity.index);
+  }
+
+  const name = cleanItemName(rest);
+  if (!name || quantity < 1) {
+    return null;
+  }
+
+  const units = unitPrice !== null && Math.round(unitPrice * 100) * quantity === Math.round(lineTotal * 100) ?
+    [{ quantity, price: unitPrice }] :
+    priceUnits(lineTotal, quantity);
+
+  return {
+    name,
+    quantity,
+    price: units[0].price,
+    lineTotal,
+    units
+  };
+};
+
+// Find the menu item that best matches a parsed item name
+const matchMenuItem = (name, menuItems) => {
+  const target = normalizeName(name);
+  if (!target || menuItems.length === 0) {
+    return null;
+  }
+
+  const exact = menuItems.find(item => normalizeName(item.name) === target);
+  if (exact) {
+    return exact;
+  }
+
+  const contained = menuItems.find(item => {
+    const candidate = normalizeName(item.name);
+    return candidate.includes(target) || target.includes(candidate);
+  });
+  if (contained) {
+    return contained;
+  }
+
+  // Fall back to word overlap so "Salmon Grilled" still finds "Grilled Salmon"
+  const targetWords = new Set(target.split(' '));
+  let best = null;
+  let bestScore = 0;
+  menuItems.forEach(item => {
+    const words = normalizeName(item.name).split(' ');
+    const shared = words.filter(word => targetWords.has(word)).length;
+    const score = shared / new Set([...words, ...targetWords]).size;
+    if (score > bestScore) {
+      best = item;
+      bestScore = score;
+    }
+  });
+
+  return bestScore >= 0.5 ? best : null;
+};
+
+/**
+ * Turn raw receipt text (pasted or OCR output) into bill items and totals.
+ * Items use the same shape as `POST /api/bills` items, with `price` as the unit
+ * price; a line whose total doesn't divide evenly becomes two items.
+ */
+const parseReceiptText = (text, { menuItems = [], restaurantId = null } = {}) => {
+  const summary = {
+    subtotal: null,
+    tax: null,
+    tip: null,
+    serviceCharge: null,
+    total: null
+  };
+  const items = [];
+  const unparsedLines = [];
+  const warnings = [];
+  const symbols = new Set();
+
+  text.split(/\r?\n/).forEach(rawLine => {
+    const line = rawLine.trim();
+    if (!line) {
+      return;
+    }
+
+    const summaryRule = SUMMARY_PATTERNS.find(rule => rule.pattern.test(line));
+    const priceMatch = line.match(TRAILING_PRICE);
+    const symbol = priceMatch?.[1].match(/[$€£]/);
+    if (symbol) {
+      symbols.add(symbol[0]);
+    }
+
+    if (summaryRule && priceMatch) {
+      // Multiple tax lines (e.g. state + city) add up
+      const amount = parseAmount(priceMatch[1]);
+      summary[summaryRule.field] = roundMoney((summary[summaryRule.field] || 0) + amount);
+      return;
+    }
+
+    if (summaryRule || IGNORED_LINE_PATTERN.test(line)) {
+      return;
+    }
+
+    const parsed = parseItemLine(line);
+    if (!parsed) {
+      unparsedLines.push(line);
+      return;
+    }
+
+    const menuItem = matchMenuItem(parsed.name, menuItems);
+    parsed.units.forEach(unit => {
+      items.push({
+        id: `item-${uuidv4()}`,
+        menuItemId: menuItem ? menuItem.id : null,
+        name: menuItem ? menuItem.name : parsed.name,
+        price: unit.price,
+        quantity: unit.quantity,
+        image: menuItem ? menuItem.image : null,
+        lineTotal: roundMoney(unit.price * unit.quantity),
+        rawText: line
+      });
+    });
+  });
+
+  const itemsTotal = roundMoney(items.reduce((sum, item) => sum + item.lineTotal, 0));
+  const currency = symbols.size === 1 ? CURRENCY_SYMBOLS[[...symbols][0]] : null;
+  const subtotal = summary.subtotal !== null ? summary.subtotal : itemsTotal;
+  const tax = summary.tax || 0;
+  const tip = summary.tip || 0;
+  const serviceCharge = summary.serviceCharge || 0;
+  const total = summary.total !== null ? summary.total : roundMoney(subtotal + tax + tip + serviceCharge);
+
+  if (items.length === 0) {
+    warnings.push('No line items were found in the receipt text');
+  }
+  if (symbols.size > 1) {
+    warnings.push(`The receipt mixes currency symbols (${[...symbols].join(' ')}) - pick the bill currency yourself`);
+  }
+  if (summary.subtotal !== null && Math.abs(summary.subtotal - itemsTotal) >= 0.01) {
+    warnings.push(`Item lines add up to ${itemsTotal.toFixed(2)} but the receipt subtotal is ${summary.subtotal.toFixed(2)}`);
+  }
+  if (summary.total !== null && Math.abs(roundMoney(subtotal + tax + tip + serviceCharge) - summary.total) >= 0.01) {
+    warnings.push(`Subtotal, tax, tip and service charge do not add up to the receipt total of ${summary.total.toFixed(2)}`);
+  }
+
+  return {
+    items,
+    itemsTotal,
+    subtotal,
+    tax,
+    tip,
+    serviceCharge,
+    total,
+    currency,
+    matchedItems: items.filter(item => item.menuItemId !== null).length,
+    unparsedLines,
+    warnings,
+    // Ready to send to POST /api/bills (service charges are treated as tip).
+    // The amount is what the items add up to, which the server checks; a
+    // different printed subtotal is only reported in `warnings`.
+    bill: {
+      restaurantId,
+      ...(currency && { currency }),
+      totalAmount: items.length > 0 ? itemsTotal : subtotal,
+      tax,
+      tip: roundMoney(tip + serviceCharge),
+      items: items.map(({ lineTotal, rawText, ...item }) => item)
+    }
+  };
+};
+
+module.exports = {
+  parseReceiptText,
+  parseItemLine,
+  matchMenuItem
+};
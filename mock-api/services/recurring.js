@@ -0,0 +1,267 @@
+// Recurring bills - rent, subscriptions and utilities. A series holds the
+// schedule, amount, participants and split; the scheduler turns every due
+// date into a concrete bill. Dates are UTC calendar days ("YYYY-MM-DD").
+const { v4: uuidv4 } = require('uuid');
+const { settleBill, stripDerivedFields, SettlementError } = require('./settlement');
+const { recordActivity } = require('./activity');
+const { publishBillEvent } = require('./events');
+const { notifyBillCreated } = require('./notifications');
+const db = require('../storage');
+
+const FREQUENCIES = ['weekly', 'monthly', 'custom'];
+const AMOUNT_TYPES = ['fixed', 'variable'];
+
+// There are no line items to assign on a recurring bill
+const RECURRING_SPLIT_METHODS = ['equal', 'percentage', 'custom'];
+
+const CHECK_INTERVAL_MS = parseInt(process.env.RECURRING_CHECK_INTERVAL_MS) || 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const toDateString = (date) => date.toISOString().slice(0, 10);
+const parseDate = (value) => new Date(`${value}T00:00:00Z`);
+const addDays = (value, days) => toDateString(new Date(parseDate(value).getTime() + days * DAY_MS));
+const today = (now = new Date()) => toDateString(now);
+
+const isDateString = (value) =>
+  typeof value === 'string' && DATE_PATTERN.test(value) && toDateString(parseDate(value)) === value;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+
+// Monthly bills on the 29th-31st fall on the last day of shorter months
+const monthlyDate = (year, month, dayOfMonth) =>
+  toDateString(new Date(Date.UTC(year, month, Math.min(dayOfMonth, daysInMonth(year, month)))));
+
+/**
+ * First due date of `schedule` on or after `date`, or null once the series
+ * has run past its end date.
+ */
+const getDueDateOnOrAfter = (schedule, date) => {
+  const from = date < schedule.startDate ? schedule.startDate : date;
+  let due;
+
+  switch (schedule.frequency) {
+    case 'weekly': {
+      const day = parseDate(from).getUTCDay();
+      due = addDays(from, (schedule.dayOfWeek - day + 7) % 7);
+      break;
+    }
+    case 'monthly': {
+      const d = parseDate(from);
+      due = monthlyDate(d.getUTCFullYear(), d.getUTCMonth(), schedule.dayOfMonth);
+      if (due < from) {
+        due = monthlyDate(d.getUTCFullYear(), d.getUTCMonth() + 1, schedule.dayOfMonth);
+      }
+      break;
+    }
+    case 'custom': {
+      const elapsed = Math.round((parseDate(from) - parseDate(schedule.startDate)) / DAY_MS);
+      due = addDays(schedule.startDate, Math.ceil(elapsed / schedule.intervalDays) * schedule.intervalDays);
+      break;
+    }
+    default:
+      return null;
+  }
+
+  return schedule.endDate && due > schedule.endDate ? null : due;
+};
+
+const getDueDateAfter = (schedule, date) => getDueDateOnOrAfter(schedule, addDays(date, 1));
+
+// The next `count` due dates of a series, leaving out skipped ones
+const getUpcomingDates = (series, count = 3) => {
+  const dates = [];
+  let due = series.nextDueDate;
+  while (due && dates.length < count) {
+    if (!series.skippedDates.includes(due)) {
+      dates.push(due);
+    }
+    due = getDueDateAfter(series.schedule, due);
+  }
+  return dates;
+};
+
+// Why a schedule can't be used, or null when it can
+const getScheduleProblem = (schedule) => {
+  if (!schedule || typeof schedule !== 'object') {
+    return 'schedule is required';
+  }
+
+  const { frequency, dayOfWeek, dayOfMonth, intervalDays, startDate, endDate } = schedule;
+  if (!FREQUENCIES.includes(frequency)) {
+    return `schedule.frequency must be one of: ${FREQUENCIES.join(', ')}`;
+  }
+  if (!isDateString(startDate)) {
+    return 'schedule.startDate must be a date (YYYY-MM-DD)';
+  }
+  if (endDate !== undefined && endDate !== null && (!isDateString(endDate) || endDate < startDate)) {
+    return 'schedule.endDate must be a date (YYYY-MM-DD) on or after startDate';
+  }
+  if (frequency === 'weekly' && !(Number.isInteger(dayOfWeek) && dayOfWeek >= 0 && dayOfWeek <= 6)) {
+    return 'schedule.dayOfWeek must be 0 (Sunday) to 6 (Saturday)';
+  }
+  if (frequency === 'monthly' && !(Number.isInteger(dayOfMonth) && dayOfMonth >= 1 && dayOfMonth <= 31)) {
+    return 'schedule.dayOfMonth must be 1 to 31';
+  }
+  if (frequency === 'custom' && !(Number.isInteger(intervalDays) && intervalDays >= 1)) {
+    return 'schedule.intervalDays must be a positive integer';
+  }
+  return null;
+};
+
+// Keep only the fields that matter for the frequency
+const normalizeSchedule = (schedule) => ({
+  frequency: schedule.frequency,
+  ...(schedule.frequency === 'weekly' && { dayOfWeek: schedule.dayOfWeek }),
+  ...(schedule.frequency === 'monthly' && { dayOfMonth: schedule.dayOfMonth }),
+  ...(schedule.frequency === 'custom' && { intervalDays: schedule.intervalDays }),
+  startDate: schedule.startDate,
+  endDate: schedule.endDate || null
+});
+
+// Variable amounts can be set per occurrence; otherwise the series amount is used
+const getOccurrenceAmount = (series, date) => {
+  const override = series.occurrenceAmounts?.[date];
+  return {
+    amount: override !== undefined ? override : series.amount,
+    amountEstimated: series.amountType === 'variable' && override === undefined
+  };
+};
+
+// The concrete bill for one due date, settled but not saved
+const buildOccurrenceBill = (series, date, now = new Date()) => {
+  const { amount, amountEstimated } = getOccurrenceAmount(series, date);
+  const bill = {
+    id: `bill-${uuidv4()}`,
+    title: series.title,
+    restaurantId: null,
+    createdBy: series.createdBy,
+    createdAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    status: 'active',
+    totalAmount: amount,
+    tax: 0,
+    tip: 0,
+    currency: series.currency,
+    participants: series.participants.map(p => ({ ...stripDerivedFields(p), items: [] })),
+    items: [],
+    payments: [],
+    splitMethod: series.splitMethod,
+    location: null,
+    receiptImage: null,
+    groupId: series.groupId || null,
+    recurring: {
+      recurringBillId: series.id,
+      occurrenceDate: date,
+      amountEstimated
+    }
+  };
+
+  settleBill(bill);
+  return bill;
+};
+
+// Create the bill for one due date and log it as a recurring bill_created
+const createOccurrence = (series, date) => {
+  const bill = buildOccurrenceBill(series, date);
+
+  db.bills.insert(bill, { prepend: true });
+  publishBillEvent('bill.created', bill, { bill });
+  recordActivity(bill, series.createdBy, 'bill_created',
+    `${bill.title} was created from a recurring schedule`,
+    { recurring: true, recurringBillId: series.id, occurrenceDate: date });
+  notifyBillCreated(bill);
+
+  return bill;
+};
+
+/**
+ * Create the bills for every active series that has come due by `now`,
+ * catching up on dates missed while the server was down. A series whose bill
+ * can no longer be created is paused with the reason in `lastError`.
+ * Returns the created bills.
+ */
+const runDueRecurringBills = (now = new Date()) => {
+  const due = today(now);
+  const created = [];
+
+  db.recurringBills
+    .filter(series => series.status === 'active' && series.nextDueDate && series.nextDueDate <= due)
+    .forEach(series => {
+      db.recurringBills.update(series.id, (s) => {
+        while (s.status === 'active' && s.nextDueDate && s.nextDueDate <= due) {
+          const date = s.nextDueDate;
+
+          if (s.skippedDates.includes(date)) {
+            s.skippedDates = s.skippedDates.filter(d => d !== date);
+          } else {
+            try {
+              const bill = createOccurrence(s, date);
+              s.occurrences.push({ date, billId: bill.id, createdAt: bill.createdAt });
+              created.push(bill);
+            } catch (error) {
+              if (!(error instanceof SettlementError)) {
+                throw error;
+              }
+              console.error(`Recurring bill ${s.id} paused:`, error.message);
+              s.status = 'paused';
+              s.lastError = { message: error.message, code: error.code, date };
+              break;
+            }
+          }
+
+          s.nextDueDate = getDueDateAfter(s.schedule, date);
+        }
+
+        if (!s.nextDueDate && s.status === 'active') {
+          s.status = 'ended';
+          s.endedAt = now.toISOString();
+        }
+        s.updatedAt = now.toISOString();
+      });
+    });
+
+  return created;
+};
+
+let schedulerTimer = null;
+
+// Check for due series on start and then every CHECK_INTERVAL_MS
+const startRecurringScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = () => {
+    try {
+      const created = runDueRecurringBills();
+      if (created.length > 0) {
+        console.log(`🔁 Created ${created.length} recurring bill(s)`);
+      }
+    } catch (error) {
+      console.error('Recurring bill scheduler error:', error);
+    }
+  };
+
+  tick();
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  FREQUENCIES,
+  AMOUNT_TYPES,
+  RECURRING_SPLIT_METHODS,
+  today,
+  addDays,
+  isDateString,
+  getDueDateOnOrAfter,
+  getDueDateAfter,
+  getUpcomingDates,
+  getScheduleProblem,
+  normalizeSchedule,
+  buildOccurrenceBill,
+  runDueRecurringBills,
+  startRecurringScheduler
+};
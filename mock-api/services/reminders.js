@@ -0,0 +1,179 @@
+// Payment reminders. The scheduler reminds everyone who still owes money on an
+// active bill a set number of days after it was created; creditors can also
+// nudge a debtor by hand, at most once per cooldown. Every reminder that goes
+// out is kept in `paymentReminders` and logged in the bill's activity history.
+const { v4: uuidv4 } = require('uuid');
+const { getBillDebts } = require('./debts');
+const { fromCents } = require('./settlement');
+const { formatMoney } = require('./currency');
+const { recordActivity } = require('./activity');
+const { notify, nameOf } = require('./notifications');
+const db = require('../storage');
+
+const parseDays = (value) => (value || '')
+  .split(',')
+  .map(day => parseInt(day))
+  .filter(day => day > 0)
+  .sort((a, b) => a - b);
+
+// Days after a bill is created on which debtors are reminded
+const REMINDER_DAYS = parseDays(process.env.PAYMENT_REMINDER_DAYS).length > 0 ?
+  parseDays(process.env.PAYMENT_REMINDER_DAYS) :
+  [3, 7, 14];
+
+const CHECK_INTERVAL_MS = parseInt(process.env.REMINDER_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+const NUDGE_COOLDOWN_MS = (parseInt(process.env.NUDGE_COOLDOWN_HOURS) || 24) * 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Who still owes money on a bill and to whom.
+ * Returns [{ userId, amount, creditors: [{ userId, amount }] }]
+ */
+const getBillDebtors = (bill) => {
+  const debtors = new Map();
+
+  getBillDebts(bill).forEach(({ fromUserId, toUserId, amountCents }) => {
+    if (!debtors.has(fromUserId)) {
+      debtors.set(fromUserId, { userId: fromUserId, amountCents: 0, creditors: [] });
+    }
+    const debtor = debtors.get(fromUserId);
+    debtor.amountCents += amountCents;
+    debtor.creditors.push({ userId: toUserId, amount: fromCents(amountCents) });
+  });
+
+  return [...debtors.values()].map(({ amountCents, ...debtor }) => ({
+    ...debtor,
+    amount: fromCents(amountCents)
+  }));
+};
+
+const getReminders = (billId, userId) => db.paymentReminders.filter(r =>
+  r.billId === billId && (userId === undefined || r.userId === userId)
+);
+
+// When `fromUserId` may next nudge `userId` on a bill, or null if they can now
+const getNextNudgeAt = (billId, userId, fromUserId, now = new Date()) => {
+  const last = getReminders(billId, userId)
+    .filter(r => r.type === 'nudge' && r.sentBy === fromUserId)
+    .reduce((latest, r) => (!latest || r.createdAt > latest ? r.createdAt : latest), null);
+
+  if (!last) {
+    return null;
+  }
+  const next = new Date(new Date(last).getTime() + NUDGE_COOLDOWN_MS);
+  return next > now ? next : null;
+};
+
+// The latest reminder day a bill has reached, or null before the first one
+const getReminderStage = (bill, now = new Date()) => {
+  const age = (now - new Date(bill.createdAt)) / DAY_MS;
+  const reached = REMINDER_DAYS.filter(day => day <= age);
+  return reached.length > 0 ? reached[reached.length - 1] : null;
+};
+
+/**
+ * Send one reminder to a debtor. Returns the stored reminder, or null when
+ * they have switched bill reminders off - nothing is recorded in that case.
+ */
+const sendReminder = (bill, debtor, { type, sentBy = null, stage = null, message }) => {
+  const currency = bill.currency;
+  const amountText = formatMoney(debtor.amount, currency);
+  const owedTo = debtor.creditors.map(c => nameOf(c.userId, bill)).join(', ');
+
+  const notification = notify(debtor.userId, 'bill_reminder', {
+    title: type === 'nudge' ? `${nameOf(sentBy, bill)} sent a reminder` : 'Payment reminder',
+    message: message || `You still owe ${amountText} to ${owedTo} for ${bill.title}`,
+    data: { billId: bill.id, amount: debtor.amount, currency, ...(sentBy !== null && { fromUserId: sentBy }) }
+  });
+  if (!notification) {
+    return null;
+  }
+
+  const reminder = db.paymentReminders.insert({
+    id: `reminder-${uuidv4()}`,
+    billId: bill.id,
+    userId: debtor.userId,
+    type,
+    sentBy,
+    stage,
+    amount: debtor.amount,
+    currency,
+    notificationId: notification.id,
+    createdAt: notification.createdAt
+  });
+
+  recordActivity(bill, sentBy, 'payment_reminder',
+    type === 'nudge' ?
+      `${nameOf(sentBy, bill)} reminded ${nameOf(debtor.userId, bill)} to pay ${amountText}` :
+      `${nameOf(debtor.userId, bill)} was reminded to pay ${amountText}`,
+    { reminderId: reminder.id, reminderType: type, userId: debtor.userId, amount: debtor.amount, currency, ...(stage && { stage }) });
+
+  return reminder;
+};
+
+/**
+ * Remind every debtor on active bills that have reached a reminder day they
+ * haven't been reminded for. Only the latest day reached is sent, so a server
+ * that was down doesn't deliver a backlog of reminders at once.
+ * Returns the reminders sent.
+ */
+const runDueReminders = (now = new Date()) => {
+  const sent = [];
+
+  db.bills
+    .filter(bill => bill.status === 'active')
+    .forEach(bill => {
+      const stage = getReminderStage(bill, now);
+      if (stage === null) {
+        return;
+      }
+
+      getBillDebtors(bill)
+        .filter(debtor => !getReminders(bill.id, debtor.userId)
+          .some(r => r.type === 'automatic' && r.stage >= stage))
+        .forEach(debtor => {
+          const reminder = sendReminder(bill, debtor, { type: 'automatic', stage });
+          if (reminder) {
+            sent.push(reminder);
+          }
+        });
+    });
+
+  return sent;
+};
+
+let schedulerTimer = null;
+
+// Check for due reminders on start and then every CHECK_INTERVAL_MS
+const startReminderScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = () => {
+    try {
+      const sent = runDueReminders();
+      if (sent.length > 0) {
+        console.log(`⏰ Sent ${sent.length} payment reminder(s)`);
+      }
+    } catch (error) {
+      console.error('Payment reminder scheduler error:', error);
+    }
+  };
+
+  tick();
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  REMINDER_DAYS,
+  NUDGE_COOLDOWN_MS,
+  getBillDebtors,
+  getReminders,
+  getNextNudgeAt,
+  sendReminder,
+  runDueReminders,
+  startReminderScheduler
+};
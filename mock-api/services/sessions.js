@@ -0,0 +1,147 @@
+// Login sessions. Each login or registration starts a session holding a
+// rotating refresh token; access tokens are short-lived JWTs tied to the
+// session by `sid`. Refresh tokens are stored hashed, and a refresh token that
+// was already swapped for a new one revokes the whole session when reused.
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const db = require('../storage');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_MS = (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+class SessionError extends Error {
+  constructor(message, code, status = 401) {
+    super(message);
+    this.name = 'SessionError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+const newRefreshToken = () => crypto.randomBytes(32).toString('base64url');
+
+const isActive = (session, now = new Date()) =>
+  !!session && !session.revokedAt && new Date(session.expiresAt) > now;
+
+// Add an access token to the revocation list until it would have expired anyway
+const revokeAccessToken = ({ jti, id, exp }) => {
+  if (!jti || db.revokedTokens.findById(jti)) {
+    return;
+  }
+  db.revokedTokens.insert({
+    jti,
+    userId: id,
+    revokedAt: new Date().toISOString(),
+    expiresAt: new Date(exp * 1000).toISOString()
+  });
+};
+
+// A token is rejected once it is on the revocation list or its session has ended
+const isAccessTokenRevoked = ({ jti, sid }) =>
+  !!db.revokedTokens.findById(jti) || !isActive(db.sessions.findById(sid));
+
+// Drop revocation entries and sessions nobody can use any more
+const pruneExpired = (now = new Date()) => {
+  db.revokedTokens.removeWhere(t => new Date(t.expiresAt) <= now);
+  db.sessions.removeWhere(s => new Date(s.expiresAt) <= now);
+};
+
+/**
+ * Start a session for `user` from the login or registration request.
+ * Returns the session and its first refresh token - only the hash is stored.
+ */
+const createSession = (user, req) => {
+  const refreshToken = newRefreshToken();
+  const now = new Date();
+  pruneExpired(now);
+
+  const session = db.sessions.insert({
+    id: `session-${uuidv4()}`,
+    userId: user.id,
+    refreshTokenHash: hashToken(refreshToken),
+    previousTokenHash: null,
+    userAgent: req.get('user-agent') || null,
+    ip: req.ip || null,
+    createdAt: now.toISOString(),
+    lastUsedAt: now.toISOString(),
+    expiresAt: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    revokedAt: null
+  });
+
+  return { session, refreshToken };
+};
+
+const revokeSession = (sessionId, reason) => db.sessions.update(sessionId, (s) => {
+  if (!s.revokedAt) {
+    s.revokedAt = new Date().toISOString();
+    s.revokedReason = reason;
+  }
+});
+
+// Sign a user out everywhere, optionally keeping the session they are using
+const revokeUserSessions = (userId, reason, exceptSessionId = null) => {
+  db.sessions
+    .filter(s => s.userId === userId && s.id !== exceptSessionId && isActive(s))
+    .forEach(s => revokeSession(s.id, reason));
+};
+
+/**
+ * Swap a refresh token for a new one. Throws a SessionError when the token
+ * is unknown, expired or revoked, or was already used - in which case someone
+ * else may hold it, so the session is revoked.
+ */
+const rotateRefreshToken = (refreshToken) => {
+  const hash = hashToken(refreshToken);
+  const session = db.sessions.find(s => s.refreshTokenHash === hash);
+
+  if (!session) {
+    const reused = db.sessions.find(s => s.previousTokenHash === hash);
+    if (reused && isActive(reused)) {
+      revokeSession(reused.id, 'refresh_token_reused');
+      throw new SessionError('Refresh token was already used; the session has been revoked', 'REFRESH_TOKEN_REUSED');
+    }
+    throw new SessionError('Invalid refresh token', 'INVALID_REFRESH_TOKEN');
+  }
+
+  if (!isActive(session)) {
+    throw new SessionError('Session has expired or was revoked', 'SESSION_EXPIRED');
+  }
+
+  const nextToken = newRefreshToken();
+  const updated = db.sessions.update(session.id, (s) => {
+    s.previousTokenHash = s.refreshTokenHash;
+    s.refreshTokenHash = hashToken(nextToken);
+    s.lastUsedAt = new Date().toISOString();
+  });
+
+  return { session: updated, refreshToken: nextToken };
+};
+
+const getActiveSessions = (userId) => db.sessions
+  .filter(s => s.userId === userId && isActive(s))
+  .sort((a, b) => new Date(b.lastUsedAt) - new Date(a.lastUsedAt));
+
+// Session as shown to its owner - never the token hashes
+const toSessionResponse = (session, currentSessionId) => ({
+  id: session.id,
+  userAgent: session.userAgent,
+  ip: session.ip,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session.id === currentSessionId
+});
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  SessionError,
+  revokeAccessToken,
+  isAccessTokenRevoked,
+  createSession,
+  revokeSession,
+  revokeUserSessions,
+  rotateRefreshToken,
+  getActiveSessions,
+  toSessionResponse
+};
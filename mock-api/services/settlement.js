@@ -0,0 +1,368 @@
+// Settlement engine - derives every participant's figures on a bill from its
+// items, split method, tax, tip and completed payments. Amounts are handled in
+// integer cents internally so the shares always add up to the bill total.
+
+const SPLIT_METHODS = ['itemized', 'equal', 'percentage', 'custom'];
+const BILL_STATUSES = ['active', 'settled', 'cancelled'];
+// A payment counts once its receiver confirms it (completed); rejected and
+// refunded payments stay on the bill for the record but count for nothing
+const PAYMENT_STATUSES = ['pending', 'completed', 'rejected', 'refunded'];
+
+// Figures owned by the engine - anything the client sends for these is ignored
+const DERIVED_PARTICIPANT_FIELDS = ['subtotal', 'taxShare', 'tipShare', 'totalOwed', 'netBalance', 'paymentStatus', 'paidAmount', 'unconfirmedAmount', 'paidAt'];
+
+class SettlementError extends Error {
+  constructor(message, code = 'INVALID_BILL', details) {
+    super(message);
+    this.name = 'SettlementError';
+    this.status = 400;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+const toCents = (amount) => Math.round((Number(amount) || 0) * 100);
+const fromCents = (cents) => cents / 100;
+
+const isMoney = (value) => typeof value === 'number' && Number.isFinite(value) && value >= 0;
+
+// Split `totalCents` in proportion to `weights` so the parts add up exactly.
+// Leftover cents go to the largest remainders, ties broken by position.
+const allocateCents = (totalCents, weights) => {
+  if (weights.length === 0) {
+    return [];
+  }
+
+  const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+  const effectiveWeights = weightSum > 0 ? weights : weights.map(() => 1);
+  const effectiveSum = weightSum > 0 ? weightSum : weights.length;
+
+  const exact = effectiveWeights.map(weight => (totalCents * weight) / effectiveSum);
+  const parts = exact.map(Math.floor);
+  const leftover = totalCents - parts.reduce((sum, part) => sum + part, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - Math.floor(value) }))
+    .sort((a, b) => b.fraction - a.fraction || a.index - b.index)
+    .slice(0, leftover)
+    .forEach(({ index }) => { parts[index] += 1; });
+
+  return parts;
+};
+
+// Bills created before the item catalogue existed only store items under participants
+const getItemCatalogue = (bill) => {
+  if (Array.isArray(bill.items) && bill.items.length > 0) {
+    return bill.items;
+  }
+
+  const byId = new Map();
+  bill.participants.forEach(participant => {
+    (participant.items || []).forEach(item => {
+      const existing = byId.get(item.id);
+      if (existing) {
+        existing.quantity += item.quantity || 1;
+      } else {
+        byId.set(item.id, { ...item, quantity: item.quantity || 1 });
+      }
+    });
+  });
+  return [...byId.values()];
+};
+
+const validateBill = (bill) => {
+  if (!SPLIT_METHODS.includes(bill.splitMethod)) {
+    throw new SettlementError(`splitMethod must be one of: ${SPLIT_METHODS.join(', ')}`, 'INVALID_SPLIT_METHOD');
+  }
+
+  if (bill.status && !BILL_STATUSES.includes(bill.status)) {
+    throw new SettlementError(`status must be one of: ${BILL_STATUSES.join(', ')}`, 'INVALID_STATUS');
+  }
+
+  ['totalAmount', 'tax', 'tip'].forEach(field => {
+    if (!isMoney(bill[field])) {
+      throw new SettlementError(`${field} must be a non-negative number`, 'INVALID_AMOUNT', { field });
+    }
+  });
+
+  if (!Array.isArray(bill.participants) || bill.participants.length === 0) {
+    throw new SettlementError('A bill needs at least one participant', 'INVALID_PARTICIPANTS');
+  }
+
+  const participantIds = bill.participants.map(p => p.id);
+  if (participantIds.some(id => id === undefined || id === null)) {
+    throw new SettlementError('Every participant needs an id', 'INVALID_PARTICIPANTS');
+  }
+  if (new Set(participantIds).size !== participantIds.length) {
+    throw new SettlementError('Participants must be unique', 'DUPLICATE_PARTICIPANT');
+  }
+
+  const allItems = [
+    ...(bill.items || []),
+    ...bill.participants.flatMap(p => p.items || [])
+  ];
+  allItems.forEach(item => {
+    if (!item.id) {
+      throw new SettlementError('Every item needs an id', 'INVALID_ITEM');
+    }
+    if (!isMoney(item.price)) {
+      throw new SettlementError(`Item "${item.name || item.id}" needs a non-negative unit price`, 'INVALID_ITEM', { itemId: item.id });
+    }
+    if (item.quantity !== undefined && !(Number.isInteger(item.quantity) && item.quantity > 0)) {
+      throw new SettlementError(`Item "${item.name || item.id}" quantity must be a positive integer`, 'INVALID_ITEM', { itemId: item.id });
+    }
+  });
+
+  (bill.payments || []).forEach(payment => {
+    if (!participantIds.includes(payment.fromUserId)) {
+      throw new SettlementError('Payments must be made by a participant of the bill', 'INVALID_PAYMENT', { fromUserId: payment.fromUserId });
+    }
+    if (payment.toUserId !== null && payment.toUserId !== undefined && !participantIds.includes(payment.toUserId)) {
+      throw new SettlementError('Payments can only be sent to a participant of the bill', 'INVALID_PAYMENT', { toUserId: payment.toUserId });
+    }
+    if (payment.status && !PAYMENT_STATUSES.includes(payment.status)) {
+      throw new SettlementError(`Payment status must be one of: ${PAYMENT_STATUSES.join(', ')}`, 'INVALID_PAYMENT', { status: payment.status });
+    }
+    if (!(isMoney(payment.amount) && payment.amount > 0)) {
+      throw new SettlementError('Payment amount must be a positive number', 'INVALID_AMOUNT', { amount: payment.amount });
+    }
+    if (payment.currency && payment.currency !== bill.currency && !(isMoney(payment.billAmount) && payment.billAmount > 0)) {
+      throw new SettlementError('Payments in another currency need the amount converted to the bill currency', 'INVALID_PAYMENT', { currency: payment.currency });
+    }
+  });
+};
+
+// What a payment is worth in the bill's currency - foreign-currency payments
+// carry the converted amount alongside the amount actually sent
+const paymentCents = (payment) => toCents(
+  payment.billAmount !== undefined && payment.billAmount !== null ? payment.billAmount : payment.amount
+);
+
+// Whoever confirms a payment - payments without a recipient went to the
+// venue, which whoever created the bill paid
+const getPaymentReceiverId = (bill, payment) => payment.toUserId ?? bill.createdBy;
+
+// Who a payment leaves better off on the bill: its receiver, unless that is the
+// payer - the bill's creator paying the venue. Someone else's payment without
+// a recipient is money handed to the creator, so the creator's credit goes down.
+const getPaymentCreditedId = (bill, payment) => {
+  const receiverId = getPaymentReceiverId(bill, payment);
+  return receiverId === payment.fromUserId ? null : receiverId;
+};
+
+// Item costs per participant, mirroring SplitScreen's rules: a single-unit item
+// can be shared (split evenly), multi-unit items are assigned unit by unit
+const computeItemizedSubtotals = (bill, totalCents) => {
+  const catalogue = getItemCatalogue(bill);
+  const catalogueIds = new Set(catalogue.map(item => item.id));
+  const subtotals = bill.participants.map(() => 0);
+
+  bill.participants.forEach(participant => {
+    (participant.items || []).forEach(item => {
+      if (!catalogueIds.has(item.id)) {
+        throw new SettlementError(`Item "${item.name || item.id}" is not on this bill`, 'UNKNOWN_ITEM', { itemId: item.id, participantId: participant.id });
+      }
+    });
+  });
+
+  let itemsTotalCents = 0;
+  let assignedCents = 0;
+
+  catalogue.forEach(item => {
+    const quantity = item.quantity || 1;
+    const unitCents = toCents(item.price);
+    itemsTotalCents += unitCents * quantity;
+
+    const holders = bill.participants
+      .map((participant, index) => ({
+        index,
+        units: (participant.items || [])
+          .filter(assigned => assigned.id === item.id)
+          .reduce((sum, assigned) => sum + (assigned.quantity || 1), 0)
+      }))
+      .filter(holder => holder.units > 0);
+
+    if (holders.length === 0) {
+      return;
+    }
+
+    if (quantity === 1) {
+      if (holders.some(holder => holder.units > 1)) {
+        throw new SettlementError(`Only one "${item.name}" is on the bill`, 'QUANTITY_EXCEEDED', { itemId: item.id });
+      }
+      allocateCents(unitCents, holders.map(() => 1)).forEach((cents, i) => {
+        subtotals[holders[i].index] += cents;
+      });
+      assignedCents += unitCents;
+      return;
+    }
+
+    const assignedUnits = holders.reduce((sum, holder) => sum + holder.units, 0);
+    if (assignedUnits > quantity) {
+      throw new SettlementError(`${assignedUnits} × "${item.name}" assigned but only ${quantity} on the bill`, 'QUANTITY_EXCEEDED', { itemId: item.id });
+    }
+    holders.forEach(holder => {
+      subtotals[holder.index] += unitCents * holder.units;
+    });
+    assignedCents += unitCents * assignedUnits;
+  });
+
+  if (catalogue.length > 0 && itemsTotalCents !== totalCents) {
+    throw new SettlementError(
+      `totalAmount ${fromCents(totalCents).toFixed(2)} does not match the items total ${fromCents(itemsTotalCents).toFixed(2)}`,
+      'TOTAL_MISMATCH',
+      { totalAmount: fromCents(totalCents), itemsTotal: fromCents(itemsTotalCents) }
+    );
+  }
+
+  // Anything nobody has claimed yet is shared evenly so balances still add up
+  const unassignedCents = totalCents - assignedCents;
+  allocateCents(unassignedCents, bill.participants.map(() => 1)).forEach((cents, index) => {
+    subtotals[index] += cents;
+  });
+
+  return { subtotals, unassignedCents };
+};
+
+const computeSubtotals = (bill) => {
+  const totalCents = toCents(bill.totalAmount);
+  const participants = bill.participants;
+
+  switch (bill.splitMethod) {
+    case 'itemized':
+      return computeItemizedSubtotals(bill, totalCents);
+
+    case 'equal':
+      return { subtotals: allocateCents(totalCents, participants.map(() => 1)), unassignedCents: 0 };
+
+    case 'percentage': {
+      const percentages = participants.map(p => Number(p.percentage) || 0);
+      const totalPercentage = percentages.reduce((sum, pct) => sum + pct, 0);
+      if (percentages.some(pct => pct < 0) || Math.abs(totalPercentage - 100) > 0.001) {
+        throw new SettlementError(`Participant percentages must add up to 100 (got ${totalPercentage})`, 'PERCENTAGE_MISMATCH');
+      }
+      return { subtotals: allocateCents(totalCents, percentages), unassignedCents: 0 };
+    }
+
+    case 'custom': {
+      const amounts = participants.map(p => toCents(p.customAmount));
+      const customTotal = amounts.reduce((sum, cents) => sum + cents, 0);
+      if (participants.some(p => !isMoney(p.customAmount)) || customTotal !== totalCents) {
+        throw new SettlementError(
+          `Participant custom amounts must add up to totalAmount ${fromCents(totalCents).toFixed(2)}`,
+          'TOTAL_MISMATCH',
+          { totalAmount: fromCents(totalCents), customTotal: fromCents(customTotal) }
+        );
+      }
+      return { subtotals: amounts, unassignedCents: 0 };
+    }
+
+    default:
+      throw new SettlementError('Unknown split method', 'INVALID_SPLIT_METHOD');
+  }
+};
+
+/**
+ * Recompute the bill's derived figures in place and return the bill.
+ * Throws a SettlementError when the bill's input is inconsistent.
+ */
+const settleBill = (bill) => {
+  bill.splitMethod = bill.splitMethod || 'itemized';
+  bill.tax = bill.tax || 0;
+  bill.tip = bill.tip || 0;
+  bill.payments = bill.payments || [];
+
+  validateBill(bill);
+
+  const { subtotals, unassignedCents } = computeSubtotals(bill);
+  const taxShares = allocateCents(toCents(bill.tax), subtotals);
+  const tipShares = allocateCents(toCents(bill.tip), subtotals);
+
+  const completedPayments = bill.payments.filter(payment => payment.status === 'completed');
+  const pendingPayments = bill.payments.filter(payment => payment.status === 'pending');
+
+  let pendingCents = 0;
+  bill.participants.forEach((participant, index) => {
+    const owedCents = subtotals[index] + taxShares[index] + tipShares[index];
+    const sent = completedPayments.filter(payment => payment.fromUserId === participant.id);
+    const paidCents = sent.reduce((sum, payment) => sum + paymentCents(payment), 0);
+    const receivedCents = completedPayments
+      .filter(payment => getPaymentCreditedId(bill, payment) === participant.id)
+      .reduce((sum, payment) => sum + paymentCents(payment), 0);
+    const netCents = paidCents - receivedCents - owedCents;
+
+    participant.subtotal = fromCents(subtotals[index]);
+    participant.taxShare = fromCents(taxShares[index]);
+    participant.tipShare = fromCents(tipShares[index]);
+    participant.totalOwed = fromCents(owedCents);
+    participant.netBalance = fromCents(netCents);
+    participant.paidAmount = fromCents(paidCents);
+    participant.unconfirmedAmount = fromCents(pendingPayments
+      .filter(payment => payment.fromUserId === participant.id)
+      .reduce((sum, payment) => sum + paymentCents(payment), 0));
+
+    if (netCents >= 0) {
+      participant.paymentStatus = 'paid';
+    } else if (paidCents > 0) {
+      participant.paymentStatus = 'partial';
+    } else {
+      participant.paymentStatus = 'pending';
+    }
+
+    if (sent.length > 0) {
+      participant.paidAt = sent
+        .map(payment => payment.createdAt)
+        .sort()
+        .pop();
+    } else {
+      delete participant.paidAt;
+    }
+
+    if (netCents < 0) {
+      pendingCents -= netCents;
+    }
+  });
+
+  const finalCents = toCents(bill.totalAmount) + toCents(bill.tax) + toCents(bill.tip);
+  const paidInCents = completedPayments.reduce((sum, payment) => sum + paymentCents(payment), 0);
+
+  bill.finalAmount = fromCents(finalCents);
+  bill.unassignedAmount = fromCents(unassignedCents);
+  bill.collectedAmount = fromCents(completedPayments
+    .filter(payment => getPaymentCreditedId(bill, payment) !== null)
+    .reduce((sum, payment) => sum + paymentCents(payment), 0));
+  bill.pendingAmount = fromCents(pendingCents);
+
+  // Settle the bill once everyone is square, reopen it if a change leaves someone owing
+  const isSquare = pendingCents === 0 && paidInCents >= finalCents;
+  if (bill.status === 'active' && isSquare) {
+    bill.status = 'settled';
+  } else if (bill.status === 'settled' && !isSquare) {
+    bill.status = 'active';
+  }
+
+  return bill;
+};
+
+// Drop figures the engine owns so stale client values never survive
+const stripDerivedFields = (participant) => {
+  const cleaned = { ...participant };
+  DERIVED_PARTICIPANT_FIELDS.forEach(field => delete cleaned[field]);
+  return cleaned;
+};
+
+module.exports = {
+  settleBill,
+  stripDerivedFields,
+  getItemCatalogue,
+  allocateCents,
+  getPaymentReceiverId,
+  getPaymentCreditedId,
+  paymentCents,
+  toCents,
+  fromCents,
+  SettlementError,
+  SPLIT_METHODS,
+  PAYMENT_STATUSES,
+  BILL_STATUSES
+};
@@ -0,0 +1,203 @@
+// Bills for reading outside the app: a CSV export with one row per person per
+// bill for spreadsheets, and a printable HTML statement of a single bill.
+const { getItemCatalogue } = require('./settlement');
+const { formatMoney } = require('./currency');
+
+const ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, c => ENTITIES[c]);
+
+const personName = (bill, userId) => {
+  if (userId === null || userId === undefined) {
+    return 'Venue';
+  }
+  return bill.participants.find(p => p.id === userId)?.name || `User ${userId}`;
+};
+
+// One column of the export: its header and how to read it off a bill and person
+const CSV_COLUMNS = [
+  ['billId', bill => bill.id],
+  ['date', bill => bill.createdAt.slice(0, 10)],
+  ['title', bill => bill.title],
+  ['status', bill => bill.status],
+  ['currency', bill => bill.currency],
+  ['billTotal', bill => bill.finalAmount],
+  ['tax', bill => bill.tax],
+  ['tip', bill => bill.tip],
+  ['participantId', (bill, p) => p.id],
+  ['participant', (bill, p) => p.name],
+  ['subtotal', (bill, p) => p.subtotal],
+  ['taxShare', (bill, p) => p.taxShare],
+  ['tipShare', (bill, p) => p.tipShare],
+  ['totalOwed', (bill, p) => p.totalOwed],
+  ['paidAmount', (bill, p) => p.paidAmount],
+  ['unconfirmedAmount', (bill, p) => p.unconfirmedAmount ?? 0],
+  ['netBalance', (bill, p) => p.netBalance],
+  ['paymentStatus', (bill, p) => p.paymentStatus]
+];
+
+// Quoted when needed (RFC 4180). Text a spreadsheet would read as a formula
+// gets a leading apostrophe.
+const csvCell = (value) => {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (typeof value === 'number') {
+    return String(value);
+  }
+  const text = /^[=+\-@\t\r]/.test(value) ? `'${value}` : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * The bills as CSV, one row per participant of each bill. Starts with a byte
+ * order mark so spreadsheets read it as UTF-8.
+ */
+const billsToCsv = (bills) => {
+  const rows = [
+    CSV_COLUMNS.map(([header]) => header),
+    ...bills.flatMap(bill => bill.participants.map(participant =>
+      CSV_COLUMNS.map(([, read]) => read(bill, participant))
+    ))
+  ];
+  return `\uFEFF${rows.map(row => row.map(csvCell).join(',')).join('\r\n')}\r\n`;
+};
+
+const STATEMENT_CSS = `
+  body { font: 14px/1.5 -apple-system, "Segoe UI", Helvetica, Arial, sans-serif; color: #1d1d1f; max-width: 880px; margin: 32px auto; padding: 0 24px; }
+  h1 { font-size: 24px; margin: 0 0 4px; }
+  h2 { font-size: 16px; margin: 28px 0 8px; border-bottom: 1px solid #d2d2d7; padding-bottom: 4px; }
+  .meta { color: #6e6e73; margin: 0; }
+  table { width: 100%; border-collapse: collapse; }
+  th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #e5e5ea; vertical-align: top; }
+  th { font-size: 12px; text-transform: uppercase; letter-spacing: .03em; color: #6e6e73; }
+  td.num, th.num { text-align: right; font-variant-numeric: tabular-nums; white-space: nowrap; }
+  tfoot td { font-weight: 600; border-bottom: none; }
+  .empty { color: #6e6e73; }
+  .print { margin: 16px 0; }
+  footer { margin-top: 32px; color: #6e6e73; font-size: 12px; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .print { display: none; }
+    tr { break-inside: avoid; }
+  }
+`;
+
+const table = (headers, rows, footer) => {
+  const head = headers.map(([label, num]) => `<th${num ? ' class="num"' : ''}>${escapeHtml(label)}</th>`).join('');
+  const row = (cells) => `<tr>${cells.map((cell, i) =>
+    `<td${headers[i][1] ? ' class="num"' : ''}>${cell}</td>`).join('')}</tr>`;
+  return `<table><thead><tr>${head}</tr></thead><tbody>${rows.map(row).join('')}</tbody>` +
+    `${footer ? `<tfoot>${row(footer)}</tfoot>` : ''}</table>`;
+};
+
+const itemsSection = (bill, money) => {
+  const items = getItemCatalogue(bill);
+  if (items.length === 0) {
+    return '<p class="empty">No items - the bill is split by amount.</p>';
+  }
+
+  return table(
+    [['Item'], ['Qty', true], ['Unit price', true], ['Total', true], ['Shared by']],
+    items.map(item => {
+      const quantity = item.quantity || 1;
+      const holders = bill.participants
+        .map(p => ({
+          name: p.name,
+          units: (p.items || []).filter(i => i.id === item.id).reduce((sum, i) => sum + (i.quantity || 1), 0)
+        }))
+        .filter(holder => holder.units > 0)
+        .map(holder => (quantity > 1 ? `${holder.name} × ${holder.units}` : holder.name));
+      return [
+        escapeHtml(item.name),
+        quantity,
+        money(item.price),
+        money(item.price * quantity),
+        holders.length > 0 ? escapeHtml(holders.join(', ')) : '<span class="empty">Everyone</span>'
+      ];
+    })
+  );
+};
+
+const sharesSection = (bill, money) => table(
+  [['Person'], ['Subtotal', true], ['Tax', true], ['Tip', true], ['Owes', true], ['Paid', true], ['Unconfirmed', true], ['Balance', true], ['Status']],
+  bill.participants.map(p => [
+    escapeHtml(p.name),
+    money(p.subtotal),
+    money(p.taxShare),
+    money(p.tipShare),
+    money(p.totalOwed),
+    money(p.paidAmount),
+    money(p.unconfirmedAmount ?? 0),
+    money(p.netBalance),
+    escapeHtml(p.paymentStatus)
+  ]),
+  ['Total', money(bill.totalAmount), money(bill.tax), money(bill.tip), money(bill.finalAmount), '', '', '', '']
+);
+
+const paymentsSection = (bill, money) => {
+  if (bill.payments.length === 0) {
+    return '<p class="empty">No payments yet.</p>';
+  }
+
+  return table(
+    [['Date'], ['From'], ['To'], ['Amount', true], ['Method'], ['Status'], ['Reference']],
+    bill.payments.map(payment => {
+      const converted = payment.currency !== bill.currency && payment.billAmount !== undefined;
+      return [
+        escapeHtml(payment.createdAt.slice(0, 10)),
+        escapeHtml(personName(bill, payment.fromUserId)),
+        escapeHtml(personName(bill, payment.toUserId)),
+        escapeHtml(formatMoney(payment.amount, payment.currency)) + (converted ? `<br><small>${money(payment.billAmount)}</small>` : ''),
+        escapeHtml(payment.method),
+        escapeHtml(payment.status) + (payment.reason ? `<br><small>${escapeHtml(payment.reason)}</small>` : ''),
+        escapeHtml(payment.transactionId || '')
+      ];
+    })
+  );
+};
+
+/**
+ * A standalone HTML statement of the bill - items, each person's share with
+ * their part of the tax and tip, and the payments - laid out for printing or
+ * saving as PDF from the browser.
+ */
+const renderStatementHtml = (bill, { generatedAt = new Date() } = {}) => {
+  const money = (amount) => escapeHtml(formatMoney(amount, bill.currency));
+  const meta = [
+    new Date(bill.createdAt).toDateString(),
+    bill.location?.name,
+    `${bill.status}${bill.archivedAt ? ', archived' : ''}`,
+    bill.currency,
+    `${bill.splitMethod} split`
+  ].filter(Boolean).map(escapeHtml).join(' · ');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(bill.title)} - statement</title>
+<style>${STATEMENT_CSS}</style>
+</head>
+<body>
+<h1>${escapeHtml(bill.title)}</h1>
+<p class="meta">${meta}</p>
+<p class="meta">Bill ${escapeHtml(bill.id)}, version ${bill.version}</p>
+<button class="print" onclick="window.print()">Print or save as PDF</button>
+<h2>Items</h2>
+${itemsSection(bill, money)}
+<h2>Shares</h2>
+${sharesSection(bill, money)}
+<h2>Payments</h2>
+${paymentsSection(bill, money)}
+<footer>Generated ${escapeHtml(generatedAt.toISOString())}. Only completed payments count towards what each person has paid.</footer>
+</body>
+</html>
+`;
+};
+
+module.exports = {
+  billsToCsv,
+  renderStatementHtml
+};
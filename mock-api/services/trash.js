@@ -0,0 +1,96 @@
+// Deleted bills. Deleting a bill moves it from `bills` to `deletedBills`, out of
+// every list, balance and lookup; its creator can restore it for
+// BILL_RETENTION_DAYS, after which the scheduler removes it for good.
+const fs = require('fs');
+const { receiptPath } = require('../middleware/upload');
+const db = require('../storage');
+
+const RETENTION_DAYS = parseInt(process.env.BILL_RETENTION_DAYS) || 30;
+const CHECK_INTERVAL_MS = parseInt(process.env.TRASH_CHECK_INTERVAL_MS) || 60 * 60 * 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const getPurgeAt = (bill) =>
+  new Date(new Date(bill.deletedAt).getTime() + RETENTION_DAYS * DAY_MS).toISOString();
+
+const isRestorable = (bill, now = new Date()) => new Date(getPurgeAt(bill)) > now;
+
+// Deleting a bill people still owe money on needs to be confirmed
+const hasOutstandingBalance = (bill) => bill.status === 'active' && bill.pendingAmount > 0;
+
+// A deleted bill as the trash lists it
+const toTrashEntry = (bill) => ({ ...bill, purgeAt: getPurgeAt(bill) });
+
+const moveToTrash = (bill, userId) => {
+  db.bills.remove(bill.id);
+  return db.deletedBills.insert({
+    ...bill,
+    version: bill.version + 1,
+    deletedAt: new Date().toISOString(),
+    deletedBy: userId
+  });
+};
+
+const restoreFromTrash = (bill) => {
+  db.deletedBills.remove(bill.id);
+  const { deletedAt, deletedBy, ...restored } = bill;
+  return db.bills.insert({
+    ...restored,
+    version: bill.version + 1,
+    updatedAt: new Date().toISOString()
+  });
+};
+
+/**
+ * Remove deleted bills whose retention window is over, with their invites,
+ * reminders and receipt image. The activity log is kept.
+ */
+const purgeExpiredBills = (now = new Date()) => {
+  const purged = db.deletedBills.removeWhere(bill => !isRestorable(bill, now));
+
+  purged.forEach(bill => {
+    db.billInvites.removeWhere(invite => invite.billId === bill.id);
+    db.paymentReminders.removeWhere(reminder => reminder.billId === bill.id);
+    if (bill.receipt?.fileName) {
+      fs.rm(receiptPath(bill.receipt.fileName), { force: true }, () => {});
+    }
+  });
+
+  return purged;
+};
+
+let schedulerTimer = null;
+
+// Purge on start and then every CHECK_INTERVAL_MS
+const startTrashScheduler = () => {
+  if (schedulerTimer) {
+    return;
+  }
+
+  const tick = () => {
+    try {
+      const purged = purgeExpiredBills();
+      if (purged.length > 0) {
+        console.log(`🗑️  Purged ${purged.length} deleted bill(s)`);
+      }
+    } catch (error) {
+      console.error('Trash scheduler error:', error);
+    }
+  };
+
+  tick();
+  schedulerTimer = setInterval(tick, CHECK_INTERVAL_MS);
+  schedulerTimer.unref();
+};
+
+module.exports = {
+  RETENTION_DAYS,
+  getPurgeAt,
+  isRestorable,
+  hasOutstandingBalance,
+  toTrashEntry,
+  moveToTrash,
+  restoreFromTrash,
+  purgeExpiredBills,
+  startTrashScheduler
+};
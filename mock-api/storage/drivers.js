@@ -0,0 +1,36 @@
+const fs = require('fs');
+const path = require('path');
+
+// JSON file driver - keeps the whole state in a single file on disk
+const createJsonFileDriver = (filePath) => ({
+  name: 'json',
+  location: filePath,
+
+  load() {
+    if (!fs.existsSync(filePath)) {
+      return null;
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  },
+
+  save(state) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Write to a temp file first so a crash never leaves a half-written database
+    const tempPath = `${filePath}.tmp`;
+    fs.writeFileSync(tempPath, JSON.stringify(state, null, 2));
+    fs.renameSync(tempPath, filePath);
+  }
+});
+
+// Memory driver - nothing is persisted, data resets on restart
+const createMemoryDriver = () => ({
+  name: 'memory',
+  location: null,
+  load() {
+    return null;
+  },
+  save() {}
+});
+
+module.exports = { createJsonFileDriver, createMemoryDriver };
@@ -0,0 +1,55 @@
+const path = require('path');
+const { createStore } = require('./store');
+const { createRepository } = require('./repository');
+const { createJsonFileDriver, createMemoryDriver } = require('./drivers');
+const { buildSeedState } = require('./seed');
+
+const STORAGE_DRIVER = process.env.STORAGE_DRIVER || 'json';
+const DATA_FILE = process.env.DATA_FILE || path.join(__dirname, '..', '.data', 'db.json');
+
+const createDriver = () => {
+  switch (STORAGE_DRIVER) {
+    case 'json':
+      return createJsonFileDriver(DATA_FILE);
+    case 'memory':
+      return createMemoryDriver();
+    default:
+      throw new Error(`Unknown STORAGE_DRIVER "${STORAGE_DRIVER}" (expected "json" or "memory")`);
+  }
+};
+
+const store = createStore(createDriver(), buildSeedState);
+
+// Friendships have no id of their own - they are addressed as "userId-friendId"
+const friendshipKey = (friendship) => `${friendship.userId}-${friendship.friendId}`;
+
+// Exchange rates are addressed as "currency-date", e.g. "EUR-2024-03-28"
+const exchangeRateKey = (rate) => `${rate.currency}-${rate.date}`;
+
+module.exports = {
+  users: createRepository(store, 'users'),
+  friendships: createRepository(store, 'friendships', { key: friendshipKey }),
+  groups: createRepository(store, 'groups'),
+  bills: createRepository(store, 'bills', { versioned: true }),
+  deletedBills: createRepository(store, 'deletedBills', { versioned: true }),
+  billActivities: createRepository(store, 'billActivities'),
+  restaurants: createRepository(store, 'restaurants'),
+  menuItems: createRepository(store, 'menuItems'),
+  exchangeRates: createRepository(store, 'exchangeRates', { key: exchangeRateKey }),
+  billInvites: createRepository(store, 'billInvites', { key: 'code' }),
+  recurringBills: createRepository(store, 'recurringBills'),
+  notifications: createRepository(store, 'notifications'),
+  paymentReminders: createRepository(store, 'paymentReminders'),
+  sessions: createRepository(store, 'sessions'),
+  revokedTokens: createRepository(store, 'revokedTokens', { key: 'jti' }),
+  accountTokens: createRepository(store, 'accountTokens'),
+  outbox: createRepository(store, 'outbox'),
+  idempotencyKeys: createRepository(store, 'idempotencyKeys'),
+  friendshipKey,
+  exchangeRateKey,
+  resetToSeed: store.reset,
+  storageInfo: {
+    driver: store.driver.name,
+    location: store.driver.location
+  }
+};
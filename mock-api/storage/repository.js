@@ -0,0 +1,83 @@
+// Generic repository over one collection of the store.
+// `key` is either a field name or a function deriving a record's identifier.
+// Records of a `versioned` collection carry a `version`, starting at 1 and
+// incremented by every update.
+const createRepository = (store, collectionName, { key = 'id', versioned = false } = {}) => {
+  const getKey = typeof key === 'function' ? key : (record) => record[key];
+  const records = () => store.getCollection(collectionName);
+  const indexOf = (id) => records().findIndex(record => getKey(record) === id);
+
+  return {
+    all() {
+      return [...records()];
+    },
+
+    find(predicate) {
+      return records().find(predicate) || null;
+    },
+
+    filter(predicate) {
+      return records().filter(predicate);
+    },
+
+    findById(id) {
+      const index = indexOf(id);
+      return index === -1 ? null : records()[index];
+    },
+
+    insert(record, { prepend = false } = {}) {
+      if (versioned) {
+        record.version = record.version || 1;
+      }
+      if (prepend) {
+        records().unshift(record);
+      } else {
+        records().push(record);
+      }
+      store.persist();
+      return record;
+    },
+
+    // `changes` is either a partial record to merge or a function that mutates the record
+    update(id, changes) {
+      const record = this.findById(id);
+      if (!record) {
+        return null;
+      }
+
+      if (typeof changes === 'function') {
+        changes(record);
+      } else {
+        Object.assign(record, changes);
+      }
+      if (versioned) {
+        record.version = (record.version || 1) + 1;
+      }
+      store.persist();
+      return record;
+    },
+
+    remove(id) {
+      const index = indexOf(id);
+      if (index === -1) {
+        return null;
+      }
+
+      const [removed] = records().splice(index, 1);
+      store.persist();
+      return removed;
+    },
+
+    removeWhere(predicate) {
+      const removed = records().filter(predicate);
+      if (removed.length > 0) {
+        const remaining = records().filter(record => !predicate(record));
+        records().splice(0, records().length, ...remaining);
+        store.persist();
+      }
+      return removed;
+    }
+  };
+};
+
+module.exports = { createRepository };
@@ -0,0 +1,39 @@
+const { users, friendships, groups } = require('../data/users');
+const { bills, billActivities } = require('../data/bills');
+const { restaurants, menuItems } = require('../data/restaurants');
+const { exchangeRates } = require('../data/exchangeRates');
+const bcrypt = require('bcryptjs');
+const { settleBill } = require('../services/settlement');
+
+// Every demo user starts with this password; registered users choose their own
+const DEMO_PASSWORD = 'password123';
+
+// Build a fresh copy of the seed data so the modules in data/ are never mutated
+const buildSeedState = () => {
+  const state = JSON.parse(JSON.stringify({
+    users,
+    friendships,
+    groups,
+    bills,
+    billActivities,
+    restaurants,
+    menuItems,
+    exchangeRates
+  }));
+
+  const demoPasswordHash = bcrypt.hashSync(DEMO_PASSWORD, 10);
+  state.users.forEach(user => {
+    user.password = demoPasswordHash;
+    user.emailVerified = true;
+  });
+
+  // Fill in the derived bill figures the same way the API does
+  state.bills.forEach(bill => {
+    settleBill(bill);
+    bill.version = 1;
+  });
+
+  return state;
+};
+
+module.exports = { buildSeedState };
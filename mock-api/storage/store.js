@@ -0,0 +1,155 @@
+const { settleBill, toCents, fromCents, SettlementError } = require('../services/settlement');
+
+const STATE_VERSION = 3;
+
+// Old historical bills only kept their totals and who had paid. Like the seed,
+// the creator paid the venue and everyone who had paid settled up with them.
+const convertHistoricalBill = (bill) => {
+  if (bill.payments) {
+    return bill;
+  }
+
+  const { status } = bill;
+  const paidIds = bill.participants
+    .filter(participant => status === 'settled' || participant.paymentStatus === 'paid')
+    .map(participant => participant.id);
+  const converted = {
+    ...bill,
+    splitMethod: bill.splitMethod || 'equal',
+    items: bill.items || [],
+    tax: bill.tax || 0,
+    // The old records don't say how much of the extra was tax
+    tip: bill.tip ?? fromCents(Math.max(0, toCents(bill.finalAmount) - toCents(bill.totalAmount) - toCents(bill.tax || 0))),
+    payments: [{
+      id: `pay-${bill.id}-venue`,
+      fromUserId: bill.createdBy,
+      toUserId: null,
+      amount: bill.finalAmount,
+      status: 'completed',
+      method: 'other',
+      createdAt: bill.createdAt
+    }],
+    status: 'active'
+  };
+
+  try {
+    settleBill(converted);
+  } catch (error) {
+    if (!(error instanceof SettlementError)) {
+      throw error;
+    }
+    console.warn(`Historical bill ${bill.id} was kept as it was: ${error.message}`);
+    return bill;
+  }
+
+  converted.participants
+    .filter(participant => participant.id !== bill.createdBy && paidIds.includes(participant.id) && participant.totalOwed > 0)
+    .forEach(participant => {
+      converted.payments.push({
+        id: `pay-${bill.id}-${participant.id}`,
+        fromUserId: participant.id,
+        toUserId: bill.createdBy,
+        amount: participant.totalOwed,
+        status: 'completed',
+        method: 'other',
+        createdAt: bill.createdAt
+      });
+    });
+  converted.status = status;
+  return converted;
+};
+
+// Bills saved before the stricter checks can fail them, e.g. a total that
+// doesn't match the items. Those are left as they were rather than stop the
+// server from starting.
+const settleStoredBill = (bill) => {
+  try {
+    settleBill(bill);
+  } catch (error) {
+    if (!(error instanceof SettlementError)) {
+      throw error;
+    }
+    console.warn(`Bill ${bill.id} was kept as it was: ${error.message}`);
+  }
+};
+
+// Upgrades for files written by older versions, keyed by the version they
+// bring the collections up to
+const MIGRATIONS = {
+  // Bills are versioned for optimistic concurrency
+  2: (collections) => {
+    [...(collections.bills || []), ...(collections.historicalBills || [])].forEach(bill => {
+      bill.version = bill.version || 1;
+    });
+  },
+
+  // Historical bills are ordinary bills, told apart by status and dates. Their
+  // figures were stored as-is, so they are worked out the way the API does.
+  3: (collections) => {
+    const historicalBills = (collections.historicalBills || []).map(convertHistoricalBill);
+    collections.bills = [...(collections.bills || []), ...historicalBills];
+    delete collections.historicalBills;
+    collections.bills.forEach(settleStoredBill);
+  }
+};
+
+const migrate = (saved) => {
+  Object.keys(MIGRATIONS)
+    .map(Number)
+    .filter(version => version > (saved.version || 1))
+    .sort((a, b) => a - b)
+    .forEach(version => MIGRATIONS[version](saved.collections));
+  return saved;
+};
+
+// Holds every collection in memory and hands writes off to the storage driver
+const createStore = (driver, buildSeedState) => {
+  let collections;
+
+  const persist = () => {
+    driver.save({
+      version: STATE_VERSION,
+      savedAt: new Date().toISOString(),
+      collections
+    });
+  };
+
+  const reset = () => {
+    collections = buildSeedState();
+    persist();
+  };
+
+  const load = () => {
+    const saved = driver.load();
+
+    if (!saved) {
+      // First run - start from the seed data
+      reset();
+      return;
+    }
+
+    // Collections added after the file was written start from their seed value
+    collections = {
+      ...buildSeedState(),
+      ...migrate(saved).collections
+    };
+  };
+
+  const getCollection = (name) => {
+    if (!collections[name]) {
+      collections[name] = [];
+    }
+    return collections[name];
+  };
+
+  load();
+
+  return {
+    driver,
+    persist,
+    reset,
+    getCollection
+  };
+};
+
+module.exports = { createStore };
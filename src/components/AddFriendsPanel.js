@@ -5,7 +5,7 @@ import { Ionicons } from '@expo/vector-icons';
 import Colors from '../theme/colors';
 import { Draggable } from 'react-native-reanimated-dnd';
 
-export default function AddFriendsPanel({ visible, friends, onClose, onStartDrag, onEndDrag }) {
+export default function AddFriendsPanel({ visible, friends, groups = [], onSelectGroup, onClose, onStartDrag, onEndDrag }) {
   if (!visible) return null;
   return (
     <Animated.View
@@ -24,6 +24,26 @@ export default function AddFriendsPanel({ visible, friends, onClose, onStartDrag
           <Text style={styles.headLight}> nearby</Text>
         </Text>
       </View>
+      {groups.length > 0 && (
+        <View style={styles.groupsSection}>
+          <Text style={styles.sectionLabel}>Add a whole group</Text>
+          <View style={styles.groupRow}>
+            {groups.map((group) => (
+              <TouchableOpacity
+                key={`group-${group.id}`}
+                style={styles.groupChip}
+                onPress={() => onSelectGroup?.(group)}
+                accessibilityRole="button"
+                accessibilityLabel={`Add everyone in ${group.name}`}
+              >
+                <Ionicons name="people-outline" size={16} color={Colors.textOnLightPrimary} />
+                <Text style={styles.groupName}>{group.name}</Text>
+                <Text style={styles.groupCount}>{group.members.length}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </View>
+      )}
       <View style={styles.grid}>
         {friends.map((friend) => (
           <Draggable
@@ -84,6 +104,22 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: Colors.border,
   },
+  groupsSection: { marginBottom: 20 },
+  sectionLabel: { fontSize: 13, color: Colors.textOnLightSecondary, marginBottom: 8 },
+  groupRow: { flexDirection: 'row', flexWrap: 'wrap', gap: 8 },
+  groupChip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.personCardOutline,
+    backgroundColor: 'rgba(255,255,255,0.6)',
+  },
+  groupName: { color: Colors.textOnLightPrimary, fontWeight: '600' },
+  groupCount: { color: Colors.textOnLightSecondary, fontSize: 12 },
   grid: { flexDirection: 'row', flexWrap: 'wrap', justifyContent: 'space-between' },
   tile: { width: '46%', alignItems: 'center', marginBottom: 18, paddingVertical: 10, borderRadius: 16, backgroundColor: 'rgba(255,255,255,0.6)' },
   avatarCircle: { width: 72, height: 72, borderRadius: 36, overflow: 'hidden', backgroundColor: Colors.surface, borderWidth: 1, borderColor: Colors.border, marginBottom: 8 },
@@ -0,0 +1,153 @@
+// Custom hook that keeps a bill's item assignments in sync with the server
+import { useState, useEffect, useCallback } from 'react';
+import { billsAPI } from '../services/apiService';
+import { toFoodItems } from '../services/receiptService';
+
+const ADD_PERSON_BUTTON = { id: 'add-person', name: 'Add Person', isAddButton: true };
+
+// Server assignments hold bill items; the screens work with foodItems of the same id
+const toScreenState = (state, foodItems) => {
+  const byId = Object.fromEntries(foodItems.map((item) => [item.id, item]));
+  const assignments = Object.fromEntries(
+    Object.entries(state.assignments).map(([personId, items]) => [
+      personId,
+      items.map((item) => byId[item.id]).filter(Boolean),
+    ])
+  );
+  return { assignments, quantityAssignments: state.quantityAssignments };
+};
+
+/**
+ * Loads the bill's items, participants and assignments, and persists every
+ * assignment and participant change. `onStateChange` receives `{ assignments, quantityAssignments }`
+ * whenever the server state arrives, so the screen can replace its local state.
+ * `onConflict(details)` is asked, and resolves true to save anyway, when a
+ * participant change meets a newer version of the bill (VERSION_CONFLICT).
+ * Without a `billId` the hook stays idle and the screen keeps its demo data.
+ */
+export const useBillAssignments = (billId, onStateChange, onConflict) => {
+  const [foodItems, setFoodItems] = useState(null);
+  const [people, setPeople] = useState(null);
+  const [loading, setLoading] = useState(!!billId);
+  const [error, setError] = useState(null);
+
+  const applyState = useCallback((data, items) => {
+    onStateChange?.(toScreenState(data, items));
+  }, [onStateChange]);
+
+  const loadAssignments = useCallback(async () => {
+    if (!billId) return;
+    try {
+      setError(null);
+      const [billResponse, assignmentsResponse] = await Promise.all([
+        billsAPI.getBillById(billId),
+        billsAPI.getAssignments(billId),
+      ]);
+      const { bill } = billResponse.data;
+      const items = toFoodItems(assignmentsResponse.data.items, bill.currency);
+
+      setFoodItems(items);
+      setPeople([
+        ...bill.participants.map((p) => ({ id: p.id, name: p.name, avatar: p.avatar, hasFood: false })),
+        ADD_PERSON_BUTTON,
+      ]);
+      applyState(assignmentsResponse.data, items);
+    } catch (err) {
+      console.error('Error loading assignments:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, [billId, applyState]);
+
+  // Send one change; the server's answer replaces the optimistic local update,
+  // and a rejected change is rolled back by reloading
+  const persist = useCallback(async (request) => {
+    if (!billId || !foodItems) return;
+    try {
+      const response = await request();
+      applyState(response.data, foodItems);
+    } catch (err) {
+      console.error('Error saving assignment:', err);
+      setError(err.message);
+      await loadAssignments();
+    }
+  }, [billId, foodItems, applyState, loadAssignments]);
+
+  const assignItem = useCallback((item, person, quantity) =>
+    persist(() => billsAPI.assignItem(billId, item.id, person.id, quantity)), [billId, persist]);
+
+  const reassignItem = useCallback((item, fromPerson, toPerson) =>
+    persist(() => billsAPI.reassignItem(billId, item.id, fromPerson.id, toPerson.id)), [billId, persist]);
+
+  const unassignItem = useCallback((item, person) =>
+    persist(() => billsAPI.unassignItem(billId, item.id, person.id)), [billId, persist]);
+
+  // Participants are saved as the bill's whole list, so each change starts
+  // from the list the server has now, at that version. If someone saves the
+  // bill in between, `onConflict(details)` decides whether to apply the change
+  // again on top of their version. Reloading afterwards also rolls back a
+  // change the server refused, e.g. removing someone who made a payment.
+  const saveParticipants = useCallback(async (change) => {
+    if (!billId) return;
+    try {
+      const { bill } = (await billsAPI.getBillById(billId)).data;
+      await billsAPI.updateBill(billId, { participants: change(bill.participants) }, {
+        version: bill.version,
+        onConflict: async (details) =>
+          (await onConflict?.(details)) ? { participants: change(details.bill.participants) } : null,
+      });
+    } catch (err) {
+      // A change the user chose to drop after a conflict isn't an error
+      if (err.code !== 'VERSION_CONFLICT') {
+        console.error('Error saving participants:', err);
+        setError(err.message);
+      }
+    }
+    await loadAssignments();
+  }, [billId, onConflict, loadAssignments]);
+
+  const addParticipants = useCallback((newPeople) =>
+    saveParticipants((current) => [
+      ...current,
+      ...newPeople
+        .filter((person) => !current.some((p) => p.id === person.id))
+        .map(({ id, name, avatar }) => ({ id, name, avatar })),
+    ]), [saveParticipants]);
+
+  // The person's items are unassigned first, so they stay on the bill
+  const removeParticipant = useCallback(async (person, items = []) => {
+    if (!billId) return;
+    try {
+      for (const item of items) {
+        await billsAPI.unassignItem(billId, item.id, person.id);
+      }
+    } catch (err) {
+      console.error('Error saving assignment:', err);
+      setError(err.message);
+      await loadAssignments();
+      return;
+    }
+    await saveParticipants((current) => current.filter((p) => p.id !== person.id));
+  }, [billId, loadAssignments, saveParticipants]);
+
+  useEffect(() => {
+    loadAssignments();
+  }, [loadAssignments]);
+
+  return {
+    isSynced: !!billId,
+    foodItems,
+    people,
+    loading,
+    error,
+    assignItem,
+    reassignItem,
+    unassignItem,
+    addParticipants,
+    removeParticipant,
+    loadAssignments,
+  };
+};
+
+export default useBillAssignments;
@@ -0,0 +1,22 @@
+// Custom hook for live bill events pushed by the API
+import { useEffect, useRef } from 'react';
+import { subscribeToBillEvents } from '../services/streamService';
+
+/**
+ * Calls `onEvent({ id, type, data })` for every live event, or only for
+ * events about `billId` when one is given.
+ */
+export const useBillEvents = (onEvent, billId = null) => {
+  const handlerRef = useRef(onEvent);
+
+  useEffect(() => {
+    handlerRef.current = onEvent;
+  }, [onEvent]);
+
+  useEffect(() => subscribeToBillEvents((event) => {
+    if (billId && event.data?.billId !== billId) return;
+    handlerRef.current?.(event);
+  }), [billId]);
+};
+
+export default useBillEvents;
@@ -1,8 +1,12 @@
 // Custom hook for managing bills data
 import { useState, useEffect, useCallback } from 'react';
 import { billsAPI } from '../services/apiService';
+import { useBillEvents } from './useBillEvents';
 
-export const useBills = (initialParams = {}) => {
+// Shared default, so loadBills keeps its identity between renders
+const DEFAULT_PARAMS = {};
+
+export const useBills = (initialParams = DEFAULT_PARAMS) => {
   const [bills, setBills] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -39,6 +43,13 @@ export const useBills = (initialParams = {}) => {
     loadBills();
   }, [loadBills]);
 
+  // Timeline entries are built server-side, so reload whenever one of our bills changes
+  useBillEvents(useCallback((event) => {
+    if (event.data?.billId && event.type !== 'activity.created') {
+      loadBills();
+    }
+  }, [loadBills]));
+
   return {
     bills,
     loading,
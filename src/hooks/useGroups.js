@@ -0,0 +1,44 @@
+// Custom hook for the groups the user splits with
+import { useState, useEffect, useCallback } from 'react';
+import { groupsAPI } from '../services/apiService';
+
+// Group members in the shape the people strip uses
+export const groupToPeople = (group) =>
+  group.members.map((member) => ({
+    id: member.id,
+    name: member.name,
+    avatar: member.avatar,
+    hasFood: false,
+  }));
+
+export const useGroups = () => {
+  const [groups, setGroups] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  const loadGroups = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await groupsAPI.getGroups();
+      setGroups(response.data.groups);
+    } catch (err) {
+      // Without the API there are simply no groups to offer
+      console.error('Error loading groups:', err);
+      setError(err.message);
+      setGroups([]);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadGroups();
+  }, [loadGroups]);
+
+  return {
+    groups,
+    loading,
+    error,
+    loadGroups,
+  };
+};
@@ -0,0 +1,84 @@
+// Custom hook for the user's notifications and the unread badge count
+import { useState, useEffect, useCallback } from 'react';
+import { notificationsAPI } from '../services/apiService';
+import { useBillEvents } from './useBillEvents';
+
+export const useNotifications = () => {
+  const [notifications, setNotifications] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [error, setError] = useState(null);
+
+  const loadNotifications = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await notificationsAPI.getNotifications({ limit: 50 });
+      setNotifications(response.data.notifications);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error loading notifications:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  const refreshNotifications = useCallback(async () => {
+    setRefreshing(true);
+    await loadNotifications();
+  }, [loadNotifications]);
+
+  useEffect(() => {
+    loadNotifications();
+  }, [loadNotifications]);
+
+  // New notifications arrive on the live stream with the server's unread count
+  useBillEvents(useCallback((event) => {
+    if (event.type !== 'notification.created') return;
+    const { notification, unreadCount: count } = event.data;
+    setNotifications((prev) => [
+      { ...notification, read: false },
+      ...prev.filter((n) => n.id !== notification.id),
+    ]);
+    setUnreadCount(count);
+  }, []));
+
+  const markAsRead = useCallback(async (notificationId) => {
+    const target = notifications.find((n) => n.id === notificationId);
+    if (!target || target.read) return;
+
+    setNotifications((prev) => prev.map((n) => (n.id === notificationId ? { ...n, read: true } : n)));
+    setUnreadCount((count) => Math.max(0, count - 1));
+    try {
+      const response = await notificationsAPI.markAsRead(notificationId);
+      setUnreadCount(response.data.unreadCount);
+    } catch (err) {
+      console.error('Error marking notification read:', err);
+      await loadNotifications();
+    }
+  }, [notifications, loadNotifications]);
+
+  const markAllAsRead = useCallback(async () => {
+    setNotifications((prev) => prev.map((n) => ({ ...n, read: true })));
+    setUnreadCount(0);
+    try {
+      await notificationsAPI.markAllAsRead();
+    } catch (err) {
+      console.error('Error marking notifications read:', err);
+      await loadNotifications();
+    }
+  }, [loadNotifications]);
+
+  return {
+    notifications,
+    unreadCount,
+    loading,
+    refreshing,
+    error,
+    refreshNotifications,
+    markAsRead,
+    markAllAsRead,
+  };
+};
@@ -1,11 +1,20 @@
-import React, { useMemo, useState } from 'react';
-import { SafeAreaView, View, StyleSheet, Text, ScrollView, Image, TouchableOpacity } from 'react-native';
+import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import { SafeAreaView, View, StyleSheet, Text, ScrollView, Image, TouchableOpacity, Alert, Linking } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import Animated, { Layout, FadeIn, FadeOut } from 'react-native-reanimated';
 import { Ionicons } from '@expo/vector-icons';
 import Colors from '../theme/colors';
 import { Title, PersonCard } from '../components';
-import { formatPrice } from '../utils/calculationUtils';
+import { formatPrice, parsePrice } from '../utils/calculationUtils';
+import { useBillEvents } from '../hooks/useBillEvents';
+import { billsAPI } from '../services/apiService';
+
+const PAYMENT_STATUS_LABELS = {
+  pending: 'Awaiting confirmation',
+  completed: 'Confirmed',
+  rejected: 'Rejected',
+  refunded: 'Refunded',
+};
 
 export default function BillDetailsScreen({ navigation, bill }) {
   const [expandedById, setExpandedById] = useState({});
@@ -71,7 +80,54 @@ export default function BillDetailsScreen({ navigation, bill }) {
     []
   );
 
-  const billData = bill || demoBill;
+  // Leave once, whether we deleted the bill or heard someone else did
+  const leftRef = useRef(false);
+  const leaveScreen = () => {
+    if (leftRef.current) return;
+    leftRef.current = true;
+    navigation?.goBack?.();
+  };
+
+  // Keep the bill current as payments, items and edits come in from others
+  const [liveBill, setLiveBill] = useState(bill);
+  useBillEvents((event) => {
+    if (!bill) return;
+    if (event.type === 'bill.deleted') {
+      leaveScreen();
+    } else if (event.data.bill) {
+      setLiveBill((current) => ({ ...current, ...event.data.bill }));
+    }
+  }, bill?.id);
+
+  const billData = liveBill || demoBill;
+
+  // Who still owes on the bill and whether you can nudge them yet
+  const [debtorsById, setDebtorsById] = useState({});
+  const [reminderMessage, setReminderMessage] = useState(null);
+  const billId = bill?.id;
+  const loadReminders = useCallback(async () => {
+    if (!billId) return;
+    try {
+      const response = await billsAPI.getReminders(billId);
+      setDebtorsById(Object.fromEntries(response.data.debtors.map(d => [d.userId, d])));
+    } catch (err) {
+      console.error('Error loading reminders:', err);
+    }
+  }, [billId]);
+
+  useEffect(() => {
+    loadReminders();
+  }, [loadReminders, liveBill?.updatedAt]);
+
+  const handleRemind = async (person) => {
+    try {
+      await billsAPI.sendReminder(bill.id, person.id);
+      setReminderMessage({ personId: person.id, text: `Reminder sent to ${person.name}` });
+    } catch (err) {
+      setReminderMessage({ personId: person.id, text: err.message });
+    }
+    loadReminders();
+  };
 
   const receivers = billData.participants?.filter(p => p.netBalance > 0) || [];
   
@@ -100,10 +156,94 @@ export default function BillDetailsScreen({ navigation, bill }) {
   const userOwes = currentUser && currentUser.netBalance < 0;
   const userOwesTo = userOwes ? receivers.find(r => r.netBalance > 0) : null;
 
+  // Payments count once their receiver confirms them. The receiver is whoever
+  // was paid, or the bill's creator for a payment to the venue.
+  const payments = billData.payments || [];
+  const personName = (userId) =>
+    userId === null || userId === undefined ?
+      'Venue' :
+      billData.participants?.find(p => p.id === userId)?.name || `User ${userId}`;
+  const isReceiver = (payment) =>
+    !!currentUser && (payment.toUserId ?? billData.createdBy) === currentUser.id;
+
+  const [updatingPaymentId, setUpdatingPaymentId] = useState(null);
+  const updatePayment = async (payment, action) => {
+    setUpdatingPaymentId(payment.id);
+    try {
+      const response = action === 'confirm' ?
+        await billsAPI.confirmPayment(bill.id, payment.id) :
+        await billsAPI.rejectPayment(bill.id, payment.id);
+      setLiveBill((current) => ({ ...current, ...response.data.bill }));
+    } catch (err) {
+      Alert.alert('Could not update the payment', err.message);
+    } finally {
+      setUpdatingPaymentId(null);
+    }
+  };
+
+  const handleRejectPayment = (payment) => {
+    Alert.alert(
+      'Reject payment',
+      `Reject ${formatPrice(payment.amount, payment.currency)} from ${personName(payment.fromUserId)}? They will owe it again.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Reject', style: 'destructive', onPress: () => updatePayment(payment, 'reject') },
+      ]
+    );
+  };
+
   const handleBack = () => {
     navigation?.goBack?.();
   };
 
+  // Assignments are saved against the bill, so only real bills can be split
+  const handleSplitItems = () => {
+    navigation?.navigate?.('SplitScreen', { billId });
+  };
+
+  // The statement opens in the browser, where it can be printed or saved as PDF
+  const handleStatement = () => {
+    if (!billId) return;
+    billsAPI.getStatementUrl(billId).then(Linking.openURL).catch((err) => {
+      Alert.alert('Could not open the statement', err.message);
+    });
+  };
+
+  // Only settled or cancelled bills can be archived out of the timeline
+  const canArchive = billData.status === 'settled' || billData.status === 'cancelled';
+  const handleToggleArchive = async () => {
+    try {
+      const response = billData.archivedAt ?
+        await billsAPI.unarchiveBill(billId) :
+        await billsAPI.archiveBill(billId);
+      setLiveBill((current) => ({ ...current, ...response.data.bill }));
+    } catch (err) {
+      Alert.alert('Could not update the bill', err.message);
+    }
+  };
+
+  // Deleted bills go to the trash and can be restored, but deleting one that
+  // people still owe money on has to be confirmed
+  const deleteBill = async (confirm = false) => {
+    try {
+      await billsAPI.deleteBill(billId, { confirm });
+      leaveScreen();
+    } catch (err) {
+      if (err.code === 'OUTSTANDING_BALANCE') {
+        Alert.alert(
+          'Money is still owed',
+          `${formatPrice(err.details.pendingAmount, err.details.currency)} is still owed on this bill. Delete it anyway?`,
+          [
+            { text: 'Cancel', style: 'cancel' },
+            { text: 'Delete', style: 'destructive', onPress: () => deleteBill(true) },
+          ]
+        );
+      } else {
+        Alert.alert('Could not delete the bill', err.message);
+      }
+    }
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <View pointerEvents="none" style={styles.backgroundLayer}>
@@ -121,6 +261,30 @@ export default function BillDetailsScreen({ navigation, bill }) {
           <Ionicons name="chevron-back" size={24} color={Colors.textOnLightPrimary} />
         </TouchableOpacity>
         <Title boldText="Bill" regularText=" Details" />
+        {/* Demo bills aren't on the server, so there is nothing to act on */}
+        {billId && (
+          <View style={styles.headerActions}>
+            <TouchableOpacity onPress={handleSplitItems} style={styles.headerAction} accessibilityRole="button" accessibilityLabel="Split items">
+              <Ionicons name="restaurant-outline" size={22} color={Colors.textOnLightPrimary} />
+            </TouchableOpacity>
+            <TouchableOpacity onPress={handleStatement} style={styles.headerAction} accessibilityRole="button" accessibilityLabel="Open printable statement">
+              <Ionicons name="document-text-outline" size={22} color={Colors.textOnLightPrimary} />
+            </TouchableOpacity>
+            {(canArchive || billData.archivedAt) && (
+              <TouchableOpacity
+                onPress={handleToggleArchive}
+                style={styles.headerAction}
+                accessibilityRole="button"
+                accessibilityLabel={billData.archivedAt ? 'Unarchive bill' : 'Archive bill'}
+              >
+                <Ionicons name={billData.archivedAt ? 'archive' : 'archive-outline'} size={22} color={Colors.textOnLightPrimary} />
+              </TouchableOpacity>
+            )}
+            <TouchableOpacity onPress={() => deleteBill()} style={styles.headerAction} accessibilityRole="button" accessibilityLabel="Delete bill">
+              <Ionicons name="trash-outline" size={22} color={Colors.textOnLightPrimary} />
+            </TouchableOpacity>
+          </View>
+        )}
       </View>
 
       <ScrollView contentContainerStyle={styles.content} showsVerticalScrollIndicator={false}>
@@ -143,7 +307,7 @@ export default function BillDetailsScreen({ navigation, bill }) {
               <Ionicons name="card-outline" size={16} color={Colors.textOnLightPrimary} />
               <Text style={styles.summaryPillText}>Paid by {billData.paidBy}</Text>
               {billData.finalAmount && (
-                <Text style={styles.summaryPillAmount}>${billData.finalAmount.toFixed(2)}</Text>
+                <Text style={styles.summaryPillAmount}>{formatPrice(billData.finalAmount, billData.currency)}</Text>
               )}
             </View>
             
@@ -153,7 +317,7 @@ export default function BillDetailsScreen({ navigation, bill }) {
                 <View style={styles.summaryPill}>
                   <Ionicons name="cash-outline" size={16} color={Colors.textOnLightPrimary} />
                   <Text style={styles.summaryPillText}>To be collected</Text>
-                  <Text style={styles.summaryPillAmount}>+${totalToCollect.toFixed(2)}</Text>
+                  <Text style={styles.summaryPillAmount}>+{formatPrice(totalToCollect, billData.currency)}</Text>
                 </View>
                 
                 {/* Collection breakdown */}
@@ -161,7 +325,7 @@ export default function BillDetailsScreen({ navigation, bill }) {
                   {collectedAmount > 0 && (
                     <View style={styles.breakdownRow}>
                       <Text style={styles.breakdownLabel}>-- collected:</Text>
-                      <Text style={styles.breakdownAmount}>${collectedAmount.toFixed(2)}</Text>
+                      <Text style={styles.breakdownAmount}>{formatPrice(collectedAmount, billData.currency)}</Text>
                     </View>
                   )}
                 </View>
@@ -183,9 +347,9 @@ export default function BillDetailsScreen({ navigation, bill }) {
               {billData.participants.map((person, index) => {
                 const expanded = !!expandedById[person.id];
                 
-                // Calculate person's total from their items
-                const personTotal = (person.items || []).reduce((sum, item) => {
-                  const price = typeof item.price === 'string' ? parseFloat(item.price.replace('$', '')) : (item.price || 0);
+                // Prefer the server-derived total (includes tax and tip), else add up their items
+                const personTotal = typeof person.totalOwed === 'number' ? person.totalOwed : (person.items || []).reduce((sum, item) => {
+                  const price = parsePrice(item.price);
                   const qty = item.quantity || 1;
                   return sum + price * qty;
                 }, 0);
@@ -230,6 +394,11 @@ export default function BillDetailsScreen({ navigation, bill }) {
                         <View style={[styles.paymentStatusBadge, styles.paymentStatusPending]}>
                           <Ionicons name="hourglass" size={14} color="white" />
                         </View>
+                      )}
+                      {person.paymentStatus === 'partial' && (
+                        <View style={[styles.paymentStatusBadge, styles.paymentStatusPartial]}>
+                          <Ionicons name="pie-chart" size={14} color="white" />
+                        </View>
                       )}
                                              {person.paymentStatus === 'settled' && (
                          <View style={[styles.paymentStatusBadge, styles.paymentStatusSettled]}>
@@ -264,12 +433,39 @@ export default function BillDetailsScreen({ navigation, bill }) {
                   exiting={FadeOut.duration(120)}
                   style={[styles.expandedItemsContainer, { zIndex: 1000 + index }]}
                 >
+                  {person.unconfirmedAmount > 0 && (
+                    <View style={styles.reminderRow}>
+                      <Text style={styles.reminderText}>
+                        {formatPrice(person.unconfirmedAmount, billData.currency)} paid, waiting for confirmation
+                      </Text>
+                    </View>
+                  )}
+                  {debtorsById[person.id] && (
+                    <View style={styles.reminderRow}>
+                      <Text style={styles.reminderText}>
+                        {reminderMessage?.personId === person.id ?
+                          reminderMessage.text :
+                          `Owes ${formatPrice(debtorsById[person.id].amount, billData.currency)}`}
+                      </Text>
+                      {debtorsById[person.id].canNudge && (
+                        <TouchableOpacity
+                          onPress={() => handleRemind(person)}
+                          style={styles.reminderButton}
+                          accessibilityRole="button"
+                          accessibilityLabel={`Remind ${person.name} to pay`}
+                        >
+                          <Ionicons name="alarm-outline" size={14} color="white" />
+                          <Text style={styles.reminderButtonText}>Remind</Text>
+                        </TouchableOpacity>
+                      )}
+                    </View>
+                  )}
                   {person.items?.length > 0 ? (
                     <View style={styles.expandedItemsList}>
                       <Text style={styles.expandedItemsTitle}>Items</Text>
                       <View style={styles.verticalItemsContainer}>
                         {person.items.map((item) => {
-                          const unit = typeof item.price === 'string' ? parseFloat(item.price.replace('$', '')) : (item.price || 0);
+                          const unit = parsePrice(item.price);
                           const subtotal = unit * (item.quantity || 1);
                           return (
                             <View key={item.id} style={styles.verticalItemCard}>
@@ -283,7 +479,7 @@ export default function BillDetailsScreen({ navigation, bill }) {
                                 <Text style={styles.verticalItemName} numberOfLines={2}>
                                   {item.name}
                                 </Text>
-                                <Text style={styles.verticalItemPrice}>{formatPrice(subtotal)}</Text>
+                                <Text style={styles.verticalItemPrice}>{formatPrice(subtotal, billData.currency)}</Text>
                               </View>
                             </View>
                           );
@@ -301,6 +497,52 @@ export default function BillDetailsScreen({ navigation, bill }) {
           </View>
         </View>
 
+        {payments.length > 0 && (
+          <View style={styles.section}>
+            <Text style={styles.sectionTitle}>Payments</Text>
+            {payments.map((payment) => (
+              <View key={payment.id} style={styles.paymentRow}>
+                <View style={styles.paymentDetails}>
+                  <Text style={styles.paymentTitle}>
+                    {personName(payment.fromUserId)} → {personName(payment.toUserId)}
+                  </Text>
+                  <Text style={styles.paymentMeta}>
+                    {formatPrice(payment.amount, payment.currency)} · {payment.method} · {formatDateTime(payment.createdAt)}
+                  </Text>
+                </View>
+                {payment.status === 'pending' && isReceiver(payment) ? (
+                  <View style={styles.paymentActions}>
+                    <TouchableOpacity
+                      onPress={() => handleRejectPayment(payment)}
+                      disabled={updatingPaymentId !== null}
+                      style={[styles.paymentAction, styles.paymentActionReject]}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Reject payment from ${personName(payment.fromUserId)}`}
+                    >
+                      <Ionicons name="close" size={16} color={Colors.sharedOrange} />
+                    </TouchableOpacity>
+                    <TouchableOpacity
+                      onPress={() => updatePayment(payment, 'confirm')}
+                      disabled={updatingPaymentId !== null}
+                      style={[styles.paymentAction, styles.paymentActionConfirm]}
+                      accessibilityRole="button"
+                      accessibilityLabel={`Confirm payment from ${personName(payment.fromUserId)}`}
+                    >
+                      <Ionicons name="checkmark" size={16} color="white" />
+                    </TouchableOpacity>
+                  </View>
+                ) : (
+                  <View style={[styles.paymentStatusPill, PAYMENT_STATUS_STYLES[payment.status]]}>
+                    <Text style={styles.paymentStatusPillText}>
+                      {PAYMENT_STATUS_LABELS[payment.status] || payment.status}
+                    </Text>
+                  </View>
+                )}
+              </View>
+            ))}
+          </View>
+        )}
+
         <View style={{ height: 24 }} />
       </ScrollView>
     </SafeAreaView>
@@ -342,6 +584,18 @@ const styles = StyleSheet.create({
     marginRight: 8,
     backgroundColor: 'transparent'
   },
+  headerActions: {
+    flexDirection: 'row',
+    marginLeft: 'auto',
+  },
+  headerAction: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: 'transparent'
+  },
   content: {
     paddingHorizontal: 20,
     paddingTop: 20, // Increased from 6 to add more space above summary card
@@ -477,6 +731,18 @@ const styles = StyleSheet.create({
    paymentStatusSettled: {
      backgroundColor: '#4FD1C5',
    },
+  paymentStatusPartial: {
+    backgroundColor: '#E0A526',
+  },
+  paymentStatusCompleted: {
+    backgroundColor: '#38A169',
+  },
+  paymentStatusRejected: {
+    backgroundColor: '#E5484D',
+  },
+  paymentStatusRefunded: {
+    backgroundColor: '#7C6FD6',
+  },
   paymentStatusText: {
     fontSize: 10,
     fontWeight: '700',
@@ -604,12 +870,98 @@ const styles = StyleSheet.create({
     textAlign: 'center',
     fontStyle: 'italic',
   },
+  reminderRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: 12,
+  },
+  reminderText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: Colors.textOnLightPrimary,
+    flex: 1,
+  },
+  reminderButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    borderRadius: 12,
+    backgroundColor: Colors.sharedOrange,
+  },
+  reminderButtonText: {
+    fontSize: 12,
+    fontWeight: '700',
+    color: 'white',
+  },
   sectionTitle: {
     fontSize: 16,
     fontWeight: '700',
     color: Colors.textOnLightPrimary,
     marginBottom: 10,
   },
+  paymentRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 12,
+    marginBottom: 8,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: Colors.personCardOutline,
+    backgroundColor: 'rgba(255,255,255,0.6)',
+  },
+  paymentDetails: {
+    flex: 1,
+  },
+  paymentTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.textOnLightPrimary,
+  },
+  paymentMeta: {
+    fontSize: 12,
+    color: Colors.textOnLightSecondary,
+    marginTop: 2,
+  },
+  paymentActions: {
+    flexDirection: 'row',
+    gap: 8,
+    marginLeft: 8,
+  },
+  paymentAction: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  paymentActionReject: {
+    borderWidth: 1,
+    borderColor: Colors.sharedOrange,
+  },
+  paymentActionConfirm: {
+    backgroundColor: '#4FD1C5',
+  },
+  paymentStatusPill: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 10,
+    marginLeft: 8,
+  },
+  paymentStatusPillText: {
+    fontSize: 11,
+    fontWeight: '700',
+    color: 'white',
+  },
 });
 
+const PAYMENT_STATUS_STYLES = {
+  pending: styles.paymentStatusPending,
+  completed: styles.paymentStatusCompleted,
+  rejected: styles.paymentStatusRejected,
+  refunded: styles.paymentStatusRefunded,
+};
+
 
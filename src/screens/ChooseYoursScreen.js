@@ -1,4 +1,4 @@
-import React, { useState, useRef, useEffect } from 'react';
+import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { View, StyleSheet, SafeAreaView, ScrollView, Text, TouchableOpacity } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
@@ -6,12 +6,13 @@ import Colors from '../theme/colors';
 import { DropProvider } from 'react-native-reanimated-dnd';
 import { DraggableFoodItem, QuantityModal, PersonCard, BackButton, Title, SwapBarPager } from '../components';
 import { unassignItemFromPerson } from '../services';
-import { foodItems, people, getItemAssignmentInfo, handleItemDrop, handleQuantityAssignment } from '../services';
+import { foodItems as demoFoodItems, people as demoPeople, getItemAssignmentInfo, handleItemDrop, handleQuantityAssignment } from '../services';
+import { useBillAssignments } from '../hooks/useBillAssignments';
 
 
 
 
-export default function ChooseYoursScreen({ navigation }) {
+export default function ChooseYoursScreen({ navigation, billId }) {
   const [assignments, setAssignments] = useState({});
   const [quantityAssignments, setQuantityAssignments] = useState({});
   const [showQuantityModal, setShowQuantityModal] = useState(false);
@@ -23,6 +24,15 @@ export default function ChooseYoursScreen({ navigation }) {
   const [currentPage, setCurrentPage] = useState(0);
   const scrollRef = useRef(null);
 
+  // With a billId, items and people come from the bill and every change is saved
+  const applyServerState = useCallback((state) => {
+    setAssignments(state.assignments);
+    setQuantityAssignments(state.quantityAssignments);
+  }, []);
+  const billAssignments = useBillAssignments(billId, applyServerState);
+  const foodItems = billAssignments.foodItems || demoFoodItems;
+  const people = billAssignments.people || demoPeople;
+
   // Pagination logic for vertical list
   const itemsPerPage = 4;
   const totalPages = Math.ceil(foodItems.length / itemsPerPage);
@@ -61,6 +71,7 @@ export default function ChooseYoursScreen({ navigation }) {
     
     if (result.shouldUpdate) {
       setAssignments(result.newAssignments);
+      billAssignments.assignItem(draggedItem, targetPerson);
     }
 
     // Force a provider refresh to ensure any temporary drag previews are cleaned up
@@ -78,6 +89,7 @@ export default function ChooseYoursScreen({ navigation }) {
     if (result.shouldUpdate) {
       setAssignments(result.newAssignments);
       setQuantityAssignments(result.newQuantityAssignments);
+      billAssignments.assignItem(pendingAssignment.item, pendingAssignment.person, quantity);
     }
     
     setShowQuantityModal(false);
@@ -182,6 +194,7 @@ export default function ChooseYoursScreen({ navigation }) {
                     if (result.shouldUpdate) {
                       setAssignments(result.newAssignments);
                       setQuantityAssignments(result.newQuantityAssignments);
+                      billAssignments.unassignItem(draggedFromPerson.item, draggedFromPerson.person);
                     }
                   }
                   setDraggedFromPerson(null);
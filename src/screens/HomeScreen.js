@@ -1,5 +1,5 @@
 import React, { useMemo, useState } from 'react';
-import { SafeAreaView, View, StyleSheet, Text, Image, Dimensions, TouchableOpacity } from 'react-native';
+import { SafeAreaView, View, StyleSheet, Text, Image, Dimensions, TouchableOpacity, Linking, Alert, RefreshControl } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import Animated, {
@@ -11,6 +11,9 @@ import Animated, {
 } from 'react-native-reanimated';
 import Timeline from 'react-native-timeline-flatlist';
 import Colors from '../theme/colors';
+import { useNotifications } from '../hooks/useNotifications';
+import { useBills } from '../hooks/useBills';
+import { billsAPI } from '../services/apiService';
 
 const HEADER_EXPANDED_HEIGHT = 132;
 const HEADER_COLLAPSED_HEIGHT = 72;
@@ -24,10 +27,19 @@ const TIMELINE_CIRCLE_TOP = TIMELINE_CARD_PADDING_TOP + (TIMELINE_TITLE_LINE_HEI
 export default function HomeScreen({ navigation }) {
   const scrollY = useSharedValue(0);
   const [titleWidth, setTitleWidth] = useState(0);
+  const { unreadCount } = useNotifications();
+  const { bills, refreshing, refreshBills } = useBills();
   const screenWidth = Dimensions.get('window').width;
   const sidePadding = 20;
   const centerShift = Math.max(0, screenWidth / 2 - titleWidth / 2 - sidePadding);
 
+  // The CSV of every bill opens in the browser, to save or open in a spreadsheet
+  const handleExport = () => {
+    billsAPI.getExportUrl().then(Linking.openURL).catch((err) => {
+      Alert.alert('Could not export bills', err.message);
+    });
+  };
+
   const onScroll = useAnimatedScrollHandler({
     onScroll: (e) => {
       scrollY.value = e.contentOffset.y;
@@ -55,228 +67,19 @@ export default function HomeScreen({ navigation }) {
     return { opacity, width };
   });
 
+  // Timeline entries come from the server, which leaves out archived and deleted bills
   const data = useMemo(
-    () => [
-      {
-        time: '03/28',
-        title: 'Steak House',
-        description: 'You owe $20.50 to Tom',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=5' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=12' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=13' }} style={styles.avatar} />
-          </View>
-        ),
-        bill: {
-          time: '03/28',
-          title: 'Steak House',
-          description: 'You owe $20.50 to Tom',
-          paidBy: 'Tom',
-          participants: [
-            { 
-              id: 1, 
-              name: 'You', 
-              avatar: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=60&h=60&fit=crop&crop=face', 
-              items: [
-                { id: 'it-1', name: 'Roasted Potato Salad', price: 15, quantity: 1 },
-                { id: 'it-2', name: 'Orange Juice', price: 8, quantity: 2 },
-                { id: 'it-3', name: 'Croissant', price: 7.5, quantity: 1 },
-                { id: 'it-4', name: 'Fries', price: 3.5, quantity: 2 },
-                { id: 'it-5', name: 'Cappuccino', price: 5.5, quantity: 1 }
-              ], 
-              netBalance: -20.5,
-              paymentStatus: 'pending'
-            },
-            { 
-              id: 2, 
-              name: 'Tom', 
-              avatar: 'https://images.unsplash.com/photo-1500648767791-00dcc994a43e?w=60&h=60&fit=crop&crop=face', 
-              items: [
-                { id: 'it-6', name: 'Grilled Salmon', price: 22, quantity: 1 },
-                { id: 'it-7', name: 'Caesar Salad', price: 12.5, quantity: 1 },
-                { id: 'it-8', name: 'Chocolate Cake', price: 9, quantity: 1 }
-              ], 
-              netBalance: 20.5,
-              paymentStatus: 'paid'
-            },
-          ]
-        }
-      },
-      {
-        time: '03/19',
-        title: 'Pizza Kingdom',
-        description: 'Left to receive $28.50',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=2' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=7' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=9' }} style={styles.avatar} />
-          </View>
-        ),
-        bill: {
-          time: '03/19',
-          title: 'Pizza Kingdom',
-          description: 'Left to receive $28.50',
-          paidBy: 'You',
-          participants: [
-            { id: 1, name: 'You', avatar: 'https://images.unsplash.com/photo-1472099645785-5658abf4ff4e?w=60&h=60&fit=crop&crop=face', items: [{ id: 'it-3', name: 'Margherita Pizza', price: 16.5, quantity: 1 }], netBalance: 28.5, paymentStatus: 'paid' },
-            { id: 3, name: 'Jessica', avatar: 'https://images.unsplash.com/photo-1438761681033-6461ffad8d80?w=60&h=60&fit=crop&crop=face', items: [{ id: 'it-4', name: 'Orange Juice', price: 8, quantity: 1 }], netBalance: -10, paymentStatus: 'pending' },
-            { id: 4, name: 'Alex', avatar: 'https://i.pravatar.cc/36?img=9', items: [{ id: 'it-5', name: 'Chocolate Cake', price: 9, quantity: 1 }], netBalance: -9.5, paymentStatus: 'settled' },
-          ]
-        }
-      },
-      {
-        time: '03/12',
-        title: 'Nobu Sushi',
-        description: 'You owe $5.00 to Dmitry',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=14' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=15' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=16' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/10',
-        title: 'Cafe Aroma',
-        description: 'You received $12.00 from Alex',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=20' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=21' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/08',
-        title: 'Burger Joint',
-        description: 'Left to receive $8.75',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=11' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=22' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=23' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/06',
-        title: 'Vegan Garden',
-        description: 'You owe $9.20 to Mia',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=24' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=25' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/05',
-        title: 'BBQ Shack',
-        description: 'You received $14.80 from Sam',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=26' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=27' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=28' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/03',
-        title: 'Tacos El Rey',
-        description: 'You owe $6.40 to Luis',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=29' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=30' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '03/02',
-        title: 'Pasta Palace',
-        description: 'Left to receive $19.10',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=31' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=32' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=33' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/28',
-        title: 'Curry Corner',
-        description: 'You owe $7.95 to Priya',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=34' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=35' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/25',
-        title: 'Bagel Bros',
-        description: 'You received $4.60 from Emma',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=36' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=37' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/22',
-        title: 'Ramen Place',
-        description: 'Left to receive $11.30',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=38' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=39' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=40' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/20',
-        title: 'Dumpling Den',
-        description: 'You owe $10.25 to Chen',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=41' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=42' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/17',
-        title: 'Bistro 21',
-        description: 'You received $16.40 from Zoe',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=43' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=44' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-      {
-        time: '02/14',
-        title: 'Kebab House',
-        description: 'Left to receive $23.90',
-        icon: (
-          <View style={styles.avatarRow}>
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=45' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=46' }} style={styles.avatar} />
-            <Image source={{ uri: 'https://i.pravatar.cc/36?img=47' }} style={styles.avatar} />
-          </View>
-        ),
-      },
-    ],
-    []
+    () => bills.map((entry) => ({
+      ...entry,
+      icon: (
+        <View style={styles.avatarRow}>
+          {entry.participants.filter((p) => p.avatar).map((p) => (
+            <Image key={p.id} source={{ uri: p.avatar }} style={styles.avatar} />
+          ))}
+        </View>
+      ),
+    })),
+    [bills]
   );
 
   const renderDetail = (rowData) => {
@@ -319,8 +122,31 @@ export default function HomeScreen({ navigation }) {
           style={StyleSheet.absoluteFill}
         />
         <View style={styles.topIconsRow}>
-          <Ionicons name="notifications-outline" size={22} color={Colors.textOnLightPrimary} />
-          <Ionicons name="settings-outline" size={22} color={Colors.textOnLightPrimary} />
+          <TouchableOpacity
+            onPress={() => navigation?.navigate?.('NotificationsScreen')}
+            accessibilityRole="button"
+            accessibilityLabel={unreadCount > 0 ? `Notifications, ${unreadCount} unread` : 'Notifications'}
+          >
+            <Ionicons name="notifications-outline" size={22} color={Colors.textOnLightPrimary} />
+            {unreadCount > 0 && (
+              <View style={styles.badge}>
+                <Text style={styles.badgeText}>{unreadCount > 9 ? '9+' : unreadCount}</Text>
+              </View>
+            )}
+          </TouchableOpacity>
+          <View style={styles.topIconsRight}>
+            <TouchableOpacity onPress={handleExport} accessibilityRole="button" accessibilityLabel="Export bills as CSV">
+              <Ionicons name="download-outline" size={22} color={Colors.textOnLightPrimary} />
+            </TouchableOpacity>
+            <TouchableOpacity
+              onPress={() => navigation?.navigate?.('TrashScreen')}
+              accessibilityRole="button"
+              accessibilityLabel="Deleted bills"
+            >
+              <Ionicons name="trash-outline" size={22} color={Colors.textOnLightPrimary} />
+            </TouchableOpacity>
+            <Ionicons name="settings-outline" size={22} color={Colors.textOnLightPrimary} />
+          </View>
         </View>
         <Animated.View style={[styles.titleContainer, titleContainerStyle]}>
           <Text style={styles.title} onLayout={(e) => setTitleWidth(e.nativeEvent.layout.width)}>Hangouts</Text>
@@ -345,6 +171,7 @@ export default function HomeScreen({ navigation }) {
         contentContainerStyle={{ paddingTop: HEADER_EXPANDED_HEIGHT + 12, paddingBottom: 120 }}
         onScroll={onScroll}
         scrollEventThrottle={1}
+        refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refreshBills} progressViewOffset={HEADER_EXPANDED_HEIGHT} />}
       >
         <View style={styles.timelineContainer}>
           <Timeline
@@ -438,6 +265,28 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     alignItems: 'center',
   },
+  topIconsRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 16,
+  },
+  badge: {
+    position: 'absolute',
+    top: -4,
+    right: -6,
+    minWidth: 16,
+    height: 16,
+    borderRadius: 8,
+    paddingHorizontal: 3,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: Colors.sharedOrange,
+  },
+  badgeText: {
+    fontSize: 10,
+    fontWeight: '700',
+    color: Colors.textPrimary,
+  },
   titleContainer: {
     alignSelf: 'flex-start',
     flexDirection: 'column',
@@ -0,0 +1,185 @@
+import React, { useState } from 'react';
+import { View, StyleSheet, SafeAreaView, TouchableOpacity, Text, TextInput, ActivityIndicator } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Colors from '../theme/colors';
+import { Title, BackButton } from '../components';
+import { billsAPI } from '../services/apiService';
+
+export default function JoinBillScreen({ navigation, code: initialCode }) {
+  const [code, setCode] = useState(initialCode || '');
+  const [joining, setJoining] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Codes can be typed, or a whole invite link pasted in
+  const canJoin = code.trim().length > 0 && !joining;
+
+  const handleJoin = async () => {
+    if (!canJoin) return;
+    setJoining(true);
+    setError(null);
+    try {
+      const response = await billsAPI.joinBill(code.trim());
+      navigation.navigate('BillDetailsScreen', { bill: response.data.bill });
+    } catch (err) {
+      setError(err.message);
+    } finally {
+      setJoining(false);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View pointerEvents="none" style={styles.backgroundLayer}>
+        <LinearGradient
+          colors={[Colors.backgroundTop, Colors.backgroundMid, Colors.backgroundBottom]}
+          locations={[0, 0.6, 1]}
+          start={{ x: 0.3, y: 0 }}
+          end={{ x: 0.7, y: 1 }}
+          style={styles.bgGradient}
+        />
+      </View>
+
+      <View style={styles.headerRow}>
+        <BackButton onPress={() => navigation.goBack()} />
+      </View>
+
+      <View style={styles.content}>
+        <Title boldText="Join" regularText=" a bill" style={styles.title} />
+        <Text style={styles.subtitle}>Enter the invite code or paste the link someone shared with you</Text>
+
+        <View style={styles.inputWrapper}>
+          <Ionicons name="ticket-outline" size={20} color={Colors.textOnLightSecondary} />
+          <TextInput
+            style={styles.input}
+            value={code}
+            onChangeText={(text) => {
+              setCode(text);
+              setError(null);
+            }}
+            placeholder="e.g. K7QP3M"
+            placeholderTextColor={Colors.textOnLightSecondary}
+            autoCapitalize="characters"
+            autoCorrect={false}
+            returnKeyType="go"
+            onSubmitEditing={handleJoin}
+            accessibilityLabel="Invite code"
+          />
+        </View>
+
+        {error && <Text style={styles.errorText}>{error}</Text>}
+
+        <TouchableOpacity
+          style={[styles.joinButton, !canJoin && styles.joinButtonDisabled]}
+          onPress={handleJoin}
+          disabled={!canJoin}
+          accessibilityRole="button"
+          accessibilityLabel="Join bill"
+        >
+          <LinearGradient
+            colors={[Colors.cardTop, Colors.cardMid, Colors.cardBottom]}
+            locations={[0, 0.6, 1]}
+            start={{ x: 0.3, y: 0 }}
+            end={{ x: 0.7, y: 1 }}
+            style={styles.buttonGradient}
+          />
+          {joining ? (
+            <ActivityIndicator color={Colors.textOnLightPrimary} />
+          ) : (
+            <Text style={styles.joinButtonText}>Join bill</Text>
+          )}
+        </TouchableOpacity>
+      </View>
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.backgroundMid,
+  },
+  backgroundLayer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  bgGradient: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  headerRow: {
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 24,
+    paddingTop: 40,
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 36,
+    marginBottom: 8,
+  },
+  subtitle: {
+    fontSize: 16,
+    color: Colors.textOnLightSecondary,
+    marginBottom: 32,
+    textAlign: 'center',
+  },
+  inputWrapper: {
+    width: '100%',
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.personCardStroke,
+    paddingHorizontal: 16,
+    backgroundColor: Colors.backgroundTop,
+  },
+  input: {
+    flex: 1,
+    paddingVertical: 14,
+    paddingHorizontal: 10,
+    fontSize: 20,
+    letterSpacing: 4,
+    color: Colors.textOnLightPrimary,
+  },
+  errorText: {
+    marginTop: 12,
+    fontSize: 14,
+    color: Colors.sharedOrange,
+    textAlign: 'center',
+  },
+  joinButton: {
+    width: '100%',
+    marginTop: 24,
+    paddingVertical: 16,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.personCardStroke,
+    alignItems: 'center',
+    overflow: 'hidden',
+  },
+  joinButtonDisabled: {
+    opacity: 0.5,
+  },
+  buttonGradient: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  joinButtonText: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.textOnLightPrimary,
+  },
+});
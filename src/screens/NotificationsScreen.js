@@ -0,0 +1,225 @@
+import React from 'react';
+import { View, StyleSheet, SafeAreaView, ScrollView, TouchableOpacity, Text, RefreshControl, ActivityIndicator } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Colors from '../theme/colors';
+import { Title, BackButton } from '../components';
+import { billsAPI } from '../services/apiService';
+import { useNotifications } from '../hooks/useNotifications';
+
+const TYPE_ICONS = {
+  friend_request: 'person-add-outline',
+  friend_request_accepted: 'people-outline',
+  payment_received: 'cash-outline',
+  bill_created: 'receipt-outline',
+  bill_reminder: 'alarm-outline',
+};
+
+const timeAgo = (dateString) => {
+  const minutes = Math.floor((Date.now() - new Date(dateString).getTime()) / 60000);
+  if (minutes < 1) return 'just now';
+  if (minutes < 60) return `${minutes}m ago`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}h ago`;
+  const days = Math.floor(hours / 24);
+  if (days < 7) return `${days}d ago`;
+  return new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+};
+
+export default function NotificationsScreen({ navigation }) {
+  const {
+    notifications,
+    unreadCount,
+    loading,
+    refreshing,
+    error,
+    refreshNotifications,
+    markAsRead,
+    markAllAsRead,
+  } = useNotifications();
+
+  // Bill notifications open the bill; the rest just get marked as read
+  const handlePress = async (notification) => {
+    markAsRead(notification.id);
+    if (!notification.data?.billId) return;
+    try {
+      const response = await billsAPI.getBillById(notification.data.billId);
+      navigation.navigate('BillDetailsScreen', { bill: response.data.bill });
+    } catch (err) {
+      console.error('Error opening bill:', err);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View pointerEvents="none" style={styles.backgroundLayer}>
+        <LinearGradient
+          colors={[Colors.backgroundTop, Colors.backgroundMid, Colors.backgroundBottom]}
+          locations={[0, 0.6, 1]}
+          start={{ x: 0.3, y: 0 }}
+          end={{ x: 0.7, y: 1 }}
+          style={styles.bgGradient}
+        />
+      </View>
+
+      <View style={styles.headerRow}>
+        <BackButton onPress={() => navigation.goBack()} />
+        {unreadCount > 0 && (
+          <TouchableOpacity onPress={markAllAsRead} accessibilityRole="button" accessibilityLabel="Mark all as read">
+            <Text style={styles.markAllText}>Mark all read</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+      <Title boldText="Notifications" style={styles.title} />
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} color={Colors.textOnLightSecondary} />
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refreshNotifications} />}
+        >
+          {error && <Text style={styles.errorText}>{error}</Text>}
+          {!error && notifications.length === 0 && (
+            <View style={styles.emptyState}>
+              <Ionicons name="notifications-off-outline" size={32} color={Colors.textOnLightSecondary} />
+              <Text style={styles.emptyText}>You're all caught up</Text>
+            </View>
+          )}
+          {notifications.map((notification) => (
+            <TouchableOpacity
+              key={notification.id}
+              style={[styles.row, !notification.read && styles.rowUnread]}
+              onPress={() => handlePress(notification)}
+              accessibilityRole="button"
+              accessibilityLabel={`${notification.title}: ${notification.message}`}
+            >
+              <View style={styles.iconCircle}>
+                <Ionicons
+                  name={TYPE_ICONS[notification.type] || 'notifications-outline'}
+                  size={18}
+                  color={Colors.textOnLightPrimary}
+                />
+              </View>
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{notification.title}</Text>
+                <Text style={styles.rowMessage}>{notification.message}</Text>
+                <Text style={styles.rowTime}>{timeAgo(notification.createdAt)}</Text>
+              </View>
+              {!notification.read && <View style={styles.unreadDot} />}
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.backgroundMid,
+  },
+  backgroundLayer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  bgGradient: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  markAllText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.accentBlue,
+    marginBottom: 16,
+  },
+  title: {
+    fontSize: 36,
+    paddingHorizontal: 20,
+    marginBottom: 12,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+    gap: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.personCardOutline,
+    backgroundColor: 'rgba(255,255,255,0.6)',
+  },
+  rowUnread: {
+    borderColor: Colors.accentBlue,
+    backgroundColor: Colors.backgroundTop,
+  },
+  iconCircle: {
+    width: 36,
+    height: 36,
+    borderRadius: 18,
+    alignItems: 'center',
+    justifyContent: 'center',
+    backgroundColor: Colors.accentBlueSoft,
+    marginRight: 12,
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: Colors.textOnLightPrimary,
+  },
+  rowMessage: {
+    fontSize: 14,
+    color: Colors.textOnLightPrimary,
+    marginTop: 2,
+  },
+  rowTime: {
+    fontSize: 12,
+    color: Colors.textOnLightSecondary,
+    marginTop: 4,
+  },
+  unreadDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.accentBlue,
+    marginLeft: 8,
+  },
+  emptyState: {
+    alignItems: 'center',
+    marginTop: 60,
+    gap: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: Colors.textOnLightSecondary,
+  },
+  errorText: {
+    fontSize: 14,
+    color: Colors.sharedOrange,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
@@ -1,18 +1,20 @@
 import React, { useState, useRef, useEffect, useCallback } from 'react';
-import { View, StyleSheet, SafeAreaView, ScrollView, Text, TouchableOpacity } from 'react-native';
+import { View, StyleSheet, SafeAreaView, ScrollView, Text, TouchableOpacity, Alert } from 'react-native';
 import { LinearGradient } from 'expo-linear-gradient';
 import { Ionicons } from '@expo/vector-icons';
 import Colors from '../theme/colors';
 import { DropProvider } from 'react-native-reanimated-dnd';
 import { DraggableFoodItem, QuantityModal, PersonCard, BackButton, Title, SwapBarPager, AddFriendsPanel } from '../components';
 import { unassignItemFromPerson, removePersonAndUnassign } from '../services';
-import { foodItems, people, nearbyFriends, getItemAssignmentInfo, handleItemDrop, handleQuantityAssignment } from '../services';
+import { foodItems as demoFoodItems, people, nearbyFriends, getItemAssignmentInfo, handleItemDrop, handleQuantityAssignment } from '../services';
+import { useBillAssignments } from '../hooks/useBillAssignments';
+import { useGroups, groupToPeople } from '../hooks/useGroups';
 
 
 
 
 
-export default function SplitScreen({ navigation }) {
+export default function SplitScreen({ navigation, billId, groupId }) {
   const [assignments, setAssignments] = useState({});
   const [quantityAssignments, setQuantityAssignments] = useState({});
   const [showQuantityModal, setShowQuantityModal] = useState(false);
@@ -31,6 +33,60 @@ export default function SplitScreen({ navigation }) {
   const scrollRef = useRef(null);
   const [activeDeletePersonId, setActiveDeletePersonId] = useState(null);
 
+  // With a billId, items and people come from the bill and every change is saved
+  const applyServerState = useCallback((state) => {
+    setAssignments(state.assignments);
+    setQuantityAssignments(state.quantityAssignments);
+  }, []);
+  // Someone else saved the bill while we changed its people: show what they
+  // did and whether ours should still go on top of it
+  const confirmConflict = useCallback((details) => new Promise((resolve) => {
+    const changes = details.changes.map((activity) => `• ${activity.description}`).join('\n');
+    Alert.alert(
+      'This bill was just changed',
+      `It is now at version ${details.currentVersion}.\n${changes || 'Someone else saved it.'}\n\nSave your change on top?`,
+      [
+        { text: 'Discard mine', style: 'cancel', onPress: () => resolve(false) },
+        { text: 'Save', onPress: () => resolve(true) },
+      ],
+      { cancelable: false }
+    );
+  }), []);
+  const billAssignments = useBillAssignments(billId, applyServerState, confirmConflict);
+  const { addParticipants, removeParticipant } = billAssignments;
+  const foodItems = billAssignments.foodItems || demoFoodItems;
+
+  useEffect(() => {
+    if (billAssignments.people) {
+      setPeopleList(billAssignments.people);
+    }
+  }, [billAssignments.people]);
+
+  // Bring a whole group onto the people strip, keeping whoever is already there
+  const { groups } = useGroups();
+  const addGroupToPeople = useCallback((group) => {
+    const members = groupToPeople(group);
+    setPeopleList((prev) => {
+      const newcomers = members.filter((m) => !prev.some((p) => p.id === m.id || p.name === m.name));
+      const addIdx = Math.max(0, prev.findIndex((p) => p.isAddButton));
+      const arr = prev.slice();
+      arr.splice(addIdx, 0, ...newcomers);
+      return arr;
+    });
+    setAvailableFriends((prev) => prev.filter((f) => !members.some((m) => m.id === f.id)));
+    setShowAddFriends(false);
+    addParticipants(members);
+  }, [addParticipants]);
+
+  // Opened for a group (and not an existing bill): start from its members
+  useEffect(() => {
+    const group = groups.find((g) => g.id === groupId);
+    if (group && !billId) {
+      setPeopleList([...groupToPeople(group), people.find((p) => p.isAddButton)]);
+      setAvailableFriends((prev) => prev.filter((f) => !group.members.some((m) => m.id === f.id)));
+    }
+  }, [groups, groupId, billId]);
+
   // Pagination logic for vertical list
   const itemsPerPage = 4;
   const totalPages = Math.ceil(foodItems.length / itemsPerPage);
@@ -56,7 +112,13 @@ export default function SplitScreen({ navigation }) {
       // Avoid duplicates by name/id
       const exists = peopleList.some((p) => p.name === draggedItem.person.name || p.id === draggedItem.person.id);
       if (!exists) {
-        const newPerson = { id: Date.now(), name: draggedItem.person.name, avatar: draggedItem.person.avatar, hasFood: false };
+        // A bill's participants are people the server knows, so they keep their user id
+        const newPerson = {
+          id: billId ? draggedItem.person.id : Date.now(),
+          name: draggedItem.person.name,
+          avatar: draggedItem.person.avatar,
+          hasFood: false,
+        };
         setPeopleList((prev) => {
           const addIdx = Math.max(0, prev.findIndex((p) => p.isAddButton));
           const arr = prev.slice();
@@ -64,6 +126,7 @@ export default function SplitScreen({ navigation }) {
           return arr;
         });
         setAvailableFriends((prev) => prev.filter((f) => f.id !== draggedItem.person.id));
+        addParticipants([newPerson]);
       }
       setShowAddFriends(false);
       setDragNonce((n) => n + 1);
@@ -87,6 +150,11 @@ export default function SplitScreen({ navigation }) {
       if (result.newQuantityAssignments) {
         setQuantityAssignments(result.newQuantityAssignments);
       }
+      if (draggedItem.person) {
+        billAssignments.reassignItem(draggedItem.item, draggedItem.person, targetPerson);
+      } else {
+        billAssignments.assignItem(draggedItem, targetPerson);
+      }
       // A successful drop consumed the drag, clear the dragged-from state
       setDraggedFromPerson(null);
     }
@@ -106,6 +174,7 @@ export default function SplitScreen({ navigation }) {
     if (result.shouldUpdate) {
       setAssignments(result.newAssignments);
       setQuantityAssignments(result.newQuantityAssignments);
+      billAssignments.assignItem(pendingAssignment.item, pendingAssignment.person, quantity);
     }
     
     setShowQuantityModal(false);
@@ -157,13 +226,14 @@ export default function SplitScreen({ navigation }) {
       setAssignments(result.newAssignments);
       setQuantityAssignments(result.newQuantityAssignments);
     }
+    removeParticipant(p, assignments[p.id] || []);
     
     // Remove from people list (immutable)
     setPeopleList((prev) => prev.filter((pp) => pp.id !== p.id));
     
     // Clear delete mode
     setActiveDeletePersonId(null);
-  }, [peopleList, assignments, quantityAssignments]);
+  }, [assignments, quantityAssignments, removeParticipant]);
 
   return (
     <DropProvider key={`provider-${dragNonce}`}>
@@ -269,6 +339,7 @@ export default function SplitScreen({ navigation }) {
                     if (result.shouldUpdate) {
                       setAssignments(result.newAssignments);
                       setQuantityAssignments(result.newQuantityAssignments);
+                      billAssignments.unassignItem(draggedFromPerson.item, draggedFromPerson.person);
                     }
                   }
                   setDraggedFromPerson(null);
@@ -291,6 +362,8 @@ export default function SplitScreen({ navigation }) {
         <AddFriendsPanel
           visible={showAddFriends}
           friends={availableFriends}
+          groups={groups}
+          onSelectGroup={addGroupToPeople}
           onClose={() => setShowAddFriends(false)}
           onStartDrag={() => setIsAnyDragging(true)}
           onEndDrag={() => setIsAnyDragging(false)}
@@ -14,6 +14,10 @@ export default function TestNavigationScreen({ navigation }) {
     navigation.navigate('ChooseYoursScreen');
   };
 
+  const navigateToJoinBillScreen = () => {
+    navigation.navigate('JoinBillScreen');
+  };
+
   return (
     <SafeAreaView style={styles.container}>
       <View pointerEvents="none" style={styles.backgroundLayer}>
@@ -62,6 +66,22 @@ export default function TestNavigationScreen({ navigation }) {
               style={styles.buttonGradient}
             />
           </TouchableOpacity>
+
+          <TouchableOpacity style={styles.navigationButton} onPress={navigateToJoinBillScreen}>
+            <View style={styles.buttonContent}>
+              <Ionicons name="enter-outline" size={24} color={Colors.textOnLightPrimary} />
+              <Text style={styles.buttonTitle}>Join a Bill</Text>
+              <Text style={styles.buttonSubtitle}>Enter an invite code from a friend</Text>
+            </View>
+            <View style={styles.buttonShadow} />
+            <LinearGradient
+              colors={[Colors.cardTop, Colors.cardMid, Colors.cardBottom]}
+              locations={[0, 0.6, 1]}
+              start={{ x: 0.3, y: 0 }}
+              end={{ x: 0.7, y: 1 }}
+              style={styles.buttonGradient}
+            />
+          </TouchableOpacity>
         </View>
       </View>
     </SafeAreaView>
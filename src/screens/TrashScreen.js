@@ -0,0 +1,231 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { View, StyleSheet, SafeAreaView, ScrollView, TouchableOpacity, Text, RefreshControl, ActivityIndicator } from 'react-native';
+import { LinearGradient } from 'expo-linear-gradient';
+import { Ionicons } from '@expo/vector-icons';
+import Colors from '../theme/colors';
+import { Title, BackButton } from '../components';
+import { formatPrice } from '../utils/calculationUtils';
+import { billsAPI } from '../services/apiService';
+
+const daysUntil = (dateString) =>
+  Math.max(0, Math.ceil((new Date(dateString).getTime() - Date.now()) / (24 * 60 * 60 * 1000)));
+
+const formatDate = (dateString) =>
+  new Date(dateString).toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+
+// Bills you deleted, until the server purges them. Restoring one puts it back
+// on the timeline and opens it.
+export default function TrashScreen({ navigation }) {
+  const [bills, setBills] = useState([]);
+  const [retentionDays, setRetentionDays] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [refreshing, setRefreshing] = useState(false);
+  const [restoringId, setRestoringId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const loadTrash = useCallback(async () => {
+    try {
+      setError(null);
+      const response = await billsAPI.getTrash();
+      setBills(response.data.bills);
+      setRetentionDays(response.data.retentionDays);
+    } catch (err) {
+      console.error('Error loading trash:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+      setRefreshing(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadTrash();
+  }, [loadTrash]);
+
+  const refreshTrash = () => {
+    setRefreshing(true);
+    loadTrash();
+  };
+
+  const handleRestore = async (bill) => {
+    setRestoringId(bill.id);
+    try {
+      const response = await billsAPI.restoreBill(bill.id);
+      setBills((prev) => prev.filter((b) => b.id !== bill.id));
+      navigation.navigate('BillDetailsScreen', { bill: response.data.bill });
+    } catch (err) {
+      console.error('Error restoring bill:', err);
+      setError(err.message);
+      // The bill may have been purged in the meantime
+      loadTrash();
+    } finally {
+      setRestoringId(null);
+    }
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View pointerEvents="none" style={styles.backgroundLayer}>
+        <LinearGradient
+          colors={[Colors.backgroundTop, Colors.backgroundMid, Colors.backgroundBottom]}
+          locations={[0, 0.6, 1]}
+          start={{ x: 0.3, y: 0 }}
+          end={{ x: 0.7, y: 1 }}
+          style={styles.bgGradient}
+        />
+      </View>
+
+      <View style={styles.headerRow}>
+        <BackButton onPress={() => navigation.goBack()} />
+      </View>
+      <Title boldText="Trash" style={styles.title} />
+      {retentionDays !== null && (
+        <Text style={styles.subtitle}>Deleted bills are kept for {retentionDays} days</Text>
+      )}
+
+      {loading ? (
+        <ActivityIndicator style={styles.loader} color={Colors.textOnLightSecondary} />
+      ) : (
+        <ScrollView
+          contentContainerStyle={styles.list}
+          refreshControl={<RefreshControl refreshing={refreshing} onRefresh={refreshTrash} />}
+        >
+          {error && <Text style={styles.errorText}>{error}</Text>}
+          {!error && bills.length === 0 && (
+            <View style={styles.emptyState}>
+              <Ionicons name="trash-outline" size={32} color={Colors.textOnLightSecondary} />
+              <Text style={styles.emptyText}>The trash is empty</Text>
+            </View>
+          )}
+          {bills.map((bill) => (
+            <View key={bill.id} style={styles.row}>
+              <View style={styles.rowText}>
+                <Text style={styles.rowTitle}>{bill.title}</Text>
+                <Text style={styles.rowMessage}>
+                  {formatPrice(bill.finalAmount, bill.currency)} · deleted {formatDate(bill.deletedAt)}
+                </Text>
+                <Text style={styles.rowTime}>Gone for good in {daysUntil(bill.purgeAt)} days</Text>
+              </View>
+              <TouchableOpacity
+                style={styles.restoreButton}
+                onPress={() => handleRestore(bill)}
+                disabled={restoringId !== null}
+                accessibilityRole="button"
+                accessibilityLabel={`Restore ${bill.title}`}
+              >
+                {restoringId === bill.id ? (
+                  <ActivityIndicator size="small" color={Colors.accentBlue} />
+                ) : (
+                  <Text style={styles.restoreText}>Restore</Text>
+                )}
+              </TouchableOpacity>
+            </View>
+          ))}
+        </ScrollView>
+      )}
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.backgroundMid,
+  },
+  backgroundLayer: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  bgGradient: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    right: 0,
+    bottom: 0,
+  },
+  headerRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 10,
+  },
+  title: {
+    fontSize: 36,
+    paddingHorizontal: 20,
+    marginBottom: 4,
+  },
+  subtitle: {
+    fontSize: 14,
+    color: Colors.textOnLightSecondary,
+    paddingHorizontal: 20,
+    marginBottom: 12,
+  },
+  loader: {
+    marginTop: 40,
+  },
+  list: {
+    paddingHorizontal: 20,
+    paddingBottom: 40,
+    gap: 10,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 14,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: Colors.personCardOutline,
+    backgroundColor: 'rgba(255,255,255,0.6)',
+  },
+  rowText: {
+    flex: 1,
+  },
+  rowTitle: {
+    fontSize: 15,
+    fontWeight: '600',
+    color: Colors.textOnLightPrimary,
+  },
+  rowMessage: {
+    fontSize: 14,
+    color: Colors.textOnLightPrimary,
+    marginTop: 2,
+  },
+  rowTime: {
+    fontSize: 12,
+    color: Colors.textOnLightSecondary,
+    marginTop: 4,
+  },
+  restoreButton: {
+    minWidth: 72,
+    alignItems: 'center',
+    paddingVertical: 8,
+    paddingHorizontal: 12,
+    borderRadius: 12,
+    backgroundColor: Colors.accentBlueSoft,
+    marginLeft: 12,
+  },
+  restoreText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: Colors.accentBlue,
+  },
+  emptyState: {
+    alignItems: 'center',
+    marginTop: 60,
+    gap: 8,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: Colors.textOnLightSecondary,
+  },
+  errorText: {
+    fontSize: 14,
+    color: Colors.sharedOrange,
+    textAlign: 'center',
+    marginTop: 20,
+  },
+});
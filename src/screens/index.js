@@ -2,4 +2,7 @@ export { default as SplitScreen } from './SplitScreen';
 export { default as ChooseYoursScreen } from './ChooseYoursScreen';
 export { default as TestNavigationScreen } from './TestNavigationScreen';
 export { default as HomeScreen } from './HomeScreen';
-export { default as BillDetailsScreen } from './BillDetailsScreen';
\ No newline at end of file
+export { default as BillDetailsScreen } from './BillDetailsScreen';
+export { default as JoinBillScreen } from './JoinBillScreen';
+export { default as NotificationsScreen } from './NotificationsScreen';
+export { default as TrashScreen } from './TrashScreen';
\ No newline at end of file
@@ -1,8 +1,28 @@
 // API Service for Split Bill App
 const API_BASE_URL = 'http://localhost:3001/api';
 
-// Helper function to make API requests
-const apiRequest = async (endpoint, options = {}) => {
+// Auth endpoints that answer 401 for bad credentials rather than an expired token
+const NO_REFRESH_ENDPOINTS = [
+  '/auth/login',
+  '/auth/register',
+  '/auth/refresh',
+  '/auth/logout',
+  '/auth/password',
+];
+
+// Validation errors list every field that was wrong - show those rather than
+// the generic message
+const getErrorMessage = (data, status) => {
+  if (data.code === 'VALIDATION_ERROR' && data.fields?.length) {
+    return data.fields.map(({ field, message }) => `${field} ${message}`).join('; ');
+  }
+  return data.error || `HTTP error! status: ${status}`;
+};
+
+// Helper function to make API requests. A request rejected with 401 (expired
+// or revoked access token) is retried once with a freshly refreshed one.
+// A 403 means the request isn't allowed, so refreshing wouldn't help.
+const apiRequest = async (endpoint, options = {}, { retry = true } = {}) => {
   const url = `${API_BASE_URL}${endpoint}`;
   
   const defaultOptions = {
@@ -11,6 +31,11 @@ const apiRequest = async (endpoint, options = {}) => {
     },
   };
 
+  // Let fetch set the multipart boundary for file uploads
+  if (typeof FormData !== 'undefined' && options.body instanceof FormData) {
+    delete defaultOptions.headers['Content-Type'];
+  }
+
   // Add auth token if available
   const token = getStoredToken();
   if (token) {
@@ -28,10 +53,25 @@ const apiRequest = async (endpoint, options = {}) => {
 
   try {
     const response = await fetch(url, config);
+
+    if (response.status === 401 && retry &&
+        getStoredRefreshToken() && !NO_REFRESH_ENDPOINTS.includes(endpoint)) {
+      // Another request may already have refreshed the token this one was sent with
+      const refreshed = getStoredToken() !== token || await refreshAccessToken().catch(() => false);
+      if (refreshed) {
+        return await apiRequest(endpoint, options, { retry: false });
+      }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.error || `HTTP error! status: ${response.status}`);
+      const error = new Error(getErrorMessage(data, response.status));
+      error.status = response.status;
+      error.code = data.code;
+      error.fields = data.fields;
+      error.details = data.details;
+      throw error;
     }
 
     return data;
@@ -41,12 +81,90 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Requests that must not run twice (creating a bill, recording a payment) are
+// sent with an Idempotency-Key and retried after a network failure or server
+// error. Every attempt carries the same key, so the server acts on it once and
+// answers the retries with the first response.
+const IDEMPOTENT_RETRIES = 2;
+const RETRY_DELAY_MS = 500;
+
+const createIdempotencyKey = () =>
+  globalThis.crypto?.randomUUID?.() ||
+  `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+
+const idempotentRequest = async (endpoint, options) => {
+  const keyedOptions = {
+    ...options,
+    headers: { ...options.headers, 'Idempotency-Key': createIdempotencyKey() },
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await apiRequest(endpoint, keyedOptions);
+    } catch (error) {
+      const retryable = !error.status || error.status >= 500;
+      if (!retryable || attempt >= IDEMPOTENT_RETRIES) {
+        throw error;
+      }
+      await new Promise(resolve => setTimeout(resolve, RETRY_DELAY_MS * 2 ** attempt));
+    }
+  }
+};
+
 // Token storage helpers (you might want to use AsyncStorage in production)
 let authToken = null;
+let refreshToken = null;
 
 const getStoredToken = () => authToken;
-const setStoredToken = (token) => { authToken = token; };
-const clearStoredToken = () => { authToken = null; };
+const getStoredRefreshToken = () => refreshToken;
+const setStoredToken = (token, newRefreshToken) => {
+  authToken = token;
+  if (newRefreshToken !== undefined) refreshToken = newRefreshToken;
+};
+const clearStoredToken = () => {
+  authToken = null;
+  refreshToken = null;
+};
+
+// Swap the refresh token for a new token pair. Requests that fail together
+// share one refresh, since each refresh token can only be used once.
+let refreshPromise = null;
+const refreshAccessToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = apiRequest('/auth/refresh', {
+      method: 'POST',
+      body: JSON.stringify({ refreshToken }),
+    })
+      .then((data) => {
+        setStoredToken(data.data.token, data.data.refreshToken);
+        return true;
+      })
+      .catch((error) => {
+        // The session is gone - the user has to log in again
+        clearStoredToken();
+        throw error;
+      })
+      .finally(() => {
+        refreshPromise = null;
+      });
+  }
+  return refreshPromise;
+};
+
+// Links for the browser, which can't send the Authorization header. They carry
+// a download token that only opens that link for a minute, never the access
+// token, so open them right away. Logged out, there is no link to build.
+const getDownloadUrl = async (path, params = {}) => {
+  if (!getStoredToken()) {
+    throw new Error('Log in to download');
+  }
+  const { data } = await apiRequest('/auth/download-token', {
+    method: 'POST',
+    body: JSON.stringify({ path }),
+  });
+  const queryString = new URLSearchParams({ ...params, token: data.token }).toString();
+  return `${API_BASE_URL}${path}?${queryString}`;
+};
 
 // Authentication API calls
 export const authAPI = {
@@ -57,7 +175,7 @@ export const authAPI = {
     });
     
     if (data.success && data.data.token) {
-      setStoredToken(data.data.token);
+      setStoredToken(data.data.token, data.data.refreshToken);
     }
     
     return data;
@@ -70,7 +188,7 @@ export const authAPI = {
     });
     
     if (data.success && data.data.token) {
-      setStoredToken(data.data.token);
+      setStoredToken(data.data.token, data.data.refreshToken);
     }
     
     return data;
@@ -87,6 +205,50 @@ export const authAPI = {
       clearStoredToken();
     }
   },
+
+  changePassword: async (currentPassword, newPassword) => {
+    return await apiRequest('/auth/password', {
+      method: 'PUT',
+      body: JSON.stringify({ currentPassword, newPassword }),
+    });
+  },
+
+  forgotPassword: async (email) => {
+    return await apiRequest('/auth/forgot-password', {
+      method: 'POST',
+      body: JSON.stringify({ email }),
+    });
+  },
+
+  resetPassword: async (token, newPassword) => {
+    return await apiRequest('/auth/reset-password', {
+      method: 'POST',
+      body: JSON.stringify({ token, newPassword }),
+    });
+  },
+
+  verifyEmail: async (token) => {
+    return await apiRequest('/auth/verify-email', {
+      method: 'POST',
+      body: JSON.stringify({ token }),
+    });
+  },
+
+  resendVerification: async () => {
+    return await apiRequest('/auth/resend-verification', {
+      method: 'POST',
+    });
+  },
+
+  getSessions: async () => {
+    return await apiRequest('/auth/sessions');
+  },
+
+  revokeSession: async (sessionId) => {
+    return await apiRequest(`/auth/sessions/${sessionId}`, {
+      method: 'DELETE',
+    });
+  },
 };
 
 // Bills API calls
@@ -102,28 +264,303 @@ export const billsAPI = {
   },
 
   createBill: async (billData) => {
-    return await apiRequest('/bills', {
+    return await idempotentRequest('/bills', {
       method: 'POST',
       body: JSON.stringify(billData),
     });
   },
 
-  updateBill: async (billId, updateData) => {
-    return await apiRequest(`/bills/${billId}`, {
-      method: 'PUT',
-      body: JSON.stringify(updateData),
+  // Pass the `version` of the bill being edited so the update can't overwrite
+  // someone else's change. If the bill changed since, the server answers
+  // VERSION_CONFLICT with the current bill and the `changes` made since:
+  // `onConflict(details)` can show those and return the update to retry
+  // with against the new version, or null to give up (the error is thrown).
+  updateBill: async (billId, updateData, { version, onConflict } = {}) => {
+    try {
+      return await apiRequest(`/bills/${billId}`, {
+        method: 'PUT',
+        headers: version !== undefined ? { 'If-Match': `"${version}"` } : {},
+        body: JSON.stringify(updateData),
+      });
+    } catch (error) {
+      if (error.code !== 'VERSION_CONFLICT' || !onConflict) {
+        throw error;
+      }
+      const retryData = await onConflict(error.details);
+      if (!retryData) {
+        throw error;
+      }
+      return await billsAPI.updateBill(billId, retryData, {
+        version: error.details.currentVersion,
+        onConflict,
+      });
+    }
+  },
+
+  // A bill people still owe money on is only deleted with `confirm` - without
+  // it the request fails with OUTSTANDING_BALANCE and `details` of who owes what
+  deleteBill: async (billId, { confirm = false } = {}) => {
+    return await apiRequest(`/bills/${billId}${confirm ? '?confirm=true' : ''}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getTrash: async () => {
+    return await apiRequest('/bills/trash');
+  },
+
+  restoreBill: async (billId) => {
+    return await apiRequest(`/bills/${billId}/restore`, {
+      method: 'POST',
+    });
+  },
+
+  archiveBill: async (billId) => {
+    return await apiRequest(`/bills/${billId}/archive`, {
+      method: 'POST',
+    });
+  },
+
+  unarchiveBill: async (billId) => {
+    return await apiRequest(`/bills/${billId}/unarchive`, {
+      method: 'POST',
     });
   },
 
   addPayment: async (billId, paymentData) => {
-    return await apiRequest(`/bills/${billId}/payments`, {
+    return await idempotentRequest(`/bills/${billId}/payments`, {
       method: 'POST',
       body: JSON.stringify(paymentData),
     });
   },
 
-  getBillActivities: async (billId) => {
-    return await apiRequest(`/bills/${billId}/activities`);
+  // Only the receiver of a payment can confirm, reject or refund it
+  confirmPayment: async (billId, paymentId) => {
+    return await apiRequest(`/bills/${billId}/payments/${paymentId}/confirm`, {
+      method: 'POST',
+    });
+  },
+
+  rejectPayment: async (billId, paymentId, reason) => {
+    return await apiRequest(`/bills/${billId}/payments/${paymentId}/reject`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  refundPayment: async (billId, paymentId, reason) => {
+    return await apiRequest(`/bills/${billId}/payments/${paymentId}/refund`, {
+      method: 'POST',
+      body: JSON.stringify({ reason }),
+    });
+  },
+
+  addItem: async (billId, itemData) => {
+    return await apiRequest(`/bills/${billId}/items`, {
+      method: 'POST',
+      body: JSON.stringify(itemData),
+    });
+  },
+
+  updateItem: async (billId, itemId, updates) => {
+    return await apiRequest(`/bills/${billId}/items/${itemId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updates),
+    });
+  },
+
+  removeItem: async (billId, itemId) => {
+    return await apiRequest(`/bills/${billId}/items/${itemId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  getAssignments: async (billId) => {
+    return await apiRequest(`/bills/${billId}/assignments`);
+  },
+
+  assignItem: async (billId, itemId, participantId, quantity) => {
+    return await apiRequest(`/bills/${billId}/items/${itemId}/assignments`, {
+      method: 'POST',
+      body: JSON.stringify({ participantId, quantity }),
+    });
+  },
+
+  reassignItem: async (billId, itemId, fromParticipantId, toParticipantId, quantity) => {
+    return await apiRequest(`/bills/${billId}/items/${itemId}/assignments/${fromParticipantId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ toParticipantId, quantity }),
+    });
+  },
+
+  unassignItem: async (billId, itemId, participantId, quantity) => {
+    const query = quantity ? `?quantity=${quantity}` : '';
+    return await apiRequest(`/bills/${billId}/items/${itemId}/assignments/${participantId}${query}`, {
+      method: 'DELETE',
+    });
+  },
+
+  createInvite: async (billId, { expiresInHours, maxUses } = {}) => {
+    return await apiRequest(`/bills/${billId}/invites`, {
+      method: 'POST',
+      body: JSON.stringify({ expiresInHours, maxUses }),
+    });
+  },
+
+  getInvites: async (billId) => {
+    return await apiRequest(`/bills/${billId}/invites`);
+  },
+
+  revokeInvite: async (billId, code) => {
+    return await apiRequest(`/bills/${billId}/invites/${code}`, {
+      method: 'DELETE',
+    });
+  },
+
+  joinBill: async (code) => {
+    return await apiRequest(`/bills/join/${encodeURIComponent(code)}`, {
+      method: 'POST',
+    });
+  },
+
+  getReminders: async (billId) => {
+    return await apiRequest(`/bills/${billId}/reminders`);
+  },
+
+  sendReminder: async (billId, participantId, message) => {
+    return await apiRequest(`/bills/${billId}/reminders`, {
+      method: 'POST',
+      body: JSON.stringify({ participantId, message }),
+    });
+  },
+
+  // params: { type, userId, limit, offset } - type takes a comma-separated list
+  getBillActivities: async (billId, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    const endpoint = queryString ?
+      `/bills/${billId}/activities?${queryString}` :
+      `/bills/${billId}/activities`;
+    return await apiRequest(endpoint);
+  },
+
+  // `file` is a React Native file descriptor: { uri, name, type }
+  uploadReceipt: async (billId, file) => {
+    const formData = new FormData();
+    formData.append('receipt', file);
+
+    return await apiRequest(`/bills/${billId}/receipt`, {
+      method: 'POST',
+      body: formData,
+    });
+  },
+
+  getReceiptSource: (billId) => ({
+    uri: `${API_BASE_URL}/bills/${billId}/receipt`,
+    headers: { Authorization: `Bearer ${getStoredToken()}` },
+  }),
+
+  // Download links (see getDownloadUrl). `params` filters the export:
+  // status, from, to (YYYY-MM-DD), counterpartId
+  getExportUrl: async (params = {}) => {
+    return await getDownloadUrl('/bills/export', { format: 'csv', ...params });
+  },
+
+  getStatementUrl: async (billId) => {
+    return await getDownloadUrl(`/bills/${billId}/statement`);
+  },
+};
+
+// Recurring bills API calls
+export const recurringBillsAPI = {
+  getRecurringBills: async (status) => {
+    return await apiRequest(status ? `/recurring-bills?status=${status}` : '/recurring-bills');
+  },
+
+  getRecurringBillById: async (recurringBillId) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}`);
+  },
+
+  createRecurringBill: async (seriesData) => {
+    return await apiRequest('/recurring-bills', {
+      method: 'POST',
+      body: JSON.stringify(seriesData),
+    });
+  },
+
+  updateRecurringBill: async (recurringBillId, updateData) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updateData),
+    });
+  },
+
+  setOccurrenceAmount: async (recurringBillId, date, amount) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/occurrences/${date}`, {
+      method: 'PUT',
+      body: JSON.stringify({ amount }),
+    });
+  },
+
+  pause: async (recurringBillId) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/pause`, {
+      method: 'POST',
+    });
+  },
+
+  resume: async (recurringBillId) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/resume`, {
+      method: 'POST',
+    });
+  },
+
+  skip: async (recurringBillId, date) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/skip`, {
+      method: 'POST',
+      body: JSON.stringify(date ? { date } : {}),
+    });
+  },
+
+  unskip: async (recurringBillId, date) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/skip/${date}`, {
+      method: 'DELETE',
+    });
+  },
+
+  end: async (recurringBillId) => {
+    return await apiRequest(`/recurring-bills/${recurringBillId}/end`, {
+      method: 'POST',
+    });
+  },
+};
+
+// Balances API calls
+export const balancesAPI = {
+  getBalances: async () => {
+    return await apiRequest('/balances');
+  },
+
+  settleUp: async (counterpartId, method) => {
+    return await apiRequest('/balances/settle', {
+      method: 'POST',
+      body: JSON.stringify({ counterpartId, method }),
+    });
+  },
+};
+
+// Currencies API calls
+export const currenciesAPI = {
+  getCurrencies: async () => {
+    return await apiRequest('/currencies');
+  },
+
+  getRates: async (currency) => {
+    const endpoint = currency ? `/currencies/rates?currency=${currency}` : '/currencies/rates';
+    return await apiRequest(endpoint);
+  },
+
+  convert: async (amount, from, to, date) => {
+    const queryString = new URLSearchParams({ amount, from, to, ...(date && { date }) }).toString();
+    return await apiRequest(`/currencies/convert?${queryString}`);
   },
 };
 
@@ -156,6 +593,16 @@ export const restaurantsAPI = {
   },
 };
 
+// Receipts API calls
+export const receiptsAPI = {
+  parseReceipt: async (text, restaurantId = null) => {
+    return await apiRequest('/receipts/parse', {
+      method: 'POST',
+      body: JSON.stringify({ text, restaurantId }),
+    });
+  },
+};
+
 // Users API calls
 export const usersAPI = {
   searchUsers: async (query, params = {}) => {
@@ -192,8 +639,89 @@ export const usersAPI = {
   },
 };
 
+// Notifications API calls
+export const notificationsAPI = {
+  getNotifications: async (params = {}) => {
+    const searchParams = new URLSearchParams(params);
+    return await apiRequest(`/notifications?${searchParams}`);
+  },
+
+  getUnreadCount: async () => {
+    return await apiRequest('/notifications/unread-count');
+  },
+
+  markAsRead: async (notificationId) => {
+    return await apiRequest(`/notifications/${notificationId}/read`, {
+      method: 'PUT',
+    });
+  },
+
+  markAllAsRead: async () => {
+    return await apiRequest('/notifications/read-all', {
+      method: 'PUT',
+    });
+  },
+};
+
+// Groups API calls
+export const groupsAPI = {
+  getGroups: async () => {
+    return await apiRequest('/groups');
+  },
+
+  getGroupById: async (groupId) => {
+    return await apiRequest(`/groups/${groupId}`);
+  },
+
+  createGroup: async (groupData) => {
+    return await apiRequest('/groups', {
+      method: 'POST',
+      body: JSON.stringify(groupData),
+    });
+  },
+
+  updateGroup: async (groupId, updateData) => {
+    return await apiRequest(`/groups/${groupId}`, {
+      method: 'PUT',
+      body: JSON.stringify(updateData),
+    });
+  },
+
+  deleteGroup: async (groupId) => {
+    return await apiRequest(`/groups/${groupId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  addMember: async (groupId, userId, role = 'member') => {
+    return await apiRequest(`/groups/${groupId}/members`, {
+      method: 'POST',
+      body: JSON.stringify({ userId, role }),
+    });
+  },
+
+  updateMemberRole: async (groupId, userId, role) => {
+    return await apiRequest(`/groups/${groupId}/members/${userId}`, {
+      method: 'PUT',
+      body: JSON.stringify({ role }),
+    });
+  },
+
+  removeMember: async (groupId, userId) => {
+    return await apiRequest(`/groups/${groupId}/members/${userId}`, {
+      method: 'DELETE',
+    });
+  },
+
+  leaveGroup: async (groupId) => {
+    return await apiRequest(`/groups/${groupId}/leave`, {
+      method: 'POST',
+    });
+  },
+};
+
 // Export token helpers for use in components
-export { getStoredToken, setStoredToken, clearStoredToken };
+export { getStoredToken, setStoredToken, clearStoredToken, refreshAccessToken };
 
 // Export API base URL for reference
 export { API_BASE_URL };
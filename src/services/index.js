@@ -1,3 +1,4 @@
 export * from './dataService';
 export * from './assignmentService';
-export * from './apiService';
\ No newline at end of file
+export * from './apiService';
+export * from './receiptService';
\ No newline at end of file
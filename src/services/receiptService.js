@@ -0,0 +1,23 @@
+import { receiptsAPI } from './apiService';
+import { formatPrice } from '../utils/calculationUtils';
+
+// Map parsed receipt items to the foodItems shape used by SplitScreen,
+// where `price` is the formatted line total for all units
+export const toFoodItems = (items, currency = 'USD') => items.map((item) => ({
+  id: item.id,
+  menuItemId: item.menuItemId,
+  name: item.name,
+  price: formatPrice(item.lineTotal ?? item.price * item.quantity, currency),
+  quantity: item.quantity,
+  image: item.image,
+}));
+
+export const parseReceiptText = async (text, restaurantId = null) => {
+  const response = await receiptsAPI.parseReceipt(text, restaurantId);
+  const { receipt } = response.data;
+
+  return {
+    ...receipt,
+    foodItems: toFoodItems(receipt.items, receipt.currency || undefined),
+  };
+};
@@ -0,0 +1,129 @@
+// Live bill events from the API's Server-Sent Events stream. React Native has
+// no EventSource, so the stream is read incrementally over XMLHttpRequest,
+// which works the same on native and web. One connection is shared by all
+// listeners and reconnects (resuming from the last event id) when it drops,
+// refreshing the access token first if it was rejected.
+import { API_BASE_URL, getStoredToken, refreshAccessToken } from './apiService';
+
+const DEFAULT_RETRY_DELAY = 3000;
+
+const listeners = new Set();
+let xhr = null;
+let retryTimer = null;
+let retryDelay = DEFAULT_RETRY_DELAY;
+let lastEventId = null;
+
+// Parse one "field: value" block of the stream
+const dispatchBlock = (block) => {
+  let type = 'message';
+  let id = null;
+  const dataLines = [];
+
+  block.split('\n').forEach((line) => {
+    if (!line || line.startsWith(':')) return;
+    const separator = line.indexOf(':');
+    const field = separator === -1 ? line : line.slice(0, separator);
+    const value = separator === -1 ? '' : line.slice(separator + 1).replace(/^ /, '');
+
+    if (field === 'event') type = value;
+    else if (field === 'data') dataLines.push(value);
+    else if (field === 'id') id = value;
+    else if (field === 'retry' && !Number.isNaN(parseInt(value, 10))) retryDelay = parseInt(value, 10);
+  });
+
+  if (id !== null) lastEventId = id;
+  if (dataLines.length === 0) return;
+
+  let data;
+  try {
+    data = JSON.parse(dataLines.join('\n'));
+  } catch (error) {
+    console.error('Invalid stream event:', error);
+    return;
+  }
+
+  const event = { id, type, data };
+  listeners.forEach((listener) => listener(event));
+};
+
+const scheduleReconnect = () => {
+  clearTimeout(retryTimer);
+  if (listeners.size > 0) {
+    retryTimer = setTimeout(connect, retryDelay);
+  }
+};
+
+function connect() {
+  const token = getStoredToken();
+  if (!token) {
+    // Not logged in yet - try again later
+    scheduleReconnect();
+    return;
+  }
+
+  const request = new XMLHttpRequest();
+  let seen = 0;
+  let buffer = '';
+
+  request.open('GET', `${API_BASE_URL}/stream`);
+  request.setRequestHeader('Accept', 'text/event-stream');
+  request.setRequestHeader('Authorization', `Bearer ${token}`);
+  if (lastEventId !== null) {
+    request.setRequestHeader('Last-Event-ID', lastEventId);
+  }
+
+  request.onreadystatechange = () => {
+    if (request.readyState < 3 || request.status !== 200) {
+      if (request.readyState !== 4 || xhr !== request) return;
+      if (request.status === 401 || request.status === 403) {
+        refreshAccessToken().catch(() => {}).finally(scheduleReconnect);
+      } else {
+        scheduleReconnect();
+      }
+      return;
+    }
+
+    buffer += request.responseText.slice(seen).replace(/\r\n?/g, '\n');
+    seen = request.responseText.length;
+
+    const blocks = buffer.split('\n\n');
+    buffer = blocks.pop();
+    blocks.forEach(dispatchBlock);
+
+    if (request.readyState === 4 && xhr === request) {
+      scheduleReconnect();
+    }
+  };
+
+  xhr = request;
+  request.send();
+}
+
+const disconnect = () => {
+  clearTimeout(retryTimer);
+  if (xhr) {
+    const request = xhr;
+    xhr = null;
+    request.abort();
+  }
+};
+
+/**
+ * Listen for live bill events: `{ id, type, data }` where type is e.g.
+ * 'payment.created' and `data.billId` names the bill. The user's own
+ * 'notification.created' events come through here too, without a billId.
+ * Returns an unsubscribe function.
+ */
+export const subscribeToBillEvents = (listener) => {
+  listeners.add(listener);
+  if (listeners.size === 1) {
+    connect();
+  }
+
+  return () => {
+    listeners.delete(listener);
+    if (listeners.size === 0) {
+      disconnect();
+    }
+  };
+};
@@ -1,6 +1,31 @@
+// Symbol and decimal places for the currencies the API supports; anything else
+// falls back to the ISO code with two decimals
+export const CURRENCIES = {
+  USD: { symbol: '$', decimals: 2 },
+  EUR: { symbol: '€', decimals: 2 },
+  GBP: { symbol: '£', decimals: 2 },
+  JPY: { symbol: '¥', decimals: 0 },
+  CAD: { symbol: 'CA$', decimals: 2 },
+  AUD: { symbol: 'A$', decimals: 2 },
+  CHF: { symbol: 'CHF ', decimals: 2 },
+  MXN: { symbol: 'MX$', decimals: 2 },
+  INR: { symbol: '₹', decimals: 2 },
+  RON: { symbol: 'lei ', decimals: 2 },
+};
+
+const getCurrency = (currency) => CURRENCIES[currency] || { symbol: `${currency} `, decimals: 2 };
+
+// Read a number out of a formatted price such as "$12.50" or "€8.00"
+export const parsePrice = (price) => {
+  if (typeof price === 'string') {
+    return parseFloat(price.replace(/[^\d.-]/g, '')) || 0;
+  }
+  return parseFloat(price) || 0;
+};
+
 export const calculatePersonTotal = (person, assignedItems, quantityAssignments, assignments) => {
   const assignedTotal = assignedItems.reduce((sum, item) => {
-    const price = typeof item.price === 'string' ? parseFloat(item.price.replace('$', '')) : (parseFloat(item.price) || 0);
+    const price = parsePrice(item.price);
     const personQuantity = quantityAssignments[item.id]?.[person.id] || 1;
     
     if (item.quantity > 1) {
@@ -31,9 +56,13 @@ export const calculateRemainingQuantity = (item, quantityAssignments) => {
   return item.quantity - totalAssigned;
 };
 
-export const formatPrice = (price) => {
-  if (typeof price === 'string' && price.includes('$')) {
+export const formatPrice = (price, currency = 'USD') => {
+  // Already formatted
+  if (typeof price === 'string' && /[^\d.,\s-]/.test(price)) {
     return price;
   }
-  return `$${parseFloat(price).toFixed(2)}`;
-};
\ No newline at end of file
+  const { symbol, decimals } = getCurrency(currency);
+  const amount = parseFloat(price);
+  const sign = amount < 0 ? '-' : '';
+  return `${sign}${symbol}${Math.abs(amount).toFixed(decimals)}`;
+};